@@ -10,6 +10,46 @@ export const getDatabasePath = () => {
   return process.env.SQLITE_DB_PATH || './data/churnguard_simulation.db';
 };
 
+const RETURNS_ROWS = /^\s*(SELECT|WITH|PRAGMA|VALUES)\b|\bRETURNING\b/i;
+
+// pg serializes these itself; sqlite3 would store a Date as epoch millis and reject objects
+const toSqliteParam = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+  return value;
+};
+
+// Wraps a sqlite handle so callers can use db.query(sql, params) with Postgres-style $n
+// placeholders and get back the same { rows, rowCount } shape as a pg Pool
+export const createSqliteAdapter = (sqliteDb) => {
+  const query = async (sql, params = []) => {
+    // ?NNN is SQLite's numbered parameter, so reused/out-of-order $n keep working
+    const text = sql.replace(/\$(\d+)/g, '?$1');
+    const values = params.map(toSqliteParam);
+
+    if (RETURNS_ROWS.test(text)) {
+      const rows = await sqliteDb.all(text, values);
+      return { rows, rowCount: rows.length };
+    }
+
+    const result = await sqliteDb.run(text, values);
+    return { rows: [], rowCount: result.changes ?? 0 };
+  };
+
+  return {
+    dialect: 'sqlite',
+    query,
+    // Single connection: a "client" is the shared handle, so BEGIN/COMMIT still pair up
+    connect: async () => ({ dialect: 'sqlite', query, release: () => {} }),
+    all: (...args) => sqliteDb.all(...args),
+    get: (...args) => sqliteDb.get(...args),
+    run: (...args) => sqliteDb.run(...args),
+    exec: (...args) => sqliteDb.exec(...args),
+    end: () => sqliteDb.close(),
+    close: () => sqliteDb.close()
+  };
+};
+
 export const getDatabase = async () => {
   if (process.env.DATABASE_URL) {
     // Use PostgreSQL for production
@@ -19,6 +59,7 @@ export const getDatabase = async () => {
         rejectUnauthorized: false
       }
     });
+    pool.dialect = 'postgres';
     return pool;
   } else {
     // Use SQLite for development
@@ -26,7 +67,7 @@ export const getDatabase = async () => {
       filename: getDatabasePath(),
       driver: sqlite3.Database
     });
-    return db;
+    return createSqliteAdapter(db);
   }
 };
 
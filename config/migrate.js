@@ -1,90 +1,238 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { getSharedDatabase } from './database.js';
+import { getSqlDialect } from './sql-dialect.js';
 
-export async function runMigrations() {
-  console.log('🔄 Running database migrations...');
+// Versioned schema migrations for PostgreSQL and SQLite.
+// Each file in config/migrations is NNN_description.js exporting up(db, sql) and down(db, sql);
+// applied versions are recorded in schema_migrations.
+//
+//   node config/migrate.js up [version]   apply pending migrations (optionally up to a version)
+//   node config/migrate.js down [steps]   roll back the last N applied migrations (default 1)
+//   node config/migrate.js status         list applied and pending migrations
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary constant so concurrent server/ETL processes don't migrate at the same time
+const POSTGRES_MIGRATION_LOCK_ID = 74230501;
+
+export const loadMigrations = async () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    migrations.push({ version: parseInt(version, 10), name, file, up: module.up, down: module.down });
+  }
+
+  const versions = migrations.map(migration => migration.version);
+  if (new Set(versions).size !== versions.length) {
+    throw new Error('Duplicate migration version numbers in config/migrations');
+  }
+
+  return migrations;
+};
 
+const ensureMigrationsTable = async (client, sql) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query(`SELECT version FROM schema_migrations ORDER BY version`);
+  return new Set(result.rows.map(row => Number(row.version)));
+};
+
+// Runs fn with a dedicated client holding the migration lock (Postgres) or the shared handle (SQLite)
+const withMigrationClient = async (fn) => {
   const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+  const client = await db.connect();
 
   try {
-    // Create accounts table
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS accounts (
-        account_id TEXT PRIMARY KEY,
-        account_name TEXT,
-        status TEXT,
-        launched_at TEXT,
-        csm_owner TEXT,
-        hubspot_id TEXT,
-        archived_at TEXT,
-        earliest_unit_archived_at TEXT,
-        last_updated TEXT
-      )
-    `);
-
-    // Create daily_metrics table
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS daily_metrics (
-        account_id TEXT,
-        date TEXT,
-        total_spend REAL DEFAULT 0,
-        total_texts_delivered INTEGER DEFAULT 0,
-        coupons_redeemed INTEGER DEFAULT 0,
-        active_subs_cnt INTEGER DEFAULT 0,
-        spend_updated_at TEXT,
-        texts_updated_at TEXT,
-        coupons_updated_at TEXT,
-        subs_updated_at TEXT,
-        PRIMARY KEY (account_id, date),
-        FOREIGN KEY (account_id) REFERENCES accounts (account_id)
-      )
-    `);
-
-    // Create monthly_metrics table
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS monthly_metrics (
-        account_id TEXT,
-        month TEXT,
-        month_label TEXT,
-        total_spend REAL DEFAULT 0,
-        total_texts_delivered INTEGER DEFAULT 0,
-        total_coupons_redeemed INTEGER DEFAULT 0,
-        avg_active_subs_cnt REAL DEFAULT 0,
-        trending_risk_level TEXT,
-        trending_risk_reasons TEXT,
-        historical_risk_level TEXT,
-        risk_reasons TEXT,
-        created_at TEXT,
-        updated_at TEXT,
-        PRIMARY KEY (account_id, month),
-        FOREIGN KEY (account_id) REFERENCES accounts (account_id)
-      )
-    `);
-
-    // Create indexes for performance
-    await db.query(`CREATE INDEX IF NOT EXISTS idx_daily_metrics_date ON daily_metrics(date)`);
-    await db.query(`CREATE INDEX IF NOT EXISTS idx_daily_metrics_account ON daily_metrics(account_id)`);
-    await db.query(`CREATE INDEX IF NOT EXISTS idx_accounts_status ON accounts(status)`);
-    await db.query(`CREATE INDEX IF NOT EXISTS idx_monthly_metrics_month ON monthly_metrics(month)`);
-    await db.query(`CREATE INDEX IF NOT EXISTS idx_monthly_metrics_account ON monthly_metrics(account_id)`);
-
-    console.log('✅ Database schema migration completed successfully');
-
-    // Verify tables exist
-    const result = await db.query(`
-      SELECT table_name
-      FROM information_schema.tables
-      WHERE table_schema = 'public'
-      AND table_name IN ('accounts', 'daily_metrics', 'monthly_metrics')
-      ORDER BY table_name
-    `);
-
-    const tableNames = result.rows.map(row => row.table_name);
-    console.log(`📋 Verified tables: ${tableNames.join(', ')}`);
+    if (sql.name === 'postgres') {
+      await client.query('SELECT pg_advisory_lock($1)', [POSTGRES_MIGRATION_LOCK_ID]);
+    }
+    await ensureMigrationsTable(client, sql);
+    return await fn(client, sql);
+  } finally {
+    if (sql.name === 'postgres') {
+      await client.query('SELECT pg_advisory_unlock($1)', [POSTGRES_MIGRATION_LOCK_ID]).catch(() => {});
+    }
+    client.release();
+  }
+};
 
-    return true;
+// Each migration and its schema_migrations row commit together
+const runInTransaction = async (client, fn) => {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+export const migrateUp = async ({ target = null } = {}) => {
+  const migrations = await loadMigrations();
+
+  return await withMigrationClient(async (client, sql) => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (target === null || migration.version <= target)
+    );
+
+    if (pending.length === 0) {
+      console.log(`✅ Database schema is up to date (${sql.name})`);
+      return [];
+    }
 
+    for (const migration of pending) {
+      console.log(`⬆️  Applying migration ${migration.file}...`);
+      await runInTransaction(client, async () => {
+        await migration.up(client, sql);
+        await client.query(`
+          INSERT INTO schema_migrations (version, name) VALUES ($1, $2)
+        `, [migration.version, migration.name]);
+      });
+    }
+
+    console.log(`✅ Applied ${pending.length} migration(s) (${sql.name})`);
+    return pending.map(migration => migration.file);
+  });
+};
+
+export const migrateDown = async ({ steps = 1 } = {}) => {
+  const migrations = await loadMigrations();
+
+  return await withMigrationClient(async (client, sql) => {
+    const applied = await getAppliedVersions(client);
+    const toRevert = migrations
+      .filter(migration => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+
+    if (toRevert.length === 0) {
+      console.log('ℹ️  No applied migrations to roll back');
+      return [];
+    }
+
+    for (const migration of toRevert) {
+      console.log(`⬇️  Reverting migration ${migration.file}...`);
+      await runInTransaction(client, async () => {
+        await migration.down(client, sql);
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version]);
+      });
+    }
+
+    console.log(`✅ Reverted ${toRevert.length} migration(s) (${sql.name})`);
+    return toRevert.map(migration => migration.file);
+  });
+};
+
+export const getMigrationStatus = async () => {
+  const migrations = await loadMigrations();
+
+  return await withMigrationClient(async (client) => {
+    const result = await client.query(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+    const appliedByVersion = new Map(result.rows.map(row => [Number(row.version), row]));
+
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedByVersion.has(migration.version),
+      applied_at: appliedByVersion.get(migration.version)?.applied_at || null
+    }));
+
+    // Applied versions whose files are gone (e.g. a branch switch) are worth surfacing
+    for (const [version, row] of appliedByVersion) {
+      if (!migrations.some(migration => migration.version === version)) {
+        status.push({ version, name: row.name, applied: true, applied_at: row.applied_at, missing: true });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  });
+};
+
+// Startup entry point used by server-clean.js and the ETL: apply everything pending
+export async function runMigrations() {
+  console.log('🔄 Running database migrations...');
+
+  try {
+    await migrateUp();
+    return true;
   } catch (error) {
     console.error('❌ Migration failed:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// For ETL processes that may run before the server has ever started: migrate once per process
+let schemaReady = null;
+export const ensureSchema = () => {
+  if (!schemaReady) {
+    schemaReady = runMigrations().catch((error) => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+};
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    switch (command) {
+      case 'up':
+        await migrateUp({ target: arg ? parseInt(arg, 10) : null });
+        break;
+      case 'down':
+        await migrateDown({ steps: arg ? parseInt(arg, 10) : 1 });
+        break;
+      case 'status': {
+        const status = await getMigrationStatus();
+        console.log('📋 Migration status:');
+        for (const migration of status) {
+          const state = migration.missing ? '⚠️  missing file' : (migration.applied ? `✅ applied ${migration.applied_at}` : '⏳ pending');
+          console.log(`  ${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+        }
+        break;
+      }
+      default:
+        console.error(`Unknown command: ${command}`);
+        console.error('Usage: node config/migrate.js <up [version] | down [steps] | status>');
+        process.exit(1);
+    }
+  };
+
+  run()
+    .then(async () => {
+      const db = await getSharedDatabase();
+      await db.end();
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration command failed:', error);
+      process.exit(1);
+    });
+}
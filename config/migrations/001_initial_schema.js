@@ -0,0 +1,69 @@
+// Core tables populated by the ETL. IF NOT EXISTS lets databases created before
+// versioned migrations adopt this as their baseline without changes.
+
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS accounts (
+      account_id TEXT PRIMARY KEY,
+      account_name TEXT,
+      status TEXT,
+      launched_at TEXT,
+      csm_owner TEXT,
+      hubspot_id TEXT,
+      archived_at TEXT,
+      earliest_unit_archived_at TEXT,
+      last_updated TEXT
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS daily_metrics (
+      account_id TEXT,
+      date TEXT,
+      total_spend REAL DEFAULT 0,
+      total_texts_delivered INTEGER DEFAULT 0,
+      coupons_redeemed INTEGER DEFAULT 0,
+      active_subs_cnt INTEGER DEFAULT 0,
+      spend_updated_at TEXT,
+      texts_updated_at TEXT,
+      coupons_updated_at TEXT,
+      subs_updated_at TEXT,
+      PRIMARY KEY (account_id, date),
+      FOREIGN KEY (account_id) REFERENCES accounts (account_id)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS monthly_metrics (
+      account_id TEXT,
+      month TEXT,
+      month_label TEXT,
+      total_spend REAL DEFAULT 0,
+      total_texts_delivered INTEGER DEFAULT 0,
+      total_coupons_redeemed INTEGER DEFAULT 0,
+      avg_active_subs_cnt REAL DEFAULT 0,
+      trending_risk_level TEXT,
+      trending_risk_reasons TEXT,
+      historical_risk_level TEXT,
+      risk_reasons TEXT,
+      created_at TEXT,
+      updated_at TEXT,
+      PRIMARY KEY (account_id, month),
+      FOREIGN KEY (account_id) REFERENCES accounts (account_id)
+    )
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_daily_metrics_date ON daily_metrics(date)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_daily_metrics_account ON daily_metrics(account_id)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_accounts_status ON accounts(status)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_accounts_launched_at ON accounts(launched_at)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_accounts_hubspot_id ON accounts(hubspot_id)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_monthly_metrics_month ON monthly_metrics(month)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_monthly_metrics_account ON monthly_metrics(account_id)`);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS monthly_metrics`);
+  await db.query(`DROP TABLE IF EXISTS daily_metrics`);
+  await db.query(`DROP TABLE IF EXISTS accounts`);
+};
@@ -0,0 +1,22 @@
+// ETL step tracking, previously created on demand by ETLTracker.setupTrackingTable
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS etl_runs (
+      date TEXT,
+      step TEXT, -- 'accounts', 'daily', 'monthly'
+      status TEXT, -- 'running', 'completed', 'failed'
+      started_at ${sql.timestamp} ${sql.timestampDefault},
+      completed_at ${sql.timestamp},
+      error_message TEXT,
+      metadata ${sql.json},
+      PRIMARY KEY (date, step)
+    )
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_etl_runs_status ON etl_runs(date, status)`);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS etl_runs`);
+};
@@ -0,0 +1,73 @@
+import { DEFAULT_RISK_RULE_SET } from '../../src/services/risk-rules.js';
+import { addColumnIfNotExists, dropColumnIfExists } from './helpers.js';
+
+// Versioned risk rule sets evaluated by src/services/risk-rules.js
+
+export const up = async (db, sql) => {
+  // Record which risk rule set produced each row's risk level
+  await addColumnIfNotExists(db, 'monthly_metrics', 'risk_rule_set_version', 'INTEGER');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS risk_rule_sets (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      high_flag_threshold REAL NOT NULL DEFAULT 3,
+      medium_flag_threshold REAL NOT NULL DEFAULT 1,
+      is_active BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS risk_rules (
+      rule_set_version INTEGER REFERENCES risk_rule_sets (version),
+      rule_key TEXT,
+      reason TEXT NOT NULL,
+      kind TEXT NOT NULL, -- 'below', 'drop'
+      metric TEXT NOT NULL,
+      threshold REAL NOT NULL,
+      prorate BOOLEAN NOT NULL DEFAULT FALSE,
+      weight REAL NOT NULL DEFAULT 1,
+      conditions TEXT, -- JSON array of additional 'below' conditions
+      eligibility TEXT, -- e.g. 'months_since_launch > 2'
+      sort_order INTEGER DEFAULT 0,
+      PRIMARY KEY (rule_set_version, rule_key)
+    )
+  `);
+
+  await seedDefaultRiskRules(db);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS risk_rules`);
+  await db.query(`DROP TABLE IF EXISTS risk_rule_sets`);
+  await dropColumnIfExists(db, 'monthly_metrics', 'risk_rule_set_version');
+};
+
+// Seed the baseline rule set (v1) and activate it if no other set is active yet
+const seedDefaultRiskRules = async (db) => {
+  const { version, description, high_flag_threshold, medium_flag_threshold, rules } = DEFAULT_RISK_RULE_SET;
+
+  const inserted = await db.query(`
+    INSERT INTO risk_rule_sets (version, description, high_flag_threshold, medium_flag_threshold, is_active)
+    VALUES ($1, $2, $3, $4, NOT EXISTS (SELECT 1 FROM risk_rule_sets WHERE is_active = TRUE))
+    ON CONFLICT (version) DO NOTHING
+  `, [version, description, high_flag_threshold, medium_flag_threshold]);
+
+  if (inserted.rowCount === 0) return;
+
+  for (const [index, rule] of rules.entries()) {
+    await db.query(`
+      INSERT INTO risk_rules (
+        rule_set_version, rule_key, reason, kind, metric, threshold,
+        prorate, weight, conditions, eligibility, sort_order
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (rule_set_version, rule_key) DO NOTHING
+    `, [
+      version, rule.rule_key, rule.reason, rule.kind, rule.metric, rule.threshold,
+      rule.prorate, rule.weight, JSON.stringify(rule.conditions), rule.eligibility, index + 1
+    ]);
+  }
+
+  console.log(`📐 Seeded default risk rule set v${version} (${rules.length} rules)`);
+};
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import { hashPassword } from '../../src/services/auth.service.js';
+import { addColumnIfNotExists } from './helpers.js';
+
+// Users, roles and server-side sessions for /api authentication
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id ${sql.serialPrimaryKey},
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      created_at ${sql.timestamp} ${sql.timestampDefault},
+      updated_at ${sql.timestamp} ${sql.timestampDefault},
+      last_login_at ${sql.timestamp}
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY, -- SHA-256 of the session token
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      created_at ${sql.timestamp} ${sql.timestampDefault},
+      expires_at ${sql.timestamp} NOT NULL,
+      user_agent TEXT
+    )
+  `);
+
+  // Roles: 'admin' sees everything, 'csm' is scoped to accounts where csm_owner = csm_name
+  await addColumnIfNotExists(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'csm'");
+  await addColumnIfNotExists(db, 'users', 'csm_name', 'TEXT');
+
+  // Never leave the install without an admin
+  await db.query(`
+    UPDATE users SET role = 'admin'
+    WHERE username = 'admin' AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)`);
+
+  await seedAdminUser(db);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS sessions`);
+  await db.query(`DROP TABLE IF EXISTS users`);
+};
+
+// Create the initial admin account on an empty users table.
+// Uses ADMIN_INITIAL_PASSWORD when set, otherwise generates one and prints it once.
+const seedAdminUser = async (db) => {
+  const existing = await db.query(`SELECT COUNT(*) as count FROM users`);
+  if (parseInt(existing.rows[0].count) > 0) return;
+
+  const password = process.env.ADMIN_INITIAL_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  const passwordHash = await hashPassword(password);
+
+  await db.query(`
+    INSERT INTO users (username, password_hash, role) VALUES ('admin', $1, 'admin')
+    ON CONFLICT (username) DO NOTHING
+  `, [passwordHash]);
+
+  if (process.env.ADMIN_INITIAL_PASSWORD) {
+    console.log('👤 Created admin user from ADMIN_INITIAL_PASSWORD');
+  } else {
+    console.log(`👤 Created admin user with generated password: ${password}`);
+    console.log('   Change it under Settings → Password after first login.');
+  }
+};
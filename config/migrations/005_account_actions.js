@@ -0,0 +1,25 @@
+// CSM interventions logged against an account (calls, emails, QBRs, discount offers)
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS account_actions (
+      id ${sql.serialPrimaryKey},
+      account_id TEXT NOT NULL REFERENCES accounts (account_id) ON DELETE CASCADE,
+      action_type TEXT NOT NULL, -- 'call', 'email', 'qbr', 'discount_offer', 'note'
+      outcome TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'positive', 'neutral', 'negative', 'no_response'
+      notes TEXT,
+      follow_up_date TEXT, -- YYYY-MM-DD
+      created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      created_by_name TEXT,
+      created_at ${sql.timestamp} ${sql.timestampDefault},
+      updated_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_account_actions_account ON account_actions(account_id, created_at)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_account_actions_follow_up ON account_actions(follow_up_date)`);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS account_actions`);
+};
@@ -0,0 +1,26 @@
+// Day-by-day trending risk path per account. monthly_metrics only keeps the latest
+// trending level, so the rollup appends a row here whenever the level or reasons change.
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS risk_level_history (
+      id ${sql.serialPrimaryKey},
+      account_id TEXT NOT NULL,
+      month TEXT NOT NULL, -- YYYY-MM the trending level was calculated for
+      risk_level TEXT NOT NULL,
+      risk_reasons TEXT, -- JSON array, same format as monthly_metrics.trending_risk_reasons
+      previous_risk_level TEXT,
+      added_reasons TEXT, -- JSON array of flags that appeared since the previous entry
+      cleared_reasons TEXT, -- JSON array of flags that cleared since the previous entry
+      risk_rule_set_version INTEGER,
+      recorded_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_risk_level_history_account ON risk_level_history(account_id, id)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_risk_level_history_month ON risk_level_history(month)`);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS risk_level_history`);
+};
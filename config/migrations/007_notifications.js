@@ -0,0 +1,39 @@
+// Risk escalation notifications: per-user channel subscriptions and a delivery log.
+// last_history_id is each subscriber's watermark into risk_level_history.
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notification_subscriptions (
+      user_id INTEGER PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+      email TEXT,
+      email_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      webhook_url TEXT,
+      webhook_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      notify_level_increase BOOLEAN NOT NULL DEFAULT TRUE,
+      notify_status_flags BOOLEAN NOT NULL DEFAULT TRUE,
+      scope TEXT NOT NULL DEFAULT 'mine', -- 'mine' (own csm_name) or 'all' (admins only)
+      last_history_id INTEGER NOT NULL DEFAULT 0,
+      created_at ${sql.timestamp} ${sql.timestampDefault},
+      updated_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id ${sql.serialPrimaryKey},
+      user_id INTEGER REFERENCES users (id) ON DELETE CASCADE,
+      channel TEXT NOT NULL, -- 'smtp', 'webhook'
+      status TEXT NOT NULL, -- 'sent', 'failed'
+      event_count INTEGER NOT NULL DEFAULT 0,
+      error_message TEXT,
+      created_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user ON notification_deliveries(user_id, created_at)`);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS notification_deliveries`);
+  await db.query(`DROP TABLE IF EXISTS notification_subscriptions`);
+};
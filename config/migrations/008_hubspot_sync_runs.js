@@ -0,0 +1,47 @@
+// HubSpot sync audit trail: one row per sync run and one row per company in that run.
+// The latest 'synced' result per account holds the churnguard_* properties last pushed,
+// which is what skip-unchanged mode compares against.
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS hubspot_sync_runs (
+      id ${sql.serialPrimaryKey},
+      process_date TEXT NOT NULL,
+      sync_mode TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed'
+      retry_of_run_id INTEGER REFERENCES hubspot_sync_runs (id) ON DELETE SET NULL,
+      skip_unchanged BOOLEAN NOT NULL DEFAULT TRUE,
+      total_accounts INTEGER NOT NULL DEFAULT 0,
+      successful_syncs INTEGER NOT NULL DEFAULT 0,
+      failed_syncs INTEGER NOT NULL DEFAULT 0,
+      skipped_unchanged INTEGER NOT NULL DEFAULT 0,
+      translated_count INTEGER NOT NULL DEFAULT 0,
+      error_message TEXT,
+      triggered_by TEXT,
+      started_at ${sql.timestamp} ${sql.timestampDefault},
+      completed_at ${sql.timestamp}
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS hubspot_sync_results (
+      id ${sql.serialPrimaryKey},
+      run_id INTEGER NOT NULL REFERENCES hubspot_sync_runs (id) ON DELETE CASCADE,
+      account_id TEXT NOT NULL,
+      account_name TEXT,
+      hubspot_id TEXT NOT NULL,
+      status TEXT NOT NULL, -- 'synced', 'failed', 'skipped'
+      properties ${sql.json},
+      error_message TEXT,
+      created_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_hubspot_sync_results_run ON hubspot_sync_results(run_id, status)`);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_hubspot_sync_results_account ON hubspot_sync_results(account_id, status)`);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS hubspot_sync_results`);
+  await db.query(`DROP TABLE IF EXISTS hubspot_sync_runs`);
+};
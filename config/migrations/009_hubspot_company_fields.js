@@ -0,0 +1,108 @@
+import { addColumnIfNotExists, dropColumnIfExists } from './helpers.js';
+
+// Company fields imported from HubSpot by src/services/hubspot-import.js, plus a rule set
+// version that reports the new renewal/activity signals. The signal rules start at weight 0,
+// so they show up as risk reasons without changing any risk level until an admin weights them.
+
+const HUBSPOT_COLUMNS = [
+  ['hubspot_owner_id', 'TEXT'],
+  ['hubspot_owner_name', 'TEXT'],
+  ['lifecycle_stage', 'TEXT'],
+  ['renewal_date', 'TEXT'], // 'YYYY-MM-DD'
+  ['last_activity_at', 'TEXT'], // ISO timestamp
+  ['hubspot_imported_at', 'TEXT']
+];
+
+const SIGNAL_RULE_SET_DESCRIPTION = 'Adds HubSpot renewal and activity signals (weight 0)';
+
+const SIGNAL_RULES = [
+  {
+    rule_key: 'renewal_due',
+    reason: 'Renewal Within 60 Days',
+    kind: 'below',
+    metric: 'days_until_renewal',
+    threshold: 60
+  },
+  {
+    rule_key: 'hubspot_inactive',
+    reason: 'No HubSpot Activity in 30 Days',
+    kind: 'above',
+    metric: 'days_since_last_activity',
+    threshold: 30
+  }
+];
+
+export const up = async (db, sql) => {
+  for (const [column, definition] of HUBSPOT_COLUMNS) {
+    await addColumnIfNotExists(db, 'accounts', column, definition);
+  }
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_accounts_renewal_date ON accounts(renewal_date)`);
+
+  await addSignalRuleSet(db, sql);
+};
+
+export const down = async (db) => {
+  const created = await db.query(`SELECT version, is_active FROM risk_rule_sets WHERE description = $1`, [SIGNAL_RULE_SET_DESCRIPTION]);
+
+  for (const row of created.rows) {
+    await db.query(`DELETE FROM risk_rules WHERE rule_set_version = $1`, [row.version]);
+    await db.query(`DELETE FROM risk_rule_sets WHERE version = $1`, [row.version]);
+    if (row.is_active) {
+      await db.query(`
+        UPDATE risk_rule_sets SET is_active = TRUE
+        WHERE version = (SELECT MAX(version) FROM risk_rule_sets)
+      `);
+    }
+  }
+
+  await db.query(`DROP INDEX IF EXISTS idx_accounts_renewal_date`);
+  for (const [column] of [...HUBSPOT_COLUMNS].reverse()) {
+    await dropColumnIfExists(db, 'accounts', column);
+  }
+};
+
+// New version = the active rule set + the signal rules, activated in its place
+const addSignalRuleSet = async (db, sql) => {
+  const active = await db.query(`
+    SELECT version, high_flag_threshold, medium_flag_threshold
+    FROM risk_rule_sets WHERE is_active = TRUE ORDER BY version DESC LIMIT 1
+  `);
+  if (active.rows.length === 0) return;
+
+  const base = active.rows[0];
+  const rules = await db.query(`
+    SELECT rule_key, reason, kind, metric, threshold, prorate, weight, conditions, eligibility
+    FROM risk_rules WHERE rule_set_version = $1 ORDER BY sort_order ASC, rule_key ASC
+  `, [base.version]);
+
+  const existingKeys = new Set(rules.rows.map(rule => rule.rule_key));
+  const missing = SIGNAL_RULES.filter(rule => !existingKeys.has(rule.rule_key));
+  if (missing.length === 0) return;
+
+  const versionResult = await db.query(`SELECT COALESCE(MAX(version), 0) + 1 AS version FROM risk_rule_sets`);
+  const version = Number(versionResult.rows[0].version);
+
+  await db.query(`UPDATE risk_rule_sets SET is_active = FALSE WHERE is_active = TRUE`);
+  await db.query(`
+    INSERT INTO risk_rule_sets (version, description, high_flag_threshold, medium_flag_threshold, is_active, created_at)
+    VALUES ($1, $2, $3, $4, TRUE, ${sql.now()})
+  `, [version, SIGNAL_RULE_SET_DESCRIPTION, base.high_flag_threshold, base.medium_flag_threshold]);
+
+  const allRules = [
+    ...rules.rows,
+    ...missing.map(rule => ({ ...rule, prorate: false, weight: 0, conditions: '[]', eligibility: null }))
+  ];
+
+  for (const [index, rule] of allRules.entries()) {
+    await db.query(`
+      INSERT INTO risk_rules (
+        rule_set_version, rule_key, reason, kind, metric, threshold,
+        prorate, weight, conditions, eligibility, sort_order
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      version, rule.rule_key, rule.reason, rule.kind, rule.metric, rule.threshold,
+      !!rule.prorate, rule.weight, rule.conditions, rule.eligibility, index + 1
+    ]);
+  }
+};
@@ -0,0 +1,69 @@
+import fs from 'fs';
+
+// HubSpot ID translations move from assets/churnguard_translation_table_corrected.json into
+// the database so they can be corrected from the admin screen. The JSON file seeds the table
+// once; hubspot_id_validations holds the latest check of every account's effective ID.
+
+const SEED_FILE = new URL('../../assets/churnguard_translation_table_corrected.json', import.meta.url);
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS hubspot_id_translations (
+      id ${sql.serialPrimaryKey},
+      account_id TEXT NOT NULL UNIQUE,
+      account_name TEXT,
+      original_hubspot_id TEXT,
+      correct_hubspot_id TEXT NOT NULL,
+      hubspot_company_name TEXT,
+      confidence TEXT,
+      source TEXT NOT NULL DEFAULT 'manual',
+      notes TEXT,
+      created_by TEXT,
+      updated_by TEXT,
+      created_at ${sql.timestamp} ${sql.timestampDefault},
+      updated_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS hubspot_id_validations (
+      account_id TEXT PRIMARY KEY,
+      account_name TEXT,
+      hubspot_id TEXT NOT NULL,
+      translated BOOLEAN NOT NULL DEFAULT FALSE,
+      status TEXT NOT NULL, -- 'ok', 'missing', 'merged', 'failed'
+      merged_into_id TEXT,
+      hubspot_company_name TEXT,
+      message TEXT,
+      checked_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_hubspot_id_validations_status ON hubspot_id_validations(status)`);
+
+  if (!fs.existsSync(SEED_FILE)) return;
+
+  const { translations = [] } = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+  for (const entry of translations) {
+    await db.query(`
+      INSERT INTO hubspot_id_translations (
+        account_id, account_name, original_hubspot_id, correct_hubspot_id,
+        hubspot_company_name, confidence, source, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'seed')
+      ON CONFLICT (account_id) DO NOTHING
+    `, [
+      entry.account_id,
+      entry.account_name || null,
+      entry.original_hubspot_id ? String(entry.original_hubspot_id) : null,
+      String(entry.correct_hubspot_id),
+      entry.active_company_name || null,
+      entry.confidence || null,
+      entry.source || 'file'
+    ]);
+  }
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS hubspot_id_validations`);
+  await db.query(`DROP TABLE IF EXISTS hubspot_id_translations`);
+};
@@ -0,0 +1,30 @@
+import { addColumnIfNotExists, dropColumnIfExists } from './helpers.js';
+
+// Progress and risk-level breakdown for HubSpot sync runs, updated after every batch so a
+// background sync job (GET /api/hubspot/sync-jobs/:jobId) can report how far along it is.
+
+const PROGRESS_COLUMNS = [
+  ['processed_accounts', 'INTEGER NOT NULL DEFAULT 0'],
+  ['high_risk_synced', 'INTEGER NOT NULL DEFAULT 0'],
+  ['medium_risk_synced', 'INTEGER NOT NULL DEFAULT 0'],
+  ['low_risk_synced', 'INTEGER NOT NULL DEFAULT 0']
+];
+
+export const up = async (db) => {
+  for (const [column, definition] of PROGRESS_COLUMNS) {
+    await addColumnIfNotExists(db, 'hubspot_sync_runs', column, definition);
+  }
+
+  // Runs recorded before this migration are finished, so everything in them was processed
+  await db.query(`
+    UPDATE hubspot_sync_runs
+    SET processed_accounts = successful_syncs + failed_syncs + skipped_unchanged
+    WHERE status != 'running'
+  `);
+};
+
+export const down = async (db) => {
+  for (const [column] of [...PROGRESS_COLUMNS].reverse()) {
+    await dropColumnIfExists(db, 'hubspot_sync_runs', column);
+  }
+};
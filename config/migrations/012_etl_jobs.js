@@ -0,0 +1,44 @@
+// Durable queue for the admin ETL routes. POST /api/admin/sync-* inserts an etl_jobs row and
+// the worker started by server-clean.js runs it; a job whose worker stopped heartbeating is
+// picked up again and resumes after its last completed step. etl_step_locks holds one row per
+// step that is currently running so two jobs never run the same step at once.
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS etl_jobs (
+      id ${sql.serialPrimaryKey},
+      job_type TEXT NOT NULL, -- 'sync-data', 'sync-accounts', 'sync-daily', 'sync-monthly'
+      target_date TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed', 'cancelled'
+      steps ${sql.json} NOT NULL,
+      current_step TEXT,
+      step_results ${sql.json},
+      attempts INTEGER NOT NULL DEFAULT 0,
+      cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+      error_message TEXT,
+      requested_by TEXT,
+      worker_id TEXT,
+      heartbeat_at ${sql.timestamp},
+      created_at ${sql.timestamp} ${sql.timestampDefault},
+      started_at ${sql.timestamp},
+      completed_at ${sql.timestamp}
+    )
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_etl_jobs_status ON etl_jobs(status, id)`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS etl_step_locks (
+      step TEXT PRIMARY KEY,
+      job_id INTEGER NOT NULL,
+      worker_id TEXT NOT NULL,
+      acquired_at ${sql.timestamp} ${sql.timestampDefault},
+      heartbeat_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS etl_step_locks`);
+  await db.query(`DROP TABLE IF EXISTS etl_jobs`);
+};
@@ -0,0 +1,23 @@
+// State for the in-process scheduler (src/services/scheduler.js). Cron expressions come from the
+// environment; this table keeps what has to survive restarts and be shared between instances:
+// the pause flag and the last run, which also stops two instances firing the same slot twice.
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_tasks (
+      name TEXT PRIMARY KEY,
+      paused BOOLEAN NOT NULL DEFAULT FALSE,
+      paused_by TEXT,
+      paused_at ${sql.timestamp},
+      last_run_at ${sql.timestamp},
+      last_status TEXT, -- 'running', 'started', 'skipped', 'failed'
+      last_message TEXT,
+      last_job_id INTEGER, -- etl_jobs.id or hubspot_sync_runs.id
+      updated_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS scheduled_tasks`);
+};
@@ -0,0 +1,29 @@
+import { QUALITY_CHECKS } from '../../src/services/data-quality.js';
+
+// Per-check settings for the data-quality stage (src/services/data-quality.js). Results live in
+// etl_runs as the 'quality' step, with the new 'quarantined' and 'approved' statuses.
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS data_quality_checks (
+      check_key TEXT PRIMARY KEY,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      threshold REAL NOT NULL,
+      updated_by TEXT,
+      updated_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+
+  for (const check of QUALITY_CHECKS) {
+    await db.query(`
+      INSERT INTO data_quality_checks (check_key, threshold)
+      VALUES ($1, $2)
+      ON CONFLICT (check_key) DO NOTHING
+    `, [check.key, check.defaultThreshold]);
+  }
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS data_quality_checks`);
+  await db.query(`DELETE FROM etl_runs WHERE step = 'quality'`);
+};
@@ -0,0 +1,36 @@
+// Named dashboard filter sets. query_string holds the table's URL filters (as in the address bar),
+// so applying a view is the same as opening its link. Shared views are visible to every user;
+// pins are per user so anyone can pin a teammate's shared view.
+
+export const up = async (db, sql) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS saved_views (
+      id ${sql.serialPrimaryKey},
+      table_key TEXT NOT NULL, -- 'account-metrics-monthly'
+      name TEXT NOT NULL,
+      query_string TEXT NOT NULL DEFAULT '',
+      shared BOOLEAN NOT NULL DEFAULT FALSE,
+      owner_id INTEGER REFERENCES users (id) ON DELETE CASCADE,
+      owner_name TEXT,
+      created_at ${sql.timestamp} ${sql.timestampDefault},
+      updated_at ${sql.timestamp} ${sql.timestampDefault},
+      UNIQUE (owner_id, table_key, name)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS saved_view_pins (
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      view_id INTEGER NOT NULL REFERENCES saved_views (id) ON DELETE CASCADE,
+      created_at ${sql.timestamp} ${sql.timestampDefault},
+      PRIMARY KEY (user_id, view_id)
+    )
+  `);
+
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_saved_views_table ON saved_views(table_key, shared)`);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS saved_view_pins`);
+  await db.query(`DROP TABLE IF EXISTS saved_views`);
+};
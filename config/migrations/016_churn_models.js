@@ -0,0 +1,28 @@
+import { addColumnIfNotExists, dropColumnIfExists } from './helpers.js';
+
+// Versioned churn models trained by scripts/train-churn-model.js (src/services/churn-model.js).
+// Each account-month keeps its churn probability next to the rule-based risk level.
+
+export const up = async (db, sql) => {
+  await addColumnIfNotExists(db, 'monthly_metrics', 'churn_probability', 'INTEGER'); // 0-100
+  await addColumnIfNotExists(db, 'monthly_metrics', 'churn_model_version', 'INTEGER');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS churn_models (
+      version INTEGER PRIMARY KEY,
+      horizon_months INTEGER NOT NULL,
+      training_from TEXT, -- YYYY-MM, first labeled month
+      training_to TEXT, -- YYYY-MM, last labeled month
+      model ${sql.json} NOT NULL, -- features, standardization and coefficients
+      metrics ${sql.json}, -- train and held-out AUC/precision
+      is_active BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at ${sql.timestamp} ${sql.timestampDefault}
+    )
+  `);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP TABLE IF EXISTS churn_models`);
+  await dropColumnIfExists(db, 'monthly_metrics', 'churn_model_version');
+  await dropColumnIfExists(db, 'monthly_metrics', 'churn_probability');
+};
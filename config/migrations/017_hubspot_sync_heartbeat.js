@@ -0,0 +1,13 @@
+import { addColumnIfNotExists, dropColumnIfExists } from './helpers.js';
+
+// Background HubSpot syncs touch heartbeat_at while they run. A 'running' run whose heartbeat
+// stopped was left behind by a process that exited mid-sync and is marked failed
+// (failStaleSyncRuns in src/services/hubspot-sync-runs.js).
+
+export const up = async (db, sql) => {
+  await addColumnIfNotExists(db, 'hubspot_sync_runs', 'heartbeat_at', sql.timestamp);
+};
+
+export const down = async (db) => {
+  await dropColumnIfExists(db, 'hubspot_sync_runs', 'heartbeat_at');
+};
@@ -0,0 +1,24 @@
+// At most one HubSpot sync runs at a time. startSyncRun inserts the 'running' row with
+// ON CONFLICT DO NOTHING, so this partial unique index is what makes claiming the run atomic
+// across the dashboard, the scheduler and the sync routes.
+
+export const up = async (db, sql) => {
+  // Runs that raced each other before this index existed would block it; keep the newest
+  await db.query(`
+    UPDATE hubspot_sync_runs
+    SET status = 'failed',
+        error_message = 'Superseded: another HubSpot sync was running at the same time',
+        completed_at = ${sql.now()}
+    WHERE status = 'running'
+      AND id < (SELECT MAX(id) FROM hubspot_sync_runs WHERE status = 'running')
+  `);
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_hubspot_sync_runs_single_running
+    ON hubspot_sync_runs (status) WHERE status = 'running'
+  `);
+};
+
+export const down = async (db) => {
+  await db.query(`DROP INDEX IF EXISTS idx_hubspot_sync_runs_single_running`);
+};
@@ -0,0 +1,27 @@
+import { getSqlDialect } from '../sql-dialect.js';
+
+// Shared helpers for migration files. SQLite has no ADD/DROP COLUMN IF [NOT] EXISTS,
+// so both check the table definition first.
+
+const hasColumn = async (db, table, column) => {
+  if (getSqlDialect(db).name === 'sqlite') {
+    const columns = await db.query(`PRAGMA table_info(${table})`);
+    return columns.rows.some(row => row.name === column);
+  }
+
+  const columns = await db.query(`
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2
+  `, [table, column]);
+  return columns.rows.length > 0;
+};
+
+export const addColumnIfNotExists = async (db, table, column, definition) => {
+  if (await hasColumn(db, table, column)) return;
+  await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+};
+
+export const dropColumnIfExists = async (db, table, column) => {
+  if (!(await hasColumn(db, table, column))) return;
+  await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+};
@@ -0,0 +1,54 @@
+// Dialect-aware SQL fragments so the same service query runs on PostgreSQL (production)
+// and SQLite (local simulation database). Arguments are SQL expressions, not values:
+//   sql.monthStart('$1')  ->  ($1 || '-01')::date   |   DATE($1 || '-01')
+// Month arguments are 'YYYY-MM' strings, dates are 'YYYY-MM-DD' strings.
+
+const postgres = {
+  name: 'postgres',
+
+  date: (expr) => `(${expr})::date`,
+  monthStart: (month) => `(${month} || '-01')::date`,
+  nextMonthStart: (month) => `((${month} || '-01')::date + INTERVAL '1 month')::date`,
+  monthEnd: (month) => `((${month} || '-01')::date + INTERVAL '1 month' - INTERVAL '1 day')::date`,
+  addDays: (date, days) => `((${date})::date + INTERVAL '${days} days')::date`,
+  endOfDay: (date) => `(${date} || ' 23:59:59')::timestamp`,
+
+  currentMonth: () => `TO_CHAR(CURRENT_DATE, 'YYYY-MM')`,
+  monthsAgo: (months) => `TO_CHAR(CURRENT_DATE - INTERVAL '${months} months', 'YYYY-MM')`,
+  now: () => 'NOW()',
+
+  // Schema
+  serialPrimaryKey: 'SERIAL PRIMARY KEY',
+  timestamp: 'TIMESTAMPTZ',
+  timestampDefault: 'DEFAULT NOW()',
+  json: 'JSONB'
+};
+
+// SQLite has no date type; dates are ISO strings, which compare correctly as text
+const ISO_NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+const sqlite = {
+  name: 'sqlite',
+
+  date: (expr) => `DATE(${expr})`,
+  monthStart: (month) => `DATE(${month} || '-01')`,
+  nextMonthStart: (month) => `DATE(${month} || '-01', '+1 month')`,
+  monthEnd: (month) => `DATE(${month} || '-01', '+1 month', '-1 day')`,
+  addDays: (date, days) => `DATE(${date}, '${days >= 0 ? '+' : ''}${days} days')`,
+  endOfDay: (date) => `DATETIME(${date} || ' 23:59:59')`,
+
+  currentMonth: () => `strftime('%Y-%m', 'now', 'localtime')`,
+  monthsAgo: (months) => `strftime('%Y-%m', 'now', 'localtime', 'start of month', '-${months} months')`,
+  // Same shape as Date.prototype.toISOString() so stored timestamps compare as strings
+  now: () => ISO_NOW,
+
+  // Schema
+  serialPrimaryKey: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  timestamp: 'TEXT',
+  timestampDefault: `DEFAULT (${ISO_NOW})`,
+  json: 'TEXT'
+};
+
+export const getSqlDialect = (db) => {
+  return db?.dialect === 'sqlite' ? sqlite : postgres;
+};
@@ -1,6 +1,8 @@
 import { BigQuery } from '@google-cloud/bigquery';
 import pkg from 'pg';
 import dotenv from 'dotenv';
+import { ensureSchema } from '../../config/migrate.js';
+import { BigQueryCostLog } from '../shared-scripts/bigquery-cost-log.js';
 
 const { Pool } = pkg;
 dotenv.config();
@@ -32,6 +34,8 @@ class AccountsETLPostgresNative {
     // Cost tracking configuration
     this.enableCostTracking = process.env.BIGQUERY_COST_TRACKING === 'true';
     this.costTrackingLevel = process.env.BIGQUERY_COST_TRACKING_LEVEL || 'summary'; // 'summary' or 'detailed'
+    // Per-query costs for this run, stored in etl_runs metadata by the ETL job steps
+    this.bigqueryCosts = new BigQueryCostLog(this.enableCostTracking);
 
     // Initialize PostgreSQL pool with proper SSL configuration
     if (!process.env.DATABASE_URL) {
@@ -72,40 +76,10 @@ class AccountsETLPostgresNative {
     }
   }
 
+  // accounts is created by config/migrations/001_initial_schema.js
   async setupTables() {
-    console.log('🗄️  Setting up database tables...');
-    const client = await this.pool.connect();
-
-    try {
-      // PostgreSQL table creation with proper types
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS accounts (
-          account_id TEXT PRIMARY KEY,
-          account_name TEXT,
-          status TEXT,
-          launched_at DATE,
-          csm_owner TEXT,
-          hubspot_id TEXT,
-          archived_at DATE,
-          earliest_unit_archived_at DATE,
-          last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-
-      // Create indexes for performance
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_accounts_status ON accounts(status);
-        CREATE INDEX IF NOT EXISTS idx_accounts_launched_at ON accounts(launched_at);
-        CREATE INDEX IF NOT EXISTS idx_accounts_hubspot_id ON accounts(hubspot_id);
-      `);
-
-      console.log('✅ PostgreSQL accounts table created successfully');
-    } catch (error) {
-      console.error('❌ Failed to setup accounts table:', error);
-      throw error;
-    } finally {
-      client.release();
-    }
+    console.log('🗄️  Ensuring database schema is migrated...');
+    await ensureSchema();
   }
 
   // Calculate actual BigQuery cost using real billing data
@@ -237,6 +211,7 @@ class AccountsETLPostgresNative {
     };
 
     this.logCostMetrics(costInfo);
+    this.bigqueryCosts.record(costInfo);
     return rows;
   }
 
@@ -1,6 +1,7 @@
 import { BigQuery } from '@google-cloud/bigquery';
 import pkg from 'pg';
 import dotenv from 'dotenv';
+import { BigQueryCostLog } from '../shared-scripts/bigquery-cost-log.js';
 
 const { Pool } = pkg;
 dotenv.config();
@@ -32,6 +33,8 @@ class DailyMetricsETLPostgresNative {
     // Cost tracking configuration
     this.enableCostTracking = process.env.BIGQUERY_COST_TRACKING === 'true';
     this.costTrackingLevel = process.env.BIGQUERY_COST_TRACKING_LEVEL || 'summary'; // 'summary' or 'detailed'
+    // Per-query costs for this run, stored in etl_runs metadata by the ETL job steps
+    this.bigqueryCosts = new BigQueryCostLog(this.enableCostTracking);
 
     // Initialize PostgreSQL pool with proper SSL configuration
     if (!process.env.DATABASE_URL) {
@@ -201,6 +204,7 @@ class DailyMetricsETLPostgresNative {
     };
 
     this.logCostMetrics(costInfo);
+    this.bigqueryCosts.record(costInfo);
     return rows;
   }
 
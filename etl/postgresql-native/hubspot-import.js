@@ -0,0 +1,60 @@
+import { fileURLToPath } from 'url';
+import path from 'path';
+import dotenv from 'dotenv';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment from project root .env file
+const projectRoot = path.join(__dirname, '../..');
+const envPath = path.join(projectRoot, '.env');
+
+if (fs.existsSync(envPath)) {
+  dotenv.config({ path: envPath });
+} else {
+  dotenv.config();
+}
+
+// Set DATABASE_URL if not already set (for PostgreSQL connection)
+if (!process.env.DATABASE_URL && process.env.EXTERNAL_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.EXTERNAL_DATABASE_URL;
+}
+
+// Import HubSpot import service from src directory
+import { HubSpotImportService } from '../../src/services/hubspot-import.js';
+
+async function runHubSpotImport() {
+  console.log(`📥 Starting HubSpot company import`);
+
+  try {
+    const importService = new HubSpotImportService();
+    const result = await importService.importCompanyFields();
+
+    console.log(`🎉 HubSpot import completed successfully`);
+    console.log(`📊 Import Summary:`);
+    console.log(`   - Accounts with HubSpot IDs: ${result.totalAccounts}`);
+    console.log(`   - Accounts Updated: ${result.updated}`);
+    console.log(`   - Not Found in HubSpot: ${result.notFound}`);
+    console.log(`   - Failed: ${result.failed}`);
+
+    if (result.failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`❌ HubSpot import error:`, error.message);
+    if (process.env.ETL_LOG_LEVEL === 'debug') {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+// CLI Interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runHubSpotImport()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+export { runHubSpotImport };
@@ -25,8 +25,9 @@ if (!process.env.DATABASE_URL && process.env.EXTERNAL_DATABASE_URL) {
 import { HubSpotSyncService } from '../../src/services/hubspot-sync.js';
 
 async function runHubSpotSync() {
-  const targetDate = process.argv[2]; // Optional date parameter
+  const targetDate = process.argv.slice(2).find(arg => !arg.startsWith('--')); // Optional date parameter
   const isDryRun = process.argv.includes('--dry-run');
+  const isForce = process.argv.includes('--force'); // push companies even if unchanged since the last sync
 
   console.log(`🔄 Starting HubSpot sync${isDryRun ? ' (DRY RUN)' : ''}`);
 
@@ -49,16 +50,18 @@ async function runHubSpotSync() {
       }
     } else {
       // Run actual sync
-      const result = await syncService.syncAccountsToHubSpot(targetDate, 'cron');
+      const result = await syncService.syncAccountsToHubSpot(targetDate, 'cron', { skipUnchanged: !isForce });
 
       if (result.success) {
         console.log(`🎉 HubSpot sync completed successfully`);
         console.log(`📊 Sync Summary:`);
+        console.log(`   - Run ID: ${result.runId}`);
         console.log(`   - Process Date: ${result.processDate}`);
         console.log(`   - Sync Mode: ${result.syncMode}`);
         console.log(`   - Total Accounts: ${result.totalAccounts}`);
         console.log(`   - Successful Syncs: ${result.successfulSyncs}`);
         console.log(`   - Failed Syncs: ${result.failedSyncs}`);
+        console.log(`   - Skipped (unchanged): ${result.skippedUnchanged}`);
         console.log(`   - ID Translations: ${result.translatedCount}`);
         console.log(`   - Risk Breakdown: High: ${result.summary.highRiskSynced}, Medium: ${result.summary.mediumRiskSynced}, Low: ${result.summary.lowRiskSynced}`);
       } else {
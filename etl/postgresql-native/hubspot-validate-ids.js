@@ -0,0 +1,60 @@
+import { fileURLToPath } from 'url';
+import path from 'path';
+import dotenv from 'dotenv';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment from project root .env file
+const projectRoot = path.join(__dirname, '../..');
+const envPath = path.join(projectRoot, '.env');
+
+if (fs.existsSync(envPath)) {
+  dotenv.config({ path: envPath });
+} else {
+  dotenv.config();
+}
+
+// Set DATABASE_URL if not already set (for PostgreSQL connection)
+if (!process.env.DATABASE_URL && process.env.EXTERNAL_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.EXTERNAL_DATABASE_URL;
+}
+
+// Import HubSpot ID validation service from src directory
+import { HubSpotIdValidationService } from '../../src/services/hubspot-id-validation.js';
+
+async function runHubSpotIdValidation() {
+  console.log(`🔎 Starting HubSpot ID validation`);
+
+  try {
+    const validationService = new HubSpotIdValidationService();
+    const result = await validationService.validateHubSpotIds();
+
+    console.log(`🎉 HubSpot ID validation completed successfully`);
+    console.log(`📊 Validation Summary:`);
+    console.log(`   - IDs Checked: ${result.checked}`);
+    console.log(`   - Missing: ${result.missing}`);
+    console.log(`   - Merged: ${result.merged}`);
+    console.log(`   - Failed: ${result.failed}`);
+
+    if (result.failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`❌ HubSpot ID validation error:`, error.message);
+    if (process.env.ETL_LOG_LEVEL === 'debug') {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+// CLI Interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runHubSpotIdValidation()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+export { runHubSpotIdValidation };
@@ -1,5 +1,17 @@
 import pkg from 'pg';
 import dotenv from 'dotenv';
+import {
+  loadActiveRiskRuleSet,
+  evaluateTrendingRisk,
+  evaluateHistoricalRisk,
+  calculateMonthsSinceStart,
+  getDaysInMonth
+} from '../../src/services/risk-rules.js';
+import { loadLatestRiskLevels, recordRiskLevel } from '../../src/services/risk-level-history.js';
+import { loadActiveChurnModel, scoreChurnProbabilities } from '../../src/services/churn-model.js';
+import { assertRollupAllowed } from '../../src/services/data-quality.js';
+import { ensureSchema } from '../../config/migrate.js';
+import { sendRiskEscalationDigests } from '../../src/services/risk-notifications.service.js';
 
 const { Pool } = pkg;
 dotenv.config();
@@ -26,13 +38,11 @@ class MonthlyRollupETLPostgresNative {
       keepAliveInitialDelayMillis: 10000
     });
 
-    // Risk calculation thresholds (IDENTICAL to SQLite version)
-    this.MONTHLY_REDEMPTIONS_THRESHOLD = 10;
-    this.LOW_ENGAGEMENT_COMBO_SUBS_THRESHOLD = 300;
-    this.LOW_ENGAGEMENT_COMBO_REDEMPTIONS_THRESHOLD = 35;
-    this.LOW_ACTIVITY_SUBS_THRESHOLD = 300;
-    this.SPEND_DROP_THRESHOLD = 0.40; // 40%
-    this.REDEMPTIONS_DROP_THRESHOLD = 0.50; // 50%
+    // Active risk rule set - loaded from risk_rules before each rollup (see src/services/risk-rules.js)
+    this.riskRuleSet = null;
+
+    // Active churn model (see src/services/churn-model.js); null until one has been trained
+    this.churnModel = null;
 
     // Test connection on startup
     this.pool.on('error', (err) => {
@@ -72,6 +82,10 @@ class MonthlyRollupETLPostgresNative {
     console.log(`⚠️  WARNING: This will DELETE and recreate ALL monthly_metrics for ${monthLabel}`);
     console.log(`⚠️  WARNING: This will WIPE risk_reasons, trending_risk_level, and historical_risk_level data!`);
 
+    // Load rules and the churn model before BEGIN so a missing table can't abort the transaction
+    this.riskRuleSet = await loadActiveRiskRuleSet(this.pool);
+    this.churnModel = await loadActiveChurnModel(this.pool);
+
     const client = await this.pool.connect();
 
     try {
@@ -137,6 +151,9 @@ class MonthlyRollupETLPostgresNative {
         console.log(`✅ Updated ${trendingResult} accounts with trending risk levels`);
       }
 
+      // Step 4: Churn probabilities for the recreated rows (completed months only)
+      await this.scoreChurnForMonth(client, targetMonth);
+
       await client.query('COMMIT');
 
       // IDENTICAL return format to SQLite version
@@ -158,23 +175,30 @@ class MonthlyRollupETLPostgresNative {
   // Process a specific month or current month by default
   async processMonth(month = null) {
     await this.testConnection();
+    await ensureSchema();
+    await assertRollupAllowed(this.pool, this.getMonthDetails(month).targetMonth);
     const result = await this.updateMonthlyMetrics(month);
+
+    // New risk_level_history rows only come from the current-month trending pass
+    if (result.month === new Date().toISOString().slice(0, 7)) {
+      try {
+        await sendRiskEscalationDigests();
+      } catch (error) {
+        // Notification problems must not fail the rollup
+        console.error('❌ Risk escalation notifications failed:', error);
+      }
+    }
+
     return result;
   }
 
   // Helper methods for trending risk calculation
   calculateMonthsSinceStart(launchedAt, currentMonth) {
-    if (!launchedAt) return 0;
-    const launchDate = new Date(launchedAt);
-    const currentDate = new Date(currentMonth + '-01');
-    const monthsDiff = (currentDate.getFullYear() - launchDate.getFullYear()) * 12 +
-                      (currentDate.getMonth() - launchDate.getMonth());
-    return Math.max(0, monthsDiff);
+    return calculateMonthsSinceStart(launchedAt, currentMonth);
   }
 
   getDaysInMonth(month) {
-    const [year, monthNum] = month.split('-');
-    return new Date(parseInt(year), parseInt(monthNum), 0).getDate();
+    return getDaysInMonth(month);
   }
 
   async calculateTrendingRiskForMonth(client, targetMonth) {
@@ -186,7 +210,8 @@ class MonthlyRollupETLPostgresNative {
       SELECT
         mm.account_id, mm.month, mm.total_spend, mm.total_texts_delivered,
         mm.total_coupons_redeemed, mm.avg_active_subs_cnt,
-        a.launched_at, a.status, a.archived_at, a.earliest_unit_archived_at
+        a.launched_at, a.status, a.archived_at, a.earliest_unit_archived_at,
+        a.renewal_date, a.last_activity_at
       FROM monthly_metrics mm
       JOIN accounts a ON mm.account_id = a.account_id
       WHERE mm.month = $1
@@ -200,7 +225,11 @@ class MonthlyRollupETLPostgresNative {
     prevDate.setMonth(prevDate.getMonth() - 1);
     const previousMonth = prevDate.toISOString().slice(0, 7);
 
+    // Last recorded trending state per account, so only transitions are appended to risk_level_history
+    const latestRiskLevels = await loadLatestRiskLevels(client, targetMonth);
+
     let accountsUpdated = 0;
+    let transitionsRecorded = 0;
 
     for (const account of accountsResult.rows) {
       // Get same-day totals from previous month for apples-to-apples comparison
@@ -243,9 +272,18 @@ class MonthlyRollupETLPostgresNative {
       // Update trending_risk_level and trending_risk_reasons
       await client.query(`
         UPDATE monthly_metrics
-        SET trending_risk_level = $1, trending_risk_reasons = $2, updated_at = NOW()
-        WHERE account_id = $3 AND month = $4
-      `, [riskResult.level, JSON.stringify(riskResult.reasons), account.account_id, targetMonth]);
+        SET trending_risk_level = $1, trending_risk_reasons = $2, risk_rule_set_version = $3, updated_at = NOW()
+        WHERE account_id = $4 AND month = $5
+      `, [riskResult.level, JSON.stringify(riskResult.reasons), this.riskRuleSet.version, account.account_id, targetMonth]);
+
+      const recorded = await recordRiskLevel(client, {
+        accountId: account.account_id,
+        month: targetMonth,
+        level: riskResult.level,
+        reasons: riskResult.reasons,
+        ruleSetVersion: this.riskRuleSet.version
+      }, latestRiskLevels.get(account.account_id));
+      if (recorded) transitionsRecorded++;
 
       accountsUpdated++;
 
@@ -255,200 +293,18 @@ class MonthlyRollupETLPostgresNative {
       }
     }
 
+    console.log(`📜 Recorded ${transitionsRecorded} risk level changes in risk_level_history`);
+
     return accountsUpdated;
   }
 
   calculateTrendingRiskLevel(monthlyData, dayOfMonth, accountData, previousMonthData = null) {
-    const reasons = [];
-
-    // Check if account was archived during this specific month
-    const monthStart = new Date(monthlyData.month + '-01');
-    const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
-
-    const archivedDate = accountData.archived_at
-      ? new Date(accountData.archived_at)
-      : accountData.earliest_unit_archived_at
-        ? new Date(accountData.earliest_unit_archived_at)
-        : null;
-
-    // Flag 1: If archived during this specific month = high risk
-    if (archivedDate && archivedDate >= monthStart && archivedDate <= monthEnd) {
-      reasons.push('Recently Archived');
-      return { level: 'high', reasons };
-    }
-
-    // Flags 2-3: FROZEN accounts logic
-    if (accountData.status === 'FROZEN') {
-      const hasCurrentMonthTexts = monthlyData.total_texts_delivered > 0;
-      reasons.push('Frozen Account Status');
-
-      if (!hasCurrentMonthTexts) {
-        reasons.push('Frozen & Inactive');
-        return { level: 'high', reasons };
-      }
-
-      return { level: 'medium', reasons };
-    }
-
-    // Flags 4-8: LAUNCHED/ACTIVE accounts with proportional thresholds
-    const daysInMonth = this.getDaysInMonth(monthlyData.month);
-    const progressPercentage = (dayOfMonth - 1) / daysInMonth;
-
-    // Avoid division by zero for first day of month
-    if (progressPercentage <= 0) {
-      reasons.push('No flags');
-      return { level: 'low', reasons };
-    }
-
-    // Calculate proportional thresholds based on progress through month
-    const proportionalRedemptionsThreshold = this.MONTHLY_REDEMPTIONS_THRESHOLD * progressPercentage;
-    const proportionalLowEngagementRedemptionsThreshold = this.LOW_ENGAGEMENT_COMBO_REDEMPTIONS_THRESHOLD * progressPercentage;
-
-    let flagCount = 0;
-    const monthsSinceStart = this.calculateMonthsSinceStart(accountData.launched_at, monthlyData.month);
-
-    // Flag 4: Monthly Redemptions (proportional) - 1 point
-    if (monthlyData.total_coupons_redeemed < proportionalRedemptionsThreshold) {
-      flagCount++;
-      reasons.push('Low Monthly Redemptions');
-    }
-
-    // Flag 5: Low Engagement Combo - 2 points (only after 2 months)
-    if (monthsSinceStart > 2) {
-      if (monthlyData.avg_active_subs_cnt < this.LOW_ENGAGEMENT_COMBO_SUBS_THRESHOLD &&
-          monthlyData.total_coupons_redeemed < proportionalLowEngagementRedemptionsThreshold) {
-        flagCount += 2;
-        reasons.push('Low Engagement Combo');
-      }
-    }
-
-    // Flag 6: Low Activity - 1 point
-    if (monthlyData.avg_active_subs_cnt < this.LOW_ACTIVITY_SUBS_THRESHOLD) {
-      flagCount++;
-      reasons.push('Low Activity');
-    }
-
-    // Flags 7 & 8: Drop flags using same-day comparisons (only after 3 months)
-    if (previousMonthData && monthsSinceStart >= 3) {
-      // Flag 7: Spend Drop - 1 point
-      if (previousMonthData.total_spend > 0) {
-        const spendDrop = Math.max(0, (previousMonthData.total_spend - monthlyData.total_spend) / previousMonthData.total_spend);
-        if (spendDrop >= this.SPEND_DROP_THRESHOLD) {
-          flagCount++;
-          reasons.push('Spend Drop');
-        }
-      }
-
-      // Flag 8: Redemptions Drop - 1 point
-      if (previousMonthData.total_coupons_redeemed > 0) {
-        const redemptionsDrop = Math.max(0, (previousMonthData.total_coupons_redeemed - monthlyData.total_coupons_redeemed) / previousMonthData.total_coupons_redeemed);
-        if (redemptionsDrop >= this.REDEMPTIONS_DROP_THRESHOLD) {
-          flagCount++;
-          reasons.push('Redemptions Drop');
-        }
-      }
-    }
-
-    // If no flags, add "No flags"
-    if (reasons.length === 0) {
-      reasons.push('No flags');
-    }
-
-    // Determine risk level based on flag count (same as historical)
-    let level = 'low';
-    if (flagCount >= 3) level = 'high';
-    else if (flagCount >= 1) level = 'medium';
-
-    return { level, reasons };
+    return evaluateTrendingRisk(this.riskRuleSet, monthlyData, dayOfMonth, accountData, previousMonthData);
   }
 
   // Calculate historical risk level for completed months (runs on 1st of following month)
   calculateHistoricalRiskLevel(monthData, accountData, previousMonthData = null) {
-    const reasons = [];
-
-    // Check if account was archived during this specific month
-    const monthStart = new Date(monthData.month + '-01');
-    const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
-
-    const archivedDate = accountData.archived_at
-      ? new Date(accountData.archived_at)
-      : accountData.earliest_unit_archived_at
-        ? new Date(accountData.earliest_unit_archived_at)
-        : null;
-
-    // Flag 1: If archived during this specific month = high risk
-    if (archivedDate && archivedDate >= monthStart && archivedDate <= monthEnd) {
-      reasons.push('Recently Archived');
-      return { level: 'high', reasons };
-    }
-
-    // FROZEN accounts logic
-    if (accountData.status === 'FROZEN') {
-      const hasCurrentMonthTexts = monthData.total_texts_delivered > 0;
-      reasons.push('Frozen Account Status');
-      if (!hasCurrentMonthTexts) {
-        reasons.push('Frozen & Inactive');
-        return { level: 'high', reasons };
-      }
-      return { level: 'medium', reasons };
-    }
-
-    // LAUNCHED/ACTIVE accounts: Flag-based system
-    let flagCount = 0;
-    const monthsSinceStart = this.calculateMonthsSinceStart(accountData.launched_at, monthData.month);
-
-    // Flag 2: Monthly Redemptions (< 10 redemptions) - 1 point
-    if (monthData.total_coupons_redeemed < this.MONTHLY_REDEMPTIONS_THRESHOLD) {
-      flagCount++;
-      reasons.push('Low Monthly Redemptions');
-    }
-
-    // Flag 3: Low Engagement Combo (< 300 subs AND < 35 redemptions) - 2 points
-    // Only available for accounts after their first two months
-    if (monthsSinceStart > 2) {
-      if (monthData.avg_active_subs_cnt < this.LOW_ENGAGEMENT_COMBO_SUBS_THRESHOLD &&
-          monthData.total_coupons_redeemed < this.LOW_ENGAGEMENT_COMBO_REDEMPTIONS_THRESHOLD) {
-        flagCount += 2;
-        reasons.push('Low Engagement Combo');
-      }
-    }
-
-    // Flag 4: Low Activity (< 300 subscribers per account) - 1 point
-    if (monthData.avg_active_subs_cnt < this.LOW_ACTIVITY_SUBS_THRESHOLD) {
-      flagCount++;
-      reasons.push('Low Activity');
-    }
-
-    // Flag 5 & 6: Drop flags only available after month 3 with previous month data
-    if (previousMonthData && monthsSinceStart >= 3) {
-      // Flag 5: Spend Drop (≥ 40% decrease) - 1 point
-      if (previousMonthData.total_spend > 0) {
-        const spendDrop = Math.max(0, (previousMonthData.total_spend - monthData.total_spend) / previousMonthData.total_spend);
-        if (spendDrop >= this.SPEND_DROP_THRESHOLD) {
-          flagCount++;
-          reasons.push('Spend Drop');
-        }
-      }
-
-      // Flag 6: Redemptions Drop (≥ 50% decrease) - 1 point
-      if (previousMonthData.total_coupons_redeemed > 0) {
-        const redemptionsDrop = Math.max(0, (previousMonthData.total_coupons_redeemed - monthData.total_coupons_redeemed) / previousMonthData.total_coupons_redeemed);
-        if (redemptionsDrop >= this.REDEMPTIONS_DROP_THRESHOLD) {
-          flagCount++;
-          reasons.push('Redemptions Drop');
-        }
-      }
-    }
-
-    // Determine risk level based on flag count
-    let level = 'low';
-    if (flagCount >= 3) level = 'high';
-    else if (flagCount >= 1) level = 'medium';
-
-    // Ensure low-risk accounts with no flags show "No flags" instead of empty array
-    const finalReasons = reasons.length > 0 ? reasons : ['No flags'];
-
-    return { level, reasons: finalReasons };
+    return evaluateHistoricalRisk(this.riskRuleSet, monthData, accountData, previousMonthData);
   }
 
   // Calculate historical risk levels for a completed month (runs on 1st of following month)
@@ -510,9 +366,10 @@ class MonthlyRollupETLPostgresNative {
           risk_reasons = $2,
           trending_risk_level = NULL,
           trending_risk_reasons = NULL,
+          risk_rule_set_version = $3,
           updated_at = NOW()
-        WHERE account_id = $3 AND month = $4
-      `, [riskResult.level, JSON.stringify(riskResult.reasons), account.account_id, targetMonth]);
+        WHERE account_id = $4 AND month = $5
+      `, [riskResult.level, JSON.stringify(riskResult.reasons), this.riskRuleSet.version, account.account_id, targetMonth]);
 
       accountsUpdated++;
 
@@ -525,13 +382,29 @@ class MonthlyRollupETLPostgresNative {
     return accountsUpdated;
   }
 
+  async scoreChurnForMonth(client, targetMonth) {
+    if (!this.churnModel) return;
+
+    const { rows, scored } = await scoreChurnProbabilities(client, this.churnModel, { fromMonth: targetMonth, toMonth: targetMonth });
+    if (rows === 0) {
+      console.log(`🧮 ${targetMonth} is still in progress - churn scores wait for the historical rollup`);
+      return;
+    }
+    console.log(`🧮 Scored ${scored} accounts with churn model v${this.churnModel.version}`);
+  }
+
   // Process historical rollup for a completed month
   async processHistoricalMonth(month) {
     await this.testConnection();
+    await ensureSchema();
 
     const { targetMonth, monthLabel } = this.getMonthDetails(month);
+    await assertRollupAllowed(this.pool, targetMonth);
     console.log(`📜 Processing historical rollup for ${monthLabel} (${targetMonth})...`);
 
+    this.riskRuleSet = await loadActiveRiskRuleSet(this.pool);
+    this.churnModel = await loadActiveChurnModel(this.pool);
+
     const client = await this.pool.connect();
 
     try {
@@ -540,6 +413,9 @@ class MonthlyRollupETLPostgresNative {
       // Calculate historical risk levels for the completed month
       const accountsUpdated = await this.calculateHistoricalRiskForMonth(client, targetMonth);
 
+      // Rescore churn now that the month's risk reasons are final
+      await this.scoreChurnForMonth(client, targetMonth);
+
       await client.query('COMMIT');
 
       console.log(`✅ Historical rollup completed for ${monthLabel}: ${accountsUpdated} accounts updated`);
@@ -0,0 +1,35 @@
+// BigQuery cost of the queries one ETL run made, from the costInfo each ETL class logs in
+// executeQueryWithCostTracking. etl-steps.js stores the summary in the etl_runs metadata.
+class BigQueryCostLog {
+  constructor(enabled) {
+    this.enabled = enabled;
+    this.queries = [];
+  }
+
+  record(costInfo) {
+    this.queries.push({
+      jobId: costInfo.jobId,
+      costUSD: parseFloat(costInfo.actualCostUSD),
+      bytesBilled: costInfo.bytesBilled,
+      bytesProcessed: costInfo.bytesProcessed,
+      durationMs: costInfo.duration,
+      pricingModel: costInfo.pricingModel
+    });
+  }
+
+  // Totals of the queries recorded so far; null when BIGQUERY_COST_TRACKING is off
+  getSummary() {
+    if (!this.enabled) {
+      return null;
+    }
+
+    return {
+      queries: this.queries.length,
+      costUSD: Number(this.queries.reduce((sum, query) => sum + query.costUSD, 0).toFixed(6)),
+      bytesBilled: this.queries.reduce((sum, query) => sum + query.bytesBilled, 0),
+      bytesProcessed: this.queries.reduce((sum, query) => sum + query.bytesProcessed, 0)
+    };
+  }
+}
+
+export { BigQueryCostLog };
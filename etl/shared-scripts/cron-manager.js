@@ -308,6 +308,42 @@ class CronManager {
     }
   }
 
+  // HubSpot company import (owner, lifecycle stage, renewal date, last activity)
+  async runHubSpotImport() {
+    this.log('info', `📥 Starting HubSpot company import`);
+
+    try {
+      await this.runCommand('node', [
+        path.join(this.etlBasePath, 'postgresql-native/hubspot-import.js')
+      ]);
+
+      this.log('info', `✅ HubSpot import completed successfully`);
+      return { success: true };
+
+    } catch (error) {
+      this.log('error', `❌ HubSpot import failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Check every account's HubSpot company ID for missing or merged companies
+  async runHubSpotIdValidation() {
+    this.log('info', `🔎 Starting HubSpot ID validation`);
+
+    try {
+      await this.runCommand('node', [
+        path.join(this.etlBasePath, 'postgresql-native/hubspot-validate-ids.js')
+      ]);
+
+      this.log('info', `✅ HubSpot ID validation completed successfully`);
+      return { success: true };
+
+    } catch (error) {
+      this.log('error', `❌ HubSpot ID validation failed: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Month-end backfill for archived accounts
   async runMonthEndBackfill() {
     this.log('info', `🔄 Starting month-end MSA backfill for archived accounts`);
@@ -372,6 +408,18 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         .catch(() => process.exit(1));
       break;
 
+    case 'hubspot-import':
+      cronManager.runHubSpotImport()
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
+      break;
+
+    case 'hubspot-validate-ids':
+      cronManager.runHubSpotIdValidation()
+        .then(() => process.exit(0))
+        .catch(() => process.exit(1));
+      break;
+
     case 'month-end-backfill':
       cronManager.runMonthEndBackfill()
         .then(() => process.exit(0))
@@ -396,6 +444,8 @@ Commands:
   test [YYYY-MM-DD]       Test ETL connections and dry run
   full [YYYY-MM-DD]       Run full pipeline (daily + current month rollup)
   hubspot                 Sync account risk data to HubSpot
+  hubspot-import          Import owner, lifecycle stage, renewal date and last activity from HubSpot
+  hubspot-validate-ids    Flag HubSpot company IDs that are missing or merged in HubSpot
   month-end-backfill      Backfill missing MSA data for archived accounts
   batch-monthly-fix [start-month] [end-month]  Fix month-end aggregation issues across date range
 
@@ -407,6 +457,8 @@ Examples:
   node cron-manager.js test
   node cron-manager.js full
   node cron-manager.js hubspot
+  node cron-manager.js hubspot-import
+  node cron-manager.js hubspot-validate-ids
   node cron-manager.js batch-monthly-fix 2024-11 2025-10
 
 Environment Variables:
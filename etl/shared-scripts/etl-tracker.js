@@ -1,5 +1,6 @@
 import pkg from 'pg';
 import dotenv from 'dotenv';
+import { ensureSchema } from '../../config/migrate.js';
 
 const { Pool } = pkg;
 dotenv.config();
@@ -19,24 +20,9 @@ class ETLTracker {
     });
   }
 
+  // etl_runs is created by config/migrations/002_etl_runs.js
   async setupTrackingTable() {
-    await this.pool.query(`
-      CREATE TABLE IF NOT EXISTS etl_runs (
-        date TEXT,
-        step TEXT, -- 'accounts', 'daily', 'monthly'
-        status TEXT, -- 'running', 'completed', 'failed'
-        started_at TIMESTAMPTZ DEFAULT NOW(),
-        completed_at TIMESTAMPTZ,
-        error_message TEXT,
-        metadata JSONB,
-        PRIMARY KEY (date, step)
-      );
-    `);
-
-    // Create index for status queries
-    await this.pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_etl_runs_status ON etl_runs(date, status);
-    `);
+    await ensureSchema();
   }
 
   async startStep(date, step, metadata = {}) {
@@ -111,6 +97,8 @@ class ETLTracker {
     switch (step) {
       case 'accounts':
         return true; // No prerequisites
+      case 'historical':
+        return true; // Rolls up a finished month from data already loaded
       case 'daily':
         return await this.isStepComplete(date, 'accounts');
       case 'monthly':
@@ -121,7 +109,9 @@ class ETLTracker {
     }
   }
 
-  async validateCanRun(date, step) {
+  // allowRunning skips the "already running" check for callers that hold the step lock in
+  // etl_step_locks, where a 'running' row can only be left over from an interrupted run
+  async validateCanRun(date, step, { allowRunning = false } = {}) {
     const prerequisitesComplete = await this.arePrerequisitesComplete(date, step);
     if (!prerequisitesComplete) {
       const missing = [];
@@ -134,6 +124,10 @@ class ETLTracker {
       throw new Error(`Prerequisites not complete for ${step}. Missing: ${missing.join(', ')}`);
     }
 
+    if (allowRunning) {
+      return true;
+    }
+
     // Check if step is already running
     const currentStatus = await this.getStepStatus(date, step);
     if (currentStatus && currentStatus.status === 'running') {
@@ -142,6 +136,10 @@ class ETLTracker {
 
     return true;
   }
+
+  async close() {
+    await this.pool.end();
+  }
 }
 
 export { ETLTracker };
\ No newline at end of file
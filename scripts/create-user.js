@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+import { createUser, USER_ROLES, MIN_PASSWORD_LENGTH } from '../src/services/auth.service.js';
+
+// Usage: node scripts/create-user.js <username> <password> [role] [csm_name]
+//   role      admin | csm (default: csm)
+//   csm_name  value matched against accounts.csm_owner (default: username)
+const [username, password, role = 'csm', csmName = null] = process.argv.slice(2);
+
+if (!username || !password) {
+  console.error('Usage: node scripts/create-user.js <username> <password> [role] [csm_name]');
+  process.exit(1);
+}
+
+if (!USER_ROLES.includes(role)) {
+  console.error(`❌ Role must be one of: ${USER_ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+if (password.length < MIN_PASSWORD_LENGTH) {
+  console.error(`❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  process.exit(1);
+}
+
+try {
+  const user = await createUser(username, password, { role, csmName });
+  console.log(`👤 Created ${user.role} user "${user.username}"${user.role === 'csm' ? ` (sees accounts owned by "${user.csm_name}")` : ''}`);
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Failed to create user:', error.message);
+  process.exit(1);
+}
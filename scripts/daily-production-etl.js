@@ -8,6 +8,8 @@ import { BigQuery } from '@google-cloud/bigquery';
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import dotenv from 'dotenv';
+import { loadActiveRiskRuleSet, evaluateTrendingRisk, calculateMonthsSinceStart } from '../src/services/risk-rules.js';
+import { ensureSchema } from '../config/migrate.js';
 
 dotenv.config();
 
@@ -24,13 +26,8 @@ export class DailyProductionETL {
       keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
     });
     
-    // Complete 8-flag risk calculation thresholds
-    this.MONTHLY_REDEMPTIONS_THRESHOLD = 10;
-    this.LOW_ENGAGEMENT_COMBO_SUBS_THRESHOLD = 300;
-    this.LOW_ENGAGEMENT_COMBO_REDEMPTIONS_THRESHOLD = 35;
-    this.LOW_ACTIVITY_SUBS_THRESHOLD = 300;
-    this.SPEND_DROP_THRESHOLD = 0.40; // 40%
-    this.REDEMPTIONS_DROP_THRESHOLD = 0.50; // 50%
+    // Active risk rule set - loaded in updateTrendingRiskLevels (see src/services/risk-rules.js)
+    this.riskRuleSet = null;
   }
 
   async getDatabase() {
@@ -341,9 +338,13 @@ export class DailyProductionETL {
     
     console.log(`🎯 Updating trending risk levels for ${currentMonth} (day ${dayOfMonth})...`);
     
+    // risk_rule_set_version only exists once migration 003 has run on this file
+    await ensureSchema();
     const db = await this.getDatabase();
     
     try {
+      this.riskRuleSet = await loadActiveRiskRuleSet(db);
+
       // Get all accounts with monthly metrics for current month using proper eligibility criteria
       // Same criteria as Monthly Trends query
       const monthEnd = this.getMonthEnd(currentMonth); // e.g., '2025-09-30'
@@ -417,9 +418,9 @@ export class DailyProductionETL {
         // Update trending_risk_level and trending_risk_reasons in monthly_metrics table
         await db.run(`
           UPDATE monthly_metrics 
-          SET trending_risk_level = ?, trending_risk_reasons = ?, last_updated = datetime('now')
+          SET trending_risk_level = ?, trending_risk_reasons = ?, risk_rule_set_version = ?, last_updated = datetime('now')
           WHERE account_id = ? AND month = ?
-        `, [riskResult.level, JSON.stringify(riskResult.reasons), account.account_id, currentMonth]);
+        `, [riskResult.level, JSON.stringify(riskResult.reasons), this.riskRuleSet.version, account.account_id, currentMonth]);
         
         // Also update accounts table for quick dashboard access
         await db.run(`
@@ -463,129 +464,11 @@ export class DailyProductionETL {
   }
 
   calculateMonthsSinceStart(launchedAt, currentMonth) {
-    if (!launchedAt) return 0;
-    
-    const launchDate = new Date(launchedAt);
-    const currentDate = new Date(currentMonth + '-01');
-    
-    const monthsDiff = (currentDate.getFullYear() - launchDate.getFullYear()) * 12 + 
-                      (currentDate.getMonth() - launchDate.getMonth());
-    
-    return Math.max(0, monthsDiff);
+    return calculateMonthsSinceStart(launchedAt, currentMonth);
   }
 
   calculateTrendingRiskLevel(monthlyData, dayOfMonth, accountData, previousMonthData = null) {
-    const reasons = [];
-    
-    // Use the same 8-flag system as historical calculations but with projected values
-    
-    // Check if account was archived during this specific month (regardless of current status)
-    const [year, month] = monthlyData.month.split('-');
-    const monthStart = new Date(parseInt(year), parseInt(month) - 1, 1);
-    const monthEnd = new Date(parseInt(year), parseInt(month), 0);
-    monthEnd.setHours(23, 59, 59, 999);
-    
-    const archivedDate = accountData.archived_at 
-      ? new Date(accountData.archived_at)
-      : accountData.earliest_unit_archived_at 
-        ? new Date(accountData.earliest_unit_archived_at)
-        : null;
-    
-    // Flag 1: If archived during this specific month = high risk
-    if (archivedDate && archivedDate >= monthStart && archivedDate <= monthEnd) {
-      reasons.push('Recently Archived');
-      return { level: 'high', reasons };
-    }
-    
-    // Flags 2-3: FROZEN accounts logic
-    if (accountData.status === 'FROZEN') {
-      const hasCurrentMonthTexts = monthlyData.total_texts_delivered > 0;
-      reasons.push('Frozen Account Status');
-      
-      // Check if it's been 1+ month since last text (Frozen & Inactive)
-      const isFrozenAndInactive = !hasCurrentMonthTexts;
-      
-      if (isFrozenAndInactive) {
-        reasons.push('Frozen & Inactive');
-        return { level: 'high', reasons };
-      }
-      
-      return { level: 'medium', reasons };
-    }
-    
-    // Flags 4-8: LAUNCHED/ACTIVE accounts: Flag-based system with projected values
-    const daysInMonth = this.getDaysInMonth(monthlyData.month);
-    const progressPercentage = (dayOfMonth - 1) / daysInMonth;
-    
-    // Avoid division by zero for first day of month
-    if (progressPercentage <= 0) {
-      reasons.push('No flags');
-      return { level: 'low', reasons }; // Not enough data to trend
-    }
-    
-    // Calculate proportional thresholds based on progress through month
-    const proportionalRedemptionsThreshold = this.MONTHLY_REDEMPTIONS_THRESHOLD * progressPercentage;
-    const proportionalLowEngagementRedemptionsThreshold = this.LOW_ENGAGEMENT_COMBO_REDEMPTIONS_THRESHOLD * progressPercentage;
-    
-    let flagCount = 0;
-    const monthsSinceStart = this.calculateMonthsSinceStart(accountData.launched_at, monthlyData.month);
-    
-    // Flag 4: Monthly Redemptions (proportional to day of month) - 1 point
-    if (monthlyData.total_coupons_redeemed < proportionalRedemptionsThreshold) {
-      flagCount++;
-      reasons.push('Low Monthly Redemptions');
-    }
-    
-    // Flag 5: Low Engagement Combo (< 300 subs AND proportional redemptions) - 2 points
-    // Only available for accounts after their first two months
-    if (monthsSinceStart > 2) {
-      if (monthlyData.avg_active_subs_cnt < this.LOW_ENGAGEMENT_COMBO_SUBS_THRESHOLD && 
-          monthlyData.total_coupons_redeemed < proportionalLowEngagementRedemptionsThreshold) {
-        flagCount += 2;
-        reasons.push('Low Engagement Combo');
-      }
-    }
-    
-    // Flag 6: Low Activity (< 300 subscribers) - 1 point
-    if (monthlyData.avg_active_subs_cnt < this.LOW_ACTIVITY_SUBS_THRESHOLD) {
-      flagCount++;
-      reasons.push('Low Activity');
-    }
-    
-    // Flags 7 & 8: Drop flags using same-day comparisons (apples-to-apples)
-    if (previousMonthData && monthsSinceStart >= 3) {
-      // Flag 7: Spend Drop (≥ 40% decrease from same day of previous month) - 1 point
-      if (previousMonthData.total_spend > 0) {
-        const currentSpend = monthlyData.total_spend; // Actual current month-to-date spend
-        const spendDrop = Math.max(0, (previousMonthData.total_spend - currentSpend) / previousMonthData.total_spend);
-        if (spendDrop >= this.SPEND_DROP_THRESHOLD) {
-          flagCount++;
-          reasons.push('Spend Drop');
-        }
-      }
-      
-      // Flag 8: Redemptions Drop (≥ 50% decrease from same day of previous month) - 1 point
-      if (previousMonthData.total_coupons_redeemed > 0) {
-        const currentRedemptions = monthlyData.total_coupons_redeemed; // Actual current month-to-date redemptions
-        const redemptionsDrop = Math.max(0, (previousMonthData.total_coupons_redeemed - currentRedemptions) / previousMonthData.total_coupons_redeemed);
-        if (redemptionsDrop >= this.REDEMPTIONS_DROP_THRESHOLD) {
-          flagCount++;
-          reasons.push('Redemptions Drop');
-        }
-      }
-    }
-    
-    // If no flags, add "No flags"
-    if (reasons.length === 0) {
-      reasons.push('No flags');
-    }
-    
-    // Determine risk level based on flag count (same as historical)
-    let level = 'low';
-    if (flagCount >= 3) level = 'high';
-    else if (flagCount >= 1) level = 'medium';
-    
-    return { level, reasons };
+    return evaluateTrendingRisk(this.riskRuleSet, monthlyData, dayOfMonth, accountData, previousMonthData);
   }
 
   async updateAccountSummaryMetrics() {
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+// Local stand-in for the HubSpot CRM v3 companies API, for exercising the sync client.
+// Usage: node scripts/fake-hubspot-server.js [port] [--rate-limit-every N] [--error-every N]
+// Then run the sync with HUBSPOT_API_BASE_URL=http://localhost:8026 HUBSPOT_API_KEY=anything.
+//
+// Behaviour mirrors the parts of HubSpot the client depends on:
+//   - batch/update rejects more than 100 inputs or a repeated ID with 400
+//   - every Nth request gets 429 with Retry-After: 1 (--rate-limit-every) or 502 (--error-every)
+//   - IDs starting with "missing" come back as per-record OBJECT_NOT_FOUND errors (207)
+//   - IDs starting with "invalid" reject the whole batch with a 400 VALIDATION_ERROR
+//   - batch/read invents stable owner, lifecycle stage, renewal and last-activity values for
+//     companies it hasn't seen, so the import job has something to pull
+//   - batch/read answers IDs starting with "merged" (e.g. merged123) with the surviving company
+//     (123) listing the old ID in hs_merged_object_ids, like a merged HubSpot company
+//
+// The tests start it in-process with createFakeHubSpotServer() on port 0; server.requests logs
+// every call as { method, path, ids, status } so they can check how the client batched and retried.
+const owners = [
+  { id: '9001', firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', archived: false },
+  { id: '9002', firstName: 'Sam', lastName: 'Lee', email: 'sam@example.com', archived: false },
+  { id: '9003', firstName: 'Former', lastName: 'Owner', email: 'former@example.com', archived: true }
+];
+const lifecycleStages = ['customer', 'customer', 'customer', 'opportunity', 'evangelist', 'other'];
+
+const hashId = (id) => [...String(id)].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+const daysFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const generatedProperties = (id) => {
+  const hash = hashId(id);
+  return {
+    name: `Company ${id}`,
+    hubspot_owner_id: owners[hash % owners.length].id,
+    lifecyclestage: lifecycleStages[hash % lifecycleStages.length],
+    renewal_date: daysFromToday((hash % 150) - 20).toISOString().slice(0, 10),
+    notes_last_updated: daysFromToday(-(hash % 60)).toISOString()
+  };
+};
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const handleBatchUpdate = (companies, res, body) => {
+  const inputs = Array.isArray(body?.inputs) ? body.inputs : [];
+
+  if (inputs.length === 0 || inputs.length > 100) {
+    return send(res, 400, { status: 'error', category: 'VALIDATION_ERROR', message: `Batch must contain 1-100 inputs, got ${inputs.length}` });
+  }
+
+  const ids = inputs.map(input => String(input.id));
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    return send(res, 400, { status: 'error', category: 'VALIDATION_ERROR', message: `Duplicate IDs found in batch input: [${duplicates.join(', ')}]` });
+  }
+
+  const invalid = ids.filter(id => id.startsWith('invalid'));
+  if (invalid.length > 0) {
+    return send(res, 400, { status: 'error', category: 'VALIDATION_ERROR', message: `Property values were not valid for ${invalid.join(', ')}` });
+  }
+
+  const missing = ids.filter(id => id.startsWith('missing'));
+  const results = inputs
+    .filter(input => !missing.includes(String(input.id)))
+    .map((input) => {
+      const properties = { ...companies.get(String(input.id)), ...input.properties };
+      companies.set(String(input.id), properties);
+      return { id: String(input.id), properties, updatedAt: new Date().toISOString() };
+    });
+
+  console.log(`📦 batch/update: ${results.length} updated, ${missing.length} missing`);
+
+  if (missing.length === 0) {
+    return send(res, 200, { status: 'COMPLETE', results });
+  }
+
+  send(res, 207, {
+    status: 'COMPLETE',
+    results,
+    numErrors: missing.length,
+    errors: missing.map(id => ({
+      status: 'error',
+      category: 'OBJECT_NOT_FOUND',
+      message: `Object not found. objectId are usually numeric.`,
+      context: { ids: [id] }
+    }))
+  });
+};
+
+export const createFakeHubSpotServer = ({ rateLimitEvery = 0, errorEvery = 0 } = {}) => {
+  const companies = new Map();
+  const requests = [];
+  let requestCount = 0;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requestCount++;
+      const url = new URL(req.url, 'http://localhost');
+      const entry = { method: req.method, path: url.pathname, ids: [], status: null };
+      requests.push(entry);
+      res.on('finish', () => { entry.status = res.statusCode; });
+
+      if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+        return send(res, 401, { status: 'error', category: 'INVALID_AUTHENTICATION', message: 'Missing bearer token' });
+      }
+      if (rateLimitEvery && requestCount % rateLimitEvery === 0) {
+        console.log(`🚦 ${req.method} ${url.pathname}: 429`);
+        return send(res, 429, { status: 'error', category: 'RATE_LIMITS', message: 'You have reached your secondly limit.' }, { 'Retry-After': '1' });
+      }
+      if (errorEvery && requestCount % errorEvery === 0) {
+        console.log(`💥 ${req.method} ${url.pathname}: 502`);
+        return send(res, 502, { status: 'error', message: 'Bad gateway' });
+      }
+
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        return send(res, 400, { status: 'error', category: 'VALIDATION_ERROR', message: 'Invalid JSON' });
+      }
+      entry.ids = Array.isArray(body?.inputs) ? body.inputs.map(input => String(input.id)) : [];
+
+      if (req.method === 'POST' && url.pathname === '/crm/v3/objects/companies/batch/update') {
+        return handleBatchUpdate(companies, res, body);
+      }
+
+      if (req.method === 'POST' && url.pathname === '/crm/v3/objects/companies/batch/read') {
+        const inputs = Array.isArray(body?.inputs) ? body.inputs : [];
+        if (inputs.length === 0 || inputs.length > 100) {
+          return send(res, 400, { status: 'error', category: 'VALIDATION_ERROR', message: `Batch must contain 1-100 inputs, got ${inputs.length}` });
+        }
+
+        const ids = inputs.map(input => String(input.id));
+        const missing = ids.filter(id => id.startsWith('missing'));
+        const results = ids.filter(id => !missing.includes(id)).map((requestedId) => {
+          const id = requestedId.startsWith('merged') ? requestedId.slice('merged'.length) || '1' : requestedId;
+          const stored = {
+            ...generatedProperties(id),
+            hs_merged_object_ids: id === requestedId ? null : requestedId,
+            ...companies.get(id)
+          };
+          const wanted = Array.isArray(body.properties) ? body.properties : Object.keys(stored);
+          return { id, properties: Object.fromEntries(wanted.map(name => [name, stored[name] ?? null])) };
+        });
+
+        console.log(`📖 batch/read: ${results.length} found, ${missing.length} missing`);
+        return missing.length === 0
+          ? send(res, 200, { status: 'COMPLETE', results })
+          : send(res, 207, {
+              status: 'COMPLETE',
+              results,
+              numErrors: missing.length,
+              errors: [{ status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Could not get some COMPANY objects', context: { ids: missing } }]
+            });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/crm/v3/owners') {
+        const archived = url.searchParams.get('archived') === 'true';
+        return send(res, 200, { results: owners.filter(owner => owner.archived === archived) });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/crm/v3/objects/companies') {
+        const limit = parseInt(url.searchParams.get('limit'), 10) || 10;
+        const results = [...companies.entries()].slice(0, limit).map(([id, properties]) => ({ id, properties }));
+        return send(res, 200, { total: companies.size, results });
+      }
+
+      const single = url.pathname.match(/^\/crm\/v3\/objects\/companies\/([^/]+)$/);
+      if (single && req.method === 'GET') {
+        const properties = companies.get(single[1]);
+        return properties
+          ? send(res, 200, { id: single[1], properties })
+          : send(res, 404, { status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Object not found' });
+      }
+      if (single && req.method === 'PATCH') {
+        companies.set(single[1], { ...companies.get(single[1]), ...body?.properties });
+        return send(res, 200, { id: single[1], properties: companies.get(single[1]) });
+      }
+
+      send(res, 404, { status: 'error', message: `No fake route for ${req.method} ${url.pathname}` });
+    });
+  });
+
+  server.requests = requests;
+  return server;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? 0 : parseInt(args[index + 1], 10) || 0;
+  };
+  const port = parseInt(args.find(arg => /^\d+$/.test(arg)), 10) || 8026;
+  const rateLimitEvery = flag('--rate-limit-every');
+  const errorEvery = flag('--error-every');
+
+  createFakeHubSpotServer({ rateLimitEvery, errorEvery }).listen(port, () => {
+    console.log(`🧪 Fake HubSpot API listening on http://localhost:${port}`);
+    if (rateLimitEvery) console.log(`   - every ${rateLimitEvery}th request is rate limited`);
+    if (errorEvery) console.log(`   - every ${errorEvery}th request fails with 502`);
+  });
+}
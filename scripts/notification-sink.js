@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+import net from 'net';
+import http from 'http';
+
+// Local stand-in for an SMTP server and a webhook receiver, for testing risk notifications.
+// Usage: node scripts/notification-sink.js [smtp_port] [http_port]
+// Then set SMTP_HOST=localhost SMTP_PORT=1025 and use http://localhost:8025/webhook as the
+// webhook URL in Settings. Everything received is printed; nothing is relayed.
+const smtpPort = parseInt(process.argv[2], 10) || 1025;
+const httpPort = parseInt(process.argv[3], 10) || 8025;
+
+const smtpServer = net.createServer((socket) => {
+  socket.setEncoding('utf8');
+  socket.write('220 churnguard-sink ESMTP\r\n');
+
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+
+    while (buffer.length > 0) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+
+        const message = buffer.slice(0, end).replace(/^\.\./gm, '.');
+        buffer = buffer.slice(end + 5);
+        inData = false;
+
+        console.log(`\n📧 Mail from ${envelope.from} to ${envelope.to.join(', ')}\n${'-'.repeat(60)}\n${message}\n${'-'.repeat(60)}`);
+        envelope = { from: null, to: [] };
+        socket.write('250 OK: queued\r\n');
+        continue;
+      }
+
+      const lineEnd = buffer.indexOf('\r\n');
+      if (lineEnd === -1) return;
+
+      const line = buffer.slice(0, lineEnd);
+      buffer = buffer.slice(lineEnd + 2);
+      const command = line.slice(0, 4).toUpperCase();
+
+      if (command === 'EHLO' || command === 'HELO') {
+        socket.write('250-churnguard-sink\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+      } else if (command === 'AUTH') {
+        socket.write('235 Authentication successful\r\n');
+      } else if (command === 'MAIL') {
+        envelope.from = line.slice(10).trim();
+        socket.write('250 OK\r\n');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.slice(8).trim());
+        socket.write('250 OK\r\n');
+      } else if (command === 'DATA') {
+        inData = true;
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (command === 'QUIT') {
+        socket.end('221 Bye\r\n');
+      } else {
+        socket.write('250 OK\r\n');
+      }
+    }
+  });
+});
+
+const httpServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    let printable = body;
+    try {
+      printable = JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // Not JSON - print as received
+    }
+    console.log(`\n🪝 ${req.method} ${req.url}\n${printable}`);
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+smtpServer.listen(smtpPort, () => console.log(`📭 SMTP sink listening on localhost:${smtpPort}`));
+httpServer.listen(httpPort, () => console.log(`📭 Webhook sink listening on http://localhost:${httpPort}/webhook`));
@@ -1,6 +1,8 @@
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import dotenv from 'dotenv';
+import { loadActiveRiskRuleSet, evaluateHistoricalRisk, calculateMonthsSinceStart } from '../src/services/risk-rules.js';
+import { ensureSchema } from '../config/migrate.js';
 
 dotenv.config();
 
@@ -8,13 +10,8 @@ class HistoricalRiskPopulator {
   constructor() {
     this.dbPath = process.env.SQLITE_DB_PATH || './data/churnguard_simulation.db';
     
-    // Risk calculation thresholds
-    this.MONTHLY_REDEMPTIONS_THRESHOLD = 10;
-    this.LOW_ENGAGEMENT_COMBO_SUBS_THRESHOLD = 300;
-    this.LOW_ENGAGEMENT_COMBO_REDEMPTIONS_THRESHOLD = 35;
-    this.LOW_ACTIVITY_SUBS_THRESHOLD = 300; // Simplified from per-location logic
-    this.SPEND_DROP_THRESHOLD = 0.40; // 40%
-    this.REDEMPTIONS_DROP_THRESHOLD = 0.50; // 50%
+    // Active risk rule set - loaded in populateHistoricalRiskLevels (see src/services/risk-rules.js)
+    this.riskRuleSet = null;
   }
 
   async getDatabase() {
@@ -26,92 +23,22 @@ class HistoricalRiskPopulator {
   }
 
   calculateMonthsSinceStart(launchedAt, currentMonth) {
-    if (!launchedAt) return 0;
-    
-    const launchDate = new Date(launchedAt);
-    const currentDate = new Date(currentMonth + '-01');
-    
-    const monthsDiff = (currentDate.getFullYear() - launchDate.getFullYear()) * 12 + 
-                      (currentDate.getMonth() - launchDate.getMonth());
-    
-    return Math.max(0, monthsDiff);
+    return calculateMonthsSinceStart(launchedAt, currentMonth);
   }
 
   calculateRiskLevel(monthData, accountData, previousMonthData = null) {
-    // Check if account was archived during this specific month (regardless of current status)
-    const monthStart = new Date(monthData.month + '-01');
-    const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
-    
-    const archivedDate = accountData.archived_at 
-      ? new Date(accountData.archived_at)
-      : accountData.earliest_unit_archived_at 
-        ? new Date(accountData.earliest_unit_archived_at)
-        : null;
-    
-    // If archived during this specific month = high risk
-    if (archivedDate && archivedDate >= monthStart && archivedDate <= monthEnd) {
-      return 'high';
-    }
-
-    // FROZEN accounts logic
-    if (accountData.status === 'FROZEN') {
-      const hasCurrentMonthTexts = monthData.total_texts_delivered > 0;
-      return hasCurrentMonthTexts ? 'medium' : 'high';
-    }
-
-    // LAUNCHED/ACTIVE accounts: Flag-based system
-    let flagCount = 0;
-    const monthsSinceStart = this.calculateMonthsSinceStart(accountData.launched_at, monthData.month);
-    
-    // Flag 1: Monthly Redemptions (< 10 redemptions) - 1 point
-    if (monthData.total_coupons_redeemed < this.MONTHLY_REDEMPTIONS_THRESHOLD) {
-      flagCount++;
-    }
-    
-    // Flag 2: Low Engagement Combo (< 300 subs AND < 35 redemptions) - 2 points
-    // Only available for accounts after their first two months
-    if (monthsSinceStart > 2) {
-      if (monthData.avg_active_subs_cnt < this.LOW_ENGAGEMENT_COMBO_SUBS_THRESHOLD && 
-          monthData.total_coupons_redeemed < this.LOW_ENGAGEMENT_COMBO_REDEMPTIONS_THRESHOLD) {
-        flagCount += 2;
-      }
-    }
-    
-    // Flag 3: Low Activity (< 300 subscribers per account) - 1 point
-    if (monthData.avg_active_subs_cnt < this.LOW_ACTIVITY_SUBS_THRESHOLD) {
-      flagCount++;
-    }
-    
-    // Flag 4 & 5: Drop flags only available after month 3 with previous month data
-    if (previousMonthData && monthsSinceStart >= 3) {
-      // Flag 4: Spend Drop (≥ 40% decrease) - 1 point
-      if (previousMonthData.total_spend > 0) {
-        const spendDrop = Math.max(0, (previousMonthData.total_spend - monthData.total_spend) / previousMonthData.total_spend);
-        if (spendDrop >= this.SPEND_DROP_THRESHOLD) {
-          flagCount++;
-        }
-      }
-      
-      // Flag 5: Redemptions Drop (≥ 50% decrease) - 1 point
-      if (previousMonthData.total_coupons_redeemed > 0) {
-        const redemptionsDrop = Math.max(0, (previousMonthData.total_coupons_redeemed - monthData.total_coupons_redeemed) / previousMonthData.total_coupons_redeemed);
-        if (redemptionsDrop >= this.REDEMPTIONS_DROP_THRESHOLD) {
-          flagCount++;
-        }
-      }
-    }
-    
-    // Determine risk level based on flag count
-    if (flagCount >= 3) return 'high';
-    if (flagCount >= 1) return 'medium';
-    return 'low';
+    return evaluateHistoricalRisk(this.riskRuleSet, monthData, accountData, previousMonthData).level;
   }
 
   async populateHistoricalRiskLevels() {
     console.log('🎯 Populating historical risk levels with correct flag logic...');
+    // The update writes risk_rule_set_version (migration 003), so migrate this database first
+    await ensureSchema();
     const db = await this.getDatabase();
 
     try {
+      this.riskRuleSet = await loadActiveRiskRuleSet(db);
+
       // Get all monthly metrics with account data, ordered by account and month
       const monthlyData = await db.all(`
         SELECT 
@@ -153,9 +80,9 @@ class HistoricalRiskPopulator {
           // Update the record
           await db.run(`
             UPDATE monthly_metrics 
-            SET historical_risk_level = ?
+            SET historical_risk_level = ?, risk_rule_set_version = ?
             WHERE account_id = ? AND month = ?
-          `, [riskLevel, currentRecord.account_id, currentRecord.month]);
+          `, [riskLevel, this.riskRuleSet.version, currentRecord.account_id, currentRecord.month]);
           
           updateCount++;
           
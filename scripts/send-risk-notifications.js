@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+import { ensureSchema } from '../config/migrate.js';
+import { sendRiskEscalationDigests } from '../src/services/risk-notifications.service.js';
+
+// Usage: node scripts/send-risk-notifications.js
+// Sends any pending risk escalation digests. The monthly rollup does this automatically;
+// this is for re-sending after a channel outage or testing against the local sink.
+try {
+  await ensureSchema();
+  const result = await sendRiskEscalationDigests();
+  console.log(`📬 ${result.subscribers} subscriber(s) checked, ${result.digestsSent} digest(s) sent`);
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Failed to send risk notifications:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+import { ensureSchema } from '../config/migrate.js';
+import { getSharedDatabase } from '../config/database.js';
+import { ChurnGuardCalendar } from '../src/utils/calendar.js';
+import {
+  CHURN_HORIZON_MONTHS,
+  CHURN_HOLDOUT_MONTHS,
+  loadChurnRows,
+  trainChurnModel,
+  saveChurnModel,
+  scoreChurnProbabilities
+} from '../src/services/churn-model.js';
+
+// Usage: node scripts/train-churn-model.js [--horizon N] [--holdout N] [--dry-run]
+//   --horizon  months after each month in which an archive counts as churn (default 3)
+//   --holdout  most recent labeled months kept out of training for the report (default 3)
+//   --dry-run  report AUC/precision only; don't save the model or rescore monthly_metrics
+// Saves the model as the next churn_models version, activates it and rescores every month.
+const args = process.argv.slice(2);
+const flag = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : parseInt(args[index + 1], 10) || fallback;
+};
+const horizonMonths = flag('--horizon', CHURN_HORIZON_MONTHS);
+const holdoutMonths = flag('--holdout', CHURN_HOLDOUT_MONTHS);
+const dryRun = args.includes('--dry-run');
+
+const percent = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+const decimal = (value) => value === null ? 'n/a' : value.toFixed(3);
+
+const printMetrics = (label, metrics) => {
+  console.log(`   ${label}: ${metrics.rows} account-months, ${metrics.churned} churned (${percent(metrics.churnRate)})`);
+  console.log(`      AUC ${decimal(metrics.auc)} | precision ${percent(metrics.precision)} and recall ${percent(metrics.recall)} at 50% (${metrics.flagged} flagged) | precision in top 10% ${percent(metrics.precisionTopDecile)}`);
+};
+
+try {
+  await ensureSchema();
+  const db = await getSharedDatabase();
+
+  // Archives are known up to today, so outcomes are complete through the last finished month
+  const lastObservedMonth = ChurnGuardCalendar.getLastCompletedMonth();
+  const rows = await loadChurnRows(db, { toMonth: lastObservedMonth });
+  console.log(`🧮 Training churn model on ${rows.length} account-months (churn = archived within ${horizonMonths} months)...`);
+
+  const training = trainChurnModel(rows, { horizonMonths, holdoutMonths, lastObservedMonth });
+  const { metrics, trainingPeriod, holdoutPeriod } = training;
+
+  console.log(`📊 Labeled months ${trainingPeriod.from} to ${trainingPeriod.to}, held out ${holdoutPeriod.from} to ${holdoutPeriod.to}`);
+  printMetrics('Train', metrics.train);
+  printMetrics('Held out', metrics.holdout);
+  console.log(`   Rule-based risk level AUC on the held-out months: ${decimal(metrics.ruleBasedHoldoutAuc)}`);
+
+  if (dryRun) {
+    console.log('🧪 Dry run - model not saved');
+    process.exit(0);
+  }
+
+  const saved = await saveChurnModel(db, training, { activate: true });
+  const result = await scoreChurnProbabilities(db, { ...training.model, version: saved.version });
+  console.log(`✅ Saved and activated churn model v${saved.version}; scored ${result.scored} of ${result.rows} account-months`);
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Failed to train churn model:', error.message);
+  process.exit(1);
+}
@@ -10,9 +10,18 @@ import monthlyTrendsRoutes from './src/routes/monthly-trends.routes.js';
 import accountMetricsOverviewRoutes from './src/routes/account-metrics-overview.routes.js';
 import accountHistoryRoutes from './src/routes/account-history.routes.js';
 import accountsRoutes from './src/routes/accounts.routes.js';
+import accountActionsRoutes from './src/routes/account-actions.routes.js';
 import authRoutes from './src/routes/auth.routes.js';
 import hubspotRoutes from './src/routes/hubspot.routes.js';
 import adminRoutes from './src/routes/admin.routes.js';
+import riskRoutes from './src/routes/risk.routes.js';
+import notificationsRoutes from './src/routes/notifications.routes.js';
+import savedViewsRoutes from './src/routes/saved-views.routes.js';
+import analyticsRoutes from './src/routes/analytics.routes.js';
+import { requireAuth } from './src/middleware/auth.middleware.js';
+import { etlJobWorker } from './src/services/etl-worker.js';
+import { taskScheduler, isSchedulerEnabled } from './src/services/scheduler.js';
+import { HubSpotSyncService } from './src/services/hubspot-sync.js';
 
 const app = express();
 const port = process.env.PORT || 3003;
@@ -37,11 +46,11 @@ try {
   db = await getSharedDatabase();
   if (process.env.DATABASE_URL) {
     console.log('📊 Connected to PostgreSQL production database');
-    // Run migrations for PostgreSQL (SQLite doesn't need them - schema exists in ETL files)
-    await runMigrations();
   } else {
     console.log('📊 Connected to SQLite simulation database');
   }
+  // Same schema on both: SQLite gets the app tables (users, sessions, risk rules) added to the ETL-built file
+  await runMigrations();
 } catch (error) {
   console.error('❌ Database connection failed:', error);
   process.exit(1);
@@ -52,15 +61,23 @@ app.get('/api/test', (req, res) => {
   res.json({ message: 'ChurnGuard 2.3 Clean API - Server is running!' });
 });
 
+// Everything below requires a valid session (except POST /api/auth/login and /api/auth/token)
+app.use('/api', requireAuth);
+
 // Mount route modules
 app.use('/api', historicalPerformanceRoutes);
 app.use('/api', monthlyTrendsRoutes);
+app.use('/api', analyticsRoutes);
 app.use('/api', accountMetricsOverviewRoutes);
 app.use('/api', accountHistoryRoutes);
 app.use('/api', accountsRoutes);
+app.use('/api', accountActionsRoutes);
 app.use('/api', authRoutes);
 app.use('/api/hubspot', hubspotRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/risk', riskRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/views', savedViewsRoutes);
 
 // Serve frontend for all other routes
 app.get('*', (req, res) => {
@@ -76,6 +93,22 @@ app.listen(port, () => {
     console.log('📊 Serving data from SQLite simulation database');
   }
   console.log('🎯 Clean, organized, production-ready!');
+
+  // HubSpot syncs run in the web process; fail the ones a previous process left 'running'
+  new HubSpotSyncService().failInterruptedSyncRuns()
+    .catch(error => console.error('❌ Failed to clean up interrupted HubSpot syncs:', error));
+
+  // Runs ETL jobs queued by /api/admin/sync-*; other instances can opt out and only enqueue
+  if (process.env.ETL_WORKER_ENABLED !== 'false') {
+    etlJobWorker.start();
+  }
+
+  // Daily ETL, 1st-of-month historical rollup and HubSpot sync (see src/services/scheduler.js)
+  if (isSchedulerEnabled()) {
+    taskScheduler.start().catch(error => console.error('❌ Scheduler failed to start:', error));
+  } else {
+    console.log('⏰ Scheduler disabled (set SCHEDULER_ENABLED=true to run scheduled ETL on this instance)');
+  }
 });
 
 export default app;
\ No newline at end of file
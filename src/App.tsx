@@ -10,12 +10,20 @@ import { ErrorFallback } from "@/components/error-fallback";
 import Dashboard from "@/pages/dashboard";
 import Settings from "@/pages/settings";
 import AccountDetail from "@/pages/account-detail";
+import RiskSimulator from "@/pages/risk-simulator";
+import HubSpotTranslations from "@/pages/hubspot-translations";
+import Operations from "@/pages/operations";
+import Backtest from "@/pages/backtest";
 import NotFound from "@/pages/not-found";
 
 function Router() {
   return (
     <Switch>
       <Route path="/" component={Dashboard} />
+      <Route path="/risk-simulator" component={RiskSimulator} />
+      <Route path="/hubspot-translations" component={HubSpotTranslations} />
+      <Route path="/operations" component={Operations} />
+      <Route path="/backtest" component={Backtest} />
       <Route path="/settings" component={Settings} />
       <Route path="/account/:id" component={AccountDetail} />
       <Route component={NotFound} />
@@ -24,7 +32,12 @@ function Router() {
 }
 
 function AppContent() {
-  const { isAuthenticated, login, error } = useAuth();
+  const { isAuthenticated, isLoading, login, error } = useAuth();
+
+  // Wait for the session check so a valid session doesn't flash the login form
+  if (isLoading) {
+    return <div className="min-h-screen bg-gray-50" />;
+  }
 
   if (!isAuthenticated) {
     return (
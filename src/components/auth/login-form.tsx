@@ -7,22 +7,23 @@ import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Eye, EyeOff, BarChart3, Lock } from 'lucide-react';
 
 interface LoginFormProps {
-  onLogin: (password: string) => Promise<void>;
+  onLogin: (username: string, password: string) => Promise<void>;
   error: string | null;
 }
 
 export function LoginForm({ onLogin, error }: LoginFormProps) {
+  const [username, setUsername] = useState('admin');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    if (!password.trim()) return;
+    if (!username.trim() || !password.trim()) return;
 
     setIsLoading(true);
     try {
-      await onLogin(password);
+      await onLogin(username.trim(), password);
     } finally {
       setIsLoading(false);
     }
@@ -50,17 +51,32 @@ export function LoginForm({ onLogin, error }: LoginFormProps) {
               <CardTitle className="text-xl text-center">Sign In</CardTitle>
             </div>
             <CardDescription className="text-center">
-              Enter your password to access the dashboard
+              Enter your username and password to access the dashboard
             </CardDescription>
           </CardHeader>
           <CardContent>
             <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="username">Username</Label>
+                <Input
+                  id="username"
+                  type="text"
+                  autoComplete="username"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  placeholder="Enter your username"
+                  required
+                  disabled={isLoading}
+                />
+              </div>
+
               <div className="space-y-2">
                 <Label htmlFor="password">Password</Label>
                 <div className="relative">
                   <Input
                     id="password"
                     type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
                     value={password}
                     onChange={(e) => setPassword(e.target.value)}
                     placeholder="Enter your password"
@@ -94,7 +110,7 @@ export function LoginForm({ onLogin, error }: LoginFormProps) {
               <Button 
                 type="submit" 
                 className="w-full"
-                disabled={isLoading || !password.trim()}
+                disabled={isLoading || !username.trim() || !password.trim()}
               >
                 {isLoading ? 'Signing In...' : 'Sign In'}
               </Button>
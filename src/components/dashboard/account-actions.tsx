@@ -0,0 +1,219 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Calendar, FileText, Mail, Percent, Phone, Presentation } from 'lucide-react';
+import { useCreateAction, useUpdateAction } from '@/hooks/use-accounts';
+import { useToast } from '@/hooks/use-toast';
+import { AccountAction, AccountActionOutcome, AccountActionType } from '@/types/api';
+
+export const ACTION_TYPE_LABELS: Record<AccountActionType, string> = {
+  call: 'Call',
+  email: 'Email',
+  qbr: 'QBR',
+  discount_offer: 'Discount Offer',
+  note: 'Note',
+};
+
+export const ACTION_OUTCOME_LABELS: Record<AccountActionOutcome, string> = {
+  pending: 'Pending',
+  positive: 'Positive',
+  neutral: 'Neutral',
+  negative: 'Negative',
+  no_response: 'No Response',
+};
+
+// Outreach shown in the Communications tab; everything is shown under Notes
+export const COMMUNICATION_ACTION_TYPES: AccountActionType[] = ['call', 'email', 'qbr'];
+
+const ACTION_TYPE_ICONS: Record<AccountActionType, typeof Phone> = {
+  call: Phone,
+  email: Mail,
+  qbr: Presentation,
+  discount_offer: Percent,
+  note: FileText,
+};
+
+const OUTCOME_COLORS: Record<AccountActionOutcome, string> = {
+  pending: 'bg-gray-100 text-gray-800',
+  positive: 'bg-green-100 text-green-800',
+  neutral: 'bg-blue-100 text-blue-800',
+  negative: 'bg-red-100 text-red-800',
+  no_response: 'bg-yellow-100 text-yellow-800',
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+interface AccountActionFormProps {
+  accountId: string;
+  defaultType?: AccountActionType;
+}
+
+export function AccountActionForm({ accountId, defaultType = 'call' }: AccountActionFormProps) {
+  const [actionType, setActionType] = useState<AccountActionType>(defaultType);
+  const [outcome, setOutcome] = useState<AccountActionOutcome>('pending');
+  const [notes, setNotes] = useState('');
+  const [followUpDate, setFollowUpDate] = useState('');
+  const createAction = useCreateAction();
+  const { toast } = useToast();
+
+  // Quick Actions on the page preselect the type
+  useEffect(() => {
+    setActionType(defaultType);
+  }, [defaultType]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      await createAction.mutateAsync({
+        accountId,
+        action_type: actionType,
+        outcome,
+        notes: notes || null,
+        follow_up_date: followUpDate || null,
+      });
+
+      toast({
+        title: 'Action Logged',
+        description: `${ACTION_TYPE_LABELS[actionType]} recorded for this account.`,
+      });
+      setOutcome('pending');
+      setNotes('');
+      setFollowUpDate('');
+    } catch (error) {
+      toast({
+        title: 'Failed to log action',
+        description: error instanceof Error ? error.message : 'Please try again.',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <Label>Action</Label>
+          <Select value={actionType} onValueChange={(value) => setActionType(value as AccountActionType)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(ACTION_TYPE_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Outcome</Label>
+          <Select value={outcome} onValueChange={(value) => setOutcome(value as AccountActionOutcome)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(ACTION_OUTCOME_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="follow-up-date">Follow-up Date</Label>
+          <Input
+            id="follow-up-date"
+            type="date"
+            min={today()}
+            value={followUpDate}
+            onChange={(e) => setFollowUpDate(e.target.value)}
+          />
+        </div>
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="action-notes">Notes</Label>
+        <Textarea
+          id="action-notes"
+          placeholder="What was discussed or offered?"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+        />
+      </div>
+      <Button type="submit" disabled={createAction.isPending}>
+        {createAction.isPending ? 'Saving...' : 'Log Action'}
+      </Button>
+    </form>
+  );
+}
+
+interface AccountActionListProps {
+  accountId: string;
+  actions: AccountAction[];
+  emptyMessage: string;
+}
+
+export function AccountActionList({ accountId, actions, emptyMessage }: AccountActionListProps) {
+  const updateAction = useUpdateAction();
+
+  if (actions.length === 0) {
+    return <p className="text-gray-500">{emptyMessage}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {actions.map((action) => {
+        const Icon = ACTION_TYPE_ICONS[action.action_type] || FileText;
+        const followUpDue = action.follow_up_date && action.follow_up_date <= today() && action.outcome === 'pending';
+
+        return (
+          <div key={action.id} className="border rounded-lg p-3 bg-white">
+            <div className="flex items-start justify-between gap-4">
+              <div className="flex items-center gap-2">
+                <Icon className="h-4 w-4 text-gray-500" />
+                <span className="font-medium">{ACTION_TYPE_LABELS[action.action_type] || action.action_type}</span>
+                <Badge className={OUTCOME_COLORS[action.outcome]}>
+                  {ACTION_OUTCOME_LABELS[action.outcome] || action.outcome}
+                </Badge>
+              </div>
+              <Select
+                value={action.outcome}
+                onValueChange={(value) => updateAction.mutate({
+                  accountId,
+                  actionId: action.id,
+                  outcome: value as AccountActionOutcome,
+                })}
+              >
+                <SelectTrigger className="w-36 h-8 text-xs">
+                  <SelectValue placeholder="Set outcome" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(ACTION_OUTCOME_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {action.notes && (
+              <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap">{action.notes}</p>
+            )}
+            <div className="flex flex-wrap items-center gap-4 mt-2 text-xs text-gray-500">
+              <span>
+                {new Date(action.created_at).toLocaleString()}
+                {action.created_by_name && ` by ${action.created_by_name}`}
+              </span>
+              {action.follow_up_date && (
+                <span className={`flex items-center gap-1 ${followUpDue ? 'text-red-600 font-medium' : ''}`}>
+                  <Calendar className="h-3 w-3" />
+                  Follow up {action.follow_up_date}
+                </span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -4,7 +4,8 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Checkbox } from "@/components/ui/checkbox";
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceDot, ReferenceArea, ReferenceLine } from "recharts";
-import { Flag } from "lucide-react";
+import { Flag, ExternalLink } from "lucide-react";
+import { Link } from "wouter";
 import { useMonthlyAccountHistory } from "@/hooks/use-monthly-accounts";
 
 interface AccountDetailModalProps {
@@ -206,6 +207,15 @@ export default function AccountDetailModal({
           <DialogTitle className="text-xl font-semibold">
             {accountName} - Monthly Performance
           </DialogTitle>
+          {accountId && (
+            <Link
+              href={`/account/${encodeURIComponent(accountId)}`}
+              className="inline-flex items-center text-sm text-purple-700 hover:underline"
+            >
+              <ExternalLink className="h-4 w-4 mr-1" />
+              Open account page
+            </Link>
+          )}
         </DialogHeader>
 
         {isLoading ? (
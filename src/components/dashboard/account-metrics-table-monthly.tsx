@@ -3,10 +3,21 @@ import { Badge } from "@/components/ui/badge";
 import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { MultiSelect } from "@/components/ui/multi-select";
-import { useQuery } from "@tanstack/react-query";
-import { useState, useMemo } from "react";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import { useState, useMemo, useEffect } from "react";
+import { useSearchParams } from "wouter";
 import { ChevronUp, ChevronDown } from "lucide-react";
 import AccountDetailModal from './account-detail-modal-monthly';
+import SavedViewsBar from './saved-views-bar';
+import { LIFECYCLE_STAGE_LABELS, RENEWAL_WINDOWS, daysUntil } from "@/lib/hubspot";
+import {
+  MonthlySortField,
+  MonthlyTableFilters,
+  MonthlyTimePeriod,
+  applyMonthlyFilters,
+  monthlyFiltersQueryString,
+  parseMonthlyFilters
+} from "@/lib/table-filters";
 
 interface AccountMetric {
   account_id: string;
@@ -24,6 +35,7 @@ interface AccountMetric {
   risk_reasons?: string[]; // Database-provided historical risk reasons (from previous completed month)
   trending_risk_level?: string;
   trending_risk_reasons?: string[]; // Database-provided trending risk reasons (from current month)
+  churn_probability?: number | null; // Churn model score 0-100 (last completed month), null until scored
   risk_flags?: {
     monthlyRedemptionsFlag: boolean;
     lowActivityFlag: boolean;
@@ -41,11 +53,21 @@ interface AccountMetric {
   coupons_delta: number;
   subs_delta: number;
   status_label?: string;
+  hubspot_owner?: string | null;
+  lifecycle_stage?: string | null;
+  renewal_date?: string | null;
+  last_activity_at?: string | null;
 }
 
-type SortField = 'name' | 'csm' | 'status' | 'total_spend' | 'total_texts_delivered' | 'coupons_redeemed' | 'active_subs_cnt' | 'location_cnt' | 'risk_level' | 'trending_risk_level' | 'spend_delta' | 'texts_delta' | 'coupons_delta' | 'subs_delta';
-type SortDirection = 'asc' | 'desc';
-type TimePeriod = 'current_month' | 'previous_month' | 'last_3_month_avg' | 'this_month_last_year';
+type SortField = MonthlySortField;
+type TimePeriod = MonthlyTimePeriod;
+
+// Flags renewals inside the same 60-day window the risk engine's renewal signal uses
+const RenewalHint = ({ date }: { date?: string | null }) => {
+  const days = daysUntil(date);
+  if (days === null || days < 0 || days >= 60) return null;
+  return <span className="ml-2 text-orange-700">Renews in {days}d</span>;
+};
 
 // Helper function to format risk flags into readable text
 const formatRiskFlags = (flags?: { monthlyRedemptionsFlag: boolean; lowActivityFlag: boolean; spendDropFlag: boolean; redemptionsDropFlag: boolean }) => {
@@ -88,18 +110,70 @@ const getRiskReasons = (account: AccountMetric, isForTrending: boolean = false):
   return reasons.length > 0 ? reasons : ['No flags'];
 };
 
+// Risk levels by severity (high, medium, low)
+const riskLevelOrder = ['high', 'medium', 'low'];
+const sortRiskLevels = (levels: string[]) => {
+  return [...levels].sort((a, b) => riskLevelOrder.indexOf(a.toLowerCase()) - riskLevelOrder.indexOf(b.toLowerCase()));
+};
+
+// Custom sort order for risk reasons
+const riskReasonOrder = [
+  'Recently Archived', // Archived flag first
+  'Frozen Account Status', 'Frozen & Inactive', // Frozen options
+  'Low Activity', 'Low Engagement Combo', 'Low Monthly Redemptions', 'Redemptions Drop', 'Spend Drop', // Launched/active options alphabetically
+  'No flags' // Bottom
+];
+
+const sortRiskReasons = (reasons: string[]) => {
+  return [...reasons].sort((a, b) => {
+    const aIndex = riskReasonOrder.indexOf(a);
+    const bIndex = riskReasonOrder.indexOf(b);
+    // If not found in order array, put at end (but before "No flags")
+    const aPos = aIndex === -1 ? riskReasonOrder.length - 1 : aIndex;
+    const bPos = bIndex === -1 ? riskReasonOrder.length - 1 : bIndex;
+    return aPos - bPos;
+  });
+};
+
 export default function AccountMetricsTableMonthly() {
   const [currentPage, setCurrentPage] = useState(1);
-  const [sortField, setSortField] = useState<SortField>('name');
-  const [sortDirection, setSortDirection] = useState<SortDirection>('asc');
-  const [timePeriod, setTimePeriod] = useState<TimePeriod>('current_month');
-  const [selectedCSMs, setSelectedCSMs] = useState<string[]>([]);
-  const [selectedRiskLevel, setSelectedRiskLevel] = useState<string>('all');
-  const [searchQuery, setSearchQuery] = useState<string>('');
-  const [selectedStatus, setSelectedStatus] = useState<string>('all');
-  const [selectedTrendingRiskLevel, setSelectedTrendingRiskLevel] = useState<string>('all');
-  const [selectedRiskReasons, setSelectedRiskReasons] = useState<string[]>([]);
-  const [selectedTrendingRiskReasons, setSelectedTrendingRiskReasons] = useState<string[]>([]);
+
+  // Filters and sort live in the URL query string so they survive reloads and can be shared
+  // or saved as a view; see lib/table-filters.ts for the parameter names
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => parseMonthlyFilters(searchParams), [searchParams]);
+  const updateFilters = (changes: Partial<MonthlyTableFilters>) => {
+    setSearchParams((params) => applyMonthlyFilters(params, { ...parseMonthlyFilters(params), ...changes }), { replace: true });
+  };
+  const applyFilterQuery = (queryString: string) => {
+    updateFilters(parseMonthlyFilters(new URLSearchParams(queryString)));
+    setCurrentPage(1);
+  };
+
+  const {
+    sortField, sortDirection, timePeriod, selectedCSMs, selectedRiskLevel, searchQuery, selectedStatus,
+    selectedTrendingRiskLevel, selectedRiskReasons, selectedTrendingRiskReasons, selectedLifecycleStage, selectedRenewalWindow
+  } = filters;
+  const setSelectedCSMs = (value: string[]) => updateFilters({ selectedCSMs: value });
+  const setSelectedRiskLevel = (value: string) => updateFilters({ selectedRiskLevel: value });
+  const setSearchQuery = (value: string) => updateFilters({ searchQuery: value });
+  const setSelectedStatus = (value: string) => updateFilters({ selectedStatus: value });
+  const setSelectedTrendingRiskLevel = (value: string) => updateFilters({ selectedTrendingRiskLevel: value });
+  const setSelectedRiskReasons = (value: string[]) => updateFilters({ selectedRiskReasons: value });
+  const setSelectedTrendingRiskReasons = (value: string[]) => updateFilters({ selectedTrendingRiskReasons: value });
+  const setSelectedLifecycleStage = (value: string) => updateFilters({ selectedLifecycleStage: value });
+  const setSelectedRenewalWindow = (value: string) => updateFilters({ selectedRenewalWindow: value });
+  // The search box updates as you type; the URL (and the server query) after a pause
+  const [searchInput, setSearchInput] = useState(searchQuery);
+  useEffect(() => setSearchInput(searchQuery), [searchQuery]);
+  useEffect(() => {
+    if (searchInput === searchQuery) return;
+    const timeout = setTimeout(() => {
+      setSearchQuery(searchInput);
+      setCurrentPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
   const [selectedAccountId, setSelectedAccountId] = useState<string | null>(null);
   const [selectedAccountName, setSelectedAccountName] = useState<string>('');
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -116,28 +190,47 @@ export default function AccountMetricsTableMonthly() {
     }
   };
 
-  // Determine if we need backend CSM filtering (for comparison periods)
-  const needsBackendCSMFiltering = timePeriod !== 'current_month';
+  // The server filters, sorts and pages the accounts; deltas only exist against a comparison period
+  const comparison = getComparisonParam(timePeriod);
+  const serverSortField = !comparison && sortField.endsWith('_delta') ? 'name' : sortField;
 
-  const { data: apiResponse, isLoading } = useQuery({
-    queryKey: ['/api/account-metrics-monthly', timePeriod, selectedStatus, selectedRiskLevel, selectedTrendingRiskLevel, ...(needsBackendCSMFiltering ? [selectedCSMs] : [])],
+  const { data: apiResponse, isLoading, isFetching } = useQuery({
+    queryKey: ['/api/account-metrics-monthly', timePeriod, selectedStatus, selectedRiskLevel, selectedTrendingRiskLevel, selectedLifecycleStage, selectedRenewalWindow, selectedCSMs, searchQuery, selectedRiskReasons, selectedTrendingRiskReasons, serverSortField, sortDirection, currentPage],
     queryFn: async () => {
-      const comparison = getComparisonParam(timePeriod);
-      const params = new URLSearchParams();
+      const params = new URLSearchParams({
+        page: String(currentPage),
+        page_size: String(accountsPerPage),
+        sort: serverSortField,
+        dir: sortDirection
+      });
       if (comparison) {
         params.append('comparison', comparison);
       }
+      if (searchQuery.trim()) {
+        params.append('search', searchQuery.trim());
+      }
       if (selectedStatus && selectedStatus !== 'all') {
         params.append('status', selectedStatus);
       }
-      if (selectedRiskLevel && selectedRiskLevel !== 'all') {
-        params.append('risk_level', selectedRiskLevel);
+      if (selectedLifecycleStage !== 'all') {
+        params.append('lifecycle_stage', selectedLifecycleStage);
+      }
+      if (selectedRenewalWindow !== 'all') {
+        params.append('renewal_within_days', selectedRenewalWindow);
       }
-      // Only add CSM filtering to API for comparison periods
-      if (needsBackendCSMFiltering && selectedCSMs && selectedCSMs.length > 0) {
-        selectedCSMs.forEach(csm => params.append('csm_owner', csm));
+      selectedCSMs.forEach(csm => params.append('csm_owner', csm));
+      // Risk filters only show (and apply) for the current month
+      if (timePeriod === 'current_month') {
+        if (selectedRiskLevel !== 'all') {
+          params.append('historical_risk_level', selectedRiskLevel);
+        }
+        if (selectedTrendingRiskLevel !== 'all') {
+          params.append('trending_risk_level', selectedTrendingRiskLevel);
+        }
+        selectedRiskReasons.forEach(reason => params.append('risk_reason', reason));
+        selectedTrendingRiskReasons.forEach(reason => params.append('trending_risk_reason', reason));
       }
-      const url = `/api/account-metrics-monthly${params.toString() ? '?' + params.toString() : ''}`;
+      const url = `/api/account-metrics-monthly?${params.toString()}`;
       const response = await fetch(url);
       if (!response.ok) {
         throw new Error('Failed to fetch monthly accounts');
@@ -145,30 +238,41 @@ export default function AccountMetricsTableMonthly() {
       return response.json();
     },
     enabled: true,
+    // Keep showing the current page while the next one loads
+    placeholderData: keepPreviousData,
     staleTime: 30000,
     gcTime: 300000
   });
 
-  // Extract accounts from new response structure - use union dataset when available (same pattern as weekly view)
-  const accounts = apiResponse?.accounts || apiResponse?.baseline?.accounts || [];
+  // One page of accounts; union of both periods when comparing (same pattern as weekly view)
+  const accounts: AccountMetric[] = apiResponse?.accounts || apiResponse?.baseline?.accounts || [];
+  const pagination = apiResponse?.pagination || { page: 1, page_size: accountsPerPage, total: 0, total_pages: 0 };
   const riskCounts = apiResponse?.risk_counts || { trending: { high: 0, medium: 0, low: 0 }, historical: { high: 0, medium: 0, low: 0 } };
 
-  // Extract metrics from API response (same pattern as weekly view)
+  // Metrics summed by the server over every account matching the filters
   const baselineMetrics = apiResponse?.baseline?.metrics || { total_spend: 0, total_texts: 0, total_redemptions: 0, total_subscribers: 0 };
   const comparisonMetrics = apiResponse?.comparison?.metrics || null;
 
+  // Dropdown options cover every account the user can see, not just the current page
+  const filterOptions = apiResponse?.filter_options || {};
+  const uniqueCSMs: string[] = filterOptions.csms || [];
+  const uniqueStatuses: string[] = filterOptions.statuses || [];
+  const uniqueRiskLevels = sortRiskLevels(filterOptions.risk_levels || []);
+  const uniqueTrendingRiskLevels = sortRiskLevels(filterOptions.trending_risk_levels || []);
+  const uniqueRiskReasons = sortRiskReasons(filterOptions.risk_reasons || []);
+  const uniqueTrendingRiskReasons = sortRiskReasons(filterOptions.trending_risk_reasons || []);
+
   const handleSort = (field: SortField) => {
     if (field === sortField) {
-      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+      updateFilters({ sortDirection: sortDirection === 'asc' ? 'desc' : 'asc' });
     } else {
-      setSortField(field);
-      setSortDirection('asc');
+      updateFilters({ sortField: field, sortDirection: 'asc' });
     }
     setCurrentPage(1); // Reset to first page when sorting
   };
 
   const handleTimePeriodChange = (value: TimePeriod) => {
-    setTimePeriod(value);
+    updateFilters({ timePeriod: value });
     setCurrentPage(1); // Reset to first page when changing time period
   };
 
@@ -224,252 +328,6 @@ export default function AccountMetricsTableMonthly() {
   };
 
 
-  const { sortedAccounts, paginatedAccounts, totalPages, summaryStats, uniqueCSMs, uniqueRiskLevels, uniqueStatuses, uniqueTrendingRiskLevels, uniqueRiskReasons, uniqueTrendingRiskReasons } = useMemo(() => {
-    if (!accounts || !Array.isArray(accounts) || accounts.length === 0) {
-      return { 
-        sortedAccounts: [], 
-        paginatedAccounts: [], 
-        totalPages: 0,
-        uniqueCSMs: [],
-        uniqueRiskLevels: [],
-        uniqueStatuses: [],
-        uniqueTrendingRiskLevels: [],
-        uniqueRiskReasons: [],
-        uniqueTrendingRiskReasons: [],
-        summaryStats: {
-          totalAccounts: 0,
-          highRiskCount: 0,
-          medRiskCount: 0,
-          lowRiskCount: 0,
-          trendingHighRiskCount: 0,
-          trendingMedRiskCount: 0,
-          trendingLowRiskCount: 0,
-          totalSpend: 0,
-          totalRedemptions: 0,
-          totalTexts: 0,
-          totalSubscribers: 0,
-          highRiskDelta: 0,
-          medRiskDelta: 0,
-          lowRiskDelta: 0
-        },
-      };
-    }
-
-
-    // Add trending risk level and flags (deltas already provided by server)
-    const accountsWithTrending = accounts.map(account => {
-      // For FROZEN accounts, use the risk data from the API which is already correctly calculated
-      if (account.status === 'FROZEN') {
-        return {
-          ...account,
-          trending_risk_level: account.trending_risk_level || account.riskLevel,
-          trending_risk_flags: null, // FROZEN accounts don't use traditional flag system
-        };
-      }
-
-      // Use database-provided trending risk data (calculated by ETL) and server-provided deltas
-      return {
-        ...account,
-      };
-    });
-
-    // Get unique values for all filter options
-    const uniqueCSMs = Array.from(new Set(accountsWithTrending.map(acc => acc.csm).filter(Boolean))).sort();
-
-    // Custom sort for risk levels by severity (high, medium, low)
-    const riskLevelOrder = ['high', 'medium', 'low'];
-    const sortRiskLevels = (levels: string[]) => {
-      return levels.sort((a, b) => {
-        const aIndex = riskLevelOrder.indexOf(a.toLowerCase());
-        const bIndex = riskLevelOrder.indexOf(b.toLowerCase());
-        return aIndex - bIndex;
-      });
-    };
-
-    const uniqueRiskLevels = sortRiskLevels(Array.from(new Set(accountsWithTrending.map(acc => acc.riskLevel || acc.risk_level).filter(Boolean))));
-    const uniqueStatuses = Array.from(new Set(accountsWithTrending.map(acc => acc.status).filter(Boolean))).sort();
-    const uniqueTrendingRiskLevels = sortRiskLevels(Array.from(new Set(accountsWithTrending.map(acc => acc.trending_risk_level).filter(Boolean))));
-    
-    // Get unique risk reasons from all accounts
-    const allRiskReasons = new Set<string>();
-    const allTrendingRiskReasons = new Set<string>();
-    
-    accountsWithTrending.forEach(acc => {
-      getRiskReasons(acc, false).forEach(reason => allRiskReasons.add(reason));
-      getRiskReasons(acc, true).forEach(reason => allTrendingRiskReasons.add(reason));
-    });
-    
-    // Custom sort order for risk reasons
-    const riskReasonOrder = [
-      'Recently Archived', // Archived flag first
-      'Frozen Account Status', 'Frozen & Inactive', // Frozen options
-      'Low Activity', 'Low Engagement Combo', 'Low Monthly Redemptions', 'Redemptions Drop', 'Spend Drop', // Launched/active options alphabetically  
-      'No flags' // Bottom
-    ];
-    
-    const sortRiskReasons = (reasons: string[]) => {
-      return reasons.sort((a, b) => {
-        const aIndex = riskReasonOrder.indexOf(a);
-        const bIndex = riskReasonOrder.indexOf(b);
-        // If not found in order array, put at end (but before "No flags")
-        const aPos = aIndex === -1 ? riskReasonOrder.length - 1 : aIndex;
-        const bPos = bIndex === -1 ? riskReasonOrder.length - 1 : bIndex;
-        return aPos - bPos;
-      });
-    };
-    
-    const uniqueRiskReasons = sortRiskReasons(Array.from(allRiskReasons));
-    const uniqueTrendingRiskReasons = sortRiskReasons(Array.from(allTrendingRiskReasons));
-
-    // Filter accounts based on search, status, CSMs, and risk level
-    let filteredAccounts = accountsWithTrending;
-    
-    // Search filter (search in account names)
-    if (searchQuery.trim()) {
-      filteredAccounts = filteredAccounts.filter(acc => 
-        acc.name.toLowerCase().includes(searchQuery.trim().toLowerCase())
-      );
-    }
-    
-    // Status filter
-    if (selectedStatus !== 'all') {
-      filteredAccounts = filteredAccounts.filter(acc => acc.status === selectedStatus);
-    }
-    
-    // CSM filter - only apply frontend filtering for current month
-    if (!needsBackendCSMFiltering && selectedCSMs.length > 0) {
-      filteredAccounts = filteredAccounts.filter(acc => selectedCSMs.includes(acc.csm));
-    }
-    
-    // Risk level filter
-    if (selectedRiskLevel !== 'all') {
-      filteredAccounts = filteredAccounts.filter(acc => (acc.riskLevel || acc.risk_level) === selectedRiskLevel);
-    }
-    
-    // Trending risk level filter
-    if (selectedTrendingRiskLevel !== 'all') {
-      filteredAccounts = filteredAccounts.filter(acc => acc.trending_risk_level === selectedTrendingRiskLevel);
-    }
-    
-    // Risk reasons filter
-    if (selectedRiskReasons.length > 0) {
-      filteredAccounts = filteredAccounts.filter(acc => {
-        const accountRiskReasons = getRiskReasons(acc, false);
-        return selectedRiskReasons.some(reason => accountRiskReasons.includes(reason));
-      });
-    }
-    
-    // Trending risk reasons filter
-    if (selectedTrendingRiskReasons.length > 0) {
-      filteredAccounts = filteredAccounts.filter(acc => {
-        const accountTrendingRiskReasons = getRiskReasons(acc, true);
-        return selectedTrendingRiskReasons.some(reason => accountTrendingRiskReasons.includes(reason));
-      });
-    }
-
-    // Calculate summary statistics for filtered data
-    const summaryStats = filteredAccounts.reduce((acc, account) => {
-      acc.totalAccounts += 1;
-      acc.totalSpend += parseFloat(account.total_spend) || 0;
-      acc.totalRedemptions += parseInt(account.coupons_redeemed) || 0;
-      acc.totalTexts += parseInt(account.total_texts_delivered) || 0;
-      acc.totalSubscribers += parseInt(account.active_subs_cnt) || 0;
-      
-      // Count risk levels (current month)
-      const riskLevel = account.riskLevel || account.risk_level || 'low';
-      if (riskLevel === 'high') acc.highRiskCount += 1;
-      else if (riskLevel === 'medium') acc.medRiskCount += 1;
-      else acc.lowRiskCount += 1;
-
-      // Count trending risk levels
-      const trendingRiskLevel = account.trending_risk_level || 'low';
-      if (trendingRiskLevel === 'high') acc.trendingHighRiskCount += 1;
-      else if (trendingRiskLevel === 'medium') acc.trendingMedRiskCount += 1;
-      else acc.trendingLowRiskCount += 1;
-
-      return acc;
-    }, {
-      totalAccounts: 0,
-      highRiskCount: 0,
-      medRiskCount: 0,
-      lowRiskCount: 0,
-      trendingHighRiskCount: 0,
-      trendingMedRiskCount: 0,
-      trendingLowRiskCount: 0,
-      totalSpend: 0,
-      totalRedemptions: 0,
-      totalTexts: 0,
-      totalSubscribers: 0,
-      highRiskDelta: 0,
-      medRiskDelta: 0,
-      lowRiskDelta: 0
-    });
-
-
-
-    // Sort accounts
-    const sortedAccounts = [...filteredAccounts].sort((a, b) => {
-      let aValue: any, bValue: any;
-      
-      // Handle delta fields - they're now properly added to account objects
-      if (sortField === 'spend_delta' || sortField === 'texts_delta' || 
-          sortField === 'coupons_delta' || sortField === 'subs_delta') {
-        aValue = a[sortField];
-        bValue = b[sortField];
-      } else if (sortField === 'risk_level') {
-        // Handle the risk_level field specifically since it might be stored as either 'riskLevel' or 'risk_level'
-        aValue = a.riskLevel || a.risk_level;
-        bValue = b.riskLevel || b.risk_level;
-        
-        // Special handling for risk_level sorting by priority
-        const riskPriority = { 'high': 3, 'medium': 2, 'low': 1 };
-        const aRisk = String(aValue || '').toLowerCase();
-        const bRisk = String(bValue || '').toLowerCase();
-        const aPriority = riskPriority[aRisk] || 0;
-        const bPriority = riskPriority[bRisk] || 0;
-        
-        return sortDirection === 'asc' ? aPriority - bPriority : bPriority - aPriority;
-      } else {
-        aValue = a[sortField];
-        bValue = b[sortField];
-      }
-      
-      // Handle null/undefined values - for delta fields, treat as 0
-      if (sortField.endsWith('_delta')) {
-        aValue = aValue ?? 0;
-        bValue = bValue ?? 0;
-      } else {
-        if (aValue == null) aValue = '';
-        if (bValue == null) bValue = '';
-      }
-      
-      // Handle numeric fields (including delta fields)
-      if (typeof aValue === 'number' && typeof bValue === 'number') {
-        return sortDirection === 'asc' ? aValue - bValue : bValue - aValue;
-      }
-      
-      // Handle string fields
-      if (typeof aValue === 'string' && typeof bValue === 'string') {
-        return sortDirection === 'asc' 
-          ? aValue.localeCompare(bValue)
-          : bValue.localeCompare(aValue);
-      }
-      
-      // Fallback to numeric comparison
-      const aNum = Number(aValue) || 0;
-      const bNum = Number(bValue) || 0;
-      
-      return sortDirection === 'asc' ? aNum - bNum : bNum - aNum;
-    });
-
-    // Paginate
-    const startIndex = (currentPage - 1) * accountsPerPage;
-    const paginatedAccounts = sortedAccounts.slice(startIndex, startIndex + accountsPerPage);
-    const totalPages = Math.ceil(sortedAccounts.length / accountsPerPage);
-
-    return { sortedAccounts, paginatedAccounts, totalPages, summaryStats, uniqueCSMs, uniqueRiskLevels, uniqueStatuses, uniqueTrendingRiskLevels, uniqueRiskReasons, uniqueTrendingRiskReasons };
-  }, [accounts, selectedCSMs, selectedRiskLevel, searchQuery, selectedStatus, selectedTrendingRiskLevel, selectedRiskReasons, selectedTrendingRiskReasons, sortField, sortDirection, currentPage, timePeriod]);
-
   const formatCurrency = (value: number) => {
     return new Intl.NumberFormat('en-US', { 
       style: 'currency', 
@@ -511,6 +369,13 @@ export default function AccountMetricsTableMonthly() {
       maximumFractionDigits: 0 
     }).format(value);
 
+  const getChurnColor = (probability?: number | null) => {
+    if (probability == null) return 'text-gray-400';
+    if (probability >= 50) return 'text-red-600 font-semibold';
+    if (probability >= 20) return 'text-amber-600';
+    return 'text-gray-700';
+  };
+
   const getRiskBadgeColor = (riskLevel: string) => {
     switch (riskLevel) {
       case 'high': return 'bg-red-100 text-red-800';
@@ -541,14 +406,20 @@ export default function AccountMetricsTableMonthly() {
             <p className="text-sm text-gray-600">Key performance indicators for all restaurant accounts</p>
           </div>
           <div className="text-sm text-muted-foreground">
-            {accounts && accounts.length > 0 && (
-              <span>Showing {Math.min(currentPage * accountsPerPage, accounts.length)} of {accounts.length} companies</span>
+            {pagination.total > 0 && (
+              <span>Showing {accounts.length} of {pagination.total} companies</span>
             )}
           </div>
         </div>
       </div>
         {/* Time Period Selector and Filters */}
         <div className="mb-4 space-y-4">
+          <SavedViewsBar
+            table="account-metrics-monthly"
+            queryString={monthlyFiltersQueryString(filters)}
+            onApply={applyFilterQuery}
+          />
+
           <div className="flex justify-between items-center">
             <div className="flex items-center gap-3">
               <label className="text-sm font-medium text-gray-700">Time Period:</label>
@@ -577,8 +448,8 @@ export default function AccountMetricsTableMonthly() {
               <Input
                 type="text"
                 placeholder="Search account names..."
-                value={searchQuery}
-                onChange={(e) => { setSearchQuery(e.target.value); setCurrentPage(1); }}
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
                 className="w-48"
               />
             </div>
@@ -591,9 +462,9 @@ export default function AccountMetricsTableMonthly() {
                 value={selectedCSMs}
                 onChange={(value) => { setSelectedCSMs(value); setCurrentPage(1); }}
                 placeholder="All CSMs"
-                showApplyButton={needsBackendCSMFiltering}
-                keepOpenAfterChange={needsBackendCSMFiltering}
-                onApply={needsBackendCSMFiltering ? (value) => { setSelectedCSMs(value); setCurrentPage(1); } : undefined}
+                showApplyButton
+                keepOpenAfterChange
+                onApply={(value) => { setSelectedCSMs(value); setCurrentPage(1); }}
               />
             </div>
 
@@ -613,6 +484,37 @@ export default function AccountMetricsTableMonthly() {
               </Select>
             </div>
 
+            {/* HubSpot-imported filters (server-side) */}
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">Lifecycle:</label>
+              <Select value={selectedLifecycleStage} onValueChange={(value) => { setSelectedLifecycleStage(value); setCurrentPage(1); }}>
+                <SelectTrigger className="w-40">
+                  <SelectValue placeholder="All Stages" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Stages</SelectItem>
+                  {Object.entries(LIFECYCLE_STAGE_LABELS).map(([stage, label]) => (
+                    <SelectItem key={stage} value={stage}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">Renewal:</label>
+              <Select value={selectedRenewalWindow} onValueChange={(value) => { setSelectedRenewalWindow(value); setCurrentPage(1); }}>
+                <SelectTrigger className="w-36">
+                  <SelectValue placeholder="Any Time" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Any Time</SelectItem>
+                  {RENEWAL_WINDOWS.map((days) => (
+                    <SelectItem key={days} value={String(days)}>Next {days} days</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
             {/* Current month only filters */}
             {timePeriod === 'current_month' && (
               <>
@@ -669,9 +571,7 @@ export default function AccountMetricsTableMonthly() {
             )}
 
             <div className="text-sm text-gray-600 ml-auto">
-              {accounts && (
-                <span>Showing {paginatedAccounts.length} of {sortedAccounts.length} accounts ({accounts.length} total)</span>
-              )}
+              <span>Showing {accounts.length} of {pagination.total} accounts</span>
             </div>
           </div>
         </div>
@@ -687,7 +587,7 @@ export default function AccountMetricsTableMonthly() {
             <div className={`${timePeriod === 'current_month' && !comparisonMetrics ? 'flex items-center min-h-[40px] w-full' : 'space-y-2'}`}>
               <div className={`flex justify-between items-center ${timePeriod === 'current_month' && !comparisonMetrics ? 'w-full' : ''}`}>
                 <span className="text-xs text-gray-600">{timePeriod === 'current_month' ? 'Current Month' : 'Current Period'}</span>
-                <span className="text-sm font-bold text-purple-600">{formatCurrencyWhole(timePeriod === 'current_month' ? summaryStats.totalSpend : baselineMetrics.total_spend)}</span>
+                <span className="text-sm font-bold text-purple-600">{formatCurrencyWhole(baselineMetrics.total_spend)}</span>
               </div>
               {comparisonMetrics && (
                 <>
@@ -712,7 +612,7 @@ export default function AccountMetricsTableMonthly() {
             <div className={`${timePeriod === 'current_month' && !comparisonMetrics ? 'flex items-center min-h-[40px] w-full' : 'space-y-2'}`}>
               <div className={`flex justify-between items-center ${timePeriod === 'current_month' && !comparisonMetrics ? 'w-full' : ''}`}>
                 <span className="text-xs text-gray-600">{timePeriod === 'current_month' ? 'Current Month' : 'Current Period'}</span>
-                <span className="text-sm font-bold text-orange-600">{(timePeriod === 'current_month' ? summaryStats.totalTexts : baselineMetrics.total_texts).toLocaleString()}</span>
+                <span className="text-sm font-bold text-orange-600">{baselineMetrics.total_texts.toLocaleString()}</span>
               </div>
               {comparisonMetrics && (
                 <>
@@ -737,7 +637,7 @@ export default function AccountMetricsTableMonthly() {
             <div className={`${timePeriod === 'current_month' && !comparisonMetrics ? 'flex items-center min-h-[40px] w-full' : 'space-y-2'}`}>
               <div className={`flex justify-between items-center ${timePeriod === 'current_month' && !comparisonMetrics ? 'w-full' : ''}`}>
                 <span className="text-xs text-gray-600">{timePeriod === 'current_month' ? 'Current Month' : 'Current Period'}</span>
-                <span className="text-sm font-bold text-green-600">{(timePeriod === 'current_month' ? summaryStats.totalRedemptions : baselineMetrics.total_redemptions).toLocaleString()}</span>
+                <span className="text-sm font-bold text-green-600">{baselineMetrics.total_redemptions.toLocaleString()}</span>
               </div>
               {comparisonMetrics && (
                 <>
@@ -762,7 +662,7 @@ export default function AccountMetricsTableMonthly() {
             <div className={`${timePeriod === 'current_month' && !comparisonMetrics ? 'flex items-center min-h-[40px] w-full' : 'space-y-2'}`}>
               <div className={`flex justify-between items-center ${timePeriod === 'current_month' && !comparisonMetrics ? 'w-full' : ''}`}>
                 <span className="text-xs text-gray-600">{timePeriod === 'current_month' ? 'Current Month' : 'Current Period'}</span>
-                <span className="text-sm font-bold text-blue-600">{(timePeriod === 'current_month' ? summaryStats.totalSubscribers : baselineMetrics.total_subscribers).toLocaleString()}</span>
+                <span className="text-sm font-bold text-blue-600">{baselineMetrics.total_subscribers.toLocaleString()}</span>
               </div>
               {comparisonMetrics && (
                 <>
@@ -833,7 +733,7 @@ export default function AccountMetricsTableMonthly() {
         </div>
 
         <div className="overflow-x-auto">
-          <div className="max-h-[600px] overflow-y-auto border rounded-lg">
+          <div className={`max-h-[600px] overflow-y-auto border rounded-lg ${isFetching ? 'opacity-60' : ''}`}>
             <table className="w-full border-collapse">
               <thead className="sticky top-0 bg-gray-50 z-10">
                 <tr className="border-b">
@@ -1051,12 +951,27 @@ export default function AccountMetricsTableMonthly() {
                       <th className="p-3 font-medium text-left">
                         Trending Risk Reason
                       </th>
+                      <th className="p-3 font-medium cursor-pointer hover:bg-gray-100 transition-colors text-right" onClick={() => handleSort('churn_probability')} title="Churn model: chance of archiving within 3 months, scored on last month's totals">
+                        <div className="flex items-center justify-end gap-1">
+                          Churn %
+                          <div className="flex flex-col">
+                            <ChevronUp 
+                              size={12} 
+                              className={`${sortField === 'churn_probability' && sortDirection === 'asc' ? 'text-blue-600' : 'text-gray-400'}`} 
+                            />
+                            <ChevronDown 
+                              size={12} 
+                              className={`${sortField === 'churn_probability' && sortDirection === 'desc' ? 'text-blue-600' : 'text-gray-400'} -mt-1`} 
+                            />
+                          </div>
+                        </div>
+                      </th>
                     </>
                   )}
                 </tr>
               </thead>
               <tbody>
-                {paginatedAccounts.map((account, index) => (
+                {accounts.map((account, index) => (
                   <tr 
                     key={`${account.account_id}-${index}`} 
                     className={`border-b hover:bg-blue-50 cursor-pointer transition-colors ${index % 2 === 0 ? 'bg-white' : 'bg-gray-25'}`}
@@ -1065,7 +980,10 @@ export default function AccountMetricsTableMonthly() {
                     <td className="p-3">
                       <div>
                         <div className="font-medium text-sm">{account.name}</div>
-                        <div className="text-xs text-gray-500">{account.account_id}</div>
+                        <div className="text-xs text-gray-500">
+                          {account.account_id}
+                          <RenewalHint date={account.renewal_date} />
+                        </div>
                       </div>
                     </td>
                     <td className="p-3 text-sm">{account.csm || 'Unassigned'}</td>
@@ -1127,9 +1045,9 @@ export default function AccountMetricsTableMonthly() {
                     {timePeriod === 'current_month' && (
                       <>
                         <td className="p-3">
-                          {(account.riskLevel || account.risk_level) && (
-                            <Badge variant={getRiskBadge(account.riskLevel || account.risk_level)} className="text-xs">
-                              {(account.riskLevel || account.risk_level).toUpperCase()}
+                          {account.risk_level && (
+                            <Badge variant={getRiskBadge(account.risk_level)} className="text-xs">
+                              {account.risk_level.toUpperCase()}
                             </Badge>
                           )}
                         </td>
@@ -1146,6 +1064,9 @@ export default function AccountMetricsTableMonthly() {
                         <td className="p-3 text-xs text-gray-600 max-w-48">
                           {getRiskReasons(account, true).join(', ')}
                         </td>
+                        <td className={`p-3 text-right font-mono text-sm ${getChurnColor(account.churn_probability)}`}>
+                          {account.churn_probability == null ? '—' : `${account.churn_probability}%`}
+                        </td>
                       </>
                     )}
                   </tr>
@@ -1157,7 +1078,7 @@ export default function AccountMetricsTableMonthly() {
 
         <div className="mt-4 flex justify-between items-center">
           <div className="text-sm text-gray-600">
-            Showing {paginatedAccounts.length} of {sortedAccounts.length} accounts (Page {currentPage} of {totalPages})
+            Showing {accounts.length} of {pagination.total} accounts (Page {currentPage} of {Math.max(pagination.total_pages, 1)})
             {sortField && (
               <span className="ml-2 text-blue-600">
                 • Sorted by {sortField.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())} ({sortDirection === 'asc' ? 'ascending' : 'descending'})
@@ -1177,8 +1098,8 @@ export default function AccountMetricsTableMonthly() {
               {currentPage}
             </span>
             <button 
-              onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
-              disabled={currentPage === totalPages}
+              onClick={() => setCurrentPage(Math.min(pagination.total_pages, currentPage + 1))}
+              disabled={currentPage >= pagination.total_pages}
               className="px-3 py-1 text-sm border rounded disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
             >
               Next
@@ -1,15 +1,33 @@
-import { useState } from "react";
+import { useSearchParams } from "wouter";
 import AccountMetricsTable from "./account-metrics-table";
 import AccountMetricsTableMonthly from "./account-metrics-table-monthly";
 import { Claude12MonthChart } from "./claude-12month-chart";
 
 import MonthlyTrendsChart from "./monthly-trends-chart";
+import SummaryCards from "./summary-cards";
+import RevenueAtRiskChart from "./revenue-at-risk-chart";
 
 export default function DashboardTabs() {
-  const [activeTab, setActiveTab] = useState("weekly");
+  // In the URL (?tab=monthly) so shared links to the monthly table's filters open that tab
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = searchParams.get("tab") === "monthly" ? "monthly" : "weekly";
+  const setActiveTab = (tab: string) => {
+    setSearchParams((params) => {
+      const next = new URLSearchParams(params);
+      if (tab === "weekly") next.delete("tab");
+      else next.set("tab", tab);
+      return next;
+    }, { replace: true });
+  };
 
   return (
     <div className="w-full">
+      {/* Revenue at risk */}
+      <SummaryCards />
+      <div className="mb-6">
+        <RevenueAtRiskChart />
+      </div>
+
       {/* Claude 12-month test Chart */}
       <div className="mb-6">
         <Claude12MonthChart />
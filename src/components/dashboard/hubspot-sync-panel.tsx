@@ -0,0 +1,253 @@
+import { useEffect, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useAuth } from "@/hooks/use-auth";
+import { RefreshCw, Loader2, CheckCircle2, XCircle } from "lucide-react";
+
+interface HubSpotSyncJob {
+  job_id: number;
+  status: 'running' | 'completed' | 'failed';
+  process_date: string;
+  total_accounts: number;
+  processed_accounts: number;
+  successful_syncs: number;
+  failed_syncs: number;
+  skipped_unchanged: number;
+  high_risk_synced: number;
+  medium_risk_synced: number;
+  low_risk_synced: number;
+  error_message: string | null;
+  started_at: string;
+  completed_at: string | null;
+  failures: { account_id: string; account_name: string | null; hubspot_id: string; error_message: string | null }[];
+}
+
+interface HubSpotSyncRunsResponse {
+  data: { runs: (Omit<HubSpotSyncJob, 'job_id' | 'failures'> & { id: number })[] };
+}
+
+interface SchedulesResponse {
+  data: {
+    timezone: string;
+    tasks: { name: string; cron: string; paused: boolean; next_run_at: string | null }[];
+  };
+}
+
+const RUNS_URL = '/api/hubspot/runs?limit=1';
+const JOB_POLL_MS = 2000;
+
+// Strips the "409: " status prefix apiRequest puts on error messages
+const parseError = (error: unknown): { message: string; data?: { job_id?: number } } => {
+  const message = error instanceof Error ? error.message : String(error);
+  try {
+    return JSON.parse(message.replace(/^\d{3}: /, ''));
+  } catch {
+    return { message };
+  }
+};
+
+// Follows a sync job over server-sent events, falling back to polling if the stream drops
+function useSyncJob(jobId: number | null) {
+  const [job, setJob] = useState<HubSpotSyncJob | null>(null);
+
+  useEffect(() => {
+    if (!jobId) return;
+    setJob(null);
+
+    let pollTimer: ReturnType<typeof setTimeout> | undefined;
+    let stopped = false;
+
+    const finish = (finished: HubSpotSyncJob) => {
+      setJob(finished);
+      queryClient.invalidateQueries({ queryKey: [RUNS_URL] });
+    };
+
+    const poll = async () => {
+      try {
+        const response = await apiRequest('GET', `/api/hubspot/sync-jobs/${jobId}`);
+        const { data } = await response.json() as { data: HubSpotSyncJob };
+        if (stopped) return;
+        if (data.status !== 'running') return finish(data);
+        setJob(data);
+      } catch (error) {
+        console.error('Failed to poll HubSpot sync job:', error);
+      }
+      if (!stopped) pollTimer = setTimeout(poll, JOB_POLL_MS);
+    };
+
+    const source = new EventSource(`/api/hubspot/sync-jobs/${jobId}/events`, { withCredentials: true });
+    source.addEventListener('progress', (event) => setJob(JSON.parse((event as MessageEvent).data)));
+    source.addEventListener('complete', (event) => {
+      source.close();
+      finish(JSON.parse((event as MessageEvent).data));
+    });
+    source.onerror = () => {
+      source.close();
+      if (!stopped && !pollTimer) poll();
+    };
+
+    return () => {
+      stopped = true;
+      source.close();
+      clearTimeout(pollTimer);
+    };
+  }, [jobId]);
+
+  return job;
+}
+
+export default function HubSpotSyncPanel() {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [jobId, setJobId] = useState<number | null>(null);
+  const [startError, setStartError] = useState('');
+  const [starting, setStarting] = useState(false);
+  const job = useSyncJob(jobId);
+
+  const { data: runsData } = useQuery<HubSpotSyncRunsResponse>({
+    queryKey: [RUNS_URL],
+    enabled: isAdmin,
+  });
+  const lastRun = runsData?.data.runs[0];
+
+  const { data: schedulesData } = useQuery<SchedulesResponse>({
+    queryKey: ['/api/admin/schedules'],
+    enabled: isAdmin,
+  });
+  const schedule = schedulesData?.data.tasks.find(task => task.name === 'hubspot-sync');
+  const scheduleText = !schedule
+    ? 'Daily'
+    : schedule.paused
+      ? 'Paused'
+      : schedule.next_run_at
+        ? `Next run ${new Date(schedule.next_run_at).toLocaleString()}`
+        : `"${schedule.cron}" (${schedulesData?.data.timezone}), not scheduled on this server`;
+
+  // Pick up a sync that was already running when the page loaded
+  useEffect(() => {
+    if (!jobId && lastRun?.status === 'running') setJobId(lastRun.id);
+  }, [jobId, lastRun]);
+
+  const startSync = async () => {
+    setStarting(true);
+    setStartError('');
+    try {
+      const response = await apiRequest('POST', '/api/hubspot/sync-jobs', {});
+      const { data } = await response.json() as { data: { job_id: number } };
+      setJobId(data.job_id);
+    } catch (error) {
+      const parsed = parseError(error);
+      if (parsed.data?.job_id) {
+        setJobId(parsed.data.job_id);
+      } else {
+        setStartError(parsed.message);
+      }
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const running = starting || job?.status === 'running' || (!!jobId && !job);
+  const percent = job && job.total_accounts > 0 ? Math.round((job.processed_accounts / job.total_accounts) * 100) : 0;
+
+  return (
+    <div className="mt-4 pt-3 border-t border-blue-200 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm font-medium text-blue-800 mb-1">Sync Schedule</p>
+          <p className="text-xs text-blue-600">
+            {scheduleText}
+            {lastRun && ` • Last sync: ${new Date(lastRun.started_at).toLocaleString()} (${lastRun.status})`}
+          </p>
+        </div>
+        {isAdmin && (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={startSync}
+            disabled={running}
+            className="text-blue-700 border-blue-300 hover:bg-blue-50"
+          >
+            {running ? (
+              <>
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Syncing...
+              </>
+            ) : (
+              <>
+                <RefreshCw className="h-4 w-4 mr-2" />
+                Sync Now
+              </>
+            )}
+          </Button>
+        )}
+      </div>
+
+      {startError && (
+        <Alert variant="destructive">
+          <AlertDescription>{startError}</AlertDescription>
+        </Alert>
+      )}
+
+      {job && (
+        <div className="bg-white/70 rounded-lg p-3 border border-blue-200 space-y-3">
+          <div className="flex items-center justify-between text-sm">
+            <span className="flex items-center gap-2 font-medium text-blue-900">
+              {job.status === 'running' && <Loader2 className="h-4 w-4 animate-spin" />}
+              {job.status === 'completed' && <CheckCircle2 className="h-4 w-4 text-green-600" />}
+              {job.status === 'failed' && <XCircle className="h-4 w-4 text-red-600" />}
+              Sync #{job.job_id} for {job.process_date}
+            </span>
+            <span className="text-xs text-blue-700">
+              {job.processed_accounts} / {job.total_accounts} accounts
+            </span>
+          </div>
+
+          <Progress value={job.status === 'completed' ? 100 : percent} className="h-2" />
+
+          <div className="grid grid-cols-3 gap-2 text-center text-xs">
+            <div className="rounded border border-green-200 bg-green-50 p-2">
+              <div className="text-lg font-semibold text-green-700">{job.successful_syncs}</div>
+              Synced
+            </div>
+            <div className="rounded border border-gray-200 bg-gray-50 p-2">
+              <div className="text-lg font-semibold text-gray-700">{job.skipped_unchanged}</div>
+              Unchanged
+            </div>
+            <div className="rounded border border-red-200 bg-red-50 p-2">
+              <div className="text-lg font-semibold text-red-700">{job.failed_syncs}</div>
+              Failed
+            </div>
+          </div>
+
+          {job.status !== 'running' && (
+            <div className="text-xs text-blue-800">
+              <span className="font-medium">Synced by current risk level:</span>{' '}
+              <span className="text-red-700">High {job.high_risk_synced}</span> •{' '}
+              <span className="text-orange-700">Medium {job.medium_risk_synced}</span> •{' '}
+              <span className="text-green-700">Low {job.low_risk_synced}</span>
+            </div>
+          )}
+
+          {job.error_message && (
+            <p className="text-xs text-red-700">{job.error_message}</p>
+          )}
+
+          {job.failures.length > 0 && (
+            <ul className="text-xs text-red-700 space-y-1">
+              {job.failures.slice(0, 5).map(failure => (
+                <li key={failure.account_id}>
+                  {failure.account_name || failure.account_id} ({failure.hubspot_id}): {failure.error_message}
+                </li>
+              ))}
+              {job.failed_syncs > 5 && <li>…and {job.failed_syncs - 5} more</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { useDashboardAnalytics } from "@/hooks/use-risk-data";
+
+type Breakdown = 'csm' | 'status';
+
+const colors = {
+  high: '#dc2626', // Red
+  medium: '#f59e0b', // Orange
+  low: '#10b981' // Green
+};
+
+const formatCurrency = (value: number) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(value);
+
+const formatYAxisTick = (value: number) => {
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(0)}K`;
+  return `$${value}`;
+};
+
+// Tooltip with the group's at-risk total, trailing spend and account count
+const CustomTooltip = ({ active, payload, label }: any) => {
+  if (active && payload && payload.length) {
+    const group = payload[0]?.payload;
+
+    return (
+      <div className="bg-white border border-gray-300 rounded-md p-3 shadow-lg">
+        <p className="text-gray-900 font-bold mb-2">{label}</p>
+        {payload.map((entry: any, index: number) => (
+          <p key={index} style={{ color: entry.color }} className="text-sm">
+            {entry.name}: {formatCurrency(entry.value)}
+          </p>
+        ))}
+        <hr className="my-2 border-gray-200" />
+        <p className="text-gray-900 font-semibold text-sm">At risk: {formatCurrency(group?.revenueAtRisk || 0)}</p>
+        <p className="text-gray-600 text-sm">
+          of {formatCurrency(group?.revenue || 0)} across {group?.accounts || 0} accounts
+        </p>
+      </div>
+    );
+  }
+  return null;
+};
+
+export default function RevenueAtRiskChart() {
+  const [breakdown, setBreakdown] = useState<Breakdown>('csm');
+  const { data: analytics, isLoading, error } = useDashboardAnalytics();
+
+  const title = "Revenue at Risk";
+
+  if (isLoading) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>{title}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (error || !analytics) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>{title}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="text-center py-12">
+            <p className="text-red-500">Error loading revenue at risk</p>
+            <p className="text-sm text-gray-500 mt-2">Please try again later</p>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const groups = breakdown === 'csm' ? analytics.byCsm : analytics.byStatus;
+  const weightLabel = (level: 'high' | 'medium' | 'low') => `${Math.round(analytics.weights[level] * 100)}%`;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <div>
+            <CardTitle>{title}</CardTitle>
+            <p className="text-sm text-gray-600">
+              Spend {analytics.period.revenueStart} to {analytics.period.revenueEnd} weighted by {analytics.period.month} risk level
+              {' '}(high {weightLabel('high')}, medium {weightLabel('medium')}, low {weightLabel('low')})
+            </p>
+          </div>
+          <Select value={breakdown} onValueChange={(value) => setBreakdown(value as Breakdown)}>
+            <SelectTrigger className="w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="csm">By CSM Owner</SelectItem>
+              <SelectItem value="status">By Status</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {groups.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-500">No accounts with a risk level this month</p>
+          </div>
+        ) : (
+          <div className="h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart
+                data={groups}
+                margin={{
+                  top: 20,
+                  right: 30,
+                  left: 20,
+                  bottom: 5,
+                }}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="key"
+                  tick={{ fontSize: 12 }}
+                  angle={-45}
+                  textAnchor="end"
+                  height={80}
+                  interval={0}
+                />
+                <YAxis
+                  tick={{ fontSize: 12 }}
+                  tickFormatter={formatYAxisTick}
+                />
+                <Tooltip content={<CustomTooltip />} />
+                <Legend />
+                <Bar dataKey="high" stackId="a" fill={colors.high} name="High Risk" />
+                <Bar dataKey="medium" stackId="a" fill={colors.medium} name="Medium Risk" />
+                <Bar dataKey="low" stackId="a" fill={colors.low} name="Low Risk" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,77 @@
+import { Badge } from '@/components/ui/badge';
+import { ArrowRight, Minus, Plus } from 'lucide-react';
+import { useRiskLevelHistory } from '@/hooks/use-accounts';
+import { RiskLevel } from '@/types/api';
+
+const RISK_DOT_COLORS: Record<RiskLevel, string> = {
+  high: 'bg-red-600',
+  medium: 'bg-orange-500',
+  low: 'bg-green-600',
+};
+
+const RISK_BADGE_COLORS: Record<RiskLevel, string> = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-green-100 text-green-800',
+};
+
+// Day-by-day trending risk transitions recorded by the monthly rollup
+export default function RiskLevelTimeline({ accountId }: { accountId: string }) {
+  const { data, isLoading } = useRiskLevelHistory(accountId);
+  const transitions = data?.transitions || [];
+
+  if (isLoading) {
+    return <p className="text-gray-500">Loading risk changes...</p>;
+  }
+
+  if (transitions.length === 0) {
+    return <p className="text-gray-500">No trending risk changes recorded yet</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-5">
+      {transitions.map((transition) => {
+        const isCarryOver = !transition.level_changed
+          && transition.added_reasons.length === 0
+          && transition.cleared_reasons.length === 0;
+
+        return (
+          <li key={transition.id} className="ml-4">
+            <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ${RISK_DOT_COLORS[transition.risk_level] || 'bg-gray-400'}`} />
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-gray-500">{new Date(transition.recorded_at).toLocaleDateString()}</span>
+              {transition.previous_risk_level && transition.level_changed && (
+                <>
+                  <Badge className={RISK_BADGE_COLORS[transition.previous_risk_level]}>{transition.previous_risk_level}</Badge>
+                  <ArrowRight className="h-3 w-3 text-gray-400" />
+                </>
+              )}
+              <Badge className={RISK_BADGE_COLORS[transition.risk_level]}>{transition.risk_level}</Badge>
+              {isCarryOver && (
+                <span className="text-xs text-gray-500">
+                  {transition.previous_risk_level ? `carried into ${transition.month}` : 'first evaluation'}
+                </span>
+              )}
+            </div>
+            {(transition.added_reasons.length > 0 || transition.cleared_reasons.length > 0) && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {transition.added_reasons.map((reason) => (
+                  <span key={`added-${reason}`} className="inline-flex items-center text-xs text-red-700">
+                    <Plus className="h-3 w-3 mr-0.5" />
+                    {reason}
+                  </span>
+                ))}
+                {transition.cleared_reasons.map((reason) => (
+                  <span key={`cleared-${reason}`} className="inline-flex items-center text-xs text-green-700">
+                    <Minus className="h-3 w-3 mr-0.5" />
+                    {reason}
+                  </span>
+                ))}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -2,39 +2,17 @@ import { useState } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
-import { AlertTriangle, TrendingDown, Users, DollarSign, Target, ChevronDown, ChevronUp, RefreshCw, Loader2 } from "lucide-react";
+import { AlertTriangle, TrendingDown, Users, DollarSign, Target, ChevronDown, ChevronUp } from "lucide-react";
+import HubSpotSyncPanel from "./hubspot-sync-panel";
 
 export default function RiskScoringLegend() {
   const [isOpen, setIsOpen] = useState(false);
   const [isHubSpotOpen, setIsHubSpotOpen] = useState(false);
-  const [hubSpotLoading, setHubSpotLoading] = useState(false);
 
   const handleToggle = () => {
     setIsOpen(!isOpen);
   };
 
-  const handleHubSpotSync = async () => {
-    setHubSpotLoading(true);
-    try {
-      const response = await fetch('/api/hubspot/bulk-sync', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
-        },
-        body: JSON.stringify({})
-      });
-      
-      if (response.ok) {
-        const result = await response.json();
-      }
-    } catch (error) {
-      console.error('HubSpot sync failed:', error);
-    } finally {
-      setHubSpotLoading(false);
-    }
-  };
-
   return (
     <div className="mt-8 space-y-6">
       {/* Main Title with Toggle */}
@@ -327,33 +305,7 @@ export default function RiskScoringLegend() {
                         <div className="text-xs text-blue-700">Date when ChurnGuard data was last synced</div>
                       </div>
                     </div>
-                    <div className="mt-4 pt-3 border-t border-blue-200">
-                      <div className="flex items-center justify-between">
-                        <div>
-                          <p className="text-sm font-medium text-blue-800 mb-1">Sync Schedule</p>
-                          <p className="text-xs text-blue-600">Daily at 2:10 AM • Last sync: Today</p>
-                        </div>
-                        <Button
-                          variant="outline"
-                          size="sm"
-                          onClick={handleHubSpotSync}
-                          disabled={hubSpotLoading}
-                          className="text-blue-700 border-blue-300 hover:bg-blue-50"
-                        >
-                          {hubSpotLoading ? (
-                            <>
-                              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                              Syncing...
-                            </>
-                          ) : (
-                            <>
-                              <RefreshCw className="h-4 w-4 mr-2" />
-                              Sync Now
-                            </>
-                          )}
-                        </Button>
-                      </div>
-                    </div>
+                    <HubSpotSyncPanel />
                     <p className="text-xs text-blue-600 mt-3 italic">
                       Contact your admin to configure the HubSpot API connection for your organization.
                     </p>
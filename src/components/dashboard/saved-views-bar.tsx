@@ -0,0 +1,247 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Bookmark, ChevronDown, Link2, Pin, PinOff, Save, Share2, Trash2, RefreshCw } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import {
+  useSavedViews,
+  useCreateSavedView,
+  useUpdateSavedView,
+  usePinSavedView,
+  useDeleteSavedView
+} from "@/hooks/use-saved-views";
+import type { SavedView, SavedViewTable } from "@/types/api";
+
+interface SavedViewsBarProps {
+  table: SavedViewTable;
+  // The table's current filters as a query string (no leading "?")
+  queryString: string;
+  onApply: (queryString: string) => void;
+}
+
+// Strips the "409: " status prefix apiRequest puts on error messages
+const errorMessage = (error: unknown) => {
+  const message = error instanceof Error ? error.message : String(error);
+  try {
+    const body = JSON.parse(message.replace(/^\d{3}: /, ''));
+    return body.error || body.message || message;
+  } catch {
+    return message;
+  }
+};
+
+export default function SavedViewsBar({ table, queryString, onApply }: SavedViewsBarProps) {
+  const { toast } = useToast();
+  const [isSaveOpen, setIsSaveOpen] = useState(false);
+  const [form, setForm] = useState({ name: '', shared: false, pinned: true });
+  const [formError, setFormError] = useState('');
+
+  const { data } = useSavedViews(table);
+  const createView = useCreateSavedView();
+  const updateView = useUpdateSavedView();
+  const pinView = usePinSavedView();
+  const deleteView = useDeleteSavedView();
+
+  const views = data?.views || [];
+  const pinnedViews = views.filter(view => view.pinned);
+  const activeView = views.find(view => view.query_string === queryString);
+
+  const onError = (title: string) => (err: unknown) =>
+    toast({ title, description: errorMessage(err), variant: 'destructive' });
+
+  const openSave = () => {
+    setFormError('');
+    setForm({ name: '', shared: false, pinned: true });
+    setIsSaveOpen(true);
+  };
+
+  const saveView = () => {
+    createView.mutate(
+      { table_key: table, query_string: queryString, ...form },
+      {
+        onSuccess: (view) => {
+          setIsSaveOpen(false);
+          toast({ title: 'View Saved', description: `"${view.name}" ${view.shared ? 'is shared with your team' : 'saved'}` });
+        },
+        onError: (err) => setFormError(errorMessage(err)),
+      }
+    );
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast({ title: 'Link Copied', description: 'Anyone with access to the dashboard sees these filters.' });
+    } catch {
+      toast({ title: 'Copy Failed', description: window.location.href, variant: 'destructive' });
+    }
+  };
+
+  const renderViewRow = (view: SavedView) => (
+    <div key={view.id} className={`flex items-center gap-1 rounded px-2 py-1 ${view.id === activeView?.id ? 'bg-purple-50' : 'hover:bg-gray-50'}`}>
+      <button type="button" className="flex-1 text-left text-sm" onClick={() => onApply(view.query_string)}>
+        <div className="font-medium text-gray-900">{view.name}</div>
+        <div className="text-xs text-gray-500">
+          {view.is_owner ? (view.shared ? 'Shared by you' : 'Only you') : `Shared by ${view.owner_name || 'a teammate'}`}
+        </div>
+      </button>
+      <Button
+        size="sm"
+        variant="ghost"
+        title={view.pinned ? 'Unpin' : 'Pin'}
+        onClick={() => pinView.mutate({ id: view.id, pinned: !view.pinned }, { onError: onError('Pin Failed') })}
+      >
+        {view.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+      </Button>
+      {view.is_owner && (
+        <>
+          <Button
+            size="sm"
+            variant="ghost"
+            title={view.shared ? 'Stop sharing' : 'Share with the team'}
+            onClick={() => updateView.mutate({ id: view.id, shared: !view.shared }, { onError: onError('Share Failed') })}
+          >
+            <Share2 className={`h-4 w-4 ${view.shared ? 'text-purple-600' : ''}`} />
+          </Button>
+          <Button
+            size="sm"
+            variant="ghost"
+            title="Replace with the current filters"
+            disabled={view.query_string === queryString}
+            onClick={() => updateView.mutate(
+              { id: view.id, query_string: queryString },
+              {
+                onSuccess: () => toast({ title: 'View Updated', description: `"${view.name}" now uses the current filters` }),
+                onError: onError('Update Failed'),
+              }
+            )}
+          >
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+          <Button
+            size="sm"
+            variant="ghost"
+            title="Delete"
+            onClick={() => {
+              if (window.confirm(`Delete the view "${view.name}"?`)) {
+                deleteView.mutate(view, { onError: onError('Delete Failed') });
+              }
+            }}
+          >
+            <Trash2 className="h-4 w-4 text-red-600" />
+          </Button>
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Bookmark className="h-4 w-4 text-gray-500" />
+      <span className="text-sm font-medium text-gray-700">Views:</span>
+
+      {pinnedViews.map(view => (
+        <Button
+          key={view.id}
+          size="sm"
+          variant={view.id === activeView?.id ? 'default' : 'outline'}
+          onClick={() => onApply(view.query_string)}
+        >
+          {view.name}
+        </Button>
+      ))}
+
+      <Popover>
+        <PopoverTrigger asChild>
+          <Button size="sm" variant="ghost">
+            {pinnedViews.length > 0 ? 'All views' : `${views.length} saved`}
+            <ChevronDown className="h-4 w-4 ml-1" />
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent className="w-96 p-2" align="start">
+          {views.length === 0 ? (
+            <div className="p-2 text-sm text-gray-500">No saved views yet. Set some filters and save them as a view.</div>
+          ) : (
+            <div className="space-y-1">
+              {views.map(renderViewRow)}
+            </div>
+          )}
+          <div className="mt-2 border-t pt-2">
+            <Button size="sm" variant="ghost" className="w-full justify-start" onClick={() => onApply('')}>
+              Clear all filters
+            </Button>
+          </div>
+        </PopoverContent>
+      </Popover>
+
+      {activeView && (
+        <Badge variant="outline" className="border-purple-200 text-purple-700">{activeView.name}</Badge>
+      )}
+
+      <div className="ml-auto flex items-center gap-2">
+        <Button size="sm" variant="outline" onClick={copyLink}>
+          <Link2 className="h-4 w-4 mr-1" />
+          Copy link
+        </Button>
+        <Button size="sm" variant="outline" onClick={openSave} disabled={!queryString}>
+          <Save className="h-4 w-4 mr-1" />
+          Save view
+        </Button>
+      </div>
+
+      <Dialog open={isSaveOpen} onOpenChange={setIsSaveOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Save View</DialogTitle>
+            <DialogDescription>Saves the current time period, filters and sort under a name.</DialogDescription>
+          </DialogHeader>
+
+          <form
+            id="saved-view-form"
+            className="space-y-4"
+            onSubmit={(e) => {
+              e.preventDefault();
+              saveView();
+            }}
+          >
+            {formError && (
+              <Alert variant="destructive">
+                <AlertDescription>{formError}</AlertDescription>
+              </Alert>
+            )}
+            <div>
+              <Label htmlFor="saved-view-name">Name</Label>
+              <Input
+                id="saved-view-name"
+                placeholder="My high-risk FROZEN accounts vs 3-mo avg"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div className="flex items-center gap-2">
+              <Switch id="saved-view-pinned" checked={form.pinned} onCheckedChange={(pinned) => setForm({ ...form, pinned })} />
+              <Label htmlFor="saved-view-pinned">Pin above the table</Label>
+            </div>
+            <div className="flex items-center gap-2">
+              <Switch id="saved-view-shared" checked={form.shared} onCheckedChange={(shared) => setForm({ ...form, shared })} />
+              <Label htmlFor="saved-view-shared">Share with the team</Label>
+            </div>
+          </form>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsSaveOpen(false)}>Cancel</Button>
+            <Button type="submit" form="saved-view-form" disabled={createView.isPending || !form.name.trim()}>
+              {createView.isPending ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -7,7 +7,7 @@ export default function SummaryCards() {
 
   if (isLoading) {
     return (
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
         {[...Array(4)].map((_, i) => (
           <Card key={i} className="animate-pulse">
             <CardContent className="p-6">
@@ -23,6 +23,19 @@ export default function SummaryCards() {
     return null;
   }
 
+  const formatCurrency = (value: number) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    notation: value >= 100000 ? 'compact' : 'standard',
+    maximumFractionDigits: value >= 100000 ? 1 : 0
+  }).format(value);
+
+  const levelRevenue = (level: string) => analytics.byRiskLevel.find(entry => entry.riskLevel === level);
+  const high = levelRevenue('high');
+  const medium = levelRevenue('medium');
+  const atRiskShare = analytics.totalRevenue > 0 ? (analytics.revenueAtRisk / analytics.totalRevenue) * 100 : 0;
+  const revenueWindow = `${analytics.period.revenueStart} to ${analytics.period.revenueEnd}`;
+
   const cards = [
     {
       title: "Total Accounts",
@@ -30,45 +43,41 @@ export default function SummaryCards() {
       icon: Users,
       iconBg: "bg-blue-100",
       iconColor: "text-primary",
-      change: "+12%",
-      changeColor: "text-green-600",
+      detail: `${formatCurrency(analytics.totalRevenue)} spend, ${revenueWindow}`,
     },
     {
       title: "High Risk",
-      value: analytics.highRiskCount.toString(),
+      value: analytics.highRiskCount.toLocaleString(),
       icon: AlertTriangle,
       iconBg: "bg-red-100",
       iconColor: "text-red-500",
-      change: "+5%",
-      changeColor: "text-red-600",
+      detail: `${formatCurrency(high?.revenueAtRisk || 0)} at risk (${Math.round((analytics.weights.high || 0) * 100)}% weight)`,
     },
     {
       title: "Medium Risk",
-      value: analytics.mediumRiskCount.toString(),
+      value: analytics.mediumRiskCount.toLocaleString(),
       icon: AlertCircle,
       iconBg: "bg-amber-100",
       iconColor: "text-amber-500",
-      change: "-2%",
-      changeColor: "text-amber-600",
+      detail: `${formatCurrency(medium?.revenueAtRisk || 0)} at risk (${Math.round((analytics.weights.medium || 0) * 100)}% weight)`,
     },
     {
       title: "Revenue at Risk",
-      value: `$${(analytics.revenueAtRisk / 1000).toFixed(0)}K`,
+      value: formatCurrency(analytics.revenueAtRisk),
       icon: DollarSign,
       iconBg: "bg-green-100",
       iconColor: "text-green-500",
-      change: "-8%",
-      changeColor: "text-green-600",
+      detail: `${atRiskShare.toFixed(1)}% of ${analytics.period.trailingMonths}-month spend`,
     },
   ];
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-      {cards.map((card, index) => {
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+      {cards.map((card) => {
         const Icon = card.icon;
-        
+
         return (
-          <Card key={index} className="shadow-sm border border-gray-200">
+          <Card key={card.title} className="shadow-sm border border-gray-200">
             <CardContent className="p-6">
               <div className="flex items-center justify-between">
                 <div>
@@ -79,14 +88,7 @@ export default function SummaryCards() {
                   <Icon className={`${card.iconColor} h-6 w-6`} />
                 </div>
               </div>
-              <div className="flex items-center mt-4">
-                <span className={`text-sm ${card.changeColor} font-medium`}>
-                  {card.change}
-                </span>
-                <span className="text-sm text-gray-500 ml-2">
-                  from last {index === 0 ? 'month' : 'week'}
-                </span>
-              </div>
+              <p className="text-sm text-gray-500 mt-4">{card.detail}</p>
             </CardContent>
           </Card>
         );
@@ -1,17 +1,21 @@
 import { Link, useLocation } from "wouter";
 import { cn } from "@/lib/utils";
-import { BarChart3, Settings, LogOut, Zap } from "lucide-react";
+import { BarChart3, Settings, LogOut, Zap, FlaskConical, Link2, Activity, Target } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { useAuth } from "@/hooks/use-auth";
 
 const navigation = [
   { name: "Dashboard", href: "/", icon: BarChart3 },
+  { name: "Risk Simulator", href: "/risk-simulator", icon: FlaskConical, adminOnly: true },
+  { name: "HubSpot IDs", href: "/hubspot-translations", icon: Link2, adminOnly: true },
+  { name: "Operations", href: "/operations", icon: Activity, adminOnly: true },
+  { name: "Backtest", href: "/backtest", icon: Target },
   { name: "Settings", href: "/settings", icon: Settings },
 ];
 
 export default function Navbar() {
   const [location] = useLocation();
-  const { logout } = useAuth();
+  const { logout, user } = useAuth();
 
   const handleLogout = () => {
     logout();
@@ -32,7 +36,7 @@ export default function Navbar() {
           {/* Navigation Links and Logout - Right Justified */}
           <div className="flex items-center space-x-6">
             <div className="flex items-center space-x-8">
-              {navigation.map((item) => {
+              {navigation.filter((item) => !item.adminOnly || user?.role === 'admin').map((item) => {
                 const Icon = item.icon;
                 const isActive = location === item.href;
                 
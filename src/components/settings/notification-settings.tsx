@@ -0,0 +1,237 @@
+import { useEffect, useState } from 'react';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Bell } from 'lucide-react';
+import { apiRequest, queryClient } from '@/lib/queryClient';
+import { useAuth } from '@/hooks/use-auth';
+import { useToast } from '@/hooks/use-toast';
+
+interface NotificationSubscription {
+  email: string | null;
+  email_enabled: boolean;
+  webhook_url: string | null;
+  webhook_enabled: boolean;
+  notify_level_increase: boolean;
+  notify_status_flags: boolean;
+  scope: 'mine' | 'all';
+}
+
+interface NotificationDelivery {
+  id: number;
+  channel: string;
+  status: 'sent' | 'failed';
+  event_count: number;
+  error_message: string | null;
+  created_at: string;
+}
+
+interface NotificationSettingsResponse {
+  subscription: NotificationSubscription;
+  deliveries: NotificationDelivery[];
+  smtp_configured: boolean;
+}
+
+const SETTINGS_URL = '/api/notifications/settings';
+
+// Strips the "400: " status prefix apiRequest puts on error messages
+const errorMessage = (error: unknown) => {
+  const message = error instanceof Error ? error.message : String(error);
+  try {
+    return JSON.parse(message.replace(/^\d{3}: /, '')).error || message;
+  } catch {
+    return message;
+  }
+};
+
+export function NotificationSettings() {
+  const { user } = useAuth();
+  const { toast } = useToast();
+  const { data, isLoading } = useQuery<NotificationSettingsResponse>({ queryKey: [SETTINGS_URL] });
+  const [form, setForm] = useState<NotificationSubscription | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (data) setForm(data.subscription);
+  }, [data]);
+
+  const save = useMutation({
+    mutationFn: async (subscription: NotificationSubscription) => {
+      const response = await apiRequest('PUT', SETTINGS_URL, subscription);
+      return response.json();
+    },
+    onSuccess: () => {
+      setError('');
+      queryClient.invalidateQueries({ queryKey: [SETTINGS_URL] });
+      toast({ title: 'Notifications Updated', description: 'Your alert preferences have been saved.' });
+    },
+    onError: (err) => setError(errorMessage(err)),
+  });
+
+  const sendTest = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest('POST', '/api/notifications/test');
+      return response.json() as Promise<{ results: Record<string, { ok: boolean; status_code: number | null }> }>;
+    },
+    onSuccess: ({ results }) => {
+      queryClient.invalidateQueries({ queryKey: [SETTINGS_URL] });
+      const failed = Object.entries(results).filter(([, result]) => !result.ok);
+      toast({
+        title: failed.length === 0 ? 'Test Sent' : 'Test Partially Failed',
+        description: Object.entries(results)
+          .map(([channel, result]) => `${channel}: ${result.ok ? 'sent' : `failed${result.status_code ? ` (${result.status_code})` : ''}`}`)
+          .join(' · '),
+        variant: failed.length === 0 ? 'default' : 'destructive',
+      });
+    },
+    onError: (err) => toast({ title: 'Test Failed', description: errorMessage(err), variant: 'destructive' }),
+  });
+
+  const update = <K extends keyof NotificationSubscription>(field: K, value: NotificationSubscription[K]) => {
+    setForm(prev => (prev ? { ...prev, [field]: value } : prev));
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center space-x-2">
+          <Bell className="h-5 w-5 text-purple-600" />
+          <CardTitle>Notification Preferences</CardTitle>
+        </div>
+        <CardDescription>
+          Get a digest after each daily rollup when your accounts escalate in risk (e.g. medium → high)
+          or are newly flagged Recently Archived or Frozen &amp; Inactive.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading || !form ? (
+          <p className="text-gray-600">Loading notification settings...</p>
+        ) : (
+          <form
+            className="space-y-6"
+            onSubmit={(e) => {
+              e.preventDefault();
+              save.mutate(form);
+            }}
+          >
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="notify-level">Risk level increases</Label>
+                <Switch
+                  id="notify-level"
+                  checked={form.notify_level_increase}
+                  onCheckedChange={(checked) => update('notify_level_increase', checked)}
+                />
+              </div>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="notify-status">Recently Archived / Frozen &amp; Inactive flags</Label>
+                <Switch
+                  id="notify-status"
+                  checked={form.notify_status_flags}
+                  onCheckedChange={(checked) => update('notify_status_flags', checked)}
+                />
+              </div>
+              {user?.role === 'admin' && (
+                <div className="flex items-center justify-between">
+                  <Label>Accounts</Label>
+                  <Select value={form.scope} onValueChange={(value) => update('scope', value as 'mine' | 'all')}>
+                    <SelectTrigger className="w-48">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="mine">My accounts</SelectItem>
+                      <SelectItem value="all">All accounts (by CSM)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="notify-email">Email</Label>
+                <Switch
+                  checked={form.email_enabled}
+                  onCheckedChange={(checked) => update('email_enabled', checked)}
+                />
+              </div>
+              <Input
+                id="notify-email"
+                type="email"
+                placeholder="you@example.com"
+                value={form.email || ''}
+                onChange={(e) => update('email', e.target.value)}
+              />
+              {form.email_enabled && data && !data.smtp_configured && (
+                <p className="text-xs text-amber-700">SMTP is not configured on the server yet, so email delivery will fail.</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label htmlFor="notify-webhook">Webhook (Slack-compatible)</Label>
+                <Switch
+                  checked={form.webhook_enabled}
+                  onCheckedChange={(checked) => update('webhook_enabled', checked)}
+                />
+              </div>
+              <Input
+                id="notify-webhook"
+                type="url"
+                placeholder="https://hooks.slack.com/services/..."
+                value={form.webhook_url || ''}
+                onChange={(e) => update('webhook_url', e.target.value)}
+              />
+            </div>
+
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="flex gap-3">
+              <Button type="submit" disabled={save.isPending}>
+                {save.isPending ? 'Saving...' : 'Save Preferences'}
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                disabled={sendTest.isPending || !(data?.subscription.email_enabled || data?.subscription.webhook_enabled)}
+                onClick={() => sendTest.mutate()}
+              >
+                {sendTest.isPending ? 'Sending...' : 'Send Test'}
+              </Button>
+            </div>
+
+            {data && data.deliveries.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-700">Recent deliveries</p>
+                {data.deliveries.map((delivery) => (
+                  <div key={delivery.id} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-600">
+                      {new Date(delivery.created_at).toLocaleString()} · {delivery.channel}
+                      {delivery.event_count > 0 && ` · ${delivery.event_count} escalation${delivery.event_count === 1 ? '' : 's'}`}
+                    </span>
+                    <Badge
+                      className={delivery.status === 'sent' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}
+                      title={delivery.error_message || undefined}
+                    >
+                      {delivery.status}
+                    </Badge>
+                  </div>
+                ))}
+              </div>
+            )}
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
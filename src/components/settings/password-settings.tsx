@@ -48,6 +48,7 @@ export function PasswordSettings() {
         headers: {
           'Content-Type': 'application/json',
         },
+        credentials: 'include',
         body: JSON.stringify({
           currentPassword,
           newPassword,
@@ -0,0 +1,85 @@
+import {
+  listAccountActions,
+  createAccountAction,
+  updateAccountAction,
+  normalizeAccountAction
+} from '../services/account-actions.service.js';
+import { accountExists } from '../services/accounts.service.js';
+import { isAccountInScope } from '../middleware/auth.middleware.js';
+
+const canAccessAccount = async (req, accountId) => {
+  return await isAccountInScope(req, accountId) && await accountExists(accountId);
+};
+
+export const getAccountActions = async (req, res) => {
+  try {
+    const { accountId } = req.params;
+
+    if (!(await canAccessAccount(req, accountId))) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const actions = await listAccountActions(accountId);
+    res.json({ account_id: accountId, actions });
+  } catch (error) {
+    console.error('Error fetching account actions:', error);
+    res.status(500).json({ error: 'Failed to fetch account actions', details: error.message });
+  }
+};
+
+export const postAccountAction = async (req, res) => {
+  const { accountId } = req.params;
+
+  let action;
+  try {
+    action = normalizeAccountAction(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    if (!(await canAccessAccount(req, accountId))) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const created = await createAccountAction(accountId, action, req.user);
+
+    console.log(`📝 ${req.user.username} logged ${action.action_type} for account ${accountId}`);
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating account action:', error);
+    res.status(500).json({ error: 'Failed to create account action', details: error.message });
+  }
+};
+
+export const patchAccountAction = async (req, res) => {
+  const { accountId } = req.params;
+  const actionId = parseInt(req.params.actionId, 10);
+
+  if (!Number.isInteger(actionId)) {
+    return res.status(400).json({ error: 'Action ID must be an integer' });
+  }
+
+  let changes;
+  try {
+    changes = normalizeAccountAction(req.body || {}, { partial: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    if (!(await canAccessAccount(req, accountId))) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const updated = await updateAccountAction(accountId, actionId, changes);
+    if (!updated) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating account action:', error);
+    res.status(500).json({ error: 'Failed to update account action', details: error.message });
+  }
+};
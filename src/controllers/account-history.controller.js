@@ -1,4 +1,5 @@
 import { getAccountHistory, getAccountHistoryMonthly } from '../services/account-history.service.js';
+import { isAccountInScope } from '../middleware/auth.middleware.js';
 
 export const getAccountHistoryMonthlyController = async (req, res) => {
   try {
@@ -10,6 +11,12 @@ export const getAccountHistoryMonthlyController = async (req, res) => {
       });
     }
 
+    if (!(await isAccountInScope(req, accountId))) {
+      return res.status(404).json({
+        error: 'Account not found'
+      });
+    }
+
     const monthlyData = await getAccountHistoryMonthly(accountId);
 
     res.set({
@@ -37,6 +44,12 @@ export const getAccountHistoryController = async (req, res) => {
       });
     }
 
+    if (!(await isAccountInScope(req, accountId))) {
+      return res.status(404).json({
+        error: 'Account not found'
+      });
+    }
+
     const weeklyData = await getAccountHistory(accountId);
 
     res.set({
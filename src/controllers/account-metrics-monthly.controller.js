@@ -1,30 +1,56 @@
 import {
-  getCurrentMonthBaselineData,
-  getMonthlyComparisonData,
-  calculateAccountDeltas,
+  MONTHLY_ACCOUNT_TABLE,
+  isMonthlyComparisonPeriod,
+  getMonthlyAccountTable,
   getRiskLevelCounts
 } from '../services/account-metrics-monthly.service.js';
+import { normalizeAccountTableQuery } from '../services/account-metrics-table.service.js';
+import { getCsmScope } from '../middleware/auth.middleware.js';
 
 export const getAccountMetricsMonthly = async (req, res) => {
+  const {
+    baseline = 'current_month',
+    comparison = null,
+    risk_level = null,
+    status = null,
+    csm_owner = null,
+    lifecycle_stage = null,
+    renewal_within_days = null
+  } = req.query;
+
+  // Paging, sort, search and risk filters (page, page_size, sort, dir, search, historical_risk_level,
+  // trending_risk_level, risk_reason, trending_risk_reason); without page every account comes back
+  let tableQuery;
   try {
-    const {
-      baseline = 'current_month',
-      comparison = null,
-      risk_level = null,
-      status = null,
-      csm_owner = null
-    } = req.query;
+    if (comparison && !isMonthlyComparisonPeriod(comparison)) {
+      throw new Error(`Unsupported comparison period: ${comparison}`);
+    }
+    tableQuery = normalizeAccountTableQuery(req.query, MONTHLY_ACCOUNT_TABLE, { comparison: !!comparison });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    // Handle multiple CSM owners (can be array if multiple params sent)
-    const csmOwners = Array.isArray(csm_owner) ? csm_owner : (csm_owner ? [csm_owner] : null);
+  try {
+    // Handle multiple CSM owners (can be array if multiple params sent).
+    // CSM users are always scoped to their own accounts regardless of the requested filter.
+    const csmScope = getCsmScope(req);
+    const csmOwners = csmScope
+      ? [csmScope]
+      : (Array.isArray(csm_owner) ? csm_owner : (csm_owner ? [csm_owner] : null));
 
     console.log(`📊 Account Metrics Monthly: baseline=${baseline}, comparison=${comparison}, status=${status}, csm_owner=${csmOwners?.join(',') || 'all'}`);
 
     // Create filters object for service functions
-    const filters = { status, csm_owner: csmOwners, risk_level };
+    const filters = {
+      status,
+      csm_owner: csmOwners,
+      risk_level,
+      lifecycle_stage,
+      renewal_within_days: parseInt(renewal_within_days, 10) > 0 ? parseInt(renewal_within_days, 10) : null
+    };
 
-    // Always get current month baseline with risk data and filters
-    const baselineData = await getCurrentMonthBaselineData(filters);
+    // Accounts, deltas and filtered totals in one pass over the current month (and comparison period)
+    const table = await getMonthlyAccountTable(comparison, filters, tableQuery, { csm_owner: csmScope ? [csmScope] : null });
 
     // Get risk level counts for summary cards (filtered)
     const riskCounts = await getRiskLevelCounts(filters);
@@ -34,32 +60,27 @@ export const getAccountMetricsMonthly = async (req, res) => {
       return res.json({
         baseline: {
           period: baseline,
-          ...baselineData
+          ...table.baseline,
+          accounts: table.accounts
         },
+        pagination: table.pagination,
+        filter_options: table.filter_options,
         risk_counts: riskCounts
       });
     }
 
-    // Get comparison period data with same filters applied
-    const comparisonData = await getMonthlyComparisonData(comparison, filters);
-
-    // Calculate deltas between baseline and comparison
-    const accountsWithDeltas = calculateAccountDeltas(baselineData.accounts, comparisonData.accounts);
-
-    // Note: Filtering is now handled in service functions, so accounts are already filtered
-
     const response = {
       baseline: {
         period: baseline,
-        date_range: baselineData.date_range,
-        metrics: baselineData.metrics
+        ...table.baseline
       },
       comparison: {
         period: comparison,
-        date_range: comparisonData.date_range,
-        metrics: comparisonData.metrics
+        ...table.comparison
       },
-      accounts: accountsWithDeltas,
+      accounts: table.accounts,
+      pagination: table.pagination,
+      filter_options: table.filter_options,
       risk_counts: riskCounts
     };
 
@@ -72,4 +93,4 @@ export const getAccountMetricsMonthly = async (req, res) => {
       details: error.message
     });
   }
-};
\ No newline at end of file
+};
@@ -1,60 +1,73 @@
 import {
-  getCurrentWeekBaselineData,
-  getComparisonData,
-  calculateAccountDeltas
+  WEEKLY_ACCOUNT_TABLE,
+  isWeeklyComparisonPeriod,
+  getWeeklyAccountTable
 } from '../services/account-metrics-weekly.service.js';
+import { normalizeAccountTableQuery } from '../services/account-metrics-table.service.js';
+import { getCsmScope } from '../middleware/auth.middleware.js';
 
 export const getAccountMetricsOverview = async (req, res) => {
+  const {
+    baseline = 'current_week',
+    comparison = null,
+    risk_level = null,
+    status = null,
+    csm_owner = null
+  } = req.query;
+
+  // Paging, sort, search and risk reason filters (page, page_size, sort, dir, search, risk_reason);
+  // without page every account comes back
+  let tableQuery;
   try {
-    const {
-      baseline = 'current_week',
-      comparison = null,
-      risk_level = null,
-      status = null,
-      csm_owner = null
-    } = req.query;
+    if (comparison && !isWeeklyComparisonPeriod(comparison)) {
+      throw new Error(`Unsupported comparison period: ${comparison}`);
+    }
+    tableQuery = normalizeAccountTableQuery(req.query, WEEKLY_ACCOUNT_TABLE, { comparison: !!comparison });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    // Handle multiple CSM owners (can be array if multiple params sent)
-    const csmOwners = Array.isArray(csm_owner) ? csm_owner : (csm_owner ? [csm_owner] : null);
+  try {
+    // Handle multiple CSM owners (can be array if multiple params sent).
+    // CSM users are always scoped to their own accounts regardless of the requested filter.
+    const csmScope = getCsmScope(req);
+    const csmOwners = csmScope
+      ? [csmScope]
+      : (Array.isArray(csm_owner) ? csm_owner : (csm_owner ? [csm_owner] : null));
 
     console.log(`📊 Account Metrics Overview: baseline=${baseline}, comparison=${comparison}, status=${status}, csm_owner=${csmOwners?.join(',') || 'all'}`);
 
     // Create filters object for service functions
     const filters = { status, csm_owner: csmOwners, risk_level };
 
-    // Always get current week baseline with filters applied
-    const baselineData = await getCurrentWeekBaselineData(filters);
+    // Accounts, deltas and filtered totals in one pass over the current week (and comparison period)
+    const table = await getWeeklyAccountTable(comparison, filters, tableQuery, { csm_owner: csmScope ? [csmScope] : null });
 
     // If no comparison requested, return baseline only
     if (!comparison) {
       return res.json({
         baseline: {
           period: baseline,
-          ...baselineData
-        }
+          ...table.baseline,
+          accounts: table.accounts
+        },
+        pagination: table.pagination,
+        filter_options: table.filter_options
       });
     }
 
-    // Get comparison period data with same filters applied
-    const comparisonData = await getComparisonData(comparison, filters);
-
-    // Calculate deltas between baseline and comparison
-    const accountsWithDeltas = calculateAccountDeltas(baselineData.accounts, comparisonData.accounts);
-
-    // Note: Filtering is now handled in service functions, so accounts are already filtered
-
     const response = {
       baseline: {
         period: baseline,
-        date_range: baselineData.date_range,
-        metrics: baselineData.metrics
+        ...table.baseline
       },
       comparison: {
         period: comparison,
-        date_range: comparisonData.date_range,
-        metrics: comparisonData.metrics
+        ...table.comparison
       },
-      accounts: accountsWithDeltas
+      accounts: table.accounts,
+      pagination: table.pagination,
+      filter_options: table.filter_options
     };
 
     res.json(response);
@@ -66,4 +79,4 @@ export const getAccountMetricsOverview = async (req, res) => {
       details: error.message
     });
   }
-};
\ No newline at end of file
+};
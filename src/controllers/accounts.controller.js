@@ -1,11 +1,52 @@
-import { getAccountsData } from '../services/accounts.service.js';
+import { getSharedDatabase } from '../../config/database.js';
+import { getAccountsData, getAccountDetail, accountExists } from '../services/accounts.service.js';
+import { getRiskLevelHistory } from '../services/risk-level-history.js';
+import { getCsmScope, isAccountInScope } from '../middleware/auth.middleware.js';
 
 export const getAccounts = async (req, res) => {
   try {
-    const data = await getAccountsData();
+    const data = await getAccountsData({ csmOwner: getCsmScope(req) });
     res.json(data);
   } catch (error) {
     console.error('Error fetching accounts data:', error);
     res.status(500).json({ error: 'Failed to fetch accounts data' });
   }
-};
\ No newline at end of file
+};
+
+export const getAccount = async (req, res) => {
+  try {
+    const { accountId } = req.params;
+
+    if (!(await isAccountInScope(req, accountId))) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const detail = await getAccountDetail(accountId);
+    if (!detail) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(detail);
+  } catch (error) {
+    console.error('Error fetching account detail:', error);
+    res.status(500).json({ error: 'Failed to fetch account detail', details: error.message });
+  }
+};
+
+export const getAccountRiskLevelHistory = async (req, res) => {
+  try {
+    const { accountId } = req.params;
+
+    if (!(await isAccountInScope(req, accountId)) || !(await accountExists(accountId))) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const db = await getSharedDatabase();
+    const transitions = await getRiskLevelHistory(db, accountId);
+
+    res.json({ account_id: accountId, transitions });
+  } catch (error) {
+    console.error('Error fetching risk level history:', error);
+    res.status(500).json({ error: 'Failed to fetch risk level history', details: error.message });
+  }
+};
@@ -0,0 +1,37 @@
+import { getRevenueAtRisk } from '../services/revenue-at-risk.service.js';
+import { getRiskBacktest, normalizeBacktestQuery } from '../services/backtest.service.js';
+import { getCsmScope } from '../middleware/auth.middleware.js';
+
+// CSM users only see their own accounts
+const scopeFilters = (req) => {
+  const csmScope = getCsmScope(req);
+  return { csm_owner: csmScope ? [csmScope] : null };
+};
+
+export const getDashboardAnalytics = async (req, res) => {
+  try {
+    const data = await getRevenueAtRisk(scopeFilters(req));
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching dashboard analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch dashboard analytics', details: error.message });
+  }
+};
+
+// Query: from, to (YYYY-MM), horizon_days (default 90)
+export const getBacktest = async (req, res) => {
+  let query;
+  try {
+    query = normalizeBacktestQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const data = await getRiskBacktest(query, scopeFilters(req));
+    res.json(data);
+  } catch (error) {
+    console.error('Error running risk backtest:', error);
+    res.status(500).json({ error: 'Failed to run risk backtest', details: error.message });
+  }
+};
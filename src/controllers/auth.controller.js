@@ -1,33 +1,93 @@
-export const login = (req, res) => {
-  const { password } = req.body;
+import {
+  authenticateUser,
+  createSession,
+  deleteSession,
+  changeUserPassword,
+  SESSION_COOKIE_NAME,
+  SESSION_TTL_MS,
+  MIN_PASSWORD_LENGTH
+} from '../services/auth.service.js';
+import { getSessionToken } from '../middleware/auth.middleware.js';
 
-  // Accept both the original password and a simpler one for testing
-  const validPasswords = ["Boostly123!", "Boostly123", "admin"];
+const sessionCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/'
+};
+
+// Checks the posted credentials and opens a session, then hands it to respond; answers 400/401 itself
+const withNewSession = async (req, res, respond) => {
+  // The login form predates multiple users, so a bare password logs in as admin
+  const { username = 'admin', password } = req.body || {};
 
-  if (!validPasswords.includes(password)) {
-    console.log('Login failed with password:', password);
-    return res.status(401).json({ error: 'Invalid password' });
+  if (!password) {
+    return res.status(400).json({ error: 'Password is required' });
   }
 
-  console.log('Login successful with password:', password);
-  const sessionId = Math.random().toString(36).substring(7);
-  res.json({
-    success: true,
-    sessionId,
-    user: { username: "admin" }
-  });
+  try {
+    const user = await authenticateUser(username, password);
+    if (!user) {
+      console.log(`Login failed for user: ${username}`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const session = await createSession(user.id, req.headers['user-agent'] || null);
+    console.log(`Login successful for user: ${user.username}`);
+    respond(user, session);
+  } catch (error) {
+    console.error('Error during login:', error);
+    res.status(500).json({ error: 'Failed to log in', details: error.message });
+  }
 };
 
+// The SPA only gets the HttpOnly cookie; the token never reaches page scripts
+export const login = (req, res) => withNewSession(req, res, (user, { token, expiresAt }) => {
+  res.cookie(SESSION_COOKIE_NAME, token, { ...sessionCookieOptions, maxAge: SESSION_TTL_MS });
+  res.json({ success: true, expiresAt: expiresAt.toISOString(), user });
+});
+
+// For scripts, which send the token back as Authorization: Bearer <token>
+export const issueToken = (req, res) => withNewSession(req, res, (user, { token, expiresAt }) => {
+  res.json({ success: true, token, expiresAt: expiresAt.toISOString(), user });
+});
+
 export const check = (req, res) => {
-  // Always return authenticated for demo
-  res.json({ isAuthenticated: true, user: { username: "admin" } });
+  // requireAuth has already rejected missing or expired sessions
+  res.json({ authenticated: true, isAuthenticated: true, user: req.user });
 };
 
-export const logout = (req, res) => {
-  res.json({ success: true });
+export const logout = async (req, res) => {
+  try {
+    await deleteSession(getSessionToken(req));
+    res.clearCookie(SESSION_COOKIE_NAME, sessionCookieOptions);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({ error: 'Failed to log out', details: error.message });
+  }
 };
 
-export const changePassword = (req, res) => {
-  // Dummy endpoint for 2.1 compatibility
-  res.json({ success: true });
-};
\ No newline at end of file
+export const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Current and new password are required' });
+  }
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+  }
+
+  try {
+    const changed = await changeUserPassword(req.user.id, currentPassword, newPassword, req.sessionToken);
+    if (!changed) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    console.log(`Password changed for user: ${req.user.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password', details: error.message });
+  }
+};
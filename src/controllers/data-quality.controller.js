@@ -0,0 +1,195 @@
+import { getSharedDatabase } from '../../config/database.js';
+import {
+  QUALITY_STATUSES,
+  normalizeQualityCheckUpdate,
+  listQualityChecks,
+  updateQualityCheck,
+  runQualityChecks,
+  recordQualityResult,
+  getQualityRun,
+  listQualityRuns,
+  listQuarantinedDates,
+  approveQuarantinedDate
+} from '../services/data-quality.js';
+import { enqueueEtlJob, findActiveEtlJob, rollupJobTypeFor } from '../services/etl-jobs.js';
+import { etlJobWorker } from '../services/etl-worker.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const invalidDate = (res, date) => res.status(400).json({
+  success: false,
+  message: `${date} is not a YYYY-MM-DD date`
+});
+
+export const getQualityChecks = async (req, res) => {
+  try {
+    const db = await getSharedDatabase();
+    const checks = await listQualityChecks(db);
+
+    res.json({
+      success: true,
+      data: { checks }
+    });
+  } catch (error) {
+    console.error('Error fetching data-quality checks:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch data-quality checks: ${error.message}`
+    });
+  }
+};
+
+export const updateQualityCheckSettings = async (req, res) => {
+  let changes;
+  try {
+    changes = normalizeQualityCheckUpdate(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+    const check = await updateQualityCheck(db, req.params.key, changes, req.user?.username || null);
+
+    if (!check) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown data-quality check ${req.params.key}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${check.label} updated`,
+      data: check
+    });
+  } catch (error) {
+    console.error('Error updating data-quality check:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to update data-quality check: ${error.message}`
+    });
+  }
+};
+
+export const getQualityRuns = async (req, res) => {
+  const status = req.query.status || null;
+  if (status && !QUALITY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${QUALITY_STATUSES.join(', ')}`
+    });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 60, 400);
+
+  try {
+    const db = await getSharedDatabase();
+    const runs = await listQualityRuns(db, { status, limit });
+
+    res.json({
+      success: true,
+      data: { runs }
+    });
+  } catch (error) {
+    console.error('Error fetching data-quality results:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch data-quality results: ${error.message}`
+    });
+  }
+};
+
+export const getQualityRunForDate = async (req, res) => {
+  const { date } = req.params;
+  if (!DATE_PATTERN.test(date)) return invalidDate(res, date);
+
+  try {
+    const db = await getSharedDatabase();
+    const run = await getQualityRun(db, date);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: `No data-quality result for ${date}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error fetching data-quality result:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch data-quality result: ${error.message}`
+    });
+  }
+};
+
+// Re-runs the checks for a date now, e.g. after fixing the data or changing a threshold
+export const checkQualityForDate = async (req, res) => {
+  const { date } = req.params;
+  if (!DATE_PATTERN.test(date)) return invalidDate(res, date);
+
+  try {
+    const db = await getSharedDatabase();
+    const report = await runQualityChecks(db, date);
+    await recordQualityResult(db, report);
+
+    res.json({
+      success: true,
+      message: report.passed ? `${date} passed data-quality checks` : `${date} is quarantined`,
+      data: await getQualityRun(db, date)
+    });
+  } catch (error) {
+    console.error('Error running data-quality checks:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to run data-quality checks: ${error.message}`
+    });
+  }
+};
+
+// Releases a quarantined date and, once its month has none left, queues the month's rollup again
+export const approveQualityForDate = async (req, res) => {
+  const { date } = req.params;
+  if (!DATE_PATTERN.test(date)) return invalidDate(res, date);
+
+  try {
+    const db = await getSharedDatabase();
+    const approved = await approveQuarantinedDate(db, date, req.user?.username || null, req.body?.note || null);
+
+    if (!approved) {
+      return res.status(409).json({
+        success: false,
+        message: `${date} is not quarantined`
+      });
+    }
+
+    const stillQuarantined = await listQuarantinedDates(db, date.slice(0, 7));
+    let job = null;
+    if (stillQuarantined.length === 0 && req.body?.rerun_rollup !== false) {
+      const jobType = rollupJobTypeFor(date);
+      job = await findActiveEtlJob(db, jobType, date)
+        || await enqueueEtlJob(db, { jobType, targetDate: date, requestedBy: req.user?.username || null });
+      etlJobWorker.wake();
+    }
+
+    res.json({
+      success: true,
+      message: job
+        ? `${date} approved; queued ETL job ${job.id} (${job.job_type})`
+        : stillQuarantined.length > 0
+          ? `${date} approved; ${stillQuarantined.join(', ')} still quarantined`
+          : `${date} approved`,
+      data: { quality: approved, job, still_quarantined: stillQuarantined }
+    });
+  } catch (error) {
+    console.error('Error approving quarantined date:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to approve ${date}: ${error.message}`
+    });
+  }
+};
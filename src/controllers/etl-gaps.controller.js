@@ -0,0 +1,55 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { normalizeGapRange, findEtlGaps, reconcileEtlGaps } from '../services/etl-gaps.js';
+import { etlJobWorker } from '../services/etl-worker.js';
+
+export const getEtlGaps = async (req, res) => {
+  let range;
+  try {
+    range = normalizeGapRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+    const report = await findEtlGaps(db, range);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error detecting ETL gaps:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to detect ETL gaps: ${error.message}`
+    });
+  }
+};
+
+export const backfillEtlGaps = async (req, res) => {
+  let range;
+  try {
+    range = normalizeGapRange(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+    const result = await reconcileEtlGaps(db, range, req.user?.username || null);
+    if (result.queued.length > 0) etlJobWorker.wake();
+
+    res.status(result.queued.length > 0 ? 202 : 200).json({
+      success: true,
+      message: `Found ${result.gaps.length} gaps, queued ${result.queued.length} backfill jobs`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error backfilling ETL gaps:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to backfill ETL gaps: ${error.message}`
+    });
+  }
+};
@@ -0,0 +1,143 @@
+import { getSharedDatabase } from '../../config/database.js';
+import {
+  ETL_JOB_STATUSES,
+  normalizeEtlJobRequest,
+  enqueueEtlJob,
+  findActiveEtlJob,
+  getEtlJob,
+  listEtlJobs,
+  requestEtlJobCancel,
+  listStepLocks
+} from '../services/etl-jobs.js';
+import { etlJobWorker } from '../services/etl-worker.js';
+
+// One handler per job type: POST /api/admin/sync-data, /sync-accounts, /sync-daily, /sync-monthly, /sync-historical
+export const queueEtlJob = (jobType) => async (req, res) => {
+  let request;
+  try {
+    request = normalizeEtlJobRequest(jobType, req.body || {});
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+
+    const active = await findActiveEtlJob(db, request.jobType, request.targetDate);
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        message: `ETL job ${active.id} (${jobType} for ${request.targetDate}) is already ${active.status}`,
+        data: active
+      });
+    }
+
+    const job = await enqueueEtlJob(db, { ...request, requestedBy: req.user?.username || null });
+    console.log(`📥 Queued ETL job ${job.id}: ${jobType} for ${request.targetDate}`);
+    etlJobWorker.wake();
+
+    res.status(202).json({
+      success: true,
+      message: `ETL job ${job.id} queued`,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error queueing ETL job:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to queue ETL job: ${error.message}`
+    });
+  }
+};
+
+export const getEtlJobs = async (req, res) => {
+  const status = req.query.status || null;
+  if (status && !ETL_JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${ETL_JOB_STATUSES.join(', ')}`
+    });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  try {
+    const db = await getSharedDatabase();
+    const jobs = await listEtlJobs(db, { status, limit });
+    const locks = await listStepLocks(db);
+
+    res.json({
+      success: true,
+      data: { jobs, locks }
+    });
+  } catch (error) {
+    console.error('Error fetching ETL jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch ETL jobs: ${error.message}`
+    });
+  }
+};
+
+export const getEtlJobStatus = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+    const db = await getSharedDatabase();
+    const job = Number.isInteger(jobId) ? await getEtlJob(db, jobId) : null;
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `ETL job ${req.params.jobId} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching ETL job:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch ETL job: ${error.message}`
+    });
+  }
+};
+
+export const cancelEtlJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+    const db = await getSharedDatabase();
+    const existing = Number.isInteger(jobId) ? await getEtlJob(db, jobId) : null;
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: `ETL job ${req.params.jobId} not found`
+      });
+    }
+    if (!['queued', 'running'].includes(existing.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `ETL job ${jobId} is already ${existing.status}`,
+        data: existing
+      });
+    }
+
+    const job = await requestEtlJobCancel(db, jobId);
+
+    res.json({
+      success: true,
+      message: job.status === 'cancelled'
+        ? `ETL job ${jobId} cancelled`
+        : `ETL job ${jobId} will stop after its current step (${job.current_step || 'starting'})`,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error cancelling ETL job:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to cancel ETL job: ${error.message}`
+    });
+  }
+};
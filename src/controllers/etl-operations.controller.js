@@ -0,0 +1,27 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { normalizeOperationsDays, getEtlOperations } from '../services/etl-operations.js';
+
+export const getOperations = async (req, res) => {
+  let days;
+  try {
+    days = normalizeOperationsDays(req.query.days);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+    const operations = await getEtlOperations(db, days);
+
+    res.json({
+      success: true,
+      data: operations
+    });
+  } catch (error) {
+    console.error('Error fetching ETL operations:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch ETL operations: ${error.message}`
+    });
+  }
+};
@@ -0,0 +1,204 @@
+import { getSharedDatabase } from '../../config/database.js';
+import {
+  VALIDATION_STATUSES,
+  normalizeTranslation,
+  listTranslations,
+  getTranslation,
+  createTranslation,
+  updateTranslation,
+  deleteTranslation,
+  listValidations
+} from '../services/hubspot-translations.js';
+import { hubspotIdTranslator } from '../services/hubspot-id-translator.js';
+import { HubSpotIdValidationService } from '../services/hubspot-id-validation.js';
+
+const hubspotIdValidation = new HubSpotIdValidationService();
+
+export const getHubSpotTranslations = async (req, res) => {
+  try {
+    const db = await getSharedDatabase();
+    const translations = await listTranslations(db);
+
+    res.json({
+      success: true,
+      data: { translations }
+    });
+  } catch (error) {
+    console.error('Error fetching HubSpot ID translations:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch HubSpot ID translations: ${error.message}`
+    });
+  }
+};
+
+export const getHubSpotTranslation = async (req, res) => {
+  try {
+    const db = await getSharedDatabase();
+    const translation = await getTranslation(db, req.params.accountId);
+
+    if (!translation) {
+      return res.status(404).json({
+        success: false,
+        message: `No HubSpot ID translation for account ${req.params.accountId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: translation
+    });
+  } catch (error) {
+    console.error('Error fetching HubSpot ID translation:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch HubSpot ID translation: ${error.message}`
+    });
+  }
+};
+
+export const createHubSpotTranslation = async (req, res) => {
+  let translation;
+  try {
+    translation = normalizeTranslation(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+
+    const account = await db.query(`SELECT 1 FROM accounts WHERE account_id = $1`, [translation.account_id]);
+    if (account.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Account ${translation.account_id} not found`
+      });
+    }
+    if (await getTranslation(db, translation.account_id)) {
+      return res.status(409).json({
+        success: false,
+        message: `Account ${translation.account_id} already has a HubSpot ID translation`
+      });
+    }
+
+    const created = await createTranslation(db, translation, req.user?.username || null);
+    hubspotIdTranslator.invalidate();
+
+    res.status(201).json({
+      success: true,
+      message: `HubSpot ID translation added for ${created.account_name || created.account_id}`,
+      data: created
+    });
+  } catch (error) {
+    console.error('Error creating HubSpot ID translation:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to create HubSpot ID translation: ${error.message}`
+    });
+  }
+};
+
+export const updateHubSpotTranslation = async (req, res) => {
+  let changes;
+  try {
+    changes = normalizeTranslation(req.body || {}, { partial: true });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+    const updated = await updateTranslation(db, req.params.accountId, changes, req.user?.username || null);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: `No HubSpot ID translation for account ${req.params.accountId}`
+      });
+    }
+    hubspotIdTranslator.invalidate();
+
+    res.json({
+      success: true,
+      message: `HubSpot ID translation updated for ${updated.account_name || updated.account_id}`,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error updating HubSpot ID translation:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to update HubSpot ID translation: ${error.message}`
+    });
+  }
+};
+
+export const deleteHubSpotTranslation = async (req, res) => {
+  try {
+    const db = await getSharedDatabase();
+    const deleted = await deleteTranslation(db, req.params.accountId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `No HubSpot ID translation for account ${req.params.accountId}`
+      });
+    }
+    hubspotIdTranslator.invalidate();
+
+    res.json({
+      success: true,
+      message: `HubSpot ID translation removed for account ${req.params.accountId}`
+    });
+  } catch (error) {
+    console.error('Error deleting HubSpot ID translation:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to delete HubSpot ID translation: ${error.message}`
+    });
+  }
+};
+
+export const getHubSpotIdValidations = async (req, res) => {
+  const status = req.query.status || null;
+  if (status && !VALIDATION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${VALIDATION_STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+    const validations = await listValidations(db, { status });
+
+    res.json({
+      success: true,
+      data: { validations }
+    });
+  } catch (error) {
+    console.error('Error fetching HubSpot ID validations:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch HubSpot ID validations: ${error.message}`
+    });
+  }
+};
+
+export const validateHubSpotIds = async (req, res) => {
+  try {
+    const result = await hubspotIdValidation.validateHubSpotIds();
+
+    res.json({
+      success: true,
+      message: `Checked ${result.checked} HubSpot IDs: ${result.missing} missing, ${result.merged} merged`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `HubSpot ID validation failed: ${error.message}`,
+      error: error.message
+    });
+  }
+};
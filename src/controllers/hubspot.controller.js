@@ -1,7 +1,9 @@
-import { HubSpotSyncService } from '../services/hubspot-sync.js';
+import { HubSpotSyncService, SyncAlreadyRunningError } from '../services/hubspot-sync.js';
 import { createHubSpotService } from '../services/hubspot.js';
+import { HubSpotImportService } from '../services/hubspot-import.js';
 
 const hubspotSync = new HubSpotSyncService();
+const hubspotImport = new HubSpotImportService();
 
 export const testHubSpotConnection = async (req, res) => {
   try {
@@ -15,11 +17,21 @@ export const testHubSpotConnection = async (req, res) => {
   }
 };
 
+// 409 with the running sync's ID, which is also its job ID
+const syncAlreadyRunning = (res, error) => res.status(409).json({
+  success: false,
+  message: error.message,
+  data: { job_id: error.runningRunId }
+});
+
 export const syncAllAccounts = async (req, res) => {
   try {
-    const { targetDate, syncMode = 'manual' } = req.body;
+    const { targetDate, syncMode = 'manual', force = false } = req.body;
 
-    const result = await hubspotSync.syncAccountsToHubSpot(targetDate, syncMode);
+    const result = await hubspotSync.syncAccountsToHubSpot(targetDate, syncMode, {
+      skipUnchanged: !force,
+      triggeredBy: req.user?.username || null
+    });
 
     res.json({
       success: true,
@@ -27,6 +39,9 @@ export const syncAllAccounts = async (req, res) => {
       data: result
     });
   } catch (error) {
+    if (error instanceof SyncAlreadyRunningError) {
+      return syncAlreadyRunning(res, error);
+    }
     res.status(500).json({
       success: false,
       message: `HubSpot sync failed: ${error.message}`,
@@ -35,6 +50,24 @@ export const syncAllAccounts = async (req, res) => {
   }
 };
 
+export const importHubSpotCompanies = async (req, res) => {
+  try {
+    const result = await hubspotImport.importCompanyFields();
+
+    res.json({
+      success: true,
+      message: `Imported HubSpot fields for ${result.updated} of ${result.totalAccounts} accounts`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `HubSpot import failed: ${error.message}`,
+      error: error.message
+    });
+  }
+};
+
 export const getHubSpotSampleData = async (req, res) => {
   try {
     const apiKey = process.env.HUBSPOT_API_KEY;
@@ -82,4 +115,213 @@ export const getHubSpotStatus = async (req, res) => {
       message: `Failed to get HubSpot status: ${error.message}`
     });
   }
-};
\ No newline at end of file
+};
+
+export const getHubSpotSyncRuns = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const runs = await hubspotSync.listSyncRuns(limit);
+
+    res.json({
+      success: true,
+      data: { runs }
+    });
+  } catch (error) {
+    console.error('Error fetching HubSpot sync runs:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch HubSpot sync runs: ${error.message}`
+    });
+  }
+};
+
+export const getHubSpotSyncRun = async (req, res) => {
+  try {
+    const runId = parseInt(req.params.runId, 10);
+    const run = Number.isInteger(runId) ? await hubspotSync.getSyncRun(runId) : null;
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: `HubSpot sync run ${req.params.runId} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error fetching HubSpot sync run:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch HubSpot sync run: ${error.message}`
+    });
+  }
+};
+
+export const retryHubSpotSyncRun = async (req, res) => {
+  try {
+    const runId = parseInt(req.params.runId, 10);
+    const existing = Number.isInteger(runId) ? await hubspotSync.getSyncRun(runId) : null;
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: `HubSpot sync run ${req.params.runId} not found`
+      });
+    }
+    if (existing.run.status === 'running') {
+      return res.status(409).json({
+        success: false,
+        message: `HubSpot sync run ${runId} is still running`
+      });
+    }
+    if (!existing.results.some(result => result.status === 'failed')) {
+      return res.status(400).json({
+        success: false,
+        message: `HubSpot sync run ${runId} has no failed companies to retry`
+      });
+    }
+
+    const result = await hubspotSync.retryFailedSyncs(runId, {
+      triggeredBy: req.user?.username || null
+    });
+
+    res.json({
+      success: true,
+      message: `Retried ${result.totalAccounts} failed companies from run ${runId}`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof SyncAlreadyRunningError) {
+      return syncAlreadyRunning(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: `HubSpot retry failed: ${error.message}`,
+      error: error.message
+    });
+  }
+};
+
+const SYNC_JOB_POLL_MS = 1000;
+const SYNC_JOB_HEARTBEAT_MS = 15000;
+
+const toSyncJob = ({ run, failures }) => ({ job_id: run.id, ...run, failures });
+
+export const startHubSpotSyncJob = async (req, res) => {
+  try {
+    const { targetDate, force = false } = req.body || {};
+
+    const { runId, done } = await hubspotSync.startSyncJob(targetDate, 'manual', {
+      skipUnchanged: !force,
+      triggeredBy: req.user?.username || null
+    });
+    // runSync logs the failure and marks the run failed; the client sees it via the job status
+    done.catch(() => {});
+
+    res.status(202).json({
+      success: true,
+      message: `HubSpot sync ${runId} started`,
+      data: { job_id: runId }
+    });
+  } catch (error) {
+    if (error instanceof SyncAlreadyRunningError) {
+      return syncAlreadyRunning(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: `HubSpot sync failed to start: ${error.message}`,
+      error: error.message
+    });
+  }
+};
+
+export const getHubSpotSyncJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+    const progress = Number.isInteger(jobId) ? await hubspotSync.getSyncRunProgress(jobId) : null;
+
+    if (!progress) {
+      return res.status(404).json({
+        success: false,
+        message: `HubSpot sync job ${req.params.jobId} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toSyncJob(progress)
+    });
+  } catch (error) {
+    console.error('Error fetching HubSpot sync job:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch HubSpot sync job: ${error.message}`
+    });
+  }
+};
+
+// Server-sent events: a `progress` event whenever the run row changes, then `complete` once
+// it is no longer running
+export const streamHubSpotSyncJob = async (req, res) => {
+  const jobId = parseInt(req.params.jobId, 10);
+  const initial = Number.isInteger(jobId) ? await hubspotSync.getSyncRunProgress(jobId).catch(() => null) : null;
+
+  if (!initial) {
+    return res.status(404).json({
+      success: false,
+      message: `HubSpot sync job ${req.params.jobId} not found`
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  let lastPayload = null;
+  let lastSentAt = 0;
+  let timer = null;
+  let closed = false;
+
+  const send = (event, job) => {
+    lastPayload = JSON.stringify(job);
+    lastSentAt = Date.now();
+    res.write(`event: ${event}\ndata: ${lastPayload}\n\n`);
+  };
+
+  const tick = async (progress) => {
+    if (closed) return;
+    const job = toSyncJob(progress);
+    if (job.status !== 'running') {
+      send('complete', job);
+      return res.end();
+    }
+
+    if (JSON.stringify(job) !== lastPayload) {
+      send('progress', job);
+    } else if (Date.now() - lastSentAt >= SYNC_JOB_HEARTBEAT_MS) {
+      res.write(`: heartbeat\n\n`);
+      lastSentAt = Date.now();
+    }
+
+    timer = setTimeout(async () => {
+      try {
+        await tick(await hubspotSync.getSyncRunProgress(jobId));
+      } catch (error) {
+        console.error('Error streaming HubSpot sync job:', error);
+        res.write(`event: error\ndata: ${JSON.stringify({ message: error.message })}\n\n`);
+        res.end();
+      }
+    }, SYNC_JOB_POLL_MS);
+  };
+
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+  });
+  await tick(initial);
+};
@@ -0,0 +1,67 @@
+import {
+  getNotificationSubscription,
+  saveNotificationSubscription,
+  normalizeSubscription,
+  listNotificationDeliveries,
+  sendRiskEscalationDigests,
+  sendTestNotification
+} from '../services/risk-notifications.service.js';
+import { getSmtpConfig } from '../services/notification-channels.js';
+
+export const getNotificationSettings = async (req, res) => {
+  try {
+    const subscription = await getNotificationSubscription(req.user.id);
+    const deliveries = await listNotificationDeliveries(req.user.id);
+
+    res.json({
+      subscription,
+      deliveries,
+      smtp_configured: !!getSmtpConfig().host
+    });
+  } catch (error) {
+    console.error('Error fetching notification settings:', error);
+    res.status(500).json({ error: 'Failed to fetch notification settings', details: error.message });
+  }
+};
+
+export const putNotificationSettings = async (req, res) => {
+  let subscription;
+  try {
+    subscription = await normalizeSubscription(req.body || {}, req.user);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const saved = await saveNotificationSubscription(req.user.id, subscription);
+    res.json({ subscription: saved });
+  } catch (error) {
+    console.error('Error saving notification settings:', error);
+    res.status(500).json({ error: 'Failed to save notification settings', details: error.message });
+  }
+};
+
+export const postTestNotification = async (req, res) => {
+  try {
+    const results = await sendTestNotification(req.user.id);
+
+    if (Object.keys(results).length === 0) {
+      return res.status(400).json({ error: 'No notification channels are enabled' });
+    }
+
+    res.json({ results });
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({ error: 'Failed to send test notification', details: error.message });
+  }
+};
+
+export const postRunNotifications = async (req, res) => {
+  try {
+    const result = await sendRiskEscalationDigests();
+    res.json(result);
+  } catch (error) {
+    console.error('Error sending risk notifications:', error);
+    res.status(500).json({ error: 'Failed to send risk notifications', details: error.message });
+  }
+};
@@ -0,0 +1,84 @@
+import { getSharedDatabase } from '../../config/database.js';
+import {
+  listRiskRuleSets,
+  loadRiskRuleSet,
+  loadActiveRiskRuleSet,
+  createRiskRuleSet,
+  activateRiskRuleSet,
+  normalizeRiskRuleSet
+} from '../services/risk-rules.js';
+
+export const getRiskRuleSets = async (req, res) => {
+  try {
+    const db = await getSharedDatabase();
+    const active = await loadActiveRiskRuleSet(db);
+    const versions = await listRiskRuleSets(db);
+
+    res.json({ active, versions });
+  } catch (error) {
+    console.error('Error fetching risk rule sets:', error);
+    res.status(500).json({ error: 'Failed to fetch risk rule sets', details: error.message });
+  }
+};
+
+export const getRiskRuleSet = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: 'Rule set version must be an integer' });
+    }
+
+    const db = await getSharedDatabase();
+    const ruleSet = await loadRiskRuleSet(db, version);
+    if (!ruleSet) {
+      return res.status(404).json({ error: `Risk rule set v${version} not found` });
+    }
+
+    res.json(ruleSet);
+  } catch (error) {
+    console.error('Error fetching risk rule set:', error);
+    res.status(500).json({ error: 'Failed to fetch risk rule set', details: error.message });
+  }
+};
+
+export const postRiskRuleSet = async (req, res) => {
+  const { activate = false, ...ruleSetInput } = req.body || {};
+
+  try {
+    normalizeRiskRuleSet(ruleSetInput);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+    const ruleSet = await createRiskRuleSet(db, ruleSetInput, { activate: !!activate });
+
+    console.log(`📐 Created risk rule set v${ruleSet.version}${ruleSet.is_active ? ' (active)' : ''}`);
+    res.status(201).json(ruleSet);
+  } catch (error) {
+    console.error('Error creating risk rule set:', error);
+    res.status(500).json({ error: 'Failed to create risk rule set', details: error.message });
+  }
+};
+
+export const activateRiskRuleSetController = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: 'Rule set version must be an integer' });
+    }
+
+    const db = await getSharedDatabase();
+    const ruleSet = await activateRiskRuleSet(db, version);
+    if (!ruleSet) {
+      return res.status(404).json({ error: `Risk rule set v${version} not found` });
+    }
+
+    console.log(`📐 Activated risk rule set v${version}`);
+    res.json(ruleSet);
+  } catch (error) {
+    console.error('Error activating risk rule set:', error);
+    res.status(500).json({ error: 'Failed to activate risk rule set', details: error.message });
+  }
+};
@@ -0,0 +1,29 @@
+import { normalizeRiskRuleSet } from '../services/risk-rules.js';
+import { simulateRiskRules } from '../services/risk-simulation.service.js';
+
+export const postRiskSimulation = async (req, res) => {
+  const { month, baseline_version, ...candidate } = req.body || {};
+
+  if (month && !/^\d{4}-\d{2}$/.test(month)) {
+    return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+  }
+
+  try {
+    normalizeRiskRuleSet(candidate);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const result = await simulateRiskRules({
+      month,
+      candidate,
+      baselineVersion: baseline_version ? parseInt(baseline_version, 10) : null
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error running risk simulation:', error);
+    res.status(500).json({ error: 'Failed to run risk simulation', details: error.message });
+  }
+};
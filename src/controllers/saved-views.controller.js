@@ -0,0 +1,141 @@
+import {
+  SAVED_VIEW_TABLES,
+  normalizeSavedView,
+  listSavedViews,
+  getSavedView,
+  findSavedViewByName,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView,
+  setSavedViewPinned
+} from '../services/saved-views.service.js';
+
+const parseViewId = (req, res) => {
+  const viewId = parseInt(req.params.viewId, 10);
+  if (!Number.isInteger(viewId)) {
+    res.status(400).json({ error: 'View ID must be an integer' });
+    return null;
+  }
+  return viewId;
+};
+
+const nameTaken = (res, name) => res.status(409).json({ error: `You already have a view named "${name}"` });
+
+export const getSavedViews = async (req, res) => {
+  const tableKey = req.query.table || SAVED_VIEW_TABLES[0];
+  if (!SAVED_VIEW_TABLES.includes(tableKey)) {
+    return res.status(400).json({ error: `table must be one of ${SAVED_VIEW_TABLES.join(', ')}` });
+  }
+
+  try {
+    const views = await listSavedViews(req.user, tableKey);
+    res.json({ table_key: tableKey, views });
+  } catch (error) {
+    console.error('Error fetching saved views:', error);
+    res.status(500).json({ error: 'Failed to fetch saved views', details: error.message });
+  }
+};
+
+export const postSavedView = async (req, res) => {
+  let view;
+  try {
+    view = normalizeSavedView(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    if (await findSavedViewByName(req.user, view.table_key, view.name)) {
+      return nameTaken(res, view.name);
+    }
+
+    let created = await createSavedView(req.user, view);
+    if (req.body.pinned === true) {
+      created = await setSavedViewPinned(req.user, created.id, true);
+    }
+
+    console.log(`💾 ${req.user.username} saved view "${created.name}"${created.shared ? ' (shared)' : ''}`);
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating saved view:', error);
+    res.status(500).json({ error: 'Failed to create saved view', details: error.message });
+  }
+};
+
+// Rename, re-share or overwrite the filters; only the owner can
+export const patchSavedView = async (req, res) => {
+  const viewId = parseViewId(req, res);
+  if (viewId === null) return;
+
+  let changes;
+  try {
+    changes = normalizeSavedView(req.body || {}, { partial: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (changes.table_key) {
+    return res.status(400).json({ error: 'table_key cannot be changed' });
+  }
+
+  try {
+    const view = await getSavedView(req.user, viewId);
+    if (!view) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+    if (!view.is_owner) {
+      return res.status(403).json({ error: 'Only the owner can change a view' });
+    }
+
+    if (changes.name && changes.name !== view.name && await findSavedViewByName(req.user, view.table_key, changes.name)) {
+      return nameTaken(res, changes.name);
+    }
+
+    res.json(await updateSavedView(req.user, viewId, changes));
+  } catch (error) {
+    console.error('Error updating saved view:', error);
+    res.status(500).json({ error: 'Failed to update saved view', details: error.message });
+  }
+};
+
+// Owners delete their views; admins can also remove shared ones
+export const removeSavedView = async (req, res) => {
+  const viewId = parseViewId(req, res);
+  if (viewId === null) return;
+
+  try {
+    const view = await getSavedView(req.user, viewId);
+    if (!view) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+    if (!view.is_owner && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only the owner can delete a view' });
+    }
+
+    await deleteSavedView(viewId);
+    res.json({ success: true, id: viewId });
+  } catch (error) {
+    console.error('Error deleting saved view:', error);
+    res.status(500).json({ error: 'Failed to delete saved view', details: error.message });
+  }
+};
+
+// Pins are per user, so any view the user can see can be pinned
+export const pinSavedView = async (req, res) => {
+  const viewId = parseViewId(req, res);
+  if (viewId === null) return;
+
+  if (typeof req.body?.pinned !== 'boolean') {
+    return res.status(400).json({ error: 'pinned must be true or false' });
+  }
+
+  try {
+    if (!await getSavedView(req.user, viewId)) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    res.json(await setSavedViewPinned(req.user, viewId, req.body.pinned));
+  } catch (error) {
+    console.error('Error pinning saved view:', error);
+    res.status(500).json({ error: 'Failed to pin saved view', details: error.message });
+  }
+};
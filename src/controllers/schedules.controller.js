@@ -0,0 +1,56 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { taskScheduler, getSchedulerTimezone, isSchedulerEnabled } from '../services/scheduler.js';
+
+export const getSchedules = async (req, res) => {
+  try {
+    const db = await getSharedDatabase();
+    const tasks = await taskScheduler.listTasks(db);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: isSchedulerEnabled(),
+        timezone: getSchedulerTimezone(),
+        tasks
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch schedules: ${error.message}`
+    });
+  }
+};
+
+export const updateSchedule = async (req, res) => {
+  const { name } = req.params;
+  if (!taskScheduler.getTask(name)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown scheduled task ${name}`
+    });
+  }
+  const { paused } = req.body || {};
+  if (typeof paused !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'paused must be true or false' });
+  }
+
+  try {
+    const db = await getSharedDatabase();
+    await taskScheduler.setPaused(db, name, paused, req.user?.username || null);
+    const task = (await taskScheduler.listTasks(db)).find(entry => entry.name === name);
+
+    res.json({
+      success: true,
+      message: `${name} ${paused ? 'paused' : 'resumed'}`,
+      data: task
+    });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to update schedule: ${error.message}`
+    });
+  }
+};
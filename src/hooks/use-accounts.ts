@@ -1,7 +1,15 @@
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { apiRequest } from "@/lib/queryClient";
-import { Account, Action, InsertAction, RiskScore } from "@shared/schema";
-import { AccountWithRiskData, FilterOptions } from "@/types/api";
+import { Account, RiskScore } from "@shared/schema";
+import {
+  AccountAction,
+  AccountActionsResponse,
+  AccountDetail,
+  AccountWithRiskData,
+  FilterOptions,
+  InsertAccountAction,
+  RiskLevelHistoryResponse,
+} from "@/types/api";
 import React from "react";
 
 export function useAccounts() {
@@ -17,6 +25,14 @@ export function useAccount(id: number) {
   });
 }
 
+// Account IDs are text, so these take the raw route param rather than a number
+export function useAccountDetail(accountId: string) {
+  return useQuery<AccountDetail>({
+    queryKey: [`/api/accounts/${encodeURIComponent(accountId)}`],
+    enabled: !!accountId,
+  });
+}
+
 export function useAccountsByRiskLevel(level: string) {
   return useQuery<Account[]>({
     queryKey: [`/api/accounts/risk/${level}`],
@@ -24,9 +40,16 @@ export function useAccountsByRiskLevel(level: string) {
   });
 }
 
-export function useAccountActions(accountId: number) {
-  return useQuery<Action[]>({
-    queryKey: [`/api/accounts/${accountId}/actions`],
+export function useRiskLevelHistory(accountId: string) {
+  return useQuery<RiskLevelHistoryResponse>({
+    queryKey: [`/api/accounts/${encodeURIComponent(accountId)}/risk-level-history`],
+    enabled: !!accountId,
+  });
+}
+
+export function useAccountActions(accountId: string) {
+  return useQuery<AccountActionsResponse>({
+    queryKey: [`/api/accounts/${encodeURIComponent(accountId)}/actions`],
     enabled: !!accountId,
   });
 }
@@ -35,13 +58,29 @@ export function useCreateAction() {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: async ({ accountId, ...data }: InsertAction & { accountId: number }) => {
-      const response = await apiRequest("POST", `/api/accounts/${accountId}/actions`, data);
-      return response.json();
+    mutationFn: async ({ accountId, ...data }: InsertAccountAction & { accountId: string }) => {
+      const response = await apiRequest("POST", `/api/accounts/${encodeURIComponent(accountId)}/actions`, data);
+      return response.json() as Promise<AccountAction>;
+    },
+    onSuccess: (_, variables) => {
+      queryClient.invalidateQueries({
+        queryKey: [`/api/accounts/${encodeURIComponent(variables.accountId)}/actions`],
+      });
+    },
+  });
+}
+
+export function useUpdateAction() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ accountId, actionId, ...changes }: Partial<InsertAccountAction> & { accountId: string; actionId: number }) => {
+      const response = await apiRequest("PATCH", `/api/accounts/${encodeURIComponent(accountId)}/actions/${actionId}`, changes);
+      return response.json() as Promise<AccountAction>;
     },
     onSuccess: (_, variables) => {
       queryClient.invalidateQueries({
-        queryKey: [`/api/accounts/${variables.accountId}/actions`],
+        queryKey: [`/api/accounts/${encodeURIComponent(variables.accountId)}/actions`],
       });
     },
   });
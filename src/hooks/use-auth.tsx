@@ -1,13 +1,16 @@
 import { createContext, useContext, useState, useEffect, ReactNode } from 'react';
 
 interface User {
-  id: string;
+  id: number;
+  username: string;
+  role: 'admin' | 'csm';
+  csm_name: string;
 }
 
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
-  login: (password: string) => Promise<void>;
+  login: (username: string, password: string) => Promise<void>;
   logout: () => void;
   error: string | null;
   isLoading: boolean;
@@ -31,39 +34,24 @@ export function AuthProvider({ children }: AuthProviderProps) {
 
   const checkAuthStatus = async () => {
     try {
-      const sessionId = localStorage.getItem('sessionId');
-      if (!sessionId) {
-        setIsLoading(false);
-        return;
-      }
-
-      const response = await fetch('/api/auth/check', {
-        headers: {
-          'Authorization': `Bearer ${sessionId}`
-        }
-      });
+      // The HttpOnly session cookie is sent automatically
+      const response = await fetch('/api/auth/check');
 
       if (response.ok) {
         const data = await response.json();
         if (data.authenticated) {
           setUser(data.user);
-        } else {
-          localStorage.removeItem('sessionId');
         }
-      } else {
-        localStorage.removeItem('sessionId');
       }
     } catch (error) {
       console.error('Auth check failed:', error);
-      localStorage.removeItem('sessionId');
     } finally {
       setIsLoading(false);
     }
   };
 
-  const login = async (password: string) => {
+  const login = async (username: string, password: string) => {
     setError(null);
-    setIsLoading(true);
 
     try {
       const response = await fetch('/api/auth/login', {
@@ -71,40 +59,28 @@ export function AuthProvider({ children }: AuthProviderProps) {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ password }),
+        body: JSON.stringify({ username, password }),
       });
 
       const data = await response.json();
 
       if (response.ok) {
-        localStorage.setItem('sessionId', data.sessionId);
-        setUser({ id: 'admin' });
+        setUser(data.user);
         setError(null);
       } else {
         setError(data.error || 'Login failed');
       }
     } catch (error) {
       setError('Connection error. Please try again.');
-    } finally {
-      setIsLoading(false);
     }
   };
 
   const logout = async () => {
     try {
-      const sessionId = localStorage.getItem('sessionId');
-      if (sessionId) {
-        await fetch('/api/auth/logout', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${sessionId}`
-          }
-        });
-      }
+      await fetch('/api/auth/logout', { method: 'POST' });
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('sessionId');
       setUser(null);
       setError(null);
     }
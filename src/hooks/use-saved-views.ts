@@ -0,0 +1,67 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import type { InsertSavedView, SavedView, SavedViewTable, SavedViewsResponse } from "@/types/api";
+
+const viewsUrl = (table: SavedViewTable) => `/api/views?table=${table}`;
+
+export function useSavedViews(table: SavedViewTable) {
+  return useQuery<SavedViewsResponse>({
+    queryKey: [viewsUrl(table)],
+  });
+}
+
+export function useCreateSavedView() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (view: InsertSavedView) => {
+      const response = await apiRequest("POST", "/api/views", view);
+      return response.json() as Promise<SavedView>;
+    },
+    onSuccess: (view) => {
+      queryClient.invalidateQueries({ queryKey: [viewsUrl(view.table_key)] });
+    },
+  });
+}
+
+export function useUpdateSavedView() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, ...changes }: Partial<Pick<SavedView, 'name' | 'query_string' | 'shared'>> & { id: number }) => {
+      const response = await apiRequest("PATCH", `/api/views/${id}`, changes);
+      return response.json() as Promise<SavedView>;
+    },
+    onSuccess: (view) => {
+      queryClient.invalidateQueries({ queryKey: [viewsUrl(view.table_key)] });
+    },
+  });
+}
+
+export function usePinSavedView() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, pinned }: { id: number; pinned: boolean }) => {
+      const response = await apiRequest("PUT", `/api/views/${id}/pin`, { pinned });
+      return response.json() as Promise<SavedView>;
+    },
+    onSuccess: (view) => {
+      queryClient.invalidateQueries({ queryKey: [viewsUrl(view.table_key)] });
+    },
+  });
+}
+
+export function useDeleteSavedView() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (view: SavedView) => {
+      await apiRequest("DELETE", `/api/views/${view.id}`);
+      return view;
+    },
+    onSuccess: (view) => {
+      queryClient.invalidateQueries({ queryKey: [viewsUrl(view.table_key)] });
+    },
+  });
+}
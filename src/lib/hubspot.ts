@@ -0,0 +1,34 @@
+// Display helpers for the company fields imported from HubSpot (owner, lifecycle stage, renewal)
+
+export const LIFECYCLE_STAGE_LABELS: Record<string, string> = {
+  subscriber: 'Subscriber',
+  lead: 'Lead',
+  marketingqualifiedlead: 'Marketing Qualified Lead',
+  salesqualifiedlead: 'Sales Qualified Lead',
+  opportunity: 'Opportunity',
+  customer: 'Customer',
+  evangelist: 'Evangelist',
+  other: 'Other',
+};
+
+export const RENEWAL_WINDOWS = [30, 60, 90];
+
+export const formatLifecycleStage = (stage: string | null | undefined) => {
+  if (!stage) return '—';
+  return LIFECYCLE_STAGE_LABELS[stage] || stage;
+};
+
+// Renewal dates are 'YYYY-MM-DD'; compare as local calendar days
+export const daysUntil = (date: string | null | undefined) => {
+  if (!date) return null;
+  const target = new Date(`${date.slice(0, 10)}T00:00:00`);
+  if (Number.isNaN(target.getTime())) return null;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Math.round((target.getTime() - today.getTime()) / (24 * 60 * 60 * 1000));
+};
+
+export const formatRenewalDate = (date: string | null | undefined) => {
+  if (!date) return '—';
+  return new Date(`${date.slice(0, 10)}T00:00:00`).toLocaleDateString();
+};
@@ -0,0 +1,104 @@
+// URL query-string form of the monthly account table's filters, so a filtered table can be
+// reloaded, linked to and saved as a view (/api/views). Only non-default values are written.
+
+export const MONTHLY_TIME_PERIODS = ['current_month', 'previous_month', 'last_3_month_avg', 'this_month_last_year'] as const;
+export const MONTHLY_SORT_FIELDS = [
+  'name', 'csm', 'status', 'total_spend', 'total_texts_delivered', 'coupons_redeemed', 'active_subs_cnt',
+  'risk_level', 'trending_risk_level', 'churn_probability', 'spend_delta', 'texts_delta', 'coupons_delta', 'subs_delta'
+] as const;
+
+export type MonthlyTimePeriod = typeof MONTHLY_TIME_PERIODS[number];
+export type MonthlySortField = typeof MONTHLY_SORT_FIELDS[number];
+
+export interface MonthlyTableFilters {
+  timePeriod: MonthlyTimePeriod;
+  searchQuery: string;
+  selectedCSMs: string[];
+  selectedStatus: string;
+  selectedLifecycleStage: string;
+  selectedRenewalWindow: string;
+  selectedRiskLevel: string;
+  selectedTrendingRiskLevel: string;
+  selectedRiskReasons: string[];
+  selectedTrendingRiskReasons: string[];
+  sortField: MonthlySortField;
+  sortDirection: 'asc' | 'desc';
+}
+
+export const DEFAULT_MONTHLY_FILTERS: MonthlyTableFilters = {
+  timePeriod: 'current_month',
+  searchQuery: '',
+  selectedCSMs: [],
+  selectedStatus: 'all',
+  selectedLifecycleStage: 'all',
+  selectedRenewalWindow: 'all',
+  selectedRiskLevel: 'all',
+  selectedTrendingRiskLevel: 'all',
+  selectedRiskReasons: [],
+  selectedTrendingRiskReasons: [],
+  sortField: 'name',
+  sortDirection: 'asc'
+};
+
+// Filter -> URL parameter; array filters repeat the parameter
+const PARAM_NAMES: Record<keyof MonthlyTableFilters, string> = {
+  timePeriod: 'period',
+  searchQuery: 'q',
+  selectedCSMs: 'csm',
+  selectedStatus: 'status',
+  selectedLifecycleStage: 'lifecycle',
+  selectedRenewalWindow: 'renewal',
+  selectedRiskLevel: 'risk',
+  selectedTrendingRiskLevel: 'trending',
+  selectedRiskReasons: 'reason',
+  selectedTrendingRiskReasons: 'trending_reason',
+  sortField: 'sort',
+  sortDirection: 'dir'
+};
+
+const oneOf = <T extends string>(value: string | null, options: readonly T[], fallback: T): T =>
+  options.includes(value as T) ? value as T : fallback;
+
+export function parseMonthlyFilters(params: URLSearchParams): MonthlyTableFilters {
+  const text = (key: keyof MonthlyTableFilters, fallback: string) => params.get(PARAM_NAMES[key]) || fallback;
+  const list = (key: keyof MonthlyTableFilters) => params.getAll(PARAM_NAMES[key]).filter(Boolean);
+
+  return {
+    timePeriod: oneOf(params.get(PARAM_NAMES.timePeriod), MONTHLY_TIME_PERIODS, DEFAULT_MONTHLY_FILTERS.timePeriod),
+    searchQuery: text('searchQuery', ''),
+    selectedCSMs: list('selectedCSMs'),
+    selectedStatus: text('selectedStatus', 'all'),
+    selectedLifecycleStage: text('selectedLifecycleStage', 'all'),
+    selectedRenewalWindow: text('selectedRenewalWindow', 'all'),
+    selectedRiskLevel: text('selectedRiskLevel', 'all'),
+    selectedTrendingRiskLevel: text('selectedTrendingRiskLevel', 'all'),
+    selectedRiskReasons: list('selectedRiskReasons'),
+    selectedTrendingRiskReasons: list('selectedTrendingRiskReasons'),
+    sortField: oneOf(params.get(PARAM_NAMES.sortField), MONTHLY_SORT_FIELDS, DEFAULT_MONTHLY_FILTERS.sortField),
+    sortDirection: oneOf(params.get(PARAM_NAMES.sortDirection), ['asc', 'desc'] as const, DEFAULT_MONTHLY_FILTERS.sortDirection)
+  };
+}
+
+// Writes the filters into params (a copy), leaving unrelated parameters such as the dashboard tab alone
+export function applyMonthlyFilters(params: URLSearchParams, filters: MonthlyTableFilters): URLSearchParams {
+  const next = new URLSearchParams(params);
+
+  for (const key of Object.keys(PARAM_NAMES) as (keyof MonthlyTableFilters)[]) {
+    const name = PARAM_NAMES[key];
+    const value = filters[key];
+    next.delete(name);
+
+    if (Array.isArray(value)) {
+      value.forEach(item => next.append(name, item));
+    } else if (value && value !== DEFAULT_MONTHLY_FILTERS[key]) {
+      next.set(name, value);
+    }
+  }
+
+  return next;
+}
+
+// Just the filter parameters, as stored in a saved view
+export function monthlyFiltersQueryString(filters: MonthlyTableFilters): string {
+  return applyMonthlyFilters(new URLSearchParams(), filters).toString();
+}
@@ -0,0 +1,66 @@
+import { getSessionUser, SESSION_COOKIE_NAME } from '../services/auth.service.js';
+import { isAccountOwnedBy } from '../services/accounts.service.js';
+
+// Routes (relative to /api) reachable without a session
+const PUBLIC_PATHS = ['/auth/login', '/auth/token'];
+
+const parseCookies = (header = '') => Object.fromEntries(
+  header.split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const index = part.indexOf('=');
+      return [part.slice(0, index), decodeURIComponent(part.slice(index + 1))];
+    })
+);
+
+// Browser requests carry the HttpOnly cookie; scripts send the token from POST /auth/token as
+// Authorization: Bearer <token>
+export const getSessionToken = (req) => {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    const token = authorization.slice(7).trim();
+    if (token && token !== 'null' && token !== 'undefined') return token;
+  }
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE_NAME] || null;
+};
+
+export const requireAuth = async (req, res, next) => {
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  try {
+    const token = getSessionToken(req);
+    const user = await getSessionUser(token);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    req.sessionToken = token;
+    next();
+  } catch (error) {
+    console.error('Error validating session:', error);
+    res.status(500).json({ error: 'Failed to validate session', details: error.message });
+  }
+};
+
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// CSMs only see their own book of business; admins are unscoped (null)
+export const getCsmScope = (req) => {
+  return req.user?.role === 'admin' ? null : req.user?.csm_name || null;
+};
+
+// Out-of-scope accounts look the same as missing ones to CSM users
+export const isAccountInScope = async (req, accountId) => {
+  const csmScope = getCsmScope(req);
+  return !csmScope || await isAccountOwnedBy(accountId, csmScope);
+};
@@ -1,39 +1,385 @@
-import { useParams } from "wouter";
-import { useAccount, useAccountRiskHistory } from "@/hooks/use-accounts";
+import { useState } from "react";
+import { useParams, Link } from "wouter";
+import { useAccountDetail, useAccountActions } from "@/hooks/use-accounts";
+import Navbar from "@/components/layout/navbar";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { ArrowLeft, Mail, Phone, FileText } from "lucide-react";
-import { Link } from "wouter";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { ArrowLeft, Mail, Phone, FileText, Link2 } from "lucide-react";
+import {
+  AccountActionForm,
+  AccountActionList,
+  COMMUNICATION_ACTION_TYPES,
+} from "@/components/dashboard/account-actions";
+import RiskLevelTimeline from "@/components/dashboard/risk-level-timeline";
+import { useToast } from "@/hooks/use-toast";
+import { AccountActionType, RiskLevel } from "@/types/api";
+import { daysUntil, formatLifecycleStage, formatRenewalDate } from "@/lib/hubspot";
+
+const getRiskLevelColor = (level: RiskLevel | null) => {
+  switch (level) {
+    case "high": return "bg-red-100 text-red-800";
+    case "medium": return "bg-yellow-100 text-yellow-800";
+    case "low": return "bg-green-100 text-green-800";
+    default: return "bg-gray-100 text-gray-800";
+  }
+};
+
+const formatCurrency = (value: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+};
+
+const formatNumber = (value: number) => {
+  return new Intl.NumberFormat('en-US').format(Math.round(value));
+};
+
+const formatDate = (value: string | null) => {
+  return value ? new Date(value).toLocaleDateString() : "—";
+};
+
+function RiskReasons({ reasons }: { reasons: string[] }) {
+  if (reasons.length === 0) {
+    return <p className="text-sm text-gray-500 mt-2">No flags</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {reasons.map((reason) => (
+        <Badge key={reason} variant="secondary">{reason}</Badge>
+      ))}
+    </div>
+  );
+}
 
 export default function AccountDetail() {
   const { id } = useParams();
-  const accountId = parseInt(id || "0");
-  
-  const { data: account, isLoading } = useAccount(accountId);
-  const { data: riskHistory } = useAccountRiskHistory(accountId);
+  const accountId = id ? decodeURIComponent(id) : "";
 
-  if (isLoading) {
-    return <div className="flex items-center justify-center h-screen">Loading...</div>;
-  }
+  const { data: detail, isLoading, error } = useAccountDetail(accountId);
+  const { data: actionsData } = useAccountActions(accountId);
+  const [activeTab, setActiveTab] = useState("overview");
+  const [newActionType, setNewActionType] = useState<AccountActionType>("call");
+  const { toast } = useToast();
 
-  if (!account) {
-    return <div className="flex items-center justify-center h-screen">Account not found</div>;
-  }
+  const actions = actionsData?.actions || [];
+  const communications = actions.filter(action => COMMUNICATION_ACTION_TYPES.includes(action.action_type));
 
-  const getRiskLevelColor = (level: string) => {
-    switch (level) {
-      case "high": return "bg-red-100 text-red-800";
-      case "medium": return "bg-yellow-100 text-yellow-800";
-      case "low": return "bg-green-100 text-green-800";
-      default: return "bg-gray-100 text-gray-800";
+  const startAction = (type: AccountActionType) => {
+    setNewActionType(type);
+    setActiveTab("notes");
+  };
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(window.location.href);
+    toast({ title: "Link copied", description: "Anyone with access to this account can open it." });
+  };
+
+  const renderBody = () => {
+    if (isLoading) {
+      return <div className="flex items-center justify-center h-64">Loading...</div>;
     }
+
+    if (error || !detail) {
+      return <div className="flex items-center justify-center h-64">Account not found</div>;
+    }
+
+    const { account, current_month, previous_month, history } = detail;
+    const currentMetrics = current_month.metrics;
+    const renewalDays = daysUntil(account.renewal_date);
+
+    // History comes newest-first; charts read left to right
+    const chartData = [...history].reverse().map((month) => ({
+      month: month.month_label || month.month_yr,
+      spend: month.total_spend,
+      subscribers: month.active_subs_cnt,
+    }));
+
+    return (
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Account Information */}
+        <div className="lg:col-span-2 space-y-6">
+          <Card>
+            <CardHeader>
+              <div className="flex items-center justify-between">
+                <div>
+                  <CardTitle className="text-2xl">{account.account_name}</CardTitle>
+                  <p className="text-sm text-gray-500 mt-1">{account.account_id}</p>
+                </div>
+                <Badge className={getRiskLevelColor(current_month.trending_risk_level)}>
+                  {current_month.trending_risk_level
+                    ? `${current_month.trending_risk_level.toUpperCase()} RISK (TRENDING)`
+                    : "NO CURRENT RISK"}
+                </Badge>
+              </div>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div>
+                  <p className="text-sm text-gray-600">Status</p>
+                  <p className="font-medium">{account.status}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">CSM</p>
+                  <p className="font-medium">{account.csm_owner || "Unassigned"}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Launched</p>
+                  <p className="font-medium">{formatDate(account.launched_at)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">HubSpot ID</p>
+                  <p className="font-medium">{account.hubspot_id || "—"}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Spend (MTD)</p>
+                  <p className="font-medium">{currentMetrics ? formatCurrency(currentMetrics.total_spend) : "—"}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Texts (MTD)</p>
+                  <p className="font-medium">{currentMetrics ? formatNumber(currentMetrics.total_texts_delivered) : "—"}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Redemptions (MTD)</p>
+                  <p className="font-medium">{currentMetrics ? formatNumber(currentMetrics.total_coupons_redeemed) : "—"}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Subscribers</p>
+                  <p className="font-medium">{currentMetrics ? formatNumber(currentMetrics.avg_active_subs_cnt) : "—"}</p>
+                </div>
+                {account.archived_at && (
+                  <div>
+                    <p className="text-sm text-gray-600">Archived</p>
+                    <p className="font-medium">{formatDate(account.archived_at)}</p>
+                  </div>
+                )}
+                {account.hubspot_imported_at && (
+                  <>
+                    <div>
+                      <p className="text-sm text-gray-600">HubSpot Owner</p>
+                      <p className="font-medium">{account.hubspot_owner_name || "Unassigned"}</p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-600">Lifecycle Stage</p>
+                      <p className="font-medium">{formatLifecycleStage(account.lifecycle_stage)}</p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-600">Renewal</p>
+                      <p className="font-medium">
+                        {formatRenewalDate(account.renewal_date)}
+                        {renewalDays !== null && renewalDays >= 0 && renewalDays < 60 && (
+                          <Badge className="ml-2 bg-orange-100 text-orange-800">in {renewalDays}d</Badge>
+                        )}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-600">Last HubSpot Activity</p>
+                      <p className="font-medium">{formatDate(account.last_activity_at)}</p>
+                    </div>
+                  </>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+
+          <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
+            <TabsList>
+              <TabsTrigger value="overview">Overview</TabsTrigger>
+              <TabsTrigger value="history">History</TabsTrigger>
+              <TabsTrigger value="communications">Communications</TabsTrigger>
+              <TabsTrigger value="notes">Notes</TabsTrigger>
+            </TabsList>
+
+            <TabsContent value="overview" className="space-y-4">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Risk Analysis</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-4">
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <p className="text-sm text-gray-600">Trending Risk ({current_month.month}, month to date)</p>
+                        <Badge className={`mt-1 ${getRiskLevelColor(current_month.trending_risk_level)}`}>
+                          {(current_month.trending_risk_level || "n/a").toUpperCase()}
+                        </Badge>
+                        <RiskReasons reasons={current_month.trending_risk_reasons} />
+                      </div>
+                      <div>
+                        <p className="text-sm text-gray-600">Historical Risk ({previous_month.month})</p>
+                        <Badge className={`mt-1 ${getRiskLevelColor(previous_month.historical_risk_level)}`}>
+                          {(previous_month.historical_risk_level || "n/a").toUpperCase()}
+                        </Badge>
+                        <RiskReasons reasons={previous_month.risk_reasons} />
+                      </div>
+                    </div>
+                    <div className="h-64">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={chartData}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="month" tick={{ fontSize: 12 }} />
+                          <YAxis yAxisId="spend" tickFormatter={(value) => formatCurrency(value)} tick={{ fontSize: 12 }} />
+                          <YAxis yAxisId="subscribers" orientation="right" tick={{ fontSize: 12 }} />
+                          <Tooltip formatter={(value: number, name: string) => name === "Spend" ? formatCurrency(value) : formatNumber(value)} />
+                          <Line yAxisId="spend" type="monotone" dataKey="spend" name="Spend" stroke="#9333ea" strokeWidth={2} />
+                          <Line yAxisId="subscribers" type="monotone" dataKey="subscribers" name="Subscribers" stroke="#2563eb" strokeWidth={2} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+            </TabsContent>
+
+            <TabsContent value="history" className="space-y-4">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Risk Level Changes</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <RiskLevelTimeline accountId={accountId} />
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>13-Month History</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="border-b">
+                          <th className="text-left py-3 px-4 font-medium text-gray-600">Month</th>
+                          <th className="text-right py-3 px-4 font-medium text-gray-600">Spend</th>
+                          <th className="text-right py-3 px-4 font-medium text-gray-600">Texts</th>
+                          <th className="text-right py-3 px-4 font-medium text-gray-600">Redemptions</th>
+                          <th className="text-right py-3 px-4 font-medium text-gray-600">Subscribers</th>
+                          <th className="text-left py-3 px-4 font-medium text-gray-600">Risk</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {history.map((month) => (
+                          <tr key={month.month_yr} className="border-b hover:bg-gray-50">
+                            <td className="py-3 px-4 font-medium">
+                              {month.month_yr === current_month.month ? `${month.month_label} (MTD)` : month.month_label}
+                            </td>
+                            <td className="text-right py-3 px-4">{formatCurrency(month.total_spend)}</td>
+                            <td className="text-right py-3 px-4">{formatNumber(month.total_texts_delivered)}</td>
+                            <td className="text-right py-3 px-4">{formatNumber(month.coupons_redeemed)}</td>
+                            <td className="text-right py-3 px-4">{formatNumber(month.active_subs_cnt)}</td>
+                            <td className="py-3 px-4">
+                              {month.risk_level ? (
+                                <Badge className={getRiskLevelColor(month.risk_level)} title={month.risk_reasons.join(", ")}>
+                                  {month.risk_level}
+                                </Badge>
+                              ) : (
+                                <span className="text-gray-400">—</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </CardContent>
+              </Card>
+            </TabsContent>
+
+            <TabsContent value="communications">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Communication History</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <AccountActionList
+                    accountId={accountId}
+                    actions={communications}
+                    emptyMessage="No calls, emails or QBRs logged yet"
+                  />
+                </CardContent>
+              </Card>
+            </TabsContent>
+
+            <TabsContent value="notes">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Notes & Actions</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <AccountActionForm accountId={accountId} defaultType={newActionType} />
+                  <AccountActionList
+                    accountId={accountId}
+                    actions={actions}
+                    emptyMessage="No actions logged yet"
+                  />
+                </CardContent>
+              </Card>
+            </TabsContent>
+          </Tabs>
+        </div>
+
+        {/* Action Panel */}
+        <div className="space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Quick Actions</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <Button className="w-full justify-start" onClick={() => startAction("email")}>
+                <Mail className="h-4 w-4 mr-2" />
+                Log Email
+              </Button>
+              <Button className="w-full justify-start" variant="outline" onClick={() => startAction("call")}>
+                <Phone className="h-4 w-4 mr-2" />
+                Log Call
+              </Button>
+              <Button className="w-full justify-start" variant="outline" onClick={() => startAction("note")}>
+                <FileText className="h-4 w-4 mr-2" />
+                Add Note
+              </Button>
+              <Button className="w-full justify-start" variant="outline" onClick={copyLink}>
+                <Link2 className="h-4 w-4 mr-2" />
+                Copy Link
+              </Button>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Monthly Risk Timeline</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-2">
+                {history.map((month) => (
+                  <div key={month.month_yr} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-600">{month.month_label || month.month_yr}</span>
+                    <Badge className={getRiskLevelColor(month.risk_level)}>
+                      {month.month_yr === current_month.month
+                        ? `${current_month.trending_risk_level || "n/a"} (trending)`
+                        : month.risk_level || "n/a"}
+                    </Badge>
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
   };
 
   return (
     <div className="min-h-screen bg-gray-50">
-      <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+      <Navbar />
+
+      <main className="p-6">
         <div className="mb-6">
           <Link href="/">
             <Button variant="ghost" size="sm">
@@ -43,146 +389,12 @@ export default function AccountDetail() {
           </Link>
         </div>
 
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-          {/* Account Information */}
-          <div className="lg:col-span-2 space-y-6">
-            <Card>
-              <CardHeader>
-                <div className="flex items-center justify-between">
-                  <CardTitle className="text-2xl">{account.name}</CardTitle>
-                  <Badge className={getRiskLevelColor(account.riskLevel)}>
-                    {account.riskLevel.toUpperCase()} RISK
-                  </Badge>
-                </div>
-              </CardHeader>
-              <CardContent>
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <p className="text-sm text-gray-600">Location</p>
-                    <p className="font-medium">{account.location}</p>
-                  </div>
-                  <div>
-                    <p className="text-sm text-gray-600">Monthly Revenue</p>
-                    <p className="font-medium">${parseFloat(account.monthlyRevenue).toLocaleString()}</p>
-                  </div>
-                  <div>
-                    <p className="text-sm text-gray-600">CSM</p>
-                    <p className="font-medium">{account.csmName}</p>
-                  </div>
-                  <div>
-                    <p className="text-sm text-gray-600">Risk Score</p>
-                    <p className="font-medium">{account.currentRiskScore}/100</p>
-                  </div>
-                </div>
-              </CardContent>
-            </Card>
-
-            <Tabs defaultValue="overview" className="w-full">
-              <TabsList>
-                <TabsTrigger value="overview">Overview</TabsTrigger>
-                <TabsTrigger value="history">History</TabsTrigger>
-                <TabsTrigger value="communications">Communications</TabsTrigger>
-                <TabsTrigger value="notes">Notes</TabsTrigger>
-              </TabsList>
-              
-              <TabsContent value="overview" className="space-y-4">
-                <Card>
-                  <CardHeader>
-                    <CardTitle>Risk Analysis</CardTitle>
-                  </CardHeader>
-                  <CardContent>
-                    <div className="space-y-4">
-                      <div className="h-64 bg-gray-100 rounded-lg flex items-center justify-center">
-                        <p className="text-gray-500">Risk timeline chart would go here</p>
-                      </div>
-                      <div className="grid grid-cols-2 gap-4">
-                        <div>
-                          <p className="text-sm text-gray-600">Primary Risk Factors</p>
-                          <div className="flex flex-wrap gap-2 mt-2">
-                            <Badge variant="destructive">Engagement Drop</Badge>
-                            <Badge variant="secondary">Support Issues</Badge>
-                          </div>
-                        </div>
-                        <div>
-                          <p className="text-sm text-gray-600">Last Updated</p>
-                          <p className="font-medium">2 minutes ago</p>
-                        </div>
-                      </div>
-                    </div>
-                  </CardContent>
-                </Card>
-              </TabsContent>
-              
-              <TabsContent value="history">
-                <Card>
-                  <CardHeader>
-                    <CardTitle>Account History</CardTitle>
-                  </CardHeader>
-                  <CardContent>
-                    <p className="text-gray-500">Historical data and changes would be displayed here</p>
-                  </CardContent>
-                </Card>
-              </TabsContent>
-              
-              <TabsContent value="communications">
-                <Card>
-                  <CardHeader>
-                    <CardTitle>Communication History</CardTitle>
-                  </CardHeader>
-                  <CardContent>
-                    <p className="text-gray-500">Email and call history would be displayed here</p>
-                  </CardContent>
-                </Card>
-              </TabsContent>
-              
-              <TabsContent value="notes">
-                <Card>
-                  <CardHeader>
-                    <CardTitle>Notes & Actions</CardTitle>
-                  </CardHeader>
-                  <CardContent>
-                    <p className="text-gray-500">Notes and action items would be displayed here</p>
-                  </CardContent>
-                </Card>
-              </TabsContent>
-            </Tabs>
-          </div>
-
-          {/* Action Panel */}
-          <div className="space-y-6">
-            <Card>
-              <CardHeader>
-                <CardTitle>Quick Actions</CardTitle>
-              </CardHeader>
-              <CardContent className="space-y-3">
-                <Button className="w-full justify-start">
-                  <Mail className="h-4 w-4 mr-2" />
-                  Send Email
-                </Button>
-                <Button className="w-full justify-start" variant="outline">
-                  <Phone className="h-4 w-4 mr-2" />
-                  Schedule Call
-                </Button>
-                <Button className="w-full justify-start" variant="outline">
-                  <FileText className="h-4 w-4 mr-2" />
-                  Add Note
-                </Button>
-              </CardContent>
-            </Card>
-
-            <Card>
-              <CardHeader>
-                <CardTitle>Risk Score Timeline</CardTitle>
-              </CardHeader>
-              <CardContent>
-                <div className="h-48 bg-gray-100 rounded-lg flex items-center justify-center">
-                  <p className="text-gray-500">Risk score timeline</p>
-                </div>
-              </CardContent>
-            </Card>
-          </div>
-        </div>
-      </div>
+        {renderBody()}
+      </main>
+
+      <footer className="text-center py-4 text-xs text-purple-800 border-t">
+        Certified Bonesaw Product 🪚
+      </footer>
     </div>
   );
 }
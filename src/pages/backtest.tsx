@@ -0,0 +1,278 @@
+import { useState, type ReactNode } from "react";
+import { useQuery } from "@tanstack/react-query";
+import Navbar from "@/components/layout/navbar";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { Target, TrendingDown, Users } from "lucide-react";
+
+type RiskLevel = 'high' | 'medium' | 'low';
+
+interface BacktestGroup {
+  key: string;
+  flagged: number;
+  churned: number;
+  precision: number | null;
+  recall: number | null;
+  lift: number | null;
+}
+
+type BacktestMonth = {
+  month: string;
+  account_months: number;
+  churned: number;
+  churn_rate: number | null;
+} & Record<RiskLevel, { flagged: number; churned: number; precision: number | null }>;
+
+interface BacktestData {
+  horizon_days: number;
+  period: { from: string | null; to: string };
+  totals: { account_months: number; churned: number; churn_rate: number | null };
+  by_risk_level: BacktestGroup[];
+  by_reason: BacktestGroup[];
+  by_month: BacktestMonth[];
+}
+
+const BACKTEST_URL = '/api/analytics/backtest';
+const HORIZON_OPTIONS = ['30', '60', '90', '180'];
+
+const RISK_LEVELS: RiskLevel[] = ['high', 'medium', 'low'];
+
+const levelColors: Record<RiskLevel, string> = {
+  high: '#dc2626',
+  medium: '#f59e0b',
+  low: '#10b981'
+};
+
+const levelBadgeClass: Record<RiskLevel, string> = {
+  high: 'bg-red-100 text-red-800 border-red-200',
+  medium: 'bg-orange-100 text-orange-800 border-orange-200',
+  low: 'bg-green-100 text-green-800 border-green-200'
+};
+
+// Strips the "400: " status prefix the query function puts on error messages
+const errorMessage = (error: unknown) => {
+  const message = error instanceof Error ? error.message : String(error);
+  try {
+    return JSON.parse(message.replace(/^\d{3}: /, '')).error || message;
+  } catch {
+    return message;
+  }
+};
+
+const formatPercent = (value: number | null) => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+
+const formatLift = (value: number | null) => value === null ? '-' : `${value.toFixed(2)}x`;
+
+// Lift above 2x is a strong signal, below 1x is worse than picking accounts at random
+const liftClass = (value: number | null) => {
+  if (value === null) return 'text-gray-400';
+  if (value >= 2) return 'text-green-700 font-semibold';
+  if (value < 1) return 'text-gray-500';
+  return 'text-gray-900';
+};
+
+function GroupTable({ groups, label, renderKey }: {
+  groups: BacktestGroup[];
+  label: string;
+  renderKey: (key: string) => ReactNode;
+}) {
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>{label}</TableHead>
+          <TableHead className="text-right">Flagged</TableHead>
+          <TableHead className="text-right">Churned</TableHead>
+          <TableHead className="text-right">Precision</TableHead>
+          <TableHead className="text-right">Recall</TableHead>
+          <TableHead className="text-right">Lift</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {groups.map(group => (
+          <TableRow key={group.key}>
+            <TableCell className="font-medium">{renderKey(group.key)}</TableCell>
+            <TableCell className="text-right">{group.flagged.toLocaleString()}</TableCell>
+            <TableCell className="text-right">{group.churned.toLocaleString()}</TableCell>
+            <TableCell className="text-right">{formatPercent(group.precision)}</TableCell>
+            <TableCell className="text-right">{formatPercent(group.recall)}</TableCell>
+            <TableCell className={`text-right ${liftClass(group.lift)}`}>{formatLift(group.lift)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+export default function Backtest() {
+  const [horizonDays, setHorizonDays] = useState('90');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const params = new URLSearchParams({ horizon_days: horizonDays });
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  const backtestUrl = `${BACKTEST_URL}?${params.toString()}`;
+
+  const { data, isLoading, error } = useQuery<BacktestData>({
+    queryKey: [backtestUrl],
+  });
+
+  // Precision per level by month, next to the month's overall churn rate
+  const chartData = (data?.by_month || []).map(month => ({
+    month: month.month,
+    churn_rate: month.churn_rate === null ? null : month.churn_rate * 100,
+    ...Object.fromEntries(RISK_LEVELS.map(level => [
+      level,
+      month[level].precision === null ? null : month[level].precision * 100
+    ]))
+  }));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <main className="p-6">
+        <div className="mb-6 flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-semibold text-gray-900">Risk Backtest</h1>
+            <p className="text-sm text-gray-600">
+              How often accounts flagged in a completed month were archived within {horizonDays} days of its end
+              {data ? `, ${data.period.from || 'first month'} to ${data.period.to}` : ''}.
+            </p>
+          </div>
+          <div className="flex items-end gap-3">
+            <div>
+              <Label htmlFor="backtest-from" className="text-xs">From</Label>
+              <Input id="backtest-from" type="month" className="w-40" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </div>
+            <div>
+              <Label htmlFor="backtest-to" className="text-xs">To</Label>
+              <Input id="backtest-to" type="month" className="w-40" value={to} onChange={(e) => setTo(e.target.value)} />
+            </div>
+            <Select value={horizonDays} onValueChange={setHorizonDays}>
+              <SelectTrigger className="w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {HORIZON_OPTIONS.map(option => (
+                  <SelectItem key={option} value={option}>Within {option} days</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {error ? (
+          <Card>
+            <CardContent className="py-6 text-red-600">Failed to run the backtest: {errorMessage(error)}</CardContent>
+          </Card>
+        ) : isLoading || !data ? (
+          <div className="text-gray-500">Running backtest...</div>
+        ) : data.totals.account_months === 0 ? (
+          <Card>
+            <CardContent className="py-6 text-gray-500">
+              No completed months with historical risk levels in this range.
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            <div className="mb-6 grid grid-cols-1 gap-4 md:grid-cols-3">
+              <Card>
+                <CardHeader className="pb-2">
+                  <CardDescription className="flex items-center gap-2"><Users className="h-4 w-4" />Account-months scored</CardDescription>
+                  <CardTitle className="text-3xl">{data.totals.account_months.toLocaleString()}</CardTitle>
+                </CardHeader>
+              </Card>
+              <Card>
+                <CardHeader className="pb-2">
+                  <CardDescription className="flex items-center gap-2"><TrendingDown className="h-4 w-4" />Archived within {data.horizon_days} days</CardDescription>
+                  <CardTitle className="text-3xl">{data.totals.churned.toLocaleString()}</CardTitle>
+                </CardHeader>
+                <CardContent className="text-xs text-gray-500">
+                  {formatPercent(data.totals.churn_rate)} base churn rate
+                </CardContent>
+              </Card>
+              <Card>
+                <CardHeader className="pb-2">
+                  <CardDescription className="flex items-center gap-2"><Target className="h-4 w-4" />High risk precision</CardDescription>
+                  <CardTitle className="text-3xl">{formatPercent(data.by_risk_level.find(group => group.key === 'high')?.precision ?? null)}</CardTitle>
+                </CardHeader>
+                <CardContent className="text-xs text-gray-500">
+                  {formatLift(data.by_risk_level.find(group => group.key === 'high')?.lift ?? null)} the base rate
+                </CardContent>
+              </Card>
+            </div>
+
+            <div className="mb-6 grid grid-cols-1 gap-6 xl:grid-cols-2">
+              <Card>
+                <CardHeader>
+                  <CardTitle>By Risk Level</CardTitle>
+                  <CardDescription>
+                    Precision: flagged accounts that churned. Recall: churned accounts that were flagged. Lift: precision over the base rate.
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <GroupTable
+                    groups={data.by_risk_level}
+                    label="Level"
+                    renderKey={(key) => (
+                      <Badge variant="outline" className={`capitalize ${levelBadgeClass[key as RiskLevel]}`}>{key}</Badge>
+                    )}
+                  />
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>By Reason</CardTitle>
+                  <CardDescription>Each flag on its own, strongest lift first. An account can count under several reasons.</CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <GroupTable groups={data.by_reason} label="Reason" renderKey={(key) => key} />
+                </CardContent>
+              </Card>
+            </div>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Precision by Month</CardTitle>
+                <CardDescription>Share of each level's accounts archived within {data.horizon_days} days, against the month's churn rate</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <div className="h-80">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="month" tick={{ fontSize: 12 }} />
+                      <YAxis tick={{ fontSize: 12 }} tickFormatter={(value: number) => `${value}%`} />
+                      <Tooltip formatter={(value: number) => `${value.toFixed(1)}%`} />
+                      <Legend />
+                      {RISK_LEVELS.map(level => (
+                        <Line
+                          key={level}
+                          type="monotone"
+                          dataKey={level}
+                          name={`${level.charAt(0).toUpperCase()}${level.slice(1)} Risk`}
+                          stroke={levelColors[level]}
+                          strokeWidth={2}
+                          connectNulls
+                        />
+                      ))}
+                      <Line type="monotone" dataKey="churn_rate" name="All Accounts" stroke="#6b7280" strokeDasharray="5 5" dot={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,395 @@
+import { useState } from "react";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import Navbar from "@/components/layout/navbar";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { Link2, Plus, Pencil, Trash2, SearchCheck } from "lucide-react";
+
+type ValidationStatus = 'ok' | 'missing' | 'merged' | 'failed';
+
+interface HubSpotIdValidation {
+  hubspot_id: string;
+  translated: boolean;
+  status: ValidationStatus;
+  merged_into_id: string | null;
+  hubspot_company_name: string | null;
+  message: string | null;
+  checked_at: string;
+}
+
+interface HubSpotTranslation {
+  id: number;
+  account_id: string;
+  account_name: string | null;
+  account_hubspot_id: string | null;
+  original_hubspot_id: string | null;
+  correct_hubspot_id: string;
+  hubspot_company_name: string | null;
+  confidence: string | null;
+  source: string;
+  notes: string | null;
+  updated_by: string | null;
+  updated_at: string;
+  validation: HubSpotIdValidation | null;
+}
+
+interface AccountValidation extends HubSpotIdValidation {
+  account_id: string;
+  account_name: string | null;
+  account_hubspot_id: string | null;
+  correct_hubspot_id: string | null;
+}
+
+interface TranslationForm {
+  account_id: string;
+  account_name: string | null;
+  correct_hubspot_id: string;
+  notes: string;
+  isNew: boolean;
+}
+
+const TRANSLATIONS_URL = '/api/hubspot/translations';
+const VALIDATION_URL = '/api/hubspot/translations/validation';
+
+const statusBadgeClass: Record<ValidationStatus, string> = {
+  ok: 'bg-green-100 text-green-800 border-green-200',
+  missing: 'bg-red-100 text-red-800 border-red-200',
+  merged: 'bg-orange-100 text-orange-800 border-orange-200',
+  failed: 'bg-gray-100 text-gray-800 border-gray-200'
+};
+
+// Strips the "400: " status prefix apiRequest puts on error messages
+const errorMessage = (error: unknown) => {
+  const message = error instanceof Error ? error.message : String(error);
+  try {
+    return JSON.parse(message.replace(/^\d{3}: /, '')).message || message;
+  } catch {
+    return message;
+  }
+};
+
+const refreshTranslations = () => {
+  queryClient.invalidateQueries({ queryKey: [TRANSLATIONS_URL] });
+  queryClient.invalidateQueries({ queryKey: [VALIDATION_URL] });
+};
+
+function StatusBadge({ validation }: { validation: HubSpotIdValidation | null }) {
+  if (!validation) return <span className="text-xs text-gray-400">Not checked</span>;
+  return (
+    <Badge variant="outline" className={statusBadgeClass[validation.status]}>
+      {validation.status}
+    </Badge>
+  );
+}
+
+export default function HubSpotTranslations() {
+  const { toast } = useToast();
+  const [form, setForm] = useState<TranslationForm | null>(null);
+  const [formError, setFormError] = useState('');
+
+  const { data: translationsData, isLoading } = useQuery<{ data: { translations: HubSpotTranslation[] } }>({
+    queryKey: [TRANSLATIONS_URL],
+  });
+  const { data: validationData } = useQuery<{ data: { validations: AccountValidation[] } }>({
+    queryKey: [VALIDATION_URL],
+  });
+
+  const translations = translationsData?.data.translations || [];
+  const validations = validationData?.data.validations || [];
+  const mismatches = validations.filter(validation => validation.status !== 'ok');
+  const lastChecked = validations.reduce<string | null>(
+    (latest, validation) => (!latest || validation.checked_at > latest ? validation.checked_at : latest),
+    null
+  );
+
+  const validate = useMutation({
+    mutationFn: async () => {
+      const response = await apiRequest('POST', '/api/hubspot/translations/validate');
+      return response.json() as Promise<{ message: string }>;
+    },
+    onSuccess: ({ message }) => {
+      refreshTranslations();
+      toast({ title: 'Validation Complete', description: message });
+    },
+    onError: (err) => toast({ title: 'Validation Failed', description: errorMessage(err), variant: 'destructive' }),
+  });
+
+  const save = useMutation({
+    mutationFn: async (values: TranslationForm) => {
+      const body = { correct_hubspot_id: values.correct_hubspot_id, notes: values.notes };
+      const response = values.isNew
+        ? await apiRequest('POST', TRANSLATIONS_URL, { account_id: values.account_id, ...body })
+        : await apiRequest('PUT', `${TRANSLATIONS_URL}/${encodeURIComponent(values.account_id)}`, body);
+      return response.json() as Promise<{ message: string }>;
+    },
+    onSuccess: ({ message }) => {
+      setForm(null);
+      refreshTranslations();
+      toast({ title: 'Translation Saved', description: message });
+    },
+    onError: (err) => setFormError(errorMessage(err)),
+  });
+
+  const remove = useMutation({
+    mutationFn: async (accountId: string) => {
+      const response = await apiRequest('DELETE', `${TRANSLATIONS_URL}/${encodeURIComponent(accountId)}`);
+      return response.json() as Promise<{ message: string }>;
+    },
+    onSuccess: ({ message }) => {
+      refreshTranslations();
+      toast({ title: 'Translation Removed', description: message });
+    },
+    onError: (err) => toast({ title: 'Delete Failed', description: errorMessage(err), variant: 'destructive' }),
+  });
+
+  const openForm = (values: Omit<TranslationForm, 'notes'> & { notes?: string | null }) => {
+    setFormError('');
+    setForm({ ...values, notes: values.notes || '' });
+  };
+
+  // A mismatch is corrected by editing the account's translation, or adding one if it has none
+  const correctMismatch = (validation: AccountValidation, hubspotId: string) => {
+    const existing = translations.find(translation => translation.account_id === validation.account_id);
+    openForm({
+      account_id: validation.account_id,
+      account_name: validation.account_name,
+      correct_hubspot_id: hubspotId,
+      notes: existing?.notes || (validation.status === 'merged' ? `Merged from ${validation.hubspot_id}` : ''),
+      isNew: !existing
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <main className="p-6">
+        <div className="mb-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-semibold text-gray-900">HubSpot ID Translations</h1>
+            <p className="text-sm text-gray-600">
+              Accounts whose HubSpot company ID in the source data is wrong sync to the ID listed here instead.
+            </p>
+          </div>
+          <Button onClick={() => validate.mutate()} disabled={validate.isPending}>
+            <SearchCheck className="h-4 w-4 mr-2" />
+            {validate.isPending ? 'Checking HubSpot...' : 'Validate IDs'}
+          </Button>
+        </div>
+
+        <Card className="mb-6">
+          <CardHeader>
+            <CardTitle>Mismatches</CardTitle>
+            <CardDescription>
+              {lastChecked
+                ? `Company IDs HubSpot reported as missing or merged on ${new Date(lastChecked).toLocaleString()}`
+                : 'Run a validation to check every account’s HubSpot company ID'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {mismatches.length === 0 ? (
+              <div className="text-gray-500">
+                {lastChecked ? `All ${validations.length} company IDs were found in HubSpot.` : 'No validation run yet.'}
+              </div>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Account</TableHead>
+                    <TableHead>Checked ID</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Details</TableHead>
+                    <TableHead className="text-right">Fix</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {mismatches.map(validation => (
+                    <TableRow key={validation.account_id}>
+                      <TableCell className="font-medium">{validation.account_name || validation.account_id}</TableCell>
+                      <TableCell className="font-mono text-sm">
+                        {validation.hubspot_id}
+                        {validation.translated && <span className="ml-2 text-xs text-gray-500">(translated)</span>}
+                      </TableCell>
+                      <TableCell><StatusBadge validation={validation} /></TableCell>
+                      <TableCell className="text-sm text-gray-600">
+                        {validation.message}
+                        {validation.hubspot_company_name && ` (${validation.hubspot_company_name})`}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {validation.status === 'merged' && validation.merged_into_id ? (
+                          <Button size="sm" onClick={() => correctMismatch(validation, validation.merged_into_id!)}>
+                            Use {validation.merged_into_id}
+                          </Button>
+                        ) : (
+                          <Button size="sm" variant="outline" onClick={() => correctMismatch(validation, '')}>
+                            Set ID
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <div>
+                <CardTitle>Translations</CardTitle>
+                <CardDescription>{translations.length} accounts mapped to a different HubSpot company</CardDescription>
+              </div>
+              <Button
+                variant="outline"
+                onClick={() => openForm({ account_id: '', account_name: null, correct_hubspot_id: '', isNew: true })}
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Translation
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? (
+              <div className="text-gray-500">Loading translations...</div>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Account</TableHead>
+                    <TableHead>Source ID</TableHead>
+                    <TableHead>Syncs To</TableHead>
+                    <TableHead>HubSpot Company</TableHead>
+                    <TableHead>Source</TableHead>
+                    <TableHead>Last Check</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {translations.map(translation => (
+                    <TableRow key={translation.account_id}>
+                      <TableCell>
+                        <div className="font-medium">{translation.account_name || translation.account_id}</div>
+                        {translation.notes && <div className="text-xs text-gray-500">{translation.notes}</div>}
+                      </TableCell>
+                      <TableCell className="font-mono text-sm text-gray-600">
+                        {translation.account_hubspot_id || translation.original_hubspot_id || '-'}
+                      </TableCell>
+                      <TableCell className="font-mono text-sm">{translation.correct_hubspot_id}</TableCell>
+                      <TableCell className="text-sm">
+                        {translation.validation?.hubspot_company_name || translation.hubspot_company_name || '-'}
+                      </TableCell>
+                      <TableCell className="text-sm text-gray-600">
+                        {translation.source}
+                        {translation.confidence && <span className="ml-1 text-xs text-gray-400">({translation.confidence.toLowerCase()})</span>}
+                      </TableCell>
+                      <TableCell><StatusBadge validation={translation.validation} /></TableCell>
+                      <TableCell className="text-right space-x-1">
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => openForm({ ...translation, isNew: false })}
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          disabled={remove.isPending}
+                          onClick={() => {
+                            if (window.confirm(`Remove the HubSpot ID translation for ${translation.account_name || translation.account_id}?`)) {
+                              remove.mutate(translation.account_id);
+                            }
+                          }}
+                        >
+                          <Trash2 className="h-4 w-4 text-red-600" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </main>
+
+      <Dialog open={!!form} onOpenChange={(open) => !open && setForm(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <Link2 className="h-5 w-5" />
+              {form?.isNew ? 'Add Translation' : 'Edit Translation'}
+            </DialogTitle>
+            <DialogDescription>
+              {form?.account_name || 'Syncs and imports for this account will use the HubSpot company ID below.'}
+            </DialogDescription>
+          </DialogHeader>
+
+          {form && (
+            <form
+              id="translation-form"
+              className="space-y-4"
+              onSubmit={(e) => {
+                e.preventDefault();
+                save.mutate(form);
+              }}
+            >
+              {formError && (
+                <Alert variant="destructive">
+                  <AlertDescription>{formError}</AlertDescription>
+                </Alert>
+              )}
+              <div>
+                <Label htmlFor="translation-account">Account ID</Label>
+                <Input
+                  id="translation-account"
+                  value={form.account_id}
+                  disabled={!form.isNew || !!form.account_name}
+                  onChange={(e) => setForm({ ...form, account_id: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label htmlFor="translation-hubspot-id">HubSpot Company ID</Label>
+                <Input
+                  id="translation-hubspot-id"
+                  value={form.correct_hubspot_id}
+                  onChange={(e) => setForm({ ...form, correct_hubspot_id: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label htmlFor="translation-notes">Notes</Label>
+                <Textarea
+                  id="translation-notes"
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                />
+              </div>
+            </form>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setForm(null)}>Cancel</Button>
+            <Button type="submit" form="translation-form" disabled={save.isPending}>
+              {save.isPending ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <footer className="text-center py-4 text-xs text-purple-800 border-t">
+        Certified Bonesaw Product 🪚
+      </footer>
+    </div>
+  );
+}
@@ -0,0 +1,416 @@
+import { useState } from "react";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import Navbar from "@/components/layout/navbar";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { useToast } from "@/hooks/use-toast";
+import { Activity, AlertTriangle, DollarSign, ShieldAlert, X } from "lucide-react";
+
+type RunStatus = 'running' | 'completed' | 'failed' | 'quarantined' | 'approved';
+
+interface BigQueryCost {
+  queries: number;
+  costUSD: number;
+  bytesBilled: number;
+  bytesProcessed: number;
+}
+
+interface OperationsRun {
+  date: string;
+  step: string;
+  status: RunStatus;
+  started_at: string | null;
+  completed_at: string | null;
+  duration_ms: number | null;
+  rows_processed: number | null;
+  bigquery_cost: BigQueryCost | null;
+  error_message: string | null;
+}
+
+interface StepSummary {
+  step: string;
+  runs: number;
+  failed: number;
+  quarantined: number;
+  avg_duration_ms: number | null;
+  max_duration_ms: number | null;
+  rows_processed: number;
+  bigquery_cost_usd: number;
+  bigquery_bytes_billed: number;
+}
+
+interface OperationsData {
+  from: string;
+  to: string;
+  days: number;
+  steps: string[];
+  summary: StepSummary[];
+  totals: {
+    runs: number;
+    failed: number;
+    quarantined: number;
+    bigquery_cost_usd: number;
+    cost_tracked_runs: number;
+  };
+  runs: OperationsRun[];
+}
+
+const OPERATIONS_URL = '/api/admin/operations';
+const DAY_OPTIONS = ['30', '90', '180', '365'];
+
+const statusCellClass: Record<RunStatus, string> = {
+  completed: 'bg-green-500',
+  running: 'bg-blue-400',
+  failed: 'bg-red-500',
+  quarantined: 'bg-amber-400',
+  approved: 'bg-teal-400'
+};
+
+const statusBadgeClass: Record<RunStatus, string> = {
+  completed: 'bg-green-100 text-green-800 border-green-200',
+  running: 'bg-blue-100 text-blue-800 border-blue-200',
+  failed: 'bg-red-100 text-red-800 border-red-200',
+  quarantined: 'bg-amber-100 text-amber-800 border-amber-200',
+  approved: 'bg-teal-100 text-teal-800 border-teal-200'
+};
+
+// Strips the "400: " status prefix apiRequest puts on error messages
+const errorMessage = (error: unknown) => {
+  const message = error instanceof Error ? error.message : String(error);
+  try {
+    return JSON.parse(message.replace(/^\d{3}: /, '')).message || message;
+  } catch {
+    return message;
+  }
+};
+
+const formatDuration = (ms: number | null) => {
+  if (ms === null) return '-';
+  if (ms < 1000) return `${ms} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+  const minutes = Math.floor(ms / 60000);
+  return `${minutes}m ${String(Math.round((ms % 60000) / 1000)).padStart(2, '0')}s`;
+};
+
+const formatCost = (usd: number) => `$${usd < 0.01 && usd > 0 ? usd.toFixed(4) : usd.toFixed(2)}`;
+
+const formatBytes = (bytes: number) => `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+
+// Every date in the window, oldest first, so the heatmap reads left to right
+const datesBetween = (from: string, to: string) => {
+  const dates: string[] = [];
+  for (let time = Date.parse(from); time <= Date.parse(to); time += 24 * 60 * 60 * 1000) {
+    dates.push(new Date(time).toISOString().split('T')[0]);
+  }
+  return dates;
+};
+
+function StatusBadge({ status }: { status: RunStatus }) {
+  return (
+    <Badge variant="outline" className={statusBadgeClass[status] || ''}>
+      {status}
+    </Badge>
+  );
+}
+
+function StatusHeatmap({ data, selectedDate, onSelectDate }: {
+  data: OperationsData;
+  selectedDate: string | null;
+  onSelectDate: (date: string | null) => void;
+}) {
+  const dates = datesBetween(data.from, data.to);
+  const runsByKey = new Map(data.runs.map(run => [`${run.step}:${run.date}`, run]));
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="border-separate" style={{ borderSpacing: 2 }}>
+        <thead>
+          <tr>
+            <th />
+            {dates.map(date => (
+              <th key={date} className="text-[10px] font-normal text-gray-500 text-left align-bottom">
+                {/* Label the first day of each month */}
+                {date.endsWith('-01') || date === dates[0] ? (
+                  <span className="block w-3 whitespace-nowrap">{date.slice(0, 7)}</span>
+                ) : null}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {data.steps.map(step => (
+            <tr key={step}>
+              <td className="pr-3 text-xs font-medium text-gray-700 capitalize whitespace-nowrap">{step}</td>
+              {dates.map(date => {
+                const run = runsByKey.get(`${step}:${date}`);
+                const title = run
+                  ? `${date} ${step}: ${run.status}${run.duration_ms !== null ? `, ${formatDuration(run.duration_ms)}` : ''}${run.error_message ? ` - ${run.error_message}` : ''}`
+                  : `${date} ${step}: no run`;
+                return (
+                  <td key={date} className="p-0">
+                    <button
+                      type="button"
+                      title={title}
+                      onClick={() => onSelectDate(selectedDate === date ? null : date)}
+                      className={`block h-3 w-3 rounded-sm ${run ? statusCellClass[run.status] || 'bg-gray-400' : 'bg-gray-100'} ${selectedDate === date ? 'ring-2 ring-offset-1 ring-gray-900' : ''}`}
+                    />
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="mt-3 flex flex-wrap gap-4 text-xs text-gray-600">
+        {Object.entries(statusCellClass).map(([status, className]) => (
+          <span key={status} className="flex items-center gap-1">
+            <span className={`inline-block h-3 w-3 rounded-sm ${className}`} />
+            {status}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm bg-gray-100" />
+          no run
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default function Operations() {
+  const { toast } = useToast();
+  const [days, setDays] = useState('90');
+  const [selectedDate, setSelectedDate] = useState<string | null>(null);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+
+  const operationsUrl = `${OPERATIONS_URL}?days=${days}`;
+  const { data: operationsData, isLoading, error } = useQuery<{ data: OperationsData }>({
+    queryKey: [operationsUrl],
+  });
+  const data = operationsData?.data;
+
+  // Quarantined quality results are released here the same way as through the quality API
+  const approve = useMutation({
+    mutationFn: async (date: string) => {
+      const response = await apiRequest('POST', `/api/admin/quality/${date}/approve`, {});
+      return response.json() as Promise<{ message: string }>;
+    },
+    onSuccess: ({ message }) => {
+      queryClient.invalidateQueries({ queryKey: [operationsUrl] });
+      toast({ title: 'Date Approved', description: message });
+    },
+    onError: (err) => toast({ title: 'Approval Failed', description: errorMessage(err), variant: 'destructive' }),
+  });
+
+  const runs = (data?.runs || [])
+    .filter(run => !selectedDate || run.date === selectedDate)
+    .filter(run => !problemsOnly || run.status === 'failed' || run.status === 'quarantined');
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <main className="p-6">
+        <div className="mb-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-semibold text-gray-900">ETL Operations</h1>
+            <p className="text-sm text-gray-600">
+              Status, duration, rows processed and BigQuery cost of every ETL step run{data ? ` from ${data.from} to ${data.to}` : ''}.
+            </p>
+          </div>
+          <Select value={days} onValueChange={(value) => { setDays(value); setSelectedDate(null); }}>
+            <SelectTrigger className="w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {DAY_OPTIONS.map(option => (
+                <SelectItem key={option} value={option}>Last {option} days</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {error ? (
+          <Card>
+            <CardContent className="py-6 text-red-600">Failed to load ETL runs: {errorMessage(error)}</CardContent>
+          </Card>
+        ) : isLoading || !data ? (
+          <div className="text-gray-500">Loading ETL runs...</div>
+        ) : (
+          <>
+            <div className="mb-6 grid grid-cols-1 gap-4 md:grid-cols-4">
+              <Card>
+                <CardHeader className="pb-2">
+                  <CardDescription className="flex items-center gap-2"><Activity className="h-4 w-4" />Step runs</CardDescription>
+                  <CardTitle className="text-3xl">{data.totals.runs}</CardTitle>
+                </CardHeader>
+              </Card>
+              <Card>
+                <CardHeader className="pb-2">
+                  <CardDescription className="flex items-center gap-2"><AlertTriangle className="h-4 w-4" />Failed</CardDescription>
+                  <CardTitle className={`text-3xl ${data.totals.failed > 0 ? 'text-red-600' : ''}`}>{data.totals.failed}</CardTitle>
+                </CardHeader>
+              </Card>
+              <Card>
+                <CardHeader className="pb-2">
+                  <CardDescription className="flex items-center gap-2"><ShieldAlert className="h-4 w-4" />Quarantined</CardDescription>
+                  <CardTitle className={`text-3xl ${data.totals.quarantined > 0 ? 'text-amber-600' : ''}`}>{data.totals.quarantined}</CardTitle>
+                </CardHeader>
+              </Card>
+              <Card>
+                <CardHeader className="pb-2">
+                  <CardDescription className="flex items-center gap-2"><DollarSign className="h-4 w-4" />BigQuery cost</CardDescription>
+                  <CardTitle className="text-3xl">{formatCost(data.totals.bigquery_cost_usd)}</CardTitle>
+                </CardHeader>
+                <CardContent className="text-xs text-gray-500">
+                  {data.totals.cost_tracked_runs > 0
+                    ? `${data.totals.cost_tracked_runs} runs with cost tracking`
+                    : 'No tracked runs; set BIGQUERY_COST_TRACKING=true'}
+                </CardContent>
+              </Card>
+            </div>
+
+            <Card className="mb-6">
+              <CardHeader>
+                <CardTitle>Step Status</CardTitle>
+                <CardDescription>One cell per step and date. Click a date to show only its runs below.</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <StatusHeatmap data={data} selectedDate={selectedDate} onSelectDate={setSelectedDate} />
+              </CardContent>
+            </Card>
+
+            <Card className="mb-6">
+              <CardHeader>
+                <CardTitle>By Step</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Step</TableHead>
+                      <TableHead className="text-right">Runs</TableHead>
+                      <TableHead className="text-right">Failed</TableHead>
+                      <TableHead className="text-right">Avg Duration</TableHead>
+                      <TableHead className="text-right">Max Duration</TableHead>
+                      <TableHead className="text-right">Rows</TableHead>
+                      <TableHead className="text-right">BigQuery</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {data.summary.map(step => (
+                      <TableRow key={step.step}>
+                        <TableCell className="font-medium capitalize">{step.step}</TableCell>
+                        <TableCell className="text-right">{step.runs}</TableCell>
+                        <TableCell className={`text-right ${step.failed > 0 ? 'text-red-600' : ''}`}>{step.failed}</TableCell>
+                        <TableCell className="text-right">{formatDuration(step.avg_duration_ms)}</TableCell>
+                        <TableCell className="text-right">{formatDuration(step.max_duration_ms)}</TableCell>
+                        <TableCell className="text-right">{step.rows_processed.toLocaleString()}</TableCell>
+                        <TableCell className="text-right">
+                          {step.bigquery_bytes_billed > 0
+                            ? `${formatCost(step.bigquery_cost_usd)} (${formatBytes(step.bigquery_bytes_billed)})`
+                            : '-'}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <CardTitle>Runs</CardTitle>
+                    <CardDescription>{runs.length} step runs{selectedDate ? ` on ${selectedDate}` : ''}</CardDescription>
+                  </div>
+                  <div className="flex items-center gap-4">
+                    {selectedDate && (
+                      <Button size="sm" variant="outline" onClick={() => setSelectedDate(null)}>
+                        <X className="h-4 w-4 mr-1" />
+                        {selectedDate}
+                      </Button>
+                    )}
+                    <div className="flex items-center gap-2">
+                      <Switch id="problems-only" checked={problemsOnly} onCheckedChange={setProblemsOnly} />
+                      <Label htmlFor="problems-only">Failed and quarantined only</Label>
+                    </div>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent>
+                {runs.length === 0 ? (
+                  <div className="text-gray-500">No runs to show.</div>
+                ) : (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Date</TableHead>
+                        <TableHead>Step</TableHead>
+                        <TableHead>Status</TableHead>
+                        <TableHead>Started</TableHead>
+                        <TableHead className="text-right">Duration</TableHead>
+                        <TableHead className="text-right">Rows</TableHead>
+                        <TableHead className="text-right">BigQuery</TableHead>
+                        <TableHead>Error</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {runs.map(run => (
+                        <TableRow key={`${run.step}:${run.date}`}>
+                          <TableCell className="font-mono text-sm">{run.date}</TableCell>
+                          <TableCell className="capitalize">{run.step}</TableCell>
+                          <TableCell><StatusBadge status={run.status} /></TableCell>
+                          <TableCell className="text-sm text-gray-600">
+                            {run.started_at ? new Date(run.started_at).toLocaleString() : '-'}
+                          </TableCell>
+                          <TableCell className="text-right">{formatDuration(run.duration_ms)}</TableCell>
+                          <TableCell className="text-right">{run.rows_processed?.toLocaleString() ?? '-'}</TableCell>
+                          <TableCell className="text-right text-sm">
+                            {run.bigquery_cost
+                              ? `${formatCost(run.bigquery_cost.costUSD)} / ${run.bigquery_cost.queries} queries`
+                              : '-'}
+                          </TableCell>
+                          <TableCell className="max-w-md text-sm text-red-700">
+                            {run.error_message}
+                            {run.step === 'quality' && run.status === 'quarantined' && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                className="ml-2"
+                                disabled={approve.isPending}
+                                onClick={() => {
+                                  if (window.confirm(`Approve ${run.date} and release its month's rollup?`)) {
+                                    approve.mutate(run.date);
+                                  }
+                                }}
+                              >
+                                Approve
+                              </Button>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </main>
+
+      <footer className="text-center py-4 text-xs text-purple-800 border-t">
+        Certified Bonesaw Product 🪚
+      </footer>
+    </div>
+  );
+}
@@ -0,0 +1,374 @@
+import { useEffect, useState } from "react";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import Navbar from "@/components/layout/navbar";
+import MonthlyTrendsChart from "@/components/dashboard/monthly-trends-chart";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { apiRequest } from "@/lib/queryClient";
+import { FlaskConical, RotateCcw, ArrowRight } from "lucide-react";
+
+type RiskLevel = 'high' | 'medium' | 'low';
+
+interface RiskRule {
+  rule_key: string;
+  reason: string;
+  kind: 'below' | 'above' | 'drop';
+  metric: string;
+  threshold: number;
+  prorate: boolean;
+  weight: number;
+  conditions: { metric: string; threshold: number; prorate: boolean }[];
+  eligibility: string | null;
+}
+
+interface RiskRuleSet {
+  version: number | null;
+  description: string | null;
+  high_flag_threshold: number;
+  medium_flag_threshold: number;
+  rules: RiskRule[];
+}
+
+interface RiskRuleSetsResponse {
+  active: RiskRuleSet;
+  versions: { version: number; description: string | null; is_active: boolean }[];
+}
+
+interface SimulationChange {
+  account_id: string;
+  account_name: string;
+  csm_owner: string | null;
+  status: string;
+  baseline_level: RiskLevel;
+  baseline_reasons: string[];
+  candidate_level: RiskLevel;
+  candidate_reasons: string[];
+  level_changed: boolean;
+}
+
+interface SimulationResult {
+  month: string;
+  mode: 'trending' | 'historical';
+  day_of_month: number | null;
+  baseline_version: number;
+  accounts_evaluated: number;
+  accounts_changed: number;
+  totals: Record<'baseline' | 'candidate', Record<RiskLevel, number>>;
+  transition_matrix: Record<RiskLevel, Record<RiskLevel, number>>;
+  changes: SimulationChange[];
+}
+
+const RISK_LEVELS: RiskLevel[] = ['high', 'medium', 'low'];
+
+const levelBadgeClass: Record<RiskLevel, string> = {
+  high: 'bg-red-100 text-red-800 border-red-200',
+  medium: 'bg-orange-100 text-orange-800 border-orange-200',
+  low: 'bg-green-100 text-green-800 border-green-200'
+};
+
+const getCurrentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
+};
+
+export default function RiskSimulator() {
+  const [month, setMonth] = useState(getCurrentMonth());
+  const [candidate, setCandidate] = useState<RiskRuleSet | null>(null);
+
+  const { data: ruleSets, isLoading } = useQuery<RiskRuleSetsResponse>({
+    queryKey: ['/api/risk/rules'],
+  });
+
+  // Start the candidate as a copy of the active rule set
+  useEffect(() => {
+    if (ruleSets?.active && !candidate) {
+      setCandidate(structuredClone(ruleSets.active));
+    }
+  }, [ruleSets, candidate]);
+
+  const simulation = useMutation<SimulationResult, Error>({
+    mutationFn: async () => {
+      const response = await apiRequest('POST', '/api/risk/simulate', {
+        month,
+        high_flag_threshold: candidate?.high_flag_threshold,
+        medium_flag_threshold: candidate?.medium_flag_threshold,
+        rules: candidate?.rules
+      });
+      return response.json();
+    }
+  });
+
+  const updateRule = (ruleKey: string, field: 'threshold' | 'weight', value: string) => {
+    if (!candidate) return;
+    setCandidate({
+      ...candidate,
+      rules: candidate.rules.map(rule =>
+        rule.rule_key === ruleKey ? { ...rule, [field]: parseFloat(value) } : rule
+      )
+    });
+  };
+
+  const updateFlagThreshold = (field: 'high_flag_threshold' | 'medium_flag_threshold', value: string) => {
+    if (!candidate) return;
+    setCandidate({ ...candidate, [field]: parseFloat(value) });
+  };
+
+  const result = simulation.data;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <main className="p-6">
+        <div className="mb-6">
+          <h1 className="text-2xl font-semibold text-gray-900">Risk Rule Simulator</h1>
+          <p className="text-sm text-gray-600">
+            Re-score a month under candidate thresholds and compare against the active rule set. Nothing is saved.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-6">
+          <MonthlyTrendsChart />
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Simulated Risk Distribution</CardTitle>
+              <CardDescription>
+                {result
+                  ? `${result.month} (${result.mode === 'trending' ? `month-to-date, day ${result.day_of_month}` : 'completed month'}) · v${result.baseline_version} vs candidate · ${result.accounts_evaluated} accounts`
+                  : 'Run a simulation to see how levels would shift'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {result ? (
+                <div className="space-y-6">
+                  <div className="grid grid-cols-3 gap-4">
+                    {RISK_LEVELS.map(level => {
+                      const delta = result.totals.candidate[level] - result.totals.baseline[level];
+                      return (
+                        <div key={level} className="rounded-lg border p-3">
+                          <div className="text-xs uppercase text-gray-500">{level} risk</div>
+                          <div className="flex items-center gap-2 text-lg font-semibold">
+                            {result.totals.baseline[level]}
+                            <ArrowRight className="h-4 w-4 text-gray-400" />
+                            {result.totals.candidate[level]}
+                          </div>
+                          <div className={delta > 0 ? 'text-xs text-red-600' : delta < 0 ? 'text-xs text-green-600' : 'text-xs text-gray-500'}>
+                            {delta > 0 ? '+' : ''}{delta}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  {/* Rows = active rule set level, columns = candidate level */}
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Current \ Candidate</TableHead>
+                        {RISK_LEVELS.map(level => (
+                          <TableHead key={level} className="text-center capitalize">{level}</TableHead>
+                        ))}
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {RISK_LEVELS.map(from => (
+                        <TableRow key={from}>
+                          <TableCell className="font-medium capitalize">{from}</TableCell>
+                          {RISK_LEVELS.map(to => (
+                            <TableCell
+                              key={to}
+                              className={from === to ? 'text-center text-gray-500' : 'text-center font-semibold'}
+                            >
+                              {result.transition_matrix[from][to]}
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              ) : (
+                <div className="h-48 flex items-center justify-center text-gray-500">
+                  No simulation run yet
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+
+        <Card className="mb-6">
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <div>
+                <CardTitle>Candidate Rules</CardTitle>
+                <CardDescription>
+                  {ruleSets?.active ? `Starting from active rule set v${ruleSets.active.version}` : 'Loading active rule set...'}
+                </CardDescription>
+              </div>
+              <div className="flex items-end gap-3">
+                <div>
+                  <Label htmlFor="simulation-month">Month</Label>
+                  <Input
+                    id="simulation-month"
+                    type="month"
+                    value={month}
+                    onChange={(e) => setMonth(e.target.value)}
+                    className="w-40"
+                  />
+                </div>
+                <Button
+                  variant="outline"
+                  onClick={() => ruleSets?.active && setCandidate(structuredClone(ruleSets.active))}
+                  disabled={!ruleSets?.active}
+                >
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Reset
+                </Button>
+                <Button onClick={() => simulation.mutate()} disabled={!candidate || simulation.isPending}>
+                  <FlaskConical className="h-4 w-4 mr-2" />
+                  {simulation.isPending ? 'Running...' : 'Run Simulation'}
+                </Button>
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent>
+            {simulation.error && (
+              <Alert variant="destructive" className="mb-4">
+                <AlertDescription>{simulation.error.message}</AlertDescription>
+              </Alert>
+            )}
+
+            {isLoading || !candidate ? (
+              <div className="text-gray-500">Loading rules...</div>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 gap-4 mb-4 max-w-md">
+                  <div>
+                    <Label htmlFor="high-flag-threshold">High risk at ≥ points</Label>
+                    <Input
+                      id="high-flag-threshold"
+                      type="number"
+                      step="0.5"
+                      value={candidate.high_flag_threshold}
+                      onChange={(e) => updateFlagThreshold('high_flag_threshold', e.target.value)}
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="medium-flag-threshold">Medium risk at ≥ points</Label>
+                    <Input
+                      id="medium-flag-threshold"
+                      type="number"
+                      step="0.5"
+                      value={candidate.medium_flag_threshold}
+                      onChange={(e) => updateFlagThreshold('medium_flag_threshold', e.target.value)}
+                    />
+                  </div>
+                </div>
+
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Rule</TableHead>
+                      <TableHead>Metric</TableHead>
+                      <TableHead>Threshold</TableHead>
+                      <TableHead>Weight</TableHead>
+                      <TableHead>Eligibility</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {candidate.rules.map(rule => (
+                      <TableRow key={rule.rule_key}>
+                        <TableCell className="font-medium">{rule.reason}</TableCell>
+                        <TableCell className="text-sm text-gray-600">
+                          {rule.kind === 'drop' ? `${rule.metric} drop (fraction)` : `${rule.metric} ${rule.kind}`}
+                          {rule.prorate && <span className="ml-1 text-xs text-gray-400">(prorated)</span>}
+                        </TableCell>
+                        <TableCell>
+                          <Input
+                            type="number"
+                            step={rule.kind === 'drop' ? '0.05' : '1'}
+                            value={rule.threshold}
+                            onChange={(e) => updateRule(rule.rule_key, 'threshold', e.target.value)}
+                            className="w-28"
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Input
+                            type="number"
+                            step="0.5"
+                            min="0"
+                            value={rule.weight}
+                            onChange={(e) => updateRule(rule.rule_key, 'weight', e.target.value)}
+                            className="w-20"
+                          />
+                        </TableCell>
+                        <TableCell className="text-sm text-gray-600">{rule.eligibility || 'Always'}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+          </CardContent>
+        </Card>
+
+        {result && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Changed Accounts</CardTitle>
+              <CardDescription>
+                {result.accounts_changed} level changes, {result.changes.length - result.accounts_changed} reason-only changes
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {result.changes.length === 0 ? (
+                <div className="text-gray-500">The candidate rules produce identical results.</div>
+              ) : (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Account</TableHead>
+                      <TableHead>CSM</TableHead>
+                      <TableHead>Current</TableHead>
+                      <TableHead>Candidate</TableHead>
+                      <TableHead>Candidate Reasons</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {result.changes.map(change => (
+                      <TableRow key={change.account_id}>
+                        <TableCell className="font-medium">{change.account_name}</TableCell>
+                        <TableCell>{change.csm_owner || '-'}</TableCell>
+                        <TableCell>
+                          <Badge variant="outline" className={levelBadgeClass[change.baseline_level]}>
+                            {change.baseline_level}
+                          </Badge>
+                        </TableCell>
+                        <TableCell>
+                          <Badge variant="outline" className={levelBadgeClass[change.candidate_level]}>
+                            {change.candidate_level}
+                          </Badge>
+                        </TableCell>
+                        <TableCell className="text-sm text-gray-600">{change.candidate_reasons.join(', ')}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </main>
+
+      <footer className="text-center py-4 text-xs text-purple-800 border-t">
+        Certified Bonesaw Product 🪚
+      </footer>
+    </div>
+  );
+}
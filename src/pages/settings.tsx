@@ -1,6 +1,7 @@
 import Navbar from "@/components/layout/navbar";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { PasswordSettings } from "@/components/settings/password-settings";
+import { NotificationSettings } from "@/components/settings/notification-settings";
 
 export default function Settings() {
   return (
@@ -15,14 +16,8 @@ export default function Settings() {
             {/* Password Settings */}
             <PasswordSettings />
             
-            <Card>
-              <CardHeader>
-                <CardTitle>Notification Preferences</CardTitle>
-              </CardHeader>
-              <CardContent>
-                <p className="text-gray-600">Notification and alert settings will be available here.</p>
-              </CardContent>
-            </Card>
+            {/* Risk Escalation Notifications */}
+            <NotificationSettings />
             
             <Card>
               <CardHeader>
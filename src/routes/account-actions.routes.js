@@ -0,0 +1,15 @@
+import express from 'express';
+import {
+  getAccountActions,
+  postAccountAction,
+  patchAccountAction
+} from '../controllers/account-actions.controller.js';
+
+const router = express.Router();
+
+// CSM outreach log (calls, emails, QBRs, discount offers) per account
+router.get('/accounts/:accountId/actions', getAccountActions);
+router.post('/accounts/:accountId/actions', postAccountAction);
+router.patch('/accounts/:accountId/actions/:actionId', patchAccountAction);
+
+export default router;
@@ -1,8 +1,10 @@
 import express from 'express';
-import { getAccounts } from '../controllers/accounts.controller.js';
+import { getAccounts, getAccount, getAccountRiskLevelHistory } from '../controllers/accounts.controller.js';
 
 const router = express.Router();
 
 router.get('/accounts', getAccounts);
+router.get('/accounts/:accountId', getAccount);
+router.get('/accounts/:accountId/risk-level-history', getAccountRiskLevelHistory);
 
 export default router;
\ No newline at end of file
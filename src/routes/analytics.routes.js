@@ -0,0 +1,9 @@
+import express from 'express';
+import { getDashboardAnalytics, getBacktest } from '../controllers/analytics.controller.js';
+
+const router = express.Router();
+
+router.get('/analytics/dashboard', getDashboardAnalytics);
+router.get('/analytics/backtest', getBacktest);
+
+export default router;
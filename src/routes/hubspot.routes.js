@@ -2,15 +2,46 @@ import express from 'express';
 import {
   testHubSpotConnection,
   syncAllAccounts,
+  importHubSpotCompanies,
   getHubSpotSampleData,
-  getHubSpotStatus
+  getHubSpotStatus,
+  getHubSpotSyncRuns,
+  getHubSpotSyncRun,
+  retryHubSpotSyncRun,
+  startHubSpotSyncJob,
+  getHubSpotSyncJob,
+  streamHubSpotSyncJob
 } from '../controllers/hubspot.controller.js';
+import {
+  getHubSpotTranslations,
+  getHubSpotTranslation,
+  createHubSpotTranslation,
+  updateHubSpotTranslation,
+  deleteHubSpotTranslation,
+  getHubSpotIdValidations,
+  validateHubSpotIds
+} from '../controllers/hubspot-translations.controller.js';
+import { requireRole } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
 router.get('/status', getHubSpotStatus);
 router.get('/test-connection', testHubSpotConnection);
 router.get('/sample-data', getHubSpotSampleData);
-router.post('/sync', syncAllAccounts);
+router.post('/sync', requireRole('admin'), syncAllAccounts);
+router.post('/sync-jobs', requireRole('admin'), startHubSpotSyncJob);
+router.get('/sync-jobs/:jobId', requireRole('admin'), getHubSpotSyncJob);
+router.get('/sync-jobs/:jobId/events', requireRole('admin'), streamHubSpotSyncJob);
+router.post('/import', requireRole('admin'), importHubSpotCompanies);
+router.get('/runs', requireRole('admin'), getHubSpotSyncRuns);
+router.get('/runs/:runId', requireRole('admin'), getHubSpotSyncRun);
+router.post('/runs/:runId/retry', requireRole('admin'), retryHubSpotSyncRun);
+router.get('/translations', requireRole('admin'), getHubSpotTranslations);
+router.post('/translations', requireRole('admin'), createHubSpotTranslation);
+router.get('/translations/validation', requireRole('admin'), getHubSpotIdValidations);
+router.post('/translations/validate', requireRole('admin'), validateHubSpotIds);
+router.get('/translations/:accountId', requireRole('admin'), getHubSpotTranslation);
+router.put('/translations/:accountId', requireRole('admin'), updateHubSpotTranslation);
+router.delete('/translations/:accountId', requireRole('admin'), deleteHubSpotTranslation);
 
 export default router;
\ No newline at end of file
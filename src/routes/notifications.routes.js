@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getNotificationSettings,
+  putNotificationSettings,
+  postTestNotification,
+  postRunNotifications
+} from '../controllers/notifications.controller.js';
+import { requireRole } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// The signed-in user's risk escalation subscription
+router.get('/settings', getNotificationSettings);
+router.put('/settings', putNotificationSettings);
+router.post('/test', postTestNotification);
+
+// Digests normally go out after the monthly rollup; this sends any pending ones now
+router.post('/run', requireRole('admin'), postRunNotifications);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getRiskRuleSets,
+  getRiskRuleSet,
+  postRiskRuleSet,
+  activateRiskRuleSetController
+} from '../controllers/risk-rules.controller.js';
+import { postRiskSimulation } from '../controllers/risk-simulation.controller.js';
+import { requireRole } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Versioned risk rule sets used by the monthly rollup ETL
+router.get('/rules', getRiskRuleSets);
+router.get('/rules/:version', getRiskRuleSet);
+router.post('/rules', requireRole('admin'), postRiskRuleSet);
+router.post('/rules/:version/activate', requireRole('admin'), activateRiskRuleSetController);
+
+// What-if: re-score a month under a candidate rule set without persisting anything.
+// Results span every CSM's accounts, so this is admin-only like rule changes.
+router.post('/simulate', requireRole('admin'), postRiskSimulation);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getSavedViews,
+  postSavedView,
+  patchSavedView,
+  removeSavedView,
+  pinSavedView
+} from '../controllers/saved-views.controller.js';
+
+const router = express.Router();
+
+// Named filter sets for the dashboard tables (?table=account-metrics-monthly); own and shared views
+router.get('/', getSavedViews);
+router.post('/', postSavedView);
+router.patch('/:viewId', patchSavedView);
+router.delete('/:viewId', removeSavedView);
+router.put('/:viewId/pin', pinSavedView);
+
+export default router;
@@ -0,0 +1,106 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+
+export const ACTION_TYPES = ['call', 'email', 'qbr', 'discount_offer', 'note'];
+export const ACTION_OUTCOMES = ['pending', 'positive', 'neutral', 'negative', 'no_response'];
+
+// Outreach that shows up in the account's Communications tab
+export const COMMUNICATION_ACTION_TYPES = ['call', 'email', 'qbr'];
+
+const MAX_NOTES_LENGTH = 5000;
+
+// Validates a create (or, with partial, an update) payload; throws with a user-facing message
+export const normalizeAccountAction = (input = {}, { partial = false } = {}) => {
+  const action = {};
+
+  if (!partial || input.action_type !== undefined) {
+    if (!ACTION_TYPES.includes(input.action_type)) {
+      throw new Error(`action_type must be one of ${ACTION_TYPES.join(', ')}`);
+    }
+    action.action_type = input.action_type;
+  }
+
+  if (input.outcome !== undefined || !partial) {
+    const outcome = input.outcome ?? 'pending';
+    if (!ACTION_OUTCOMES.includes(outcome)) {
+      throw new Error(`outcome must be one of ${ACTION_OUTCOMES.join(', ')}`);
+    }
+    action.outcome = outcome;
+  }
+
+  if (input.notes !== undefined || !partial) {
+    const notes = input.notes == null ? null : String(input.notes).trim() || null;
+    if (notes && notes.length > MAX_NOTES_LENGTH) {
+      throw new Error(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    action.notes = notes;
+  }
+
+  if (input.follow_up_date !== undefined || !partial) {
+    const followUpDate = input.follow_up_date || null;
+    if (followUpDate && !ChurnGuardCalendar.isValidDateISO(followUpDate)) {
+      throw new Error('follow_up_date must be a YYYY-MM-DD date');
+    }
+    action.follow_up_date = followUpDate;
+  }
+
+  if (partial && Object.keys(action).length === 0) {
+    throw new Error('No action fields to update');
+  }
+
+  return action;
+};
+
+export const listAccountActions = async (accountId) => {
+  const db = await getSharedDatabase();
+
+  const result = await db.query(`
+    SELECT id, account_id, action_type, outcome, notes, follow_up_date,
+           created_by, created_by_name, created_at, updated_at
+    FROM account_actions
+    WHERE account_id = $1
+    ORDER BY created_at DESC, id DESC
+  `, [accountId]);
+
+  return result.rows;
+};
+
+export const createAccountAction = async (accountId, action, user) => {
+  const db = await getSharedDatabase();
+
+  const result = await db.query(`
+    INSERT INTO account_actions
+      (account_id, action_type, outcome, notes, follow_up_date, created_by, created_by_name)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    accountId,
+    action.action_type,
+    action.outcome,
+    action.notes,
+    action.follow_up_date,
+    user?.id ?? null,
+    user?.username ?? null
+  ]);
+
+  return result.rows[0];
+};
+
+// Typically used to record the outcome once the call/email has happened
+export const updateAccountAction = async (accountId, actionId, changes) => {
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+
+  const fields = Object.keys(changes);
+  const assignments = fields.map((field, index) => `${field} = $${index + 3}`);
+
+  const result = await db.query(`
+    UPDATE account_actions
+    SET ${assignments.join(', ')}, updated_at = ${sql.now()}
+    WHERE account_id = $1 AND id = $2
+    RETURNING *
+  `, [accountId, actionId, ...fields.map(field => changes[field])]);
+
+  return result.rows[0] || null;
+};
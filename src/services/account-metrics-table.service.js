@@ -0,0 +1,314 @@
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+
+// Shared SQL for the weekly and monthly account metrics tables. Each service builds its period
+// queries (one baseline, zero or more comparison periods that get averaged) and this module joins
+// them per account, computes the deltas, and pushes filters, search, sort and paging into SQL so
+// only one page of accounts leaves the database.
+//
+// Period queries must select account_id, total_spend, total_texts_delivered, coupons_redeemed and
+// active_subs_cnt (plus table.baselineColumns for the baseline) and share one queryParams array.
+
+export const ACCOUNT_PAGE_SIZE_DEFAULT = 25;
+const MAX_PAGE_SIZE = 500;
+const MAX_SEARCH_TERMS = 10;
+
+const METRICS = ['total_spend', 'total_texts_delivered', 'coupons_redeemed', 'active_subs_cnt'];
+const DELTAS = {
+  spend_delta: 'total_spend',
+  texts_delta: 'total_texts_delivered',
+  coupons_delta: 'coupons_redeemed',
+  subs_delta: 'active_subs_cnt'
+};
+const BASE_SORT_FIELDS = ['name', 'csm', 'status', ...METRICS];
+
+const riskPriority = (column) => `CASE ${column} WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END`;
+
+const sortExpression = (field) => {
+  if (field === 'name' || field === 'csm') return `LOWER(${field})`;
+  if (field.endsWith('_risk_level') || field === 'risk_level') return riskPriority(field);
+  return field;
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const toList = (value) => [].concat(value ?? []).map(String).map(item => item.trim()).filter(Boolean);
+
+const positiveInteger = (value, name, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || (max && number > max)) {
+    throw new Error(max ? `${name} must be a whole number from 1 to ${max}` : `${name} must be a whole number of 1 or more`);
+  }
+  return number;
+};
+
+// Account attribute filters (status, CSM, HubSpot fields) as " AND ..." conditions on the accounts alias
+export const accountFilterConditions = (filters, queryParams, alias = 'a') => {
+  let conditions = '';
+
+  if (filters.status) {
+    conditions += ` AND ${alias}.status = $${queryParams.push(filters.status)}`;
+  }
+
+  if (filters.csm_owner && filters.csm_owner.length > 0) {
+    const placeholders = filters.csm_owner.map(csm => `$${queryParams.push(csm)}`).join(', ');
+    conditions += ` AND ${alias}.csm_owner IN (${placeholders})`;
+  }
+
+  if (filters.lifecycle_stage) {
+    conditions += ` AND ${alias}.lifecycle_stage = $${queryParams.push(filters.lifecycle_stage)}`;
+  }
+
+  if (filters.renewal_within_days) {
+    const today = ChurnGuardCalendar.formatDateISO(new Date());
+    const until = ChurnGuardCalendar.formatDateISO(new Date(Date.now() + filters.renewal_within_days * 24 * 60 * 60 * 1000));
+    conditions += ` AND ${alias}.renewal_date >= $${queryParams.push(today)} AND ${alias}.renewal_date <= $${queryParams.push(until)}`;
+  }
+
+  return conditions;
+};
+
+// Validates the paging, sort, search and table filter parameters; throws with a user-facing message.
+// Without page or page_size every matching account is returned, as before paging existed.
+export const normalizeAccountTableQuery = (query = {}, table, { comparison = false } = {}) => {
+  const paged = query.page !== undefined || query.page_size !== undefined;
+  const page = query.page !== undefined ? positiveInteger(query.page, 'page') : 1;
+  const pageSize = query.page_size !== undefined
+    ? positiveInteger(query.page_size, 'page_size', MAX_PAGE_SIZE)
+    : ACCOUNT_PAGE_SIZE_DEFAULT;
+
+  const sortFields = [...BASE_SORT_FIELDS, ...table.sortColumns, ...(comparison ? Object.keys(DELTAS) : [])];
+  const sort = query.sort || 'name';
+  if (!sortFields.includes(sort)) {
+    throw new Error(`sort must be one of ${sortFields.join(', ')}`);
+  }
+
+  const dir = String(query.dir || 'asc').toLowerCase();
+  if (dir !== 'asc' && dir !== 'desc') {
+    throw new Error('dir must be asc or desc');
+  }
+
+  const levels = {};
+  for (const [param, column] of Object.entries(table.levelFilters)) {
+    if (query[param]) levels[column] = String(query[param]);
+  }
+
+  const reasons = {};
+  for (const [param, column] of Object.entries(table.reasonFilters)) {
+    const selected = toList(query[param]);
+    if (selected.length > 0) reasons[column] = selected;
+  }
+
+  return {
+    page: paged ? page : null,
+    pageSize: paged ? pageSize : null,
+    sort,
+    dir,
+    searchTerms: String(query.search || '').toLowerCase().split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS),
+    levels,
+    reasons
+  };
+};
+
+// WITH clause: the period CTEs, the averaged comparison, and account_rows (one row per account in
+// either period, narrowed by the account filters)
+const buildWith = ({ table, baselineSql, comparisonSqls }, rowConditions) => {
+  const hasComparison = comparisonSqls.length > 0;
+  const ctes = [`baseline AS (${baselineSql})`];
+
+  if (hasComparison) {
+    comparisonSqls.forEach((periodSql, index) => ctes.push(`comparison_${index + 1} AS (${periodSql})`));
+
+    // Several periods are averaged per account; an account missing from a period counts as zero for it
+    const periods = comparisonSqls.map((_, index) => `SELECT account_id, ${METRICS.join(', ')} FROM comparison_${index + 1}`);
+    const metrics = METRICS.map(metric => comparisonSqls.length === 1
+      ? `SUM(${metric}) AS ${metric}`
+      : `ROUND(SUM(${metric}) / ${comparisonSqls.length}.0) AS ${metric}`);
+    ctes.push(`comparison AS (
+      SELECT account_id, ${metrics.join(', ')}
+      FROM (${periods.join(' UNION ALL ')}) periods
+      GROUP BY account_id
+    )`);
+  }
+
+  const columns = [
+    'a.account_id',
+    'a.account_name AS name',
+    'a.csm_owner AS csm',
+    'a.status',
+    'a.launched_at',
+    ...table.accountColumns.map(column => `a.${column}`),
+    ...table.baselineColumns.map(column => `b.${column}`),
+    'CASE WHEN b.account_id IS NULL THEN 0 ELSE 1 END AS in_baseline',
+    ...METRICS.map(metric => `COALESCE(b.${metric}, 0) AS ${metric}`)
+  ];
+  if (hasComparison) {
+    columns.push(
+      'CASE WHEN c.account_id IS NULL THEN 0 ELSE 1 END AS in_comparison',
+      ...METRICS.map(metric => `c.${metric} AS comparison_${metric}`),
+      ...Object.entries(DELTAS).map(([delta, metric]) => `COALESCE(b.${metric}, 0) - COALESCE(c.${metric}, 0) AS ${delta}`)
+    );
+  }
+
+  ctes.push(`account_rows AS (
+    SELECT ${columns.join(',\n      ')}
+    FROM (
+      SELECT account_id FROM baseline
+      ${hasComparison ? 'UNION SELECT account_id FROM comparison' : ''}
+    ) ids
+    INNER JOIN accounts a ON a.account_id = ids.account_id
+    LEFT JOIN baseline b ON b.account_id = ids.account_id
+    ${hasComparison ? 'LEFT JOIN comparison c ON c.account_id = ids.account_id' : ''}
+    WHERE 1 = 1 ${rowConditions}
+  )`);
+
+  return `WITH ${ctes.join(',\n')}`;
+};
+
+// Search, risk level and risk reason filters on account_rows columns
+const tableConditions = (tableQuery, queryParams) => {
+  let conditions = '';
+
+  // Every search term has to appear somewhere in the account name
+  for (const term of tableQuery.searchTerms) {
+    conditions += ` AND LOWER(name) LIKE $${queryParams.push(`%${escapeLike(term)}%`)} ESCAPE '\\'`;
+  }
+
+  for (const [column, level] of Object.entries(tableQuery.levels)) {
+    conditions += ` AND ${column} = $${queryParams.push(level)}`;
+  }
+
+  // Reasons are stored as JSON array text; "No flags" is an account without any
+  for (const [column, reasons] of Object.entries(tableQuery.reasons)) {
+    const matches = reasons.map(reason => reason === 'No flags'
+      ? `(${column} IS NULL OR ${column} = '[]')`
+      : `${column} LIKE $${queryParams.push(`%${escapeLike(JSON.stringify(reason))}%`)} ESCAPE '\\'`);
+    conditions += ` AND (${matches.join(' OR ')})`;
+  }
+
+  return conditions;
+};
+
+// JSON TEXT in both databases; accounts without reasons show "No flags"
+export const parseRiskReasons = (value) => {
+  if (!value) return ['No flags'];
+  try {
+    return JSON.parse(value);
+  } catch {
+    return ['No flags'];
+  }
+};
+
+const toAccountRow = (row, table, hasComparison) => {
+  const account = {
+    account_id: row.account_id,
+    name: row.name,
+    csm: row.csm,
+    status: row.status,
+    launched_at: row.launched_at,
+    ...Object.fromEntries(METRICS.map(metric => [metric, Number(row[metric]) || 0])),
+    ...table.toAccount(row)
+  };
+
+  if (hasComparison) {
+    account.status_label = !Number(row.in_comparison)
+      ? '🟢 Current Period Only'
+      : (!Number(row.in_baseline) ? '🔴 Comparison Period Only' : null);
+    for (const delta of Object.keys(DELTAS)) {
+      account[delta] = Number(row[delta]) || 0;
+    }
+  }
+
+  return account;
+};
+
+const toMetrics = (row, prefix = '') => ({
+  total_spend: Number(row?.[`${prefix}total_spend`]) || 0,
+  total_texts: Number(row?.[`${prefix}total_texts_delivered`]) || 0,
+  total_redemptions: Number(row?.[`${prefix}coupons_redeemed`]) || 0,
+  total_subscribers: Number(row?.[`${prefix}active_subs_cnt`]) || 0
+});
+
+// Distinct CSMs, statuses, risk levels and reasons across the accounts the user can see,
+// so filter dropdowns don't shrink to the current selection
+const getFilterOptions = async (db, periods, scopeFilters) => {
+  const { table } = periods;
+  const queryParams = [...periods.queryParams];
+  const withClause = buildWith(periods, accountFilterConditions(scopeFilters, queryParams));
+  const levelColumns = table.baselineColumns.filter(column => column.endsWith('risk_level'));
+  const reasonColumns = Object.values(table.reasonFilters);
+
+  const result = await db.query(`
+    ${withClause}
+    SELECT DISTINCT ${['csm', 'status', ...levelColumns, ...reasonColumns].join(', ')}
+    FROM account_rows
+  `, queryParams);
+
+  const distinct = (values) => [...new Set(values.filter(Boolean))].sort();
+  const options = {
+    csms: distinct(result.rows.map(row => row.csm)),
+    statuses: distinct(result.rows.map(row => row.status))
+  };
+  for (const column of levelColumns) {
+    options[`${column}s`] = distinct(result.rows.map(row => row[column]));
+  }
+  for (const column of reasonColumns) {
+    options[column] = distinct(result.rows.flatMap(row => parseRiskReasons(row[column])));
+  }
+  return options;
+};
+
+// One page of accounts (all of them when tableQuery isn't paged), the total count and summed
+// metrics for everything matching the filters, and the options for the table's filter dropdowns
+export const queryAccountTable = async (db, { table, baselineSql, comparisonSqls = [], queryParams, filters, scopeFilters, tableQuery }) => {
+  const periods = { table, baselineSql, comparisonSqls, queryParams };
+  const hasComparison = comparisonSqls.length > 0;
+
+  const params = [...queryParams];
+  const withClause = buildWith(periods, accountFilterConditions(filters, params));
+  const conditions = tableConditions(tableQuery, params);
+
+  const summaryColumns = [
+    'COUNT(*) AS total',
+    ...METRICS.map(metric => `SUM(${metric}) AS ${metric}`),
+    ...(hasComparison ? METRICS.map(metric => `SUM(comparison_${metric}) AS comparison_${metric}`) : [])
+  ];
+  const summaryResult = await db.query(`
+    ${withClause}
+    SELECT ${summaryColumns.join(', ')}
+    FROM account_rows
+    WHERE 1 = 1 ${conditions}
+  `, params);
+  const summary = summaryResult.rows[0];
+  const total = Number(summary?.total) || 0;
+
+  const sort = sortExpression(tableQuery.sort);
+  const pageParams = [...params];
+  const limit = tableQuery.page
+    ? `LIMIT $${pageParams.push(tableQuery.pageSize)} OFFSET $${pageParams.push((tableQuery.page - 1) * tableQuery.pageSize)}`
+    : '';
+  const pageResult = await db.query(`
+    ${withClause}
+    SELECT *
+    FROM account_rows
+    WHERE 1 = 1 ${conditions}
+    ORDER BY ${sort} IS NULL, ${sort} ${tableQuery.dir.toUpperCase()}, LOWER(name), account_id
+    ${limit}
+  `, pageParams);
+
+  const pageSize = tableQuery.pageSize || total;
+
+  return {
+    accounts: pageResult.rows.map(row => toAccountRow(row, table, hasComparison)),
+    metrics: {
+      baseline: toMetrics(summary),
+      comparison: hasComparison ? toMetrics(summary, 'comparison_') : null
+    },
+    pagination: {
+      page: tableQuery.page || 1,
+      page_size: pageSize,
+      total,
+      total_pages: pageSize > 0 ? Math.ceil(total / pageSize) : 0
+    },
+    filter_options: await getFilterOptions(db, periods, scopeFilters)
+  };
+};
@@ -1,11 +1,21 @@
 import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
 import { ChurnGuardCalendar } from '../utils/calendar.js';
+import { getAccountHistoryMonthly } from './account-history.service.js';
 
-export const getAccountsData = async () => {
+export const getAccountsData = async ({ csmOwner = null } = {}) => {
   const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
   const currentMonth = ChurnGuardCalendar.getCurrentMonth();
 
-  console.log(`📊 Accounts - Fetching data for ${currentMonth}`);
+  console.log(`📊 Accounts - Fetching data for ${currentMonth}${csmOwner ? ` (CSM: ${csmOwner})` : ''}`);
+
+  const params = [currentMonth, currentMonth, currentMonth];
+  let csmCondition = '';
+  if (csmOwner) {
+    params.push(csmOwner);
+    csmCondition = `AND a.csm_owner = $${params.length}`;
+  }
 
   const result = await db.query(`
     SELECT
@@ -25,18 +35,19 @@ export const getAccountsData = async () => {
       AND mm.trending_risk_level IS NOT NULL
     WHERE (
       -- Account eligibility: launched by month-end, not archived before month-start
-      a.launched_at::date <= (($2 || '-01')::date + INTERVAL '1 month' - INTERVAL '1 day')
+      ${sql.date('a.launched_at')} <= ${sql.monthEnd('$2')}
       AND (
         -- Account is not ARCHIVED status (include regardless of earliest_unit_archived_at)
         a.status != 'ARCHIVED'
         OR
         -- Account IS ARCHIVED and was archived after the start of the month
         (a.status = 'ARCHIVED'
-         AND COALESCE(a.archived_at, a.earliest_unit_archived_at)::date >= ($3 || '-01')::date)
+         AND ${sql.date('COALESCE(a.archived_at, a.earliest_unit_archived_at)')} >= ${sql.monthStart('$3')})
       )
     )
+    ${csmCondition}
     ORDER BY a.account_name ASC
-  `, [currentMonth, currentMonth, currentMonth]);
+  `, params);
   const accounts = result.rows;
 
   return {
@@ -44,4 +55,94 @@ export const getAccountsData = async () => {
     total_count: accounts.length,
     month: currentMonth
   };
-};
\ No newline at end of file
+};
+// Used to keep CSM-scoped users from reading accounts outside their book by ID
+export const isAccountOwnedBy = async (accountId, csmOwner) => {
+  const db = await getSharedDatabase();
+
+  const result = await db.query(`
+    SELECT 1 FROM accounts WHERE account_id = $1 AND csm_owner = $2
+  `, [accountId, csmOwner]);
+
+  return result.rows.length > 0;
+};
+
+export const accountExists = async (accountId) => {
+  const db = await getSharedDatabase();
+
+  const result = await db.query(`SELECT 1 FROM accounts WHERE account_id = $1`, [accountId]);
+  return result.rows.length > 0;
+};
+
+// Risk reasons are stored as JSON arrays in TEXT columns
+const parseRiskReasons = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch {
+    return [value];
+  }
+};
+
+const toMonthMetrics = (row) => row ? {
+  month: row.month,
+  month_label: row.month_label,
+  total_spend: Number(row.total_spend) || 0,
+  total_texts_delivered: Number(row.total_texts_delivered) || 0,
+  total_coupons_redeemed: Number(row.total_coupons_redeemed) || 0,
+  avg_active_subs_cnt: Number(row.avg_active_subs_cnt) || 0
+} : null;
+
+// Everything the /account/:id page needs in one request
+export const getAccountDetail = async (accountId) => {
+  const db = await getSharedDatabase();
+  const currentMonth = ChurnGuardCalendar.getCurrentMonth();
+  const [year, month] = currentMonth.split('-').map(Number);
+  const previousDate = new Date(year, month - 2, 1);
+  const previousMonth = `${previousDate.getFullYear()}-${(previousDate.getMonth() + 1).toString().padStart(2, '0')}`;
+
+  console.log(`🔎 Account Detail - Fetching ${accountId} for ${currentMonth}`);
+
+  const accountResult = await db.query(`
+    SELECT account_id, account_name, status, csm_owner, launched_at, hubspot_id,
+           archived_at, earliest_unit_archived_at, last_updated,
+           hubspot_owner_name, lifecycle_stage, renewal_date, last_activity_at, hubspot_imported_at
+    FROM accounts
+    WHERE account_id = $1
+  `, [accountId]);
+
+  const account = accountResult.rows[0];
+  if (!account) return null;
+
+  const metricsResult = await db.query(`
+    SELECT month, month_label, total_spend, total_texts_delivered, total_coupons_redeemed,
+           avg_active_subs_cnt, trending_risk_level, trending_risk_reasons,
+           historical_risk_level, risk_reasons
+    FROM monthly_metrics
+    WHERE account_id = $1 AND month IN ($2, $3)
+  `, [accountId, currentMonth, previousMonth]);
+
+  const current = metricsResult.rows.find(row => row.month === currentMonth);
+  const previous = metricsResult.rows.find(row => row.month === previousMonth);
+
+  const history = await getAccountHistoryMonthly(accountId);
+
+  return {
+    account,
+    current_month: {
+      month: currentMonth,
+      trending_risk_level: current?.trending_risk_level || null,
+      trending_risk_reasons: parseRiskReasons(current?.trending_risk_reasons),
+      metrics: toMonthMetrics(current)
+    },
+    previous_month: {
+      month: previousMonth,
+      historical_risk_level: previous?.historical_risk_level || null,
+      risk_reasons: parseRiskReasons(previous?.risk_reasons),
+      metrics: toMonthMetrics(previous)
+    },
+    history: history.map(row => ({ ...row, risk_reasons: parseRiskReasons(row.risk_reasons) }))
+  };
+};
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+
+export const SESSION_COOKIE_NAME = 'churnguard_session';
+export const SESSION_TTL_MS = SESSION_TTL_HOURS * 60 * 60 * 1000;
+export const MIN_PASSWORD_LENGTH = 8;
+export const USER_ROLES = ['admin', 'csm'];
+
+// Stored as scrypt$<salt>$<hash>, both hex encoded
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, storedHash) => {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+};
+
+// Only a SHA-256 of the session token is persisted, so a leaked sessions table can't be replayed
+const hashSessionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// csm_name is what accounts.csm_owner is matched against; it defaults to the username
+const toUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  role: row.role,
+  csm_name: row.csm_name || row.username
+});
+
+export const authenticateUser = async (username, password) => {
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+
+  const result = await db.query(`
+    SELECT id, username, role, csm_name, password_hash
+    FROM users
+    WHERE LOWER(username) = LOWER($1)
+  `, [username]);
+
+  const row = result.rows[0];
+  if (!row || !(await verifyPassword(password, row.password_hash))) {
+    return null;
+  }
+
+  await db.query(`UPDATE users SET last_login_at = ${sql.now()} WHERE id = $1`, [row.id]);
+  return toUser(row);
+};
+
+export const createSession = async (userId, userAgent = null) => {
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  // Opportunistic cleanup so the table doesn't grow without bound
+  await db.query(`DELETE FROM sessions WHERE expires_at < ${sql.now()}`);
+
+  await db.query(`
+    INSERT INTO sessions (id, user_id, expires_at, user_agent)
+    VALUES ($1, $2, $3, $4)
+  `, [hashSessionToken(token), userId, expiresAt.toISOString(), userAgent]);
+
+  return { token, expiresAt };
+};
+
+export const getSessionUser = async (token) => {
+  if (!token) return null;
+
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+  const result = await db.query(`
+    SELECT u.id, u.username, u.role, u.csm_name, s.expires_at
+    FROM sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.id = $1 AND s.expires_at > ${sql.now()}
+  `, [hashSessionToken(token)]);
+
+  return result.rows[0] ? toUser(result.rows[0]) : null;
+};
+
+export const deleteSession = async (token) => {
+  if (!token) return;
+
+  const db = await getSharedDatabase();
+  await db.query(`DELETE FROM sessions WHERE id = $1`, [hashSessionToken(token)]);
+};
+
+// Verifies the current password, stores the new hash and signs out the user's other sessions
+export const changeUserPassword = async (userId, currentPassword, newPassword, keepToken = null) => {
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+
+  const result = await db.query(`SELECT password_hash FROM users WHERE id = $1`, [userId]);
+  const row = result.rows[0];
+  if (!row || !(await verifyPassword(currentPassword, row.password_hash))) {
+    return false;
+  }
+
+  const passwordHash = await hashPassword(newPassword);
+  await db.query(`
+    UPDATE users SET password_hash = $1, updated_at = ${sql.now()} WHERE id = $2
+  `, [passwordHash, userId]);
+
+  await db.query(`
+    DELETE FROM sessions WHERE user_id = $1 AND id != $2
+  `, [userId, keepToken ? hashSessionToken(keepToken) : '']);
+
+  return true;
+};
+
+export const createUser = async (username, password, { role = 'csm', csmName = null } = {}) => {
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${USER_ROLES.join(', ')}`);
+  }
+
+  const db = await getSharedDatabase();
+  const passwordHash = await hashPassword(password);
+
+  const result = await db.query(`
+    INSERT INTO users (username, password_hash, role, csm_name)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, username, role, csm_name
+  `, [username, passwordHash, role, csmName]);
+
+  return toUser(result.rows[0]);
+};
@@ -0,0 +1,164 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+import { accountFilterConditions, parseRiskReasons } from './account-metrics-table.service.js';
+
+// Backtest of the rule-based risk levels: for every completed month, did accounts flagged at each
+// level (or with each reason) go on to be archived within horizon_days of the month's end?
+export const BACKTEST_HORIZON_DAYS_DEFAULT = 90;
+export const BACKTEST_MAX_HORIZON_DAYS = 365;
+
+const RISK_LEVELS = ['high', 'medium', 'low'];
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+
+// Last month whose whole horizon has passed, so every outcome in it is known
+const lastObservedMonth = (horizonDays) => {
+  const cutoff = new Date(Date.now() - (horizonDays + 1) * 24 * 60 * 60 * 1000);
+  // The month before the cutoff's month ends before the cutoff
+  return ChurnGuardCalendar.formatMonthISO(new Date(Date.UTC(cutoff.getUTCFullYear(), cutoff.getUTCMonth() - 1, 1)));
+};
+
+// Validates from, to and horizon_days; throws on invalid input
+export const normalizeBacktestQuery = (query = {}) => {
+  const horizonDays = query.horizon_days === undefined || query.horizon_days === ''
+    ? BACKTEST_HORIZON_DAYS_DEFAULT
+    : Number(query.horizon_days);
+  if (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > BACKTEST_MAX_HORIZON_DAYS) {
+    throw new Error(`horizon_days must be a whole number between 1 and ${BACKTEST_MAX_HORIZON_DAYS}`);
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key] && !MONTH_PATTERN.test(query[key])) {
+      throw new Error(`${key} must be a month in YYYY-MM format`);
+    }
+  }
+
+  const lastMonth = lastObservedMonth(horizonDays);
+  const to = query.to && query.to < lastMonth ? query.to : lastMonth;
+  const from = query.from || null;
+  if (from && from > to) {
+    throw new Error(`from must not be after ${to} (the last month with a complete ${horizonDays}-day outcome)`);
+  }
+
+  return { horizonDays, from, to };
+};
+
+// Precision: share of flagged account-months that churned. Recall: share of all churn that was
+// flagged. Lift: precision over the overall churn rate (1 = no better than chance)
+const scoreGroup = (key, flagged, churned, totals) => {
+  const precision = ratio(churned, flagged);
+  return {
+    key,
+    flagged,
+    churned,
+    precision,
+    recall: ratio(churned, totals.churned),
+    lift: precision === null || !totals.churnRate ? null : precision / totals.churnRate
+  };
+};
+
+// filters takes the account filters of the metrics tables (csm_owner for CSM scoping, status, ...)
+export const getRiskBacktest = async ({ horizonDays, from, to }, filters = {}) => {
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+
+  const queryParams = [to];
+  const monthConditions = [`mm.month <= $1`];
+  if (from) monthConditions.push(`mm.month >= $${queryParams.push(from)}`);
+  const filterConditions = accountFilterConditions(filters, queryParams);
+
+  const archivedDate = sql.date('COALESCE(a.archived_at, a.earliest_unit_archived_at)');
+  const monthEnd = sql.monthEnd('mm.month');
+
+  // Completed months with a historical level, for accounts still live at the month's end
+  const result = await db.query(`
+    SELECT
+      mm.month,
+      mm.historical_risk_level as risk_level,
+      mm.risk_reasons,
+      CASE
+        WHEN a.status = 'ARCHIVED' AND ${archivedDate} <= ${sql.addDays(monthEnd, horizonDays)} THEN 1
+        ELSE 0
+      END as churned
+    FROM monthly_metrics mm
+    JOIN accounts a ON mm.account_id = a.account_id
+    WHERE ${monthConditions.join(' AND ')}
+      AND mm.historical_risk_level IS NOT NULL
+      AND NOT (a.status = 'ARCHIVED' AND ${archivedDate} <= ${monthEnd})
+      ${filterConditions}
+  `, queryParams);
+
+  const levels = new Map(RISK_LEVELS.map(level => [level, { flagged: 0, churned: 0 }]));
+  const reasons = new Map();
+  const months = new Map();
+  let churnedTotal = 0;
+
+  for (const row of result.rows) {
+    const churned = Number(row.churned) === 1;
+    if (churned) churnedTotal++;
+
+    if (!months.has(row.month)) {
+      months.set(row.month, {
+        month: row.month,
+        account_months: 0,
+        churned: 0,
+        ...Object.fromEntries(RISK_LEVELS.map(level => [level, { flagged: 0, churned: 0 }]))
+      });
+    }
+    const month = months.get(row.month);
+    month.account_months++;
+    if (churned) month.churned++;
+
+    const level = levels.get(row.risk_level);
+    if (level) {
+      level.flagged++;
+      month[row.risk_level].flagged++;
+      if (churned) {
+        level.churned++;
+        month[row.risk_level].churned++;
+      }
+    }
+
+    for (const reason of new Set(parseRiskReasons(row.risk_reasons))) {
+      if (!reasons.has(reason)) reasons.set(reason, { flagged: 0, churned: 0 });
+      const counts = reasons.get(reason);
+      counts.flagged++;
+      if (churned) counts.churned++;
+    }
+  }
+
+  const totals = {
+    account_months: result.rows.length,
+    churned: churnedTotal,
+    churnRate: ratio(churnedTotal, result.rows.length)
+  };
+
+  const byMonth = Array.from(months.values())
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map(month => ({
+      ...month,
+      churn_rate: ratio(month.churned, month.account_months),
+      ...Object.fromEntries(RISK_LEVELS.map(level => [level, {
+        ...month[level],
+        precision: ratio(month[level].churned, month[level].flagged)
+      }]))
+    }));
+
+  return {
+    horizon_days: horizonDays,
+    period: { from: byMonth[0]?.month || from, to },
+    totals: {
+      account_months: totals.account_months,
+      churned: totals.churned,
+      churn_rate: totals.churnRate
+    },
+    by_risk_level: RISK_LEVELS.map(level => scoreGroup(level, levels.get(level).flagged, levels.get(level).churned, totals)),
+    // Strongest signal first, then the most common
+    by_reason: Array.from(reasons.entries())
+      .map(([reason, counts]) => scoreGroup(reason, counts.flagged, counts.churned, totals))
+      .sort((a, b) => (b.lift ?? -1) - (a.lift ?? -1) || b.flagged - a.flagged),
+    by_month: byMonth
+  };
+};
@@ -0,0 +1,305 @@
+// Statistical churn model: logistic regression over monthly_metrics, trained offline by
+// scripts/train-churn-model.js and stored as versioned coefficients in churn_models. Scores are a
+// 0-100 probability that the account is archived within the next CHURN_HORIZON_MONTHS months,
+// stored per account and month in monthly_metrics.churn_probability next to the rule-based level.
+
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+import { calculateMonthsSinceStart } from './risk-rules.js';
+
+export const CHURN_HORIZON_MONTHS = 3;
+export const CHURN_HOLDOUT_MONTHS = 3;
+
+// Gradient descent settings; features are standardized, so these suit any data size
+const TRAINING = { iterations: 1000, learningRate: 0.5, l2: 0.01 };
+
+const RULE_LEVEL_SCORES = { low: 0, medium: 1, high: 2 };
+
+const logValue = (value) => Math.log1p(Math.max(Number(value) || 0, 0));
+
+// Relative change vs the previous month, clipped so a tiny previous value can't dominate
+const change = (current, previous) => {
+  const prev = Number(previous) || 0;
+  if (prev <= 0) return 0;
+  return Math.min(Math.max(((Number(current) || 0) - prev) / prev, -1), 2);
+};
+
+const countFlags = (reasons) => {
+  try {
+    const parsed = typeof reasons === 'string' ? JSON.parse(reasons) : reasons;
+    return Array.isArray(parsed) ? parsed.filter(reason => reason !== 'No flags').length : 0;
+  } catch {
+    return 0;
+  }
+};
+
+// Feature name -> value from an account-month row (see loadChurnRows); the order is part of the model
+export const CHURN_FEATURES = {
+  log_spend: (row) => logValue(row.total_spend),
+  log_texts: (row) => logValue(row.total_texts_delivered),
+  log_coupons: (row) => logValue(row.total_coupons_redeemed),
+  log_subs: (row) => logValue(row.avg_active_subs_cnt),
+  spend_change: (row) => row.previous ? change(row.total_spend, row.previous.total_spend) : 0,
+  coupons_change: (row) => row.previous ? change(row.total_coupons_redeemed, row.previous.total_coupons_redeemed) : 0,
+  subs_change: (row) => row.previous ? change(row.avg_active_subs_cnt, row.previous.avg_active_subs_cnt) : 0,
+  no_previous_month: (row) => row.previous ? 0 : 1,
+  log_tenure_months: (row) => logValue(row.launched_at ? calculateMonthsSinceStart(row.launched_at, row.month) : 0),
+  rule_flags: (row) => countFlags(row.historical_risk_level ? row.risk_reasons : row.trending_risk_reasons),
+  rule_level: (row) => RULE_LEVEL_SCORES[row.historical_risk_level || row.trending_risk_level] ?? 0
+};
+
+const addMonths = (month, count) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1 + count, 1)).toISOString().slice(0, 7);
+};
+
+// Month the account was archived in, or null while it is still live
+const churnMonth = (row) => {
+  const archivedAt = row.archived_at || row.earliest_unit_archived_at;
+  return row.status === 'ARCHIVED' && archivedAt ? String(archivedAt).slice(0, 7) : null;
+};
+
+// Every account-month in [fromMonth, toMonth] with the account's launch/archive dates and the
+// previous month's metrics attached as row.previous
+export const loadChurnRows = async (db, { fromMonth = null, toMonth = null } = {}) => {
+  const queryParams = [];
+  const conditions = [];
+  // One extra month so the first requested month has its previous month
+  if (fromMonth) conditions.push(`mm.month >= $${queryParams.push(addMonths(fromMonth, -1))}`);
+  if (toMonth) conditions.push(`mm.month <= $${queryParams.push(toMonth)}`);
+
+  const result = await db.query(`
+    SELECT
+      mm.account_id, mm.month, mm.total_spend, mm.total_texts_delivered,
+      mm.total_coupons_redeemed, mm.avg_active_subs_cnt,
+      mm.historical_risk_level, mm.risk_reasons, mm.trending_risk_level, mm.trending_risk_reasons,
+      a.launched_at, a.status, a.archived_at, a.earliest_unit_archived_at
+    FROM monthly_metrics mm
+    JOIN accounts a ON mm.account_id = a.account_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY mm.month, mm.account_id
+  `, queryParams);
+
+  const byKey = new Map(result.rows.map(row => [`${row.account_id}|${row.month}`, row]));
+
+  return result.rows
+    .filter(row => !fromMonth || row.month >= fromMonth)
+    .map(row => ({ ...row, previous: byKey.get(`${row.account_id}|${addMonths(row.month, -1)}`) || null }));
+};
+
+const featureVector = (row) => Object.values(CHURN_FEATURES).map(feature => feature(row));
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Mean and standard deviation per feature, from the training rows only
+const standardization = (vectors) => {
+  const size = vectors[0].length;
+  const means = Array.from({ length: size }, (_, i) => vectors.reduce((sum, x) => sum + x[i], 0) / vectors.length);
+  const stds = means.map((mean, i) => {
+    const variance = vectors.reduce((sum, x) => sum + (x[i] - mean) ** 2, 0) / vectors.length;
+    return Math.sqrt(variance) || 1;
+  });
+  return { means, stds };
+};
+
+// Full-batch gradient descent on the L2-regularized log loss
+const fitLogisticRegression = (examples) => {
+  const vectors = examples.map(example => example.features);
+  const { means, stds } = standardization(vectors);
+  const standardized = vectors.map(x => x.map((value, i) => (value - means[i]) / stds[i]));
+
+  const coefficients = new Array(means.length).fill(0);
+  let intercept = 0;
+
+  for (let iteration = 0; iteration < TRAINING.iterations; iteration++) {
+    const gradient = new Array(coefficients.length).fill(0);
+    let interceptGradient = 0;
+
+    standardized.forEach((x, index) => {
+      const error = sigmoid(intercept + x.reduce((sum, value, i) => sum + value * coefficients[i], 0)) - examples[index].label;
+      interceptGradient += error;
+      x.forEach((value, i) => { gradient[i] += error * value; });
+    });
+
+    intercept -= TRAINING.learningRate * interceptGradient / standardized.length;
+    coefficients.forEach((weight, i) => {
+      coefficients[i] -= TRAINING.learningRate * (gradient[i] / standardized.length + TRAINING.l2 * weight);
+    });
+  }
+
+  return { features: Object.keys(CHURN_FEATURES), means, stds, coefficients, intercept };
+};
+
+// Probability (0-1) of churning within the horizon for one account-month row
+export const predictChurn = (model, row) => {
+  const x = featureVector(row);
+  const z = x.reduce((sum, value, i) => sum + ((value - model.means[i]) / model.stds[i]) * model.coefficients[i], model.intercept);
+  return sigmoid(z);
+};
+
+// Area under the ROC curve: the chance a churned row outranks a retained one (ties count half)
+export const calculateAuc = (scored) => {
+  const sorted = [...scored].sort((a, b) => a.score - b.score);
+  const positives = sorted.filter(item => item.label === 1).length;
+  const negatives = sorted.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  let rankSum = 0;
+  for (let start = 0; start < sorted.length;) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1].score === sorted[start].score) end++;
+    const averageRank = (start + end + 2) / 2;
+    for (let i = start; i <= end; i++) {
+      if (sorted[i].label === 1) rankSum += averageRank;
+    }
+    start = end + 1;
+  }
+
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+};
+
+const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+
+// AUC, precision/recall at a 50% threshold and precision among the top-scored 10%
+export const evaluateChurnScores = (scored) => {
+  const positives = scored.filter(item => item.label === 1).length;
+  const flagged = scored.filter(item => item.score >= 0.5);
+  const truePositives = flagged.filter(item => item.label === 1).length;
+  const topDecile = [...scored].sort((a, b) => b.score - a.score).slice(0, Math.max(1, Math.ceil(scored.length / 10)));
+
+  return {
+    rows: scored.length,
+    churned: positives,
+    churnRate: ratio(positives, scored.length),
+    auc: calculateAuc(scored),
+    precision: ratio(truePositives, flagged.length),
+    recall: ratio(truePositives, positives),
+    flagged: flagged.length,
+    precisionTopDecile: ratio(topDecile.filter(item => item.label === 1).length, topDecile.length)
+  };
+};
+
+// Labeled rows: still live at the end of the month, with the whole horizon already observed
+const buildExamples = (rows, horizonMonths, lastObservedMonth) => rows
+  .filter(row => row.month <= addMonths(lastObservedMonth, -horizonMonths))
+  .filter(row => {
+    const churnedIn = churnMonth(row);
+    return !churnedIn || churnedIn > row.month;
+  })
+  .map(row => {
+    const churnedIn = churnMonth(row);
+    return {
+      row,
+      month: row.month,
+      features: featureVector(row),
+      label: churnedIn && churnedIn <= addMonths(row.month, horizonMonths) ? 1 : 0
+    };
+  });
+
+// Trains on everything before the last holdoutMonths labeled months and reports metrics on those,
+// next to the rule-based level's ranking of the same rows. The returned model is then refit on
+// every labeled month so the stored coefficients use the most recent history.
+export const trainChurnModel = (rows, {
+  horizonMonths = CHURN_HORIZON_MONTHS,
+  holdoutMonths = CHURN_HOLDOUT_MONTHS,
+  lastObservedMonth
+}) => {
+  const examples = buildExamples(rows, horizonMonths, lastObservedMonth);
+  const months = [...new Set(examples.map(example => example.month))].sort();
+
+  if (months.length <= holdoutMonths) {
+    throw new Error(`Need more than ${holdoutMonths} labeled months, found ${months.length} (months up to ${addMonths(lastObservedMonth, -horizonMonths)} have a complete ${horizonMonths}-month outcome)`);
+  }
+
+  const holdoutStart = months[months.length - holdoutMonths];
+  const train = examples.filter(example => example.month < holdoutStart);
+  const holdout = examples.filter(example => example.month >= holdoutStart);
+
+  if (!train.some(example => example.label === 1)) {
+    throw new Error(`No churned accounts before ${holdoutStart} to learn from`);
+  }
+
+  const evaluationModel = fitLogisticRegression(train);
+  const model = fitLogisticRegression(examples);
+
+  return {
+    model,
+    horizonMonths,
+    trainingPeriod: { from: months[0], to: months[months.length - 1] },
+    holdoutPeriod: { from: holdoutStart, to: months[months.length - 1] },
+    metrics: {
+      train: evaluateChurnScores(train.map(example => ({ label: example.label, score: predictChurn(evaluationModel, example.row) }))),
+      holdout: evaluateChurnScores(holdout.map(example => ({ label: example.label, score: predictChurn(evaluationModel, example.row) }))),
+      // Same held-out rows ranked by the rule-based level, for comparison
+      ruleBasedHoldoutAuc: calculateAuc(holdout.map(example => ({ label: example.label, score: CHURN_FEATURES.rule_level(example.row) })))
+    }
+  };
+};
+
+const parseJson = (value) => typeof value === 'string' ? JSON.parse(value) : value;
+
+// Persists a trained model as a new version; pass activate=true to use it for scoring
+export const saveChurnModel = async (db, training, { activate = false } = {}) => {
+  const versionResult = await db.query('SELECT COALESCE(MAX(version), 0) + 1 AS version FROM churn_models');
+  const version = Number(versionResult.rows[0].version);
+
+  if (activate) {
+    await db.query('UPDATE churn_models SET is_active = FALSE WHERE is_active = TRUE');
+  }
+
+  await db.query(`
+    INSERT INTO churn_models (version, horizon_months, training_from, training_to, model, metrics, is_active, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, ${getSqlDialect(db).now()})
+  `, [
+    version, training.horizonMonths, training.trainingPeriod.from, training.trainingPeriod.to,
+    JSON.stringify(training.model), JSON.stringify({ ...training.metrics, holdoutPeriod: training.holdoutPeriod }), activate
+  ]);
+
+  return { version, is_active: activate };
+};
+
+// Must be called outside a transaction: a missing table would otherwise abort it in Postgres.
+// Returns null until a model has been trained.
+export const loadActiveChurnModel = async (db) => {
+  try {
+    const result = await db.query(`
+      SELECT version, horizon_months, model FROM churn_models WHERE is_active = TRUE ORDER BY version DESC LIMIT 1
+    `);
+    if (result.rows.length === 0) return null;
+
+    const { version, horizon_months, model } = result.rows[0];
+    return { version: Number(version), horizonMonths: Number(horizon_months), ...parseJson(model) };
+  } catch (error) {
+    console.warn(`⚠️  Could not load churn model (${error.message}) - skipping churn scores`);
+    return null;
+  }
+};
+
+// Writes churn_probability for every completed account-month in the range (all by default).
+// The model is trained on complete months; month-to-date totals would read as steep declines,
+// so the month in progress is never scored. Accounts already archived by the end of a month
+// get no score for it.
+export const scoreChurnProbabilities = async (db, model, { fromMonth = null, toMonth = null } = {}) => {
+  const lastCompletedMonth = ChurnGuardCalendar.getLastCompletedMonth();
+  const scoreThrough = toMonth && toMonth < lastCompletedMonth ? toMonth : lastCompletedMonth;
+  if (fromMonth && fromMonth > scoreThrough) {
+    return { rows: 0, scored: 0 };
+  }
+
+  const rows = await loadChurnRows(db, { fromMonth, toMonth: scoreThrough });
+  let scored = 0;
+
+  for (const row of rows) {
+    const churnedIn = churnMonth(row);
+    const probability = churnedIn && churnedIn <= row.month ? null : Math.round(predictChurn(model, row) * 100);
+
+    await db.query(`
+      UPDATE monthly_metrics SET churn_probability = $1, churn_model_version = $2
+      WHERE account_id = $3 AND month = $4
+    `, [probability, model.version, row.account_id, row.month]);
+
+    if (probability !== null) scored++;
+  }
+
+  return { rows: rows.length, scored };
+};
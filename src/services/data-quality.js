@@ -0,0 +1,301 @@
+// Data-quality checks run on a date's daily_metrics after the daily ETL loads it (the 'quality'
+// step of the ETL job queue). The result is stored as the (date, 'quality') row in etl_runs:
+// 'completed' when every enabled check passes, 'quarantined' otherwise. A quarantined date blocks
+// the monthly and historical rollups of its month (etl-steps.js) until an admin approves it,
+// which sets the row to 'approved'.
+
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+import { parseJson } from '../utils/json.js';
+
+export const QUALITY_STATUSES = ['completed', 'quarantined', 'approved'];
+
+const METRICS = ['total_spend', 'total_texts_delivered', 'coupons_redeemed', 'active_subs_cnt'];
+const TRAILING_DAYS = 7;
+// Fewer prior days than this and the platform-total comparison is skipped
+const MIN_TRAILING_DAYS = 3;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Each check returns { passed, value, expected, message, skipped? } for one date.
+// Thresholds are stored per check in data_quality_checks and edited through /api/admin/quality/checks.
+export const QUALITY_CHECKS = [
+  {
+    key: 'platform_totals',
+    label: 'Platform totals vs trailing 7-day median',
+    description: 'Fails when any platform-wide metric total falls below this fraction of its median over the previous 7 days',
+    defaultThreshold: 0.5,
+    run: async (db, date, threshold) => {
+      const result = await db.query(`
+        SELECT date, ${METRICS.map(metric => `SUM(${metric}) AS ${metric}`).join(', ')}
+        FROM daily_metrics
+        WHERE date BETWEEN $1 AND $2
+        GROUP BY date
+      `, [ChurnGuardCalendar.addDaysISO(date, -TRAILING_DAYS), date]);
+
+      const current = result.rows.find(row => row.date === date);
+      const trailing = result.rows.filter(row => row.date !== date);
+      if (trailing.length < MIN_TRAILING_DAYS) {
+        return { passed: true, skipped: true, message: `Only ${trailing.length} of the previous ${TRAILING_DAYS} days have data` };
+      }
+
+      const totals = {};
+      const failures = [];
+      for (const metric of METRICS) {
+        const total = Number(current?.[metric]) || 0;
+        const trailingMedian = median(trailing.map(row => Number(row[metric]) || 0));
+        const ratio = trailingMedian > 0 ? total / trailingMedian : null;
+        totals[metric] = { total, median: trailingMedian, ratio };
+        if (ratio !== null && ratio < threshold) {
+          failures.push(`${metric} ${total} is ${Math.round(ratio * 100)}% of the 7-day median ${trailingMedian}`);
+        }
+      }
+
+      return {
+        passed: failures.length === 0,
+        value: totals,
+        expected: `>= ${threshold} x median`,
+        message: failures.length > 0 ? failures.join('; ') : 'Platform totals in line with the previous 7 days'
+      };
+    }
+  },
+  {
+    key: 'row_count',
+    label: 'Rows vs active accounts',
+    description: 'Fails when the date has fewer daily_metrics rows than this fraction of accounts active on it',
+    defaultThreshold: 0.9,
+    run: async (db, date, threshold) => {
+      const rows = await db.query(`SELECT COUNT(*) AS count FROM daily_metrics WHERE date = $1`, [date]);
+      const active = await db.query(`
+        SELECT COUNT(*) AS count
+        FROM accounts
+        WHERE (launched_at IS NULL OR SUBSTR(launched_at, 1, 10) <= $1)
+          AND (archived_at IS NULL OR archived_at = '' OR SUBSTR(archived_at, 1, 10) >= $1)
+      `, [date]);
+
+      const rowCount = Number(rows.rows[0].count);
+      const activeCount = Number(active.rows[0].count);
+      const minimum = Math.ceil(activeCount * threshold);
+
+      return {
+        passed: rowCount >= minimum,
+        value: rowCount,
+        expected: `>= ${minimum} (${threshold} x ${activeCount} active accounts)`,
+        message: `${rowCount} rows for ${activeCount} active accounts`
+      };
+    }
+  },
+  {
+    key: 'negative_values',
+    label: 'Negative values',
+    description: 'Fails when more rows than this have a negative metric',
+    defaultThreshold: 0,
+    run: async (db, date, threshold) => {
+      const result = await db.query(`
+        SELECT COUNT(*) AS count
+        FROM daily_metrics
+        WHERE date = $1 AND (${METRICS.map(metric => `${metric} < 0`).join(' OR ')})
+      `, [date]);
+      const count = Number(result.rows[0].count);
+
+      return {
+        passed: count <= threshold,
+        value: count,
+        expected: `<= ${threshold}`,
+        message: `${count} rows with a negative metric`
+      };
+    }
+  },
+  {
+    key: 'duplicate_keys',
+    label: 'Duplicate account rows',
+    description: 'Fails when more accounts than this have more than one row for the date',
+    defaultThreshold: 0,
+    run: async (db, date, threshold) => {
+      const result = await db.query(`
+        SELECT COUNT(*) AS count
+        FROM (
+          SELECT account_id FROM daily_metrics
+          WHERE date = $1
+          GROUP BY account_id
+          HAVING COUNT(*) > 1
+        ) duplicates
+      `, [date]);
+      const count = Number(result.rows[0].count);
+
+      return {
+        passed: count <= threshold,
+        value: count,
+        expected: `<= ${threshold}`,
+        message: `${count} accounts with duplicate rows`
+      };
+    }
+  }
+];
+
+const toQualityRun = (row) => ({
+  date: row.date,
+  status: row.status,
+  started_at: row.started_at,
+  completed_at: row.completed_at,
+  error_message: row.error_message,
+  report: parseJson(row.metadata)
+});
+
+// Validates a PUT /api/admin/quality/checks/:key body; throws with a client-facing message
+export const normalizeQualityCheckUpdate = (input = {}) => {
+  const changes = {};
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') throw new Error('enabled must be true or false');
+    changes.enabled = input.enabled;
+  }
+  if (input.threshold !== undefined) {
+    const threshold = Number(input.threshold);
+    if (input.threshold === null || input.threshold === '' || !Number.isFinite(threshold) || threshold < 0) {
+      throw new Error('threshold must be a non-negative number');
+    }
+    changes.threshold = threshold;
+  }
+  if (Object.keys(changes).length === 0) {
+    throw new Error('Provide enabled and/or threshold');
+  }
+  return changes;
+};
+
+export const listQualityChecks = async (db) => {
+  const result = await db.query(`SELECT * FROM data_quality_checks`);
+  const stored = new Map(result.rows.map(row => [row.check_key, row]));
+
+  return QUALITY_CHECKS.map(check => {
+    const row = stored.get(check.key);
+    return {
+      key: check.key,
+      label: check.label,
+      description: check.description,
+      enabled: row ? !!row.enabled : true,
+      threshold: row ? Number(row.threshold) : check.defaultThreshold,
+      default_threshold: check.defaultThreshold,
+      updated_by: row?.updated_by || null,
+      updated_at: row?.updated_at || null
+    };
+  });
+};
+
+export const updateQualityCheck = async (db, key, changes, username = null) => {
+  const check = QUALITY_CHECKS.find(entry => entry.key === key);
+  if (!check) return null;
+
+  const current = (await listQualityChecks(db)).find(entry => entry.key === key);
+  const enabled = changes.enabled ?? current.enabled;
+  const threshold = changes.threshold ?? current.threshold;
+
+  await db.query(`
+    INSERT INTO data_quality_checks (check_key, enabled, threshold, updated_by, updated_at)
+    VALUES ($1, $2, $3, $4, ${getSqlDialect(db).now()})
+    ON CONFLICT (check_key) DO UPDATE SET
+      enabled = EXCLUDED.enabled,
+      threshold = EXCLUDED.threshold,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = EXCLUDED.updated_at
+  `, [key, enabled, threshold, username]);
+
+  return (await listQualityChecks(db)).find(entry => entry.key === key);
+};
+
+export const runQualityChecks = async (db, date) => {
+  const checks = [];
+
+  for (const config of await listQualityChecks(db)) {
+    const check = QUALITY_CHECKS.find(entry => entry.key === config.key);
+    const base = { key: config.key, label: config.label, enabled: config.enabled, threshold: config.threshold };
+
+    if (!config.enabled) {
+      checks.push({ ...base, passed: true, skipped: true, message: 'Disabled' });
+      continue;
+    }
+    checks.push({ ...base, skipped: false, ...await check.run(db, date, config.threshold) });
+  }
+
+  return {
+    date,
+    passed: checks.every(check => check.passed),
+    checked_at: new Date().toISOString(),
+    checks
+  };
+};
+
+// Writes the report as the (date, 'quality') etl_runs row, replacing any earlier result or approval
+export const recordQualityResult = async (db, report) => {
+  const { now } = getSqlDialect(db);
+  const failed = report.checks.filter(check => !check.passed);
+
+  await db.query(`
+    INSERT INTO etl_runs (date, step, status, started_at, completed_at, error_message, metadata)
+    VALUES ($1, 'quality', $2, ${now()}, ${now()}, $3, $4)
+    ON CONFLICT (date, step) DO UPDATE SET
+      status = EXCLUDED.status,
+      started_at = EXCLUDED.started_at,
+      completed_at = EXCLUDED.completed_at,
+      error_message = EXCLUDED.error_message,
+      metadata = EXCLUDED.metadata
+  `, [
+    report.date,
+    report.passed ? 'completed' : 'quarantined',
+    failed.length > 0 ? failed.map(check => `${check.label}: ${check.message}`).join('; ') : null,
+    JSON.stringify(report)
+  ]);
+};
+
+export const getQualityRun = async (db, date) => {
+  const result = await db.query(`SELECT * FROM etl_runs WHERE date = $1 AND step = 'quality'`, [date]);
+  return result.rows.length > 0 ? toQualityRun(result.rows[0]) : null;
+};
+
+export const listQualityRuns = async (db, { status = null, limit = 60 } = {}) => {
+  const result = status
+    ? await db.query(`SELECT * FROM etl_runs WHERE step = 'quality' AND status = $1 ORDER BY date DESC LIMIT $2`, [status, limit])
+    : await db.query(`SELECT * FROM etl_runs WHERE step = 'quality' ORDER BY date DESC LIMIT $1`, [limit]);
+  return result.rows.map(toQualityRun);
+};
+
+// Dates in the month still waiting for approval; the rollups check this before running
+export const listQuarantinedDates = async (db, month) => {
+  const result = await db.query(`
+    SELECT date FROM etl_runs
+    WHERE step = 'quality' AND status = 'quarantined' AND date LIKE $1
+    ORDER BY date
+  `, [`${month}-%`]);
+  return result.rows.map(row => row.date);
+};
+
+// Rollups aggregate the whole month, so any quarantined date in it blocks them. The rollup ETL
+// calls this itself, so running it from the CLI is blocked too
+export const assertRollupAllowed = async (db, month) => {
+  const quarantined = await listQuarantinedDates(db, month);
+  if (quarantined.length > 0) {
+    throw new Error(`Rollup blocked: ${quarantined.join(', ')} quarantined by data-quality checks (approve with POST /api/admin/quality/:date/approve)`);
+  }
+};
+
+// Returns null unless the date is currently quarantined
+export const approveQuarantinedDate = async (db, date, username = null, note = null) => {
+  const run = await getQualityRun(db, date);
+  if (!run || run.status !== 'quarantined') return null;
+
+  const report = {
+    ...run.report,
+    approval: { approved_by: username, approved_at: new Date().toISOString(), note }
+  };
+
+  await db.query(`
+    UPDATE etl_runs
+    SET status = 'approved', metadata = $2
+    WHERE date = $1 AND step = 'quality' AND status = 'quarantined'
+  `, [date, JSON.stringify(report)]);
+
+  return getQualityRun(db, date);
+};
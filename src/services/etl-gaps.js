@@ -0,0 +1,132 @@
+// Gap detection for the daily ETL: walks the calendar between two dates and compares it with
+// etl_runs (daily step) and daily_metrics coverage. reconcileEtlGaps queues a backfill-daily job
+// for every gap, followed by the monthly rollup for each affected month, through the ETL job
+// queue.
+
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+import { enqueueEtlJob, findActiveEtlJob, rollupJobTypeFor } from './etl-jobs.js';
+
+export const GAP_LOOKBACK_DAYS = 60;
+const MAX_RANGE_DAYS = 400;
+// A date whose backfill has failed this many times is reported but no longer re-queued
+export const MAX_BACKFILL_ATTEMPTS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validates ?from=&to= (YYYY-MM-DD); defaults to the GAP_LOOKBACK_DAYS days ending yesterday
+export const normalizeGapRange = (input = {}) => {
+  const to = input.to || ChurnGuardCalendar.addDaysISO(ChurnGuardCalendar.formatDateISO(new Date()), -1);
+  if (!ChurnGuardCalendar.isValidDateISO(to)) {
+    throw new Error('to must be a YYYY-MM-DD date');
+  }
+  const from = input.from || ChurnGuardCalendar.addDaysISO(to, -(GAP_LOOKBACK_DAYS - 1));
+  if (!ChurnGuardCalendar.isValidDateISO(from)) {
+    throw new Error('from must be a YYYY-MM-DD date');
+  }
+  if (from > to) {
+    throw new Error('from must not be after to');
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_RANGE_DAYS) {
+    throw new Error(`range must be at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from, to };
+};
+
+export const findEtlGaps = async (db, { from, to }) => {
+  const coverageResult = await db.query(`
+    SELECT date, COUNT(*) AS row_count
+    FROM daily_metrics
+    WHERE date BETWEEN $1 AND $2
+    GROUP BY date
+  `, [from, to]);
+  const coverage = new Map(coverageResult.rows.map(row => [row.date, Number(row.row_count)]));
+
+  const runsResult = await db.query(`
+    SELECT date, status, error_message, completed_at
+    FROM etl_runs
+    WHERE step = 'daily' AND date BETWEEN $1 AND $2
+  `, [from, to]);
+  const runs = new Map(runsResult.rows.map(row => [row.date, row]));
+
+  const activeResult = await db.query(`
+    SELECT target_date, MIN(id) AS job_id
+    FROM etl_jobs
+    WHERE status IN ('queued', 'running')
+      AND job_type IN ('sync-data', 'sync-daily', 'backfill-daily')
+      AND target_date BETWEEN $1 AND $2
+    GROUP BY target_date
+  `, [from, to]);
+  const activeJobs = new Map(activeResult.rows.map(row => [row.target_date, row.job_id]));
+
+  const failedResult = await db.query(`
+    SELECT target_date, COUNT(*) AS failures
+    FROM etl_jobs
+    WHERE job_type = 'backfill-daily' AND status = 'failed' AND target_date BETWEEN $1 AND $2
+    GROUP BY target_date
+  `, [from, to]);
+  const failedBackfills = new Map(failedResult.rows.map(row => [row.target_date, Number(row.failures)]));
+
+  const gaps = [];
+  let days = 0;
+  for (let date = from; date <= to; date = ChurnGuardCalendar.addDaysISO(date, 1)) {
+    days++;
+    const run = runs.get(date);
+    const dailyRows = coverage.get(date) || 0;
+
+    // Dates loaded by the historical backfill scripts have rows but no etl_runs entry; that's fine
+    const reason = run?.status === 'failed' ? 'failed' : dailyRows === 0 ? 'missing' : null;
+    if (!reason) continue;
+
+    gaps.push({
+      date,
+      reason,
+      daily_rows: dailyRows,
+      etl_status: run?.status || null,
+      error_message: run?.error_message || null,
+      active_job_id: activeJobs.get(date) || null,
+      failed_backfills: failedBackfills.get(date) || 0
+    });
+  }
+
+  return {
+    from,
+    to,
+    days,
+    covered_days: days - gaps.length,
+    gaps,
+    affected_months: [...new Set(gaps.map(gap => gap.date.slice(0, 7)))]
+  };
+};
+
+// Queues backfill-daily for each gap that isn't already queued or given up on, then one rollup per
+// affected month: backfill-monthly (trending) for the current month, historical-rollup for
+// finished ones. The queue runs jobs in order, so each rollup follows its month's daily backfills.
+export const reconcileEtlGaps = async (db, range, requestedBy = null) => {
+  const report = await findEtlGaps(db, range);
+  const queued = [];
+  const skipped = [];
+
+  for (const gap of report.gaps) {
+    if (gap.active_job_id) {
+      skipped.push({ date: gap.date, reason: `ETL job ${gap.active_job_id} is already queued` });
+    } else if (gap.failed_backfills >= MAX_BACKFILL_ATTEMPTS) {
+      skipped.push({ date: gap.date, reason: `Backfill failed ${gap.failed_backfills} times` });
+    } else {
+      const job = await enqueueEtlJob(db, { jobType: 'backfill-daily', targetDate: gap.date, requestedBy });
+      queued.push({ job_id: job.id, job_type: job.job_type, target_date: gap.date });
+    }
+  }
+
+  const lastQueuedDateByMonth = new Map(queued.map(job => [job.target_date.slice(0, 7), job.target_date]));
+
+  for (const targetDate of lastQueuedDateByMonth.values()) {
+    const jobType = rollupJobTypeFor(targetDate);
+    if (await findActiveEtlJob(db, jobType, targetDate)) continue;
+
+    const job = await enqueueEtlJob(db, { jobType, targetDate, requestedBy });
+    queued.push({ job_id: job.id, job_type: job.job_type, target_date: targetDate });
+  }
+
+  return { ...report, queued, skipped };
+};
@@ -0,0 +1,221 @@
+// ETL job queue shared by the /api/admin sync routes (writer) and EtlJobWorker (runner).
+
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+import { parseJson } from '../utils/json.js';
+
+// Steps run in this order; a job resumed after an interruption skips the ones already completed.
+// 'quality' runs the data-quality checks (data-quality.js) on the date just loaded; a quarantined
+// date blocks the monthly and historical rollups of its month until an admin approves it.
+export const ETL_JOB_TYPES = {
+  'sync-data': ['accounts', 'daily', 'quality', 'monthly'],
+  'sync-accounts': ['accounts'],
+  'sync-daily': ['daily', 'quality'],
+  'sync-monthly': ['monthly'],
+  'historical-rollup': ['historical'], // month of target_date, run on the 1st for the month just ended
+  // Queued by gap reconciliation (etl-gaps.js) to re-run a missed or failed date and its month
+  'backfill-daily': ['daily', 'quality'],
+  'backfill-monthly': ['monthly']
+};
+
+// Backfills skip the per-date prerequisites in etl_runs: the accounts step loads today's
+// account list, so an old date never has its own accounts row to depend on
+export const skipsPrerequisites = (jobType) => jobType.startsWith('backfill-');
+
+// Rollup to re-run after a date changes: trending for the current month, historical for finished ones
+export const rollupJobTypeFor = (targetDate) => (
+  targetDate.slice(0, 7) === new Date().toISOString().slice(0, 7) ? 'backfill-monthly' : 'historical-rollup'
+);
+
+export const ETL_JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// A job claimed this many times without finishing is failed instead of resumed again
+export const MAX_ETL_JOB_ATTEMPTS = 3;
+
+const toJob = (row) => ({
+  id: row.id,
+  job_type: row.job_type,
+  target_date: row.target_date,
+  status: row.status,
+  steps: parseJson(row.steps, []),
+  current_step: row.current_step,
+  step_results: parseJson(row.step_results, {}),
+  attempts: Number(row.attempts) || 0,
+  cancel_requested: !!row.cancel_requested,
+  error_message: row.error_message,
+  requested_by: row.requested_by,
+  worker_id: row.worker_id,
+  heartbeat_at: row.heartbeat_at,
+  created_at: row.created_at,
+  started_at: row.started_at,
+  completed_at: row.completed_at
+});
+
+const yesterday = () => new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// Validates a request body for one of the ETL_JOB_TYPES; throws with a client-facing message
+export const normalizeEtlJobRequest = (jobType, input = {}) => {
+  if (!ETL_JOB_TYPES[jobType]) {
+    throw new Error(`job type must be one of: ${Object.keys(ETL_JOB_TYPES).join(', ')}`);
+  }
+
+  const targetDate = input.date || yesterday();
+  if (!ChurnGuardCalendar.isValidDateISO(targetDate)) {
+    throw new Error('date must be a YYYY-MM-DD date');
+  }
+
+  return { jobType, targetDate };
+};
+
+export const enqueueEtlJob = async (db, { jobType, targetDate, requestedBy = null }) => {
+  const result = await db.query(`
+    INSERT INTO etl_jobs (job_type, target_date, steps, step_results, requested_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [jobType, targetDate, JSON.stringify(ETL_JOB_TYPES[jobType]), JSON.stringify({}), requestedBy]);
+  return toJob(result.rows[0]);
+};
+
+// Queued or running job of the same type for the same date, or null
+export const findActiveEtlJob = async (db, jobType, targetDate) => {
+  const result = await db.query(`
+    SELECT * FROM etl_jobs
+    WHERE job_type = $1 AND target_date = $2 AND status IN ('queued', 'running')
+    ORDER BY id
+    LIMIT 1
+  `, [jobType, targetDate]);
+  return result.rows.length > 0 ? toJob(result.rows[0]) : null;
+};
+
+export const getEtlJob = async (db, jobId) => {
+  const result = await db.query(`SELECT * FROM etl_jobs WHERE id = $1`, [jobId]);
+  return result.rows.length > 0 ? toJob(result.rows[0]) : null;
+};
+
+export const listEtlJobs = async (db, { status = null, limit = 50 } = {}) => {
+  const result = status
+    ? await db.query(`SELECT * FROM etl_jobs WHERE status = $1 ORDER BY id DESC LIMIT $2`, [status, limit])
+    : await db.query(`SELECT * FROM etl_jobs ORDER BY id DESC LIMIT $1`, [limit]);
+  return result.rows.map(toJob);
+};
+
+// Queued jobs are cancelled outright; running ones are flagged and stop before their next step
+export const requestEtlJobCancel = async (db, jobId) => {
+  const { now } = getSqlDialect(db);
+
+  const queued = await db.query(`
+    UPDATE etl_jobs
+    SET status = 'cancelled', cancel_requested = TRUE, completed_at = ${now()}
+    WHERE id = $1 AND status = 'queued'
+  `, [jobId]);
+
+  if (queued.rowCount === 0) {
+    await db.query(`
+      UPDATE etl_jobs SET cancel_requested = TRUE
+      WHERE id = $1 AND status = 'running'
+    `, [jobId]);
+  }
+
+  return getEtlJob(db, jobId);
+};
+
+// Atomically moves the oldest queued job (other than skipIds) to running for this worker; null when
+// there is none. The status guard on the outer UPDATE means only one worker wins a race for a row.
+export const claimNextEtlJob = async (db, workerId, { skipIds = [] } = {}) => {
+  const { now } = getSqlDialect(db);
+  const skipFilter = skipIds.length > 0
+    ? `AND id NOT IN (${skipIds.map((_, index) => `$${index + 2}`).join(', ')})`
+    : '';
+
+  const result = await db.query(`
+    UPDATE etl_jobs
+    SET status = 'running',
+        worker_id = $1,
+        attempts = attempts + 1,
+        heartbeat_at = ${now()},
+        started_at = COALESCE(started_at, ${now()})
+    WHERE id = (SELECT id FROM etl_jobs WHERE status = 'queued' ${skipFilter} ORDER BY id LIMIT 1)
+      AND status = 'queued'
+    RETURNING *
+  `, [workerId, ...skipIds]);
+  return result.rows.length > 0 ? toJob(result.rows[0]) : null;
+};
+
+// Running jobs whose worker stopped heartbeating (crash, deploy, restart) go back to the queue
+export const requeueStaleEtlJobs = async (db, staleBefore) => {
+  const result = await db.query(`
+    UPDATE etl_jobs
+    SET status = 'queued', worker_id = NULL
+    WHERE status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < $1)
+    RETURNING id
+  `, [staleBefore]);
+  return result.rows.map(row => row.id);
+};
+
+// Puts a claimed job back without counting the claim, used when its next step is locked
+export const deferEtlJob = async (db, jobId) => {
+  await db.query(`
+    UPDATE etl_jobs
+    SET status = 'queued', worker_id = NULL, attempts = attempts - 1
+    WHERE id = $1 AND status = 'running'
+  `, [jobId]);
+};
+
+// Returns false once the job is no longer this worker's, e.g. after being requeued as stale
+export const heartbeatEtlJob = async (db, jobId, workerId) => {
+  const { now } = getSqlDialect(db);
+
+  const result = await db.query(`
+    UPDATE etl_jobs SET heartbeat_at = ${now()}
+    WHERE id = $1 AND worker_id = $2 AND status = 'running'
+  `, [jobId, workerId]);
+  await db.query(`
+    UPDATE etl_step_locks SET heartbeat_at = ${now()}
+    WHERE job_id = $1 AND worker_id = $2
+  `, [jobId, workerId]);
+
+  return result.rowCount > 0;
+};
+
+export const updateEtlJobStep = async (db, jobId, { currentStep, stepResults }) => {
+  await db.query(`
+    UPDATE etl_jobs SET current_step = $2, step_results = $3
+    WHERE id = $1
+  `, [jobId, currentStep, JSON.stringify(stepResults)]);
+};
+
+export const finishEtlJob = async (db, jobId, status, errorMessage = null) => {
+  await db.query(`
+    UPDATE etl_jobs
+    SET status = $2,
+        error_message = $3,
+        worker_id = NULL,
+        completed_at = ${getSqlDialect(db).now()}
+    WHERE id = $1
+  `, [jobId, status, errorMessage]);
+};
+
+// One row per running step. A lock left behind by a dead worker (stale heartbeat) or by an
+// earlier attempt of the same job is taken over.
+export const acquireStepLock = async (db, step, jobId, workerId, staleBefore) => {
+  await db.query(`
+    DELETE FROM etl_step_locks
+    WHERE step = $1 AND (heartbeat_at < $2 OR job_id = $3)
+  `, [step, staleBefore, jobId]);
+
+  const result = await db.query(`
+    INSERT INTO etl_step_locks (step, job_id, worker_id)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (step) DO NOTHING
+  `, [step, jobId, workerId]);
+  return result.rowCount > 0;
+};
+
+export const releaseStepLock = async (db, step, jobId) => {
+  await db.query(`DELETE FROM etl_step_locks WHERE step = $1 AND job_id = $2`, [step, jobId]);
+};
+
+export const listStepLocks = async (db) => {
+  const result = await db.query(`SELECT * FROM etl_step_locks ORDER BY step`);
+  return result.rows;
+};
@@ -0,0 +1,98 @@
+// ETL run history for the Operations page: every etl_runs row in a window of days with its
+// duration, rows processed and BigQuery cost pulled out of the metadata the steps record
+// (etl-steps.js), plus per-step totals.
+
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+import { parseJson } from '../utils/json.js';
+
+export const OPERATIONS_DEFAULT_DAYS = 90;
+const MAX_DAYS = 366;
+
+// Heatmap row order; matches the order the steps run in
+export const ETL_STEPS = ['accounts', 'daily', 'quality', 'monthly', 'historical'];
+
+// Each step names its count differently in metadata
+const rowsProcessed = (metadata) => {
+  const count = metadata?.recordsProcessed ?? metadata?.accountsProcessed ?? metadata?.monthsUpdated;
+  return count === undefined || count === null ? null : Number(count);
+};
+
+const toOperationsRun = (row) => {
+  const metadata = parseJson(row.metadata);
+  const started = row.started_at ? new Date(row.started_at).getTime() : null;
+  const completed = row.completed_at ? new Date(row.completed_at).getTime() : null;
+
+  return {
+    date: row.date,
+    step: row.step,
+    status: row.status,
+    started_at: row.started_at,
+    completed_at: row.completed_at,
+    duration_ms: started !== null && completed !== null ? Math.max(completed - started, 0) : null,
+    rows_processed: rowsProcessed(metadata),
+    bigquery_cost: metadata?.bigqueryCost || null,
+    error_message: row.error_message
+  };
+};
+
+// Validates ?days= (1-366); defaults to OPERATIONS_DEFAULT_DAYS ending today
+export const normalizeOperationsDays = (value) => {
+  if (value === undefined || value === '') return OPERATIONS_DEFAULT_DAYS;
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw new Error(`days must be a whole number from 1 to ${MAX_DAYS}`);
+  }
+  return days;
+};
+
+const summarizeStep = (step, runs) => {
+  const stepRuns = runs.filter(run => run.step === step);
+  const durations = stepRuns.map(run => run.duration_ms).filter(duration => duration !== null);
+  const costs = stepRuns.map(run => run.bigquery_cost).filter(Boolean);
+
+  return {
+    step,
+    runs: stepRuns.length,
+    failed: stepRuns.filter(run => run.status === 'failed').length,
+    quarantined: stepRuns.filter(run => run.status === 'quarantined').length,
+    avg_duration_ms: durations.length > 0 ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length) : null,
+    max_duration_ms: durations.length > 0 ? Math.max(...durations) : null,
+    rows_processed: stepRuns.reduce((sum, run) => sum + (run.rows_processed || 0), 0),
+    bigquery_cost_usd: Number(costs.reduce((sum, cost) => sum + (Number(cost.costUSD) || 0), 0).toFixed(6)),
+    bigquery_bytes_billed: costs.reduce((sum, cost) => sum + (Number(cost.bytesBilled) || 0), 0)
+  };
+};
+
+export const getEtlOperations = async (db, days = OPERATIONS_DEFAULT_DAYS) => {
+  const to = ChurnGuardCalendar.formatDateISO(new Date());
+  const from = ChurnGuardCalendar.addDaysISO(to, -(days - 1));
+
+  const result = await db.query(`
+    SELECT date, step, status, started_at, completed_at, error_message, metadata
+    FROM etl_runs
+    WHERE date BETWEEN $1 AND $2
+    ORDER BY date DESC, step
+  `, [from, to]);
+  const runs = result.rows.map(toOperationsRun);
+
+  // Steps outside ETL_STEPS (e.g. ones recorded by older scripts) still get a row
+  const steps = [...ETL_STEPS, ...new Set(runs.map(run => run.step).filter(step => !ETL_STEPS.includes(step)))];
+  const summary = steps.map(step => summarizeStep(step, runs));
+
+  return {
+    from,
+    to,
+    days,
+    steps,
+    summary,
+    totals: {
+      runs: runs.length,
+      failed: runs.filter(run => run.status === 'failed').length,
+      quarantined: runs.filter(run => run.status === 'quarantined').length,
+      bigquery_cost_usd: Number(summary.reduce((sum, step) => sum + step.bigquery_cost_usd, 0).toFixed(6)),
+      cost_tracked_runs: runs.filter(run => run.bigquery_cost).length
+    },
+    runs
+  };
+};
@@ -0,0 +1,140 @@
+// The ETL steps the job queue runs. Each one records itself in etl_runs through ETLTracker,
+// as the synchronous /api/admin/sync-* routes used to, and returns a summary for etl_jobs.step_results.
+// The BigQuery steps add their query cost to the metadata (bigqueryCost) for the Operations page.
+// ETL classes are imported lazily so the server does not load BigQuery until a job runs.
+
+import { getSharedDatabase } from '../../config/database.js';
+import { runQualityChecks, recordQualityResult, assertRollupAllowed } from './data-quality.js';
+
+const ROLLUP_STEPS = ['monthly', 'historical'];
+
+const runTrackedStep = async (date, step, run, { skipPrerequisites = false } = {}) => {
+  // The rollup checks again itself; checking first keeps a blocked rollup out of etl_runs
+  if (ROLLUP_STEPS.includes(step)) {
+    await assertRollupAllowed(await getSharedDatabase(), date.slice(0, 7));
+  }
+
+  const { ETLTracker } = await import('../../etl/shared-scripts/etl-tracker.js');
+  const tracker = new ETLTracker();
+
+  try {
+    // The worker holds this step's lock, so a 'running' etl_runs row was left by an interrupted job
+    if (!skipPrerequisites) {
+      await tracker.validateCanRun(date, step, { allowRunning: true });
+    }
+    await tracker.startStep(date, step);
+
+    try {
+      const { result, metadata } = await run();
+      await tracker.completeStep(date, step, metadata);
+      return result;
+    } catch (error) {
+      try {
+        await tracker.failStep(date, step, error.message);
+      } catch (trackingError) {
+        console.error('❌ Failed to update tracking:', trackingError);
+      }
+      throw error;
+    }
+  } finally {
+    await tracker.close();
+  }
+};
+
+const runAccountsStep = (date, options) => runTrackedStep(date, 'accounts', async () => {
+  console.log(`👥 Starting Accounts ETL for ${date}...`);
+
+  const { AccountsETLPostgresNative } = await import('../../etl/postgresql-native/accounts-etl-postgres-native.js');
+  const etl = new AccountsETLPostgresNative();
+
+  try {
+    const accountsProcessed = await etl.populateAccounts();
+    return {
+      result: { accountsProcessed },
+      metadata: { accountsProcessed, bigqueryCost: etl.bigqueryCosts.getSummary() }
+    };
+  } finally {
+    await etl.close();
+  }
+}, options);
+
+const runDailyStep = (date, options) => runTrackedStep(date, 'daily', async () => {
+  console.log(`📊 Starting Daily Metrics ETL for ${date}...`);
+
+  const { DailyMetricsETLPostgresNative } = await import('../../etl/postgresql-native/daily-metrics-etl-postgres-native.js');
+  const etl = new DailyMetricsETLPostgresNative();
+
+  try {
+    const result = await etl.processDate(date);
+    return {
+      result,
+      metadata: {
+        recordsProcessed: result.totalProcessed,
+        updatedCount: result.updatedCount,
+        createdCount: result.createdCount,
+        bigqueryCost: etl.bigqueryCosts.getSummary()
+      }
+    };
+  } finally {
+    await etl.close();
+  }
+}, options);
+
+const runMonthlyStep = (date, options) => runTrackedStep(date, 'monthly', async () => {
+  console.log(`📈 Starting Monthly Metrics ETL for ${date}...`);
+
+  const { MonthlyRollupETLPostgresNative } = await import('../../etl/postgresql-native/monthly-rollup-etl-postgres-native.js');
+  const etl = new MonthlyRollupETLPostgresNative();
+
+  try {
+    // Monthly rollup works on the month containing the target date
+    const result = await etl.processMonth(date.slice(0, 7));
+    return {
+      result,
+      metadata: { monthsUpdated: result.accountsProcessed }
+    };
+  } finally {
+    await etl.close();
+  }
+}, options);
+
+const runHistoricalStep = (date, options) => runTrackedStep(date, 'historical', async () => {
+  console.log(`📜 Starting historical monthly rollup for ${date.slice(0, 7)}...`);
+
+  const { MonthlyRollupETLPostgresNative } = await import('../../etl/postgresql-native/monthly-rollup-etl-postgres-native.js');
+  const etl = new MonthlyRollupETLPostgresNative();
+
+  try {
+    const result = await etl.processHistoricalMonth(date.slice(0, 7));
+    return {
+      result,
+      metadata: { month: result.month, accountsProcessed: result.accountsProcessed }
+    };
+  } finally {
+    await etl.close();
+  }
+}, options);
+
+// Checks the date just loaded and records the result itself (no ETLTracker), so it also runs on SQLite
+const runQualityStep = async (date) => {
+  console.log(`🔍 Running data-quality checks for ${date}...`);
+
+  const db = await getSharedDatabase();
+  const report = await runQualityChecks(db, date);
+  await recordQualityResult(db, report);
+
+  const failed = report.checks.filter(check => !check.passed).map(check => check.key);
+  console.log(report.passed
+    ? `✅ Data-quality checks passed for ${date}`
+    : `🚧 ${date} quarantined, failed checks: ${failed.join(', ')}`);
+
+  return { passed: report.passed, quarantined: !report.passed, failed };
+};
+
+export const ETL_STEP_RUNNERS = {
+  accounts: runAccountsStep,
+  daily: runDailyStep,
+  monthly: runMonthlyStep,
+  historical: runHistoricalStep,
+  quality: runQualityStep
+};
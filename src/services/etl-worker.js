@@ -0,0 +1,170 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { getSharedDatabase } from '../../config/database.js';
+import { ensureSchema } from '../../config/migrate.js';
+import { ETL_STEP_RUNNERS } from './etl-steps.js';
+import {
+  MAX_ETL_JOB_ATTEMPTS,
+  skipsPrerequisites,
+  claimNextEtlJob,
+  requeueStaleEtlJobs,
+  deferEtlJob,
+  heartbeatEtlJob,
+  getEtlJob,
+  updateEtlJobStep,
+  finishEtlJob,
+  acquireStepLock,
+  releaseStepLock
+} from './etl-jobs.js';
+
+// Polls etl_jobs and runs queued jobs one at a time, step by step. While a job runs its row and
+// step lock are heartbeated; any worker that sees a running job without a recent heartbeat
+// requeues it, and the next claim resumes after the last completed step. Cancellation is
+// checked between steps, since a BigQuery step cannot be interrupted halfway.
+
+const POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+export class EtlJobWorker {
+  constructor({ runners = ETL_STEP_RUNNERS, pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+    this.runners = runners;
+    this.pollIntervalMs = pollIntervalMs;
+    this.workerId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.timer = null;
+    this.busy = false;
+    this.waiting = new Set();
+  }
+
+  start() {
+    if (this.timer) return;
+    console.log(`🧵 ETL job worker ${this.workerId} started`);
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Called after a job is enqueued so it starts without waiting for the next poll
+  wake() {
+    if (this.timer) this.tick();
+  }
+
+  staleBefore() {
+    return new Date(Date.now() - STALE_AFTER_MS).toISOString();
+  }
+
+  async tick() {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      await ensureSchema();
+      const db = await getSharedDatabase();
+
+      const requeued = await requeueStaleEtlJobs(db, this.staleBefore());
+      if (requeued.length > 0) {
+        console.log(`♻️ Requeued interrupted ETL jobs: ${requeued.join(', ')}`);
+      }
+
+      // Jobs waiting on a step lock stay queued and are skipped until the next poll
+      const deferred = [];
+      let job;
+      while (this.timer && (job = await claimNextEtlJob(db, this.workerId, { skipIds: deferred }))) {
+        const outcome = await this.runJob(db, job);
+        if (outcome === 'deferred') deferred.push(job.id);
+      }
+    } catch (error) {
+      console.error('❌ ETL job worker error:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async runJob(db, job) {
+    if (job.attempts > MAX_ETL_JOB_ATTEMPTS) {
+      const message = `Interrupted ${job.attempts - 1} times, giving up`;
+      await finishEtlJob(db, job.id, 'failed', message);
+      console.error(`❌ ETL job ${job.id} failed: ${message}`);
+      return 'failed';
+    }
+
+    if (!this.waiting.has(job.id)) {
+      console.log(job.attempts > 1
+        ? `♻️ Resuming ETL job ${job.id} (${job.job_type} for ${job.target_date}), attempt ${job.attempts}`
+        : `🔄 Running ETL job ${job.id} (${job.job_type} for ${job.target_date})`);
+    }
+
+    const heartbeat = setInterval(() => {
+      heartbeatEtlJob(db, job.id, this.workerId).catch(error => {
+        console.error(`❌ ETL job ${job.id} heartbeat failed:`, error);
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const stepResults = { ...job.step_results };
+    let currentStep = null;
+
+    try {
+      for (const step of job.steps) {
+        if (stepResults[step]?.status === 'completed') continue;
+
+        const latest = await getEtlJob(db, job.id);
+        if (latest.cancel_requested) {
+          await finishEtlJob(db, job.id, 'cancelled', `Cancelled before the ${step} step`);
+          console.log(`🛑 ETL job ${job.id} cancelled before ${step}`);
+          return 'cancelled';
+        }
+
+        if (!await acquireStepLock(db, step, job.id, this.workerId, this.staleBefore())) {
+          await deferEtlJob(db, job.id);
+          if (!this.waiting.has(job.id)) {
+            this.waiting.add(job.id);
+            console.log(`⏳ ETL job ${job.id} waiting: ${step} step is running in another job`);
+          }
+          return 'deferred';
+        }
+        this.waiting.delete(job.id);
+
+        currentStep = step;
+        const startedAt = Date.now();
+        try {
+          stepResults[step] = { status: 'running', started_at: new Date(startedAt).toISOString() };
+          await updateEtlJobStep(db, job.id, { currentStep: step, stepResults });
+
+          const result = await this.runners[step](job.target_date, {
+            skipPrerequisites: skipsPrerequisites(job.job_type)
+          });
+
+          stepResults[step] = {
+            ...stepResults[step],
+            status: 'completed',
+            duration_ms: Date.now() - startedAt,
+            result
+          };
+          await updateEtlJobStep(db, job.id, { currentStep: step, stepResults });
+        } finally {
+          await releaseStepLock(db, step, job.id);
+        }
+      }
+
+      await finishEtlJob(db, job.id, 'completed');
+      console.log(`🎉 ETL job ${job.id} completed`);
+      return 'completed';
+    } catch (error) {
+      console.error(`❌ ETL job ${job.id} failed:`, error);
+      if (currentStep && stepResults[currentStep]?.status === 'running') {
+        stepResults[currentStep] = { ...stepResults[currentStep], status: 'failed', error: error.message };
+        await updateEtlJobStep(db, job.id, { currentStep, stepResults });
+      }
+      await finishEtlJob(db, job.id, 'failed', error.message);
+      return 'failed';
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+export const etlJobWorker = new EtlJobWorker();
@@ -1,7 +1,9 @@
 import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
 
 export const getHistoricalPerformanceData = async () => {
   const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
 
   const query = `
     SELECT
@@ -14,19 +16,19 @@ export const getHistoricalPerformanceData = async () => {
       SUM(mm.total_texts_delivered) as total_texts_sent
     FROM monthly_metrics mm
     INNER JOIN accounts a ON mm.account_id = a.account_id
-    WHERE mm.month >= TO_CHAR(CURRENT_DATE - INTERVAL '12 months', 'YYYY-MM')
-    AND mm.month < TO_CHAR(CURRENT_DATE, 'YYYY-MM')
+    WHERE mm.month >= ${sql.monthsAgo(12)}
+    AND mm.month < ${sql.currentMonth()}
     AND (
       -- Account eligibility: launched by month-end, not archived before month-start
       a.launched_at IS NOT NULL
-      AND a.launched_at::date < (mm.month || '-01')::date + INTERVAL '1 month'
+      AND ${sql.date('a.launched_at')} < ${sql.nextMonthStart('mm.month')}
       AND (
         -- Account is not ARCHIVED status (include regardless of earliest_unit_archived_at)
         a.status != 'ARCHIVED'
         OR
         -- Account IS ARCHIVED and was archived after the start of the month
         (a.status = 'ARCHIVED'
-         AND COALESCE(a.archived_at, a.earliest_unit_archived_at)::date >= (mm.month || '-01')::date)
+         AND ${sql.date('COALESCE(a.archived_at, a.earliest_unit_archived_at)')} >= ${sql.monthStart('mm.month')})
       )
     )
     GROUP BY mm.month, mm.month_label
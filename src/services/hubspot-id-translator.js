@@ -1,5 +1,10 @@
-import fs from 'fs/promises';
-import path from 'path';
+import { getSharedDatabase } from '../../config/database.js';
+import { ensureSchema } from '../../config/migrate.js';
+import { loadTranslationMap } from './hubspot-translations.js';
+
+// Translations live in hubspot_id_translations (seeded from
+// assets/churnguard_translation_table_corrected.json by migration 010) and are managed
+// through /api/hubspot/translations.
 
 class HubSpotIdTranslator {
   constructor() {
@@ -11,13 +16,9 @@ class HubSpotIdTranslator {
     if (this.initialized) return;
 
     try {
-      const translationFilePath = path.join(process.cwd(), 'assets', 'churnguard_translation_table_corrected.json');
-      const translationData = await fs.readFile(translationFilePath, 'utf8');
-      const translationTable = JSON.parse(translationData);
-
-      for (const entry of translationTable.translations) {
-        this.translationMap.set(entry.account_id, entry.correct_hubspot_id);
-      }
+      await ensureSchema();
+      const db = await getSharedDatabase();
+      this.translationMap = await loadTranslationMap(db);
 
       console.log(`HubSpot ID Translator initialized with ${this.translationMap.size} translations`);
       this.initialized = true;
@@ -28,6 +29,11 @@ class HubSpotIdTranslator {
     }
   }
 
+  // Called after translations change so the next lookup reloads them
+  invalidate() {
+    this.initialized = false;
+  }
+
   async getCorrectHubSpotId(accountId, originalHubspotId = '') {
     await this.initializeTranslationMap();
 
@@ -61,4 +67,4 @@ class HubSpotIdTranslator {
   }
 }
 
-export const hubspotIdTranslator = new HubSpotIdTranslator();
\ No newline at end of file
+export const hubspotIdTranslator = new HubSpotIdTranslator();
@@ -0,0 +1,92 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { ensureSchema } from '../../config/migrate.js';
+import { createHubSpotService } from './hubspot.js';
+import { replaceValidations } from './hubspot-translations.js';
+
+// Checks the HubSpot company ID every account syncs to (its translation if it has one,
+// otherwise accounts.hubspot_id) and records which ones HubSpot no longer knows or has
+// merged into another company. Results replace the previous run in hubspot_id_validations
+// and are reviewed on the HubSpot ID Translations admin page.
+
+export class HubSpotIdValidationService {
+  async getDatabase() {
+    return await getSharedDatabase();
+  }
+
+  async validateHubSpotIds() {
+    const apiKey = process.env.HUBSPOT_API_KEY;
+    if (!apiKey) {
+      throw new Error('HUBSPOT_API_KEY environment variable is required');
+    }
+
+    await ensureSchema();
+    const db = await this.getDatabase();
+    const hubspotService = createHubSpotService(apiKey);
+
+    const accountsResult = await db.query(`
+      SELECT a.account_id, a.account_name, a.hubspot_id, t.correct_hubspot_id
+      FROM accounts a
+      LEFT JOIN hubspot_id_translations t ON t.account_id = a.account_id
+      WHERE t.correct_hubspot_id IS NOT NULL
+         OR (a.hubspot_id IS NOT NULL AND a.hubspot_id != '' AND a.hubspot_id != 'null')
+    `);
+
+    const accounts = accountsResult.rows.map(account => ({
+      accountId: account.account_id,
+      accountName: account.account_name,
+      hubspotId: String(account.correct_hubspot_id || account.hubspot_id),
+      translated: !!account.correct_hubspot_id
+    }));
+
+    console.log(`🔎 Validating ${accounts.length} HubSpot company IDs`);
+
+    const { companies, merged, failed } = await hubspotService.batchReadCompanies(
+      accounts.map(account => account.hubspotId),
+      ['name']
+    );
+    const failedErrors = new Map(failed.flatMap(batch => batch.ids.map(id => [id, batch.error])));
+
+    const validations = accounts.map((account) => {
+      const { hubspotId } = account;
+      if (failedErrors.has(hubspotId)) {
+        return { ...account, status: 'failed', message: failedErrors.get(hubspotId) };
+      }
+      if (merged.has(hubspotId)) {
+        const mergedIntoId = merged.get(hubspotId);
+        return {
+          ...account,
+          status: 'merged',
+          mergedIntoId,
+          companyName: companies.get(mergedIntoId)?.name || null,
+          message: `Company ${hubspotId} was merged into ${mergedIntoId}`
+        };
+      }
+      if (!companies.has(hubspotId)) {
+        return { ...account, status: 'missing', message: `Company ${hubspotId} was not found in HubSpot` };
+      }
+      return { ...account, status: 'ok', companyName: companies.get(hubspotId)?.name || null };
+    });
+
+    await replaceValidations(db, validations);
+
+    const countStatus = (status) => validations.filter(validation => validation.status === status).length;
+    const summary = {
+      success: true,
+      checked: validations.length,
+      translated: accounts.filter(account => account.translated).length,
+      ok: countStatus('ok'),
+      missing: countStatus('missing'),
+      merged: countStatus('merged'),
+      failed: countStatus('failed')
+    };
+
+    console.log(`✅ HubSpot ID validation completed:`);
+    console.log(`   - Checked: ${summary.checked} (${summary.translated} translated)`);
+    console.log(`   - OK: ${summary.ok}`);
+    console.log(`   - Missing: ${summary.missing}`);
+    console.log(`   - Merged: ${summary.merged}`);
+    console.log(`   - Failed to check: ${summary.failed}`);
+
+    return summary;
+  }
+}
@@ -0,0 +1,125 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { ensureSchema } from '../../config/migrate.js';
+import { createHubSpotService } from './hubspot.js';
+import { hubspotIdTranslator } from './hubspot-id-translator.js';
+
+// Pulls company owner, lifecycle stage, renewal date and last activity from the HubSpot CRM
+// v3 API into the accounts table (columns added by migration 009). Renewal date is a custom
+// property in most portals, so its internal name is configurable.
+
+export const getImportPropertyNames = () => ({
+  owner: 'hubspot_owner_id',
+  lifecycleStage: 'lifecyclestage',
+  renewalDate: process.env.HUBSPOT_RENEWAL_DATE_PROPERTY || 'renewal_date',
+  lastActivity: process.env.HUBSPOT_LAST_ACTIVITY_PROPERTY || 'notes_last_updated'
+});
+
+// HubSpot returns date properties as 'YYYY-MM-DD', datetimes as ISO strings or epoch millis
+const toIsoTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+const toDateOnly = (value) => {
+  if (value && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) return String(value);
+  const timestamp = toIsoTimestamp(value);
+  return timestamp ? timestamp.slice(0, 10) : null;
+};
+
+export class HubSpotImportService {
+  async getDatabase() {
+    return await getSharedDatabase();
+  }
+
+  async importCompanyFields() {
+    const apiKey = process.env.HUBSPOT_API_KEY;
+    if (!apiKey) {
+      throw new Error('HUBSPOT_API_KEY environment variable is required');
+    }
+
+    await ensureSchema();
+    const db = await this.getDatabase();
+    const sql = getSqlDialect(db);
+    const hubspotService = createHubSpotService(apiKey);
+    const propertyNames = getImportPropertyNames();
+
+    console.log(`📥 Starting HubSpot company import (renewal: ${propertyNames.renewalDate}, last activity: ${propertyNames.lastActivity})`);
+
+    const accountsResult = await db.query(`
+      SELECT account_id, account_name, hubspot_id
+      FROM accounts
+      WHERE hubspot_id IS NOT NULL
+        AND hubspot_id != ''
+        AND hubspot_id != 'null'
+    `);
+
+    const accounts = [];
+    for (const account of accountsResult.rows) {
+      let hubspotId = account.hubspot_id;
+      if (await hubspotIdTranslator.hasTranslation(account.account_id)) {
+        hubspotId = await hubspotIdTranslator.getCorrectHubSpotId(account.account_id, account.hubspot_id);
+      }
+      accounts.push({ ...account, hubspotId: String(hubspotId) });
+    }
+
+    console.log(`📊 Reading ${accounts.length} companies from HubSpot`);
+
+    const owners = await hubspotService.listOwners();
+    const { companies, merged, missing, failed } = await hubspotService.batchReadCompanies(
+      accounts.map(account => account.hubspotId),
+      Object.values(propertyNames)
+    );
+
+    let updated = 0;
+    let withRenewalDate = 0;
+    for (const account of accounts) {
+      const properties = companies.get(account.hubspotId) || companies.get(merged.get(account.hubspotId));
+      if (!properties) continue;
+
+      const ownerId = properties[propertyNames.owner] || null;
+      const renewalDate = toDateOnly(properties[propertyNames.renewalDate]);
+      if (renewalDate) withRenewalDate++;
+
+      await db.query(`
+        UPDATE accounts
+        SET hubspot_owner_id = $1,
+            hubspot_owner_name = $2,
+            lifecycle_stage = $3,
+            renewal_date = $4,
+            last_activity_at = $5,
+            hubspot_imported_at = ${sql.now()}
+        WHERE account_id = $6
+      `, [
+        ownerId,
+        ownerId ? owners.get(String(ownerId))?.name || null : null,
+        properties[propertyNames.lifecycleStage] || null,
+        renewalDate,
+        toIsoTimestamp(properties[propertyNames.lastActivity]),
+        account.account_id
+      ]);
+      updated++;
+    }
+
+    const failedCount = failed.reduce((count, batch) => count + batch.ids.length, 0);
+
+    console.log(`✅ HubSpot company import completed:`);
+    console.log(`   - Accounts updated: ${updated}`);
+    console.log(`   - With renewal date: ${withRenewalDate}`);
+    console.log(`   - Not found in HubSpot: ${missing.length}`);
+    console.log(`   - Failed to read: ${failedCount}`);
+    failed.slice(0, 5).forEach(batch => console.log(`   - ${batch.ids.length} companies: ${batch.error}`));
+
+    return {
+      success: true,
+      totalAccounts: accounts.length,
+      updated,
+      withRenewalDate,
+      notFound: missing.length,
+      failed: failedCount,
+      owners: owners.size,
+      notFoundIds: missing.slice(0, 100)
+    };
+  }
+}
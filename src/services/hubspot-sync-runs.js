@@ -0,0 +1,231 @@
+// HubSpot sync run history shared by HubSpotSyncService (writer) and the /api/hubspot/runs
+// endpoints (reader).
+
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { parseJson } from '../utils/json.js';
+
+export const SYNC_RESULT_STATUSES = ['synced', 'failed', 'skipped'];
+
+// churnguard_last_updated changes every day, so it never counts as a change on its own
+const COMPARED_PROPERTIES = [
+  'churnguard_current_risk_level',
+  'churnguard_current_risk_reasons',
+  'churnguard_trending_risk_level',
+  'churnguard_trending_risk_reasons'
+];
+
+const toRun = (row) => ({
+  id: row.id,
+  process_date: row.process_date,
+  sync_mode: row.sync_mode,
+  status: row.status,
+  retry_of_run_id: row.retry_of_run_id,
+  skip_unchanged: !!row.skip_unchanged,
+  total_accounts: Number(row.total_accounts) || 0,
+  successful_syncs: Number(row.successful_syncs) || 0,
+  failed_syncs: Number(row.failed_syncs) || 0,
+  skipped_unchanged: Number(row.skipped_unchanged) || 0,
+  translated_count: Number(row.translated_count) || 0,
+  processed_accounts: Number(row.processed_accounts) || 0,
+  high_risk_synced: Number(row.high_risk_synced) || 0,
+  medium_risk_synced: Number(row.medium_risk_synced) || 0,
+  low_risk_synced: Number(row.low_risk_synced) || 0,
+  error_message: row.error_message,
+  triggered_by: row.triggered_by,
+  started_at: row.started_at,
+  heartbeat_at: row.heartbeat_at,
+  completed_at: row.completed_at
+});
+
+const toResult = (row) => ({
+  id: row.id,
+  run_id: row.run_id,
+  account_id: row.account_id,
+  account_name: row.account_name,
+  hubspot_id: row.hubspot_id,
+  status: row.status,
+  properties: parseJson(row.properties),
+  error_message: row.error_message,
+  created_at: row.created_at
+});
+
+export const hasPropertiesChanged = (lastPushed, hubspotId, properties) => {
+  if (!lastPushed || lastPushed.hubspotId !== hubspotId) return true;
+  return COMPARED_PROPERTIES.some(name => (lastPushed.properties?.[name] ?? null) !== (properties[name] ?? null));
+};
+
+// Most recent successfully pushed properties per account, keyed by account_id
+export const loadLastPushedProperties = async (db) => {
+  const result = await db.query(`
+    SELECT account_id, hubspot_id, properties
+    FROM hubspot_sync_results
+    WHERE id IN (
+      SELECT MAX(id) FROM hubspot_sync_results WHERE status = 'synced' GROUP BY account_id
+    )
+  `);
+
+  return new Map(result.rows.map(row => [row.account_id, {
+    hubspotId: row.hubspot_id,
+    properties: parseJson(row.properties)
+  }]));
+};
+
+// Claims the single 'running' slot (unique index from migration 018) and returns the new run's
+// ID, or null when another sync is already running
+export const startSyncRun = async (db, { processDate, syncMode, skipUnchanged = true, retryOfRunId = null, triggeredBy = null }) => {
+  const result = await db.query(`
+    INSERT INTO hubspot_sync_runs (process_date, sync_mode, skip_unchanged, retry_of_run_id, triggered_by, heartbeat_at)
+    VALUES ($1, $2, $3, $4, $5, ${getSqlDialect(db).now()})
+    ON CONFLICT DO NOTHING
+    RETURNING id
+  `, [processDate, syncMode, skipUnchanged, retryOfRunId, triggeredBy]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+export const recordSyncResults = async (db, runId, results) => {
+  for (const result of results) {
+    await db.query(`
+      INSERT INTO hubspot_sync_results (run_id, account_id, account_name, hubspot_id, status, properties, error_message)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      runId,
+      result.accountId,
+      result.accountName || null,
+      result.hubspotId,
+      result.status,
+      result.properties ? JSON.stringify(result.properties) : null,
+      result.error || null
+    ]);
+  }
+};
+
+// Called once the account list is known and after every batch; counts are running totals
+export const updateSyncRunProgress = async (db, runId, progress) => {
+  await db.query(`
+    UPDATE hubspot_sync_runs
+    SET total_accounts = $2,
+        processed_accounts = $3,
+        successful_syncs = $4,
+        failed_syncs = $5,
+        skipped_unchanged = $6,
+        translated_count = $7,
+        high_risk_synced = $8,
+        medium_risk_synced = $9,
+        low_risk_synced = $10
+    WHERE id = $1
+  `, [
+    runId,
+    progress.totalAccounts,
+    progress.processedAccounts,
+    progress.successfulSyncs,
+    progress.failedSyncs,
+    progress.skippedUnchanged,
+    progress.translatedCount,
+    progress.summary?.highRiskSynced || 0,
+    progress.summary?.mediumRiskSynced || 0,
+    progress.summary?.lowRiskSynced || 0
+  ]);
+};
+
+export const completeSyncRun = async (db, runId, counts) => {
+  await updateSyncRunProgress(db, runId, {
+    ...counts,
+    processedAccounts: counts.successfulSyncs + counts.failedSyncs + counts.skippedUnchanged
+  });
+  await db.query(`
+    UPDATE hubspot_sync_runs
+    SET status = 'completed',
+        completed_at = ${getSqlDialect(db).now()}
+    WHERE id = $1
+  `, [runId]);
+};
+
+export const failSyncRun = async (db, runId, errorMessage) => {
+  await db.query(`
+    UPDATE hubspot_sync_runs
+    SET status = 'failed',
+        error_message = $2,
+        completed_at = ${getSqlDialect(db).now()}
+    WHERE id = $1
+  `, [runId, errorMessage]);
+};
+
+export const heartbeatSyncRun = async (db, runId) => {
+  await db.query(`
+    UPDATE hubspot_sync_runs
+    SET heartbeat_at = ${getSqlDialect(db).now()}
+    WHERE id = $1 AND status = 'running'
+  `, [runId]);
+};
+
+// Running runs whose process stopped heartbeating (crash, deploy, restart) can never finish;
+// runs from before heartbeats were recorded fall back to started_at
+export const failStaleSyncRuns = async (db, staleBefore) => {
+  const result = await db.query(`
+    UPDATE hubspot_sync_runs
+    SET status = 'failed',
+        error_message = 'Interrupted: the process running this sync stopped before it finished',
+        completed_at = ${getSqlDialect(db).now()}
+    WHERE status = 'running' AND COALESCE(heartbeat_at, started_at) < $1
+    RETURNING id
+  `, [staleBefore]);
+  return result.rows.map(row => row.id);
+};
+
+export const listSyncRuns = async (db, { limit = 50 } = {}) => {
+  const result = await db.query(`
+    SELECT * FROM hubspot_sync_runs
+    ORDER BY id DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows.map(toRun);
+};
+
+// Most recent run still marked running, or null
+export const getRunningSyncRun = async (db) => {
+  const result = await db.query(`
+    SELECT * FROM hubspot_sync_runs
+    WHERE status = 'running'
+    ORDER BY id DESC
+    LIMIT 1
+  `);
+  return result.rows.length > 0 ? toRun(result.rows[0]) : null;
+};
+
+// The run row without its per-company results, plus the first few failures
+export const getSyncRunProgress = async (db, runId, { failureLimit = 10 } = {}) => {
+  const runResult = await db.query(`SELECT * FROM hubspot_sync_runs WHERE id = $1`, [runId]);
+  if (runResult.rows.length === 0) return null;
+
+  const failures = await db.query(`
+    SELECT account_id, account_name, hubspot_id, error_message
+    FROM hubspot_sync_results
+    WHERE run_id = $1 AND status = 'failed'
+    ORDER BY id
+    LIMIT $2
+  `, [runId, failureLimit]);
+
+  return { run: toRun(runResult.rows[0]), failures: failures.rows };
+};
+
+export const getSyncRun = async (db, runId) => {
+  const runResult = await db.query(`SELECT * FROM hubspot_sync_runs WHERE id = $1`, [runId]);
+  if (runResult.rows.length === 0) return null;
+
+  const results = await db.query(`
+    SELECT * FROM hubspot_sync_results
+    WHERE run_id = $1
+    ORDER BY CASE status WHEN 'failed' THEN 0 WHEN 'synced' THEN 1 ELSE 2 END, account_name
+  `, [runId]);
+
+  return { run: toRun(runResult.rows[0]), results: results.rows.map(toResult) };
+};
+
+export const getFailedSyncResults = async (db, runId) => {
+  const result = await db.query(`
+    SELECT * FROM hubspot_sync_results
+    WHERE run_id = $1 AND status = 'failed'
+    ORDER BY id
+  `, [runId]);
+  return result.rows.map(toResult);
+};
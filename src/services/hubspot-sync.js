@@ -1,6 +1,38 @@
 import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
 import { createHubSpotService, formatRiskDataForHubSpot } from './hubspot.js';
 import { hubspotIdTranslator } from './hubspot-id-translator.js';
+import { ensureSchema } from '../../config/migrate.js';
+import {
+  completeSyncRun,
+  failStaleSyncRuns,
+  failSyncRun,
+  getFailedSyncResults,
+  getRunningSyncRun,
+  getSyncRun,
+  getSyncRunProgress,
+  hasPropertiesChanged,
+  heartbeatSyncRun,
+  listSyncRuns,
+  loadLastPushedProperties,
+  recordSyncResults,
+  startSyncRun,
+  updateSyncRunProgress
+} from './hubspot-sync-runs.js';
+
+// A sync in progress refreshes its run's heartbeat_at this often; a 'running' run that hasn't
+// for STALE_SYNC_RUN_MS belongs to a process that stopped and is marked failed
+const SYNC_RUN_HEARTBEAT_MS = 15 * 1000;
+const STALE_SYNC_RUN_MS = 2 * 60 * 1000;
+
+// Thrown when another sync holds the 'running' slot; callers answer 409 or skip
+export class SyncAlreadyRunningError extends Error {
+  constructor(runningRunId) {
+    super(runningRunId ? `HubSpot sync ${runningRunId} is already running` : 'A HubSpot sync is already running');
+    this.name = 'SyncAlreadyRunningError';
+    this.runningRunId = runningRunId;
+  }
+}
 
 export class HubSpotSyncService {
   constructor() {
@@ -11,20 +43,66 @@ export class HubSpotSyncService {
     return await getSharedDatabase();
   }
 
-  async syncAccountsToHubSpot(targetDate = null, syncMode = 'daily') {
+  // Pushes churnguard_* properties for every eligible company and records the run in
+  // hubspot_sync_runs. With skipUnchanged, companies whose properties match what was last
+  // pushed successfully are recorded as 'skipped' instead of being PATCHed again.
+  async syncAccountsToHubSpot(targetDate = null, syncMode = 'daily', options = {}) {
+    const { done } = await this.startSyncJob(targetDate, syncMode, options);
+    return await done;
+  }
+
+  // Records the run and starts the sync without waiting for it. The run ID doubles as the job
+  // ID: progress is written to the run row after every batch, and `done` settles with the
+  // same result syncAccountsToHubSpot returns.
+  async startSyncJob(targetDate = null, syncMode = 'daily', options = {}) {
+    const { skipUnchanged = true, triggeredBy = null } = options;
     const apiKey = process.env.HUBSPOT_API_KEY;
     if (!apiKey) {
       throw new Error('HUBSPOT_API_KEY environment variable is required');
     }
 
     const processDate = targetDate || this.getYesterday();
-    const currentMonth = processDate.substring(0, 7);
-    const previousMonth = this.getPreviousMonth(currentMonth);
 
-    console.log(`🔄 Starting HubSpot sync for ${processDate} (${syncMode} mode)`);
+    console.log(`🔄 Starting HubSpot sync for ${processDate} (${syncMode} mode${skipUnchanged ? ', skipping unchanged' : ''})`);
 
-    const hubspotService = createHubSpotService(apiKey);
     const db = await this.getDatabase();
+    const runId = await this.claimSyncRun(db, { processDate, syncMode, skipUnchanged, triggeredBy });
+    const done = this.withHeartbeat(db, runId, () => (
+      this.runSync(db, runId, createHubSpotService(apiKey), { processDate, syncMode, skipUnchanged })
+    ));
+
+    return { runId, done };
+  }
+
+  // Starts a run, first failing any run a stopped process left holding the 'running' slot
+  async claimSyncRun(db, run) {
+    await this.failInterruptedSyncRuns();
+    const runId = await startSyncRun(db, run);
+    if (!runId) {
+      const running = await getRunningSyncRun(db);
+      throw new SyncAlreadyRunningError(running?.id || null);
+    }
+    return runId;
+  }
+
+  async withHeartbeat(db, runId, work) {
+    const heartbeat = setInterval(() => {
+      heartbeatSyncRun(db, runId).catch(error => {
+        console.error(`❌ HubSpot sync run ${runId} heartbeat failed:`, error);
+      });
+    }, SYNC_RUN_HEARTBEAT_MS);
+
+    try {
+      return await work();
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async runSync(db, runId, hubspotService, { processDate, syncMode, skipUnchanged }) {
+    const sql = getSqlDialect(db);
+    const currentMonth = processDate.substring(0, 7);
+    const previousMonth = this.getPreviousMonth(currentMonth);
 
     try {
       // Get month end date for eligibility criteria
@@ -54,21 +132,23 @@ export class HubSpotSyncService {
           AND a.hubspot_id != ''
           AND a.hubspot_id != 'null'
           AND a.launched_at IS NOT NULL
-          AND a.launched_at::date <= ($3 || ' 23:59:59')::timestamp
+          AND ${sql.date('a.launched_at')} <= ${sql.endOfDay('$3')}
           AND (
             -- Account is not ARCHIVED status (include regardless of earliest_unit_archived_at)
             a.status != 'ARCHIVED'
             OR
             -- Account IS ARCHIVED and was archived after the start of the month
             (a.status = 'ARCHIVED'
-             AND COALESCE(a.archived_at, a.earliest_unit_archived_at)::date >= ($4 || '-01')::date)
+             AND ${sql.date('COALESCE(a.archived_at, a.earliest_unit_archived_at)')} >= ${sql.monthStart('$4')})
           )
       `, [currentMonth, previousMonth, monthEnd, currentMonth]);
       const accounts = result.rows;
 
       console.log(`📊 Found ${accounts.length} accounts with HubSpot IDs to sync`);
 
+      const lastPushed = skipUnchanged ? await loadLastPushedProperties(db) : new Map();
       const updates = [];
+      const skipped = [];
       let translatedCount = 0;
 
       for (const account of accounts) {
@@ -82,57 +162,226 @@ export class HubSpotSyncService {
 
         const riskData = this.formatRiskDataForV2_3(account);
 
+        if (skipUnchanged && !hasPropertiesChanged(lastPushed.get(account.account_id), hubspotId, riskData)) {
+          skipped.push({
+            accountId: account.account_id,
+            accountName: account.account_name,
+            hubspotId,
+            status: 'skipped',
+            properties: riskData
+          });
+          continue;
+        }
+
         updates.push({
+          accountId: account.account_id,
           hubspotId,
           accountName: account.account_name,
           riskData
         });
       }
 
-      console.log(`🔄 Syncing ${updates.length} accounts to HubSpot (${translatedCount} with ID translations)`);
-
-      const syncResult = await hubspotService.bulkUpdateCompanyRiskData(updates, syncMode);
+      console.log(`🔄 Syncing ${updates.length} accounts to HubSpot (${skipped.length} unchanged skipped, ${translatedCount} with ID translations)`);
 
-      console.log(`✅ HubSpot sync completed:`);
-      console.log(`   - Total accounts: ${syncResult.totalAccounts}`);
-      console.log(`   - Successful syncs: ${syncResult.successfulSyncs}`);
-      console.log(`   - Failed syncs: ${syncResult.failedSyncs}`);
-      console.log(`   - Risk breakdown: High: ${syncResult.summary.highRiskSynced}, Medium: ${syncResult.summary.mediumRiskSynced}, Low: ${syncResult.summary.lowRiskSynced}`);
+      await recordSyncResults(db, runId, skipped);
+      const syncResult = await this.pushUpdates(db, runId, hubspotService, updates, syncMode, {
+        totalAccounts: accounts.length,
+        skippedUnchanged: skipped.length,
+        translatedCount
+      });
 
-      if (syncResult.failedSyncs > 0) {
-        console.log(`⚠️  Failed sync details:`);
-        syncResult.results
-          .filter(r => !r.success)
-          .slice(0, 5)
-          .forEach(r => console.log(`   - ${r.accountName} (${r.hubspotId}): ${r.error}`));
+      const counts = {
+        totalAccounts: accounts.length,
+        successfulSyncs: syncResult.successfulSyncs,
+        failedSyncs: syncResult.failedSyncs,
+        skippedUnchanged: skipped.length,
+        translatedCount
+      };
+      await completeSyncRun(db, runId, { ...counts, summary: syncResult.summary });
 
-        if (syncResult.failedSyncs > 5) {
-          console.log(`   - ... and ${syncResult.failedSyncs - 5} more failures`);
-        }
-      }
+      console.log(`✅ HubSpot sync run ${runId} completed:`);
+      console.log(`   - Total accounts: ${counts.totalAccounts}`);
+      console.log(`   - Successful syncs: ${counts.successfulSyncs}`);
+      console.log(`   - Failed syncs: ${counts.failedSyncs}`);
+      console.log(`   - Skipped (unchanged): ${counts.skippedUnchanged}`);
+      console.log(`   - Risk breakdown: High: ${syncResult.summary.highRiskSynced}, Medium: ${syncResult.summary.mediumRiskSynced}, Low: ${syncResult.summary.lowRiskSynced}`);
+      this.logFailures(runId, syncResult);
 
       // Note: Ineligible account sync removed - going forward only eligible accounts will be synced
 
-      // PostgreSQL connection will be returned to pool automatically
-
       return {
         success: true,
+        runId,
         processDate,
         syncMode,
-        totalAccounts: syncResult.totalAccounts,
-        successfulSyncs: syncResult.successfulSyncs,
-        failedSyncs: syncResult.failedSyncs,
-        translatedCount,
+        ...counts,
         summary: syncResult.summary
       };
 
     } catch (error) {
-      // PostgreSQL connection will be returned to pool automatically
       console.error(`❌ HubSpot sync failed:`, error);
+      await failSyncRun(db, runId, error.message).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Re-sends exactly the properties that failed in an earlier run, as a new run linked to it
+  async retryFailedSyncs(runId, options = {}) {
+    const { triggeredBy = null } = options;
+    const apiKey = process.env.HUBSPOT_API_KEY;
+    if (!apiKey) {
+      throw new Error('HUBSPOT_API_KEY environment variable is required');
+    }
+
+    await ensureSchema();
+    const db = await this.getDatabase();
+    const original = await getSyncRun(db, runId);
+    if (!original) {
+      return null;
+    }
+
+    const failures = await getFailedSyncResults(db, runId);
+    const updates = failures.map(failure => ({
+      accountId: failure.account_id,
+      hubspotId: failure.hubspot_id,
+      accountName: failure.account_name,
+      riskData: failure.properties
+    }));
+
+    console.log(`🔁 Retrying ${updates.length} failed HubSpot syncs from run ${runId}`);
+
+    const hubspotService = createHubSpotService(apiKey);
+    const retryRunId = await this.claimSyncRun(db, {
+      processDate: original.run.process_date,
+      syncMode: 'retry',
+      skipUnchanged: false,
+      retryOfRunId: runId,
+      triggeredBy
+    });
+
+    try {
+      const syncResult = await this.withHeartbeat(db, retryRunId, () => this.pushUpdates(db, retryRunId, hubspotService, updates, 'retry', {
+        totalAccounts: updates.length,
+        skippedUnchanged: 0,
+        translatedCount: 0
+      }));
+      const counts = {
+        totalAccounts: updates.length,
+        successfulSyncs: syncResult.successfulSyncs,
+        failedSyncs: syncResult.failedSyncs,
+        skippedUnchanged: 0,
+        translatedCount: 0
+      };
+      await completeSyncRun(db, retryRunId, { ...counts, summary: syncResult.summary });
+
+      console.log(`✅ Retry run ${retryRunId}: ${counts.successfulSyncs} succeeded, ${counts.failedSyncs} failed`);
+      this.logFailures(retryRunId, syncResult);
+
+      return {
+        success: true,
+        runId: retryRunId,
+        retryOfRunId: runId,
+        processDate: original.run.process_date,
+        syncMode: 'retry',
+        ...counts,
+        summary: syncResult.summary
+      };
+    } catch (error) {
+      console.error(`❌ HubSpot retry failed:`, error);
+      await failSyncRun(db, retryRunId, error.message).catch(() => {});
       throw error;
     }
   }
 
+  async listSyncRuns(limit = 50) {
+    await ensureSchema();
+    return await listSyncRuns(await this.getDatabase(), { limit });
+  }
+
+  async getSyncRun(runId) {
+    await ensureSchema();
+    return await getSyncRun(await this.getDatabase(), runId);
+  }
+
+  async getSyncRunProgress(runId) {
+    await ensureSchema();
+    const db = await this.getDatabase();
+    const progress = await getSyncRunProgress(db, runId);
+
+    // Lets job pollers and event streams see an interrupted run end instead of waiting forever
+    if (progress?.run.status === 'running' && this.isStale(progress.run)) {
+      await this.failInterruptedSyncRuns();
+      return await getSyncRunProgress(db, runId);
+    }
+    return progress;
+  }
+
+  async getRunningSyncRun() {
+    await this.failInterruptedSyncRuns();
+    return await getRunningSyncRun(await this.getDatabase());
+  }
+
+  isStale(run) {
+    const lastSeen = new Date(run.heartbeat_at || run.started_at).getTime();
+    return Date.now() - lastSeen >= STALE_SYNC_RUN_MS;
+  }
+
+  // Marks runs left 'running' by a stopped process as failed; called on server start and
+  // before checking whether a sync is already in progress
+  async failInterruptedSyncRuns() {
+    await ensureSchema();
+    const staleBefore = new Date(Date.now() - STALE_SYNC_RUN_MS).toISOString();
+    const runIds = await failStaleSyncRuns(await this.getDatabase(), staleBefore);
+    if (runIds.length > 0) {
+      console.log(`♻️ Marked interrupted HubSpot sync runs as failed: ${runIds.join(', ')}`);
+    }
+    return runIds;
+  }
+
+  // Records each batch's results as it finishes and keeps the run's progress counts current.
+  // `base` holds the counts known before pushing: { totalAccounts, skippedUnchanged, translatedCount }
+  async pushUpdates(db, runId, hubspotService, updates, syncMode, base) {
+    await updateSyncRunProgress(db, runId, {
+      ...base,
+      processedAccounts: base.skippedUnchanged,
+      successfulSyncs: 0,
+      failedSyncs: 0
+    });
+
+    return await hubspotService.bulkUpdateCompanyRiskData(updates, syncMode, async (batch) => {
+      await recordSyncResults(db, runId, batch.entries.map(({ update, result }) => ({
+        accountId: update.accountId,
+        accountName: update.accountName,
+        hubspotId: update.hubspotId,
+        status: result?.success ? 'synced' : 'failed',
+        properties: update.riskData,
+        error: result?.success ? null : (result?.error || 'No result returned')
+      })));
+
+      await updateSyncRunProgress(db, runId, {
+        ...base,
+        processedAccounts: base.skippedUnchanged + batch.processed,
+        successfulSyncs: batch.successfulSyncs,
+        failedSyncs: batch.failedSyncs,
+        summary: batch.summary
+      });
+    });
+  }
+
+  logFailures(runId, syncResult) {
+    if (syncResult.failedSyncs === 0) return;
+
+    console.log(`⚠️  Failed sync details:`);
+    syncResult.results
+      .filter(r => !r.success)
+      .slice(0, 5)
+      .forEach(r => console.log(`   - ${r.accountName} (${r.hubspotId}): ${r.error}`));
+
+    if (syncResult.failedSyncs > 5) {
+      console.log(`   - ... and ${syncResult.failedSyncs - 5} more failures (see GET /api/hubspot/runs/${runId})`);
+    }
+  }
+
   formatRiskDataForV2_3(account) {
     const isFrozenAccount = account.status === 'FROZEN';
     const isArchivedAccount = account.status === 'ARCHIVED' || account.archived_at;
@@ -203,6 +452,7 @@ export class HubSpotSyncService {
 
   async syncIneligibleAccountsWithYesterdayDate(currentMonth, hubspotService) {
     const db = await this.getDatabase();
+    const sql = getSqlDialect(db);
     const monthEnd = this.getMonthEnd(currentMonth);
     const yesterdayDate = this.getYesterday();
 
@@ -223,14 +473,14 @@ export class HubSpotSyncService {
           AND a.hubspot_id != 'null'
           AND NOT (
             a.launched_at IS NOT NULL
-            AND a.launched_at::date <= ($1 || ' 23:59:59')::timestamp
+            AND ${sql.date('a.launched_at')} <= ${sql.endOfDay('$1')}
             AND (
               -- Account is not ARCHIVED status (include regardless of earliest_unit_archived_at)
               a.status != 'ARCHIVED'
               OR
               -- Account IS ARCHIVED and was archived after the start of the month
               (a.status = 'ARCHIVED'
-               AND COALESCE(a.archived_at, a.earliest_unit_archived_at)::date >= ($2 || '-01')::date)
+               AND ${sql.date('COALESCE(a.archived_at, a.earliest_unit_archived_at)')} >= ${sql.monthStart('$2')})
             )
           )
       `, [monthEnd, currentMonth]);
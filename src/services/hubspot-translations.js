@@ -0,0 +1,218 @@
+// HubSpot ID translations (account_id -> correct company ID) and the latest validation result
+// per account. Writers should call hubspotIdTranslator.invalidate() so the running process picks
+// up the change.
+
+import { getSqlDialect } from '../../config/sql-dialect.js';
+
+export const VALIDATION_STATUSES = ['ok', 'missing', 'merged', 'failed'];
+
+const HUBSPOT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+const optionalText = (value, field, maxLength = 500) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw new Error(`${field} must be a string`);
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) throw new Error(`${field} must be at most ${maxLength} characters`);
+  return trimmed || null;
+};
+
+export const normalizeHubSpotId = (value, field = 'correct_hubspot_id') => {
+  const id = value === undefined || value === null ? '' : String(value).trim();
+  if (!HUBSPOT_ID_PATTERN.test(id)) {
+    throw new Error(`${field} must be a HubSpot company ID`);
+  }
+  return id;
+};
+
+// `partial` is for updates, where only the fields present in the body change
+export const normalizeTranslation = (input = {}, { partial = false } = {}) => {
+  const translation = {};
+
+  if (!partial) {
+    const accountId = typeof input.account_id === 'string' ? input.account_id.trim() : '';
+    if (!accountId) throw new Error('account_id is required');
+    translation.account_id = accountId;
+  }
+
+  if (!partial || input.correct_hubspot_id !== undefined) {
+    translation.correct_hubspot_id = normalizeHubSpotId(input.correct_hubspot_id);
+  }
+  if (input.original_hubspot_id !== undefined) {
+    translation.original_hubspot_id = input.original_hubspot_id === null || input.original_hubspot_id === ''
+      ? null
+      : normalizeHubSpotId(input.original_hubspot_id, 'original_hubspot_id');
+  }
+  if (input.hubspot_company_name !== undefined) {
+    translation.hubspot_company_name = optionalText(input.hubspot_company_name, 'hubspot_company_name', 200);
+  }
+  if (input.notes !== undefined) {
+    translation.notes = optionalText(input.notes, 'notes');
+  }
+
+  if (partial && Object.keys(translation).length === 0) {
+    throw new Error('No translation fields to update');
+  }
+
+  return translation;
+};
+
+const VALIDATION_COLUMNS = `
+  v.hubspot_id AS v_hubspot_id, v.translated AS v_translated, v.status AS v_status,
+  v.merged_into_id AS v_merged_into_id, v.hubspot_company_name AS v_company_name,
+  v.message AS v_message, v.checked_at AS v_checked_at
+`;
+
+const toValidation = (row) => row.v_status ? {
+  hubspot_id: row.v_hubspot_id,
+  translated: !!row.v_translated,
+  status: row.v_status,
+  merged_into_id: row.v_merged_into_id,
+  hubspot_company_name: row.v_company_name,
+  message: row.v_message,
+  checked_at: row.v_checked_at
+} : null;
+
+const toTranslation = (row) => ({
+  id: row.id,
+  account_id: row.account_id,
+  account_name: row.current_account_name || row.account_name,
+  account_hubspot_id: row.account_hubspot_id ?? null,
+  original_hubspot_id: row.original_hubspot_id,
+  correct_hubspot_id: row.correct_hubspot_id,
+  hubspot_company_name: row.hubspot_company_name,
+  confidence: row.confidence,
+  source: row.source,
+  notes: row.notes,
+  created_by: row.created_by,
+  updated_by: row.updated_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+  validation: toValidation(row)
+});
+
+const TRANSLATION_SELECT = `
+  SELECT t.*,
+         a.account_name AS current_account_name,
+         a.hubspot_id AS account_hubspot_id,
+         ${VALIDATION_COLUMNS}
+  FROM hubspot_id_translations t
+  LEFT JOIN accounts a ON a.account_id = t.account_id
+  LEFT JOIN hubspot_id_validations v ON v.account_id = t.account_id
+`;
+
+// account_id -> correct_hubspot_id, for HubSpotIdTranslator
+export const loadTranslationMap = async (db) => {
+  const result = await db.query(`SELECT account_id, correct_hubspot_id FROM hubspot_id_translations`);
+  return new Map(result.rows.map(row => [row.account_id, row.correct_hubspot_id]));
+};
+
+export const listTranslations = async (db) => {
+  const result = await db.query(`${TRANSLATION_SELECT} ORDER BY COALESCE(a.account_name, t.account_name), t.account_id`);
+  return result.rows.map(toTranslation);
+};
+
+export const getTranslation = async (db, accountId) => {
+  const result = await db.query(`${TRANSLATION_SELECT} WHERE t.account_id = $1`, [accountId]);
+  return result.rows.length > 0 ? toTranslation(result.rows[0]) : null;
+};
+
+export const createTranslation = async (db, translation, username = null) => {
+  const account = await db.query(`SELECT account_name, hubspot_id FROM accounts WHERE account_id = $1`, [translation.account_id]);
+
+  await db.query(`
+    INSERT INTO hubspot_id_translations (
+      account_id, account_name, original_hubspot_id, correct_hubspot_id,
+      hubspot_company_name, source, notes, created_by, updated_by
+    ) VALUES ($1, $2, $3, $4, $5, 'manual', $6, $7, $7)
+  `, [
+    translation.account_id,
+    account.rows[0]?.account_name || null,
+    translation.original_hubspot_id ?? account.rows[0]?.hubspot_id ?? null,
+    translation.correct_hubspot_id,
+    translation.hubspot_company_name ?? null,
+    translation.notes ?? null,
+    username
+  ]);
+  await clearValidation(db, translation.account_id);
+
+  return await getTranslation(db, translation.account_id);
+};
+
+export const updateTranslation = async (db, accountId, changes, username = null) => {
+  const fields = Object.keys(changes);
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+
+  const result = await db.query(`
+    UPDATE hubspot_id_translations
+    SET ${assignments.join(', ')},
+        updated_by = $${fields.length + 2},
+        updated_at = ${getSqlDialect(db).now()}
+    WHERE account_id = $1
+  `, [accountId, ...fields.map(field => changes[field]), username]);
+
+  if (result.rowCount === 0) return null;
+  if (changes.correct_hubspot_id !== undefined) await clearValidation(db, accountId);
+
+  return await getTranslation(db, accountId);
+};
+
+export const deleteTranslation = async (db, accountId) => {
+  const result = await db.query(`DELETE FROM hubspot_id_translations WHERE account_id = $1`, [accountId]);
+  if (result.rowCount > 0) await clearValidation(db, accountId);
+  return result.rowCount > 0;
+};
+
+// A changed ID hasn't been checked yet, so its old result would be misleading
+const clearValidation = async (db, accountId) => {
+  await db.query(`DELETE FROM hubspot_id_validations WHERE account_id = $1`, [accountId]);
+};
+
+export const replaceValidations = async (db, validations) => {
+  await db.query(`DELETE FROM hubspot_id_validations`);
+  for (const validation of validations) {
+    await db.query(`
+      INSERT INTO hubspot_id_validations (
+        account_id, account_name, hubspot_id, translated, status,
+        merged_into_id, hubspot_company_name, message
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      validation.accountId,
+      validation.accountName || null,
+      validation.hubspotId,
+      validation.translated,
+      validation.status,
+      validation.mergedIntoId || null,
+      validation.companyName || null,
+      validation.message || null
+    ]);
+  }
+};
+
+// Latest validation results, problems first; `status` narrows to one VALIDATION_STATUSES value
+export const listValidations = async (db, { status = null } = {}) => {
+  const params = [];
+  let where = '';
+  if (status) {
+    params.push(status);
+    where = 'WHERE v.status = $1';
+  }
+
+  const result = await db.query(`
+    SELECT v.account_id, v.account_name, ${VALIDATION_COLUMNS},
+           t.correct_hubspot_id, a.hubspot_id AS account_hubspot_id
+    FROM hubspot_id_validations v
+    LEFT JOIN hubspot_id_translations t ON t.account_id = v.account_id
+    LEFT JOIN accounts a ON a.account_id = v.account_id
+    ${where}
+    ORDER BY CASE v.status WHEN 'missing' THEN 0 WHEN 'merged' THEN 1 WHEN 'failed' THEN 2 ELSE 3 END,
+             v.account_name, v.account_id
+  `, params);
+
+  return result.rows.map(row => ({
+    account_id: row.account_id,
+    account_name: row.account_name,
+    account_hubspot_id: row.account_hubspot_id,
+    correct_hubspot_id: row.correct_hubspot_id ?? null,
+    ...toValidation(row)
+  }));
+};
@@ -1,74 +1,200 @@
+// Batch update accepts at most 100 inputs per call
+const BATCH_SIZE = 100;
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+const REQUEST_TIMEOUT_MS = 30000;
+const BISECT_STATUSES = [400, 404, 409];
+
+const RISK_PROPERTIES = [
+  'churnguard_current_risk_level',
+  'churnguard_current_risk_reasons',
+  'churnguard_trending_risk_level',
+  'churnguard_trending_risk_reasons',
+  'churnguard_last_updated'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Retry-After is either delta-seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Splits updates into batches of distinct company IDs; HubSpot rejects a batch that names the
+// same company twice, so a repeated ID (two accounts translated to one company) goes in a later batch
+const buildBatches = (updates, batchSize) => {
+  const batches = [];
+  let pending = updates.map((update, index) => ({ update, index }));
+
+  while (pending.length > 0) {
+    const deferred = [];
+    let batch = [];
+    let ids = new Set();
+
+    for (const entry of pending) {
+      const id = String(entry.update.hubspotId);
+      if (ids.has(id)) {
+        deferred.push(entry);
+        continue;
+      }
+      batch.push(entry);
+      ids.add(id);
+      if (batch.length === batchSize) {
+        batches.push(batch);
+        batch = [];
+        ids = new Set();
+      }
+    }
+
+    if (batch.length > 0) batches.push(batch);
+    pending = deferred;
+  }
+
+  return batches;
+};
+
 class HubSpotService {
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
-    this.baseUrl = 'https://api.hubapi.com';
+    this.baseUrl = options.baseUrl || process.env.HUBSPOT_API_BASE_URL || 'https://api.hubapi.com';
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.baseBackoffMs = options.baseBackoffMs ?? BASE_BACKOFF_MS;
   }
 
-  async updateCompanyRiskData(hubspotId, riskData, accountName = 'Unknown', syncMode = 'daily') {
-    try {
-      const properties = {
-        churnguard_current_risk_level: riskData.churnguard_current_risk_level,
-        churnguard_current_risk_reasons: riskData.churnguard_current_risk_reasons,
-        churnguard_trending_risk_level: riskData.churnguard_trending_risk_level,
-        churnguard_trending_risk_reasons: riskData.churnguard_trending_risk_reasons,
-        churnguard_last_updated: riskData.churnguard_last_updated
-      };
+  // fetch with Retry-After / exponential backoff on 429, 5xx and network errors. Returns the
+  // final response (which may still be an error status) and throws only if every attempt errored.
+  async requestWithRetry(path, init, label = path) {
+    let lastError = null;
 
-      const response = await fetch(`${this.baseUrl}/crm/v3/objects/companies/${hubspotId}`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ properties })
-      });
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let response = null;
+      try {
+        response = await fetch(`${this.baseUrl}${path}`, {
+          ...init,
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json',
+            ...init?.headers
+          },
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+      } catch (error) {
+        lastError = error;
+      }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HubSpot API error: ${response.status} - ${errorText}`);
+      if (response && (!isRetryableStatus(response.status) || attempt === this.maxAttempts)) {
+        return response;
       }
 
-      const result = await response.json();
+      if (!response && attempt === this.maxAttempts) break;
 
-      return {
-        success: true,
-        hubspotId,
-        accountName,
-        updatedProperties: Object.keys(properties)
-      };
+      const backoff = Math.min(this.baseBackoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+      const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+      const delay = Math.min(retryAfter ?? backoff + Math.random() * this.baseBackoffMs, MAX_BACKOFF_MS);
+      const reason = response ? `HTTP ${response.status}` : lastError.message;
+
+      if (response) await response.text().catch(() => {});
+      console.log(`⏳ HubSpot ${label}: ${reason}, retrying in ${Math.round(delay)}ms (attempt ${attempt}/${this.maxAttempts})`);
+      await sleep(delay);
+    }
+
+    throw new Error(`HubSpot request failed after ${this.maxAttempts} attempts: ${lastError instanceof Error ? lastError.message : String(lastError)}`);
+  }
+
+  // One batch/update call. Returns a result per entry; 207 responses carry per-record errors
+  // whose context.ids name the companies that failed.
+  async updateCompanyBatch(entries) {
+    const inputs = entries.map(({ update }) => ({
+      id: String(update.hubspotId),
+      properties: Object.fromEntries(RISK_PROPERTIES.map(name => [name, update.riskData[name] ?? null]))
+    }));
+
+    const failAll = (message) => entries.map(({ update }) => ({
+      success: false,
+      hubspotId: update.hubspotId,
+      accountName: update.accountName,
+      error: message
+    }));
+
+    let response;
+    try {
+      response = await this.requestWithRetry('/crm/v3/objects/companies/batch/update', {
+        method: 'POST',
+        body: JSON.stringify({ inputs })
+      }, `batch update (${inputs.length} companies)`);
     } catch (error) {
-      return {
-        success: false,
-        hubspotId,
-        accountName,
-        error: error instanceof Error ? error.message : String(error)
-      };
+      return failAll(error.message);
+    }
+
+    const bodyText = await response.text();
+    let body = null;
+    try {
+      body = bodyText ? JSON.parse(bodyText) : null;
+    } catch {
+      // Non-JSON error body - reported as text below
+    }
+
+    // A single invalid record can reject the whole batch; split it so the rest still go through
+    if (BISECT_STATUSES.includes(response.status) && entries.length > 1) {
+      const middle = Math.ceil(entries.length / 2);
+      return [
+        ...await this.updateCompanyBatch(entries.slice(0, middle)),
+        ...await this.updateCompanyBatch(entries.slice(middle))
+      ];
+    }
+
+    if (response.status !== 200 && response.status !== 207) {
+      return failAll(`HubSpot API error: ${response.status} - ${body?.message || bodyText.slice(0, 500)}`);
+    }
+
+    const updatedIds = new Set((body?.results || []).map(result => String(result.id)));
+    const errorsById = new Map();
+    for (const error of body?.errors || []) {
+      const message = `${error.category || 'ERROR'}: ${error.message || 'Unknown error'}`;
+      for (const id of error.context?.ids || []) {
+        errorsById.set(String(id), message);
+      }
     }
+
+    return entries.map(({ update }) => {
+      const id = String(update.hubspotId);
+      const error = errorsById.get(id) || (updatedIds.has(id) ? null : 'Company missing from HubSpot batch response');
+
+      return error
+        ? { success: false, hubspotId: update.hubspotId, accountName: update.accountName, error }
+        : {
+            success: true,
+            hubspotId: update.hubspotId,
+            accountName: update.accountName,
+            updatedProperties: RISK_PROPERTIES
+          };
+    });
   }
 
-  async bulkUpdateCompanyRiskData(updates, syncMode = 'daily') {
-    const results = [];
+  // Results are returned in the same order as updates. onBatch, if given, is awaited after
+  // every batch with that batch's { update, result } pairs and the running totals.
+  async bulkUpdateCompanyRiskData(updates, syncMode = 'daily', onBatch = null) {
+    const results = new Array(updates.length);
     const summary = {
       highRiskSynced: 0,
       mediumRiskSynced: 0,
       lowRiskSynced: 0
     };
 
-    const batchSize = 10;
-    for (let i = 0; i < updates.length; i += batchSize) {
-      const batch = updates.slice(i, i + batchSize);
+    const batches = buildBatches(updates, BATCH_SIZE);
+    for (const [batchIndex, batch] of batches.entries()) {
+      const batchResults = await this.updateCompanyBatch(batch);
 
-      const batchPromises = batch.map(async (update, index) => {
-        if (index > 0) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-
-        const result = await this.updateCompanyRiskData(
-          update.hubspotId,
-          update.riskData,
-          update.accountName,
-          syncMode
-        );
+      batch.forEach(({ update, index }, position) => {
+        const result = batchResults[position];
+        results[index] = result;
 
         if (result.success) {
           const riskLevel = update.riskData.churnguard_current_risk_level?.toLowerCase();
@@ -76,15 +202,20 @@ class HubSpotService {
           else if (riskLevel === 'medium') summary.mediumRiskSynced++;
           else if (riskLevel === 'low') summary.lowRiskSynced++;
         }
-
-        return result;
       });
 
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-
-      if (i + batchSize < updates.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+      const failed = batchResults.filter(r => !r.success).length;
+      console.log(`📦 HubSpot batch ${batchIndex + 1}/${batches.length} (${syncMode}): ${batch.length - failed} updated, ${failed} failed`);
+
+      if (onBatch) {
+        const completed = results.filter(Boolean);
+        await onBatch({
+          entries: batch.map(({ update }, position) => ({ update, result: batchResults[position] })),
+          processed: completed.length,
+          successfulSyncs: completed.filter(r => r.success).length,
+          failedSyncs: completed.filter(r => !r.success).length,
+          summary: { ...summary }
+        });
       }
     }
 
@@ -100,14 +231,85 @@ class HubSpotService {
     };
   }
 
+  // Reads companies 100 at a time via batch/read. Returns { companies: Map(id -> properties),
+  // merged: Map(requested id -> surviving id), missing: [ids HubSpot doesn't know],
+  // failed: [{ ids, error }] }. HubSpot answers a merged-away ID with the surviving company,
+  // which lists the old ID in hs_merged_object_ids.
+  async batchReadCompanies(ids, properties) {
+    const companies = new Map();
+    const merged = new Map();
+    const missing = [];
+    const failed = [];
+    const uniqueIds = [...new Set(ids.map(String))];
+    const requestedProperties = [...new Set([...properties, 'hs_merged_object_ids'])];
+
+    for (let i = 0; i < uniqueIds.length; i += BATCH_SIZE) {
+      const batchIds = uniqueIds.slice(i, i + BATCH_SIZE);
+
+      let response;
+      try {
+        response = await this.requestWithRetry('/crm/v3/objects/companies/batch/read', {
+          method: 'POST',
+          body: JSON.stringify({ properties: requestedProperties, inputs: batchIds.map(id => ({ id })) })
+        }, `batch read (${batchIds.length} companies)`);
+      } catch (error) {
+        failed.push({ ids: batchIds, error: error.message });
+        continue;
+      }
+
+      const body = await response.json().catch(() => null);
+      if (response.status !== 200 && response.status !== 207) {
+        failed.push({ ids: batchIds, error: `HubSpot API error: ${response.status} - ${body?.message || 'Unknown error'}` });
+        continue;
+      }
+
+      for (const result of body?.results || []) {
+        const id = String(result.id);
+        companies.set(id, result.properties || {});
+        if (batchIds.includes(id)) continue;
+
+        const mergedIds = String(result.properties?.hs_merged_object_ids || '').split(';');
+        for (const mergedId of mergedIds) {
+          if (batchIds.includes(mergedId)) merged.set(mergedId, id);
+        }
+      }
+      for (const id of batchIds) {
+        if (!companies.has(id) && !merged.has(id)) missing.push(id);
+      }
+    }
+
+    return { companies, merged, missing, failed };
+  }
+
+  // All owners (including archived ones still assigned to companies), keyed by owner ID
+  async listOwners() {
+    const owners = new Map();
+
+    for (const archived of [false, true]) {
+      let after = null;
+      do {
+        const query = `limit=100&archived=${archived}${after ? `&after=${encodeURIComponent(after)}` : ''}`;
+        const response = await this.requestWithRetry(`/crm/v3/owners?${query}`, {}, 'owners');
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Failed to fetch owners: ${response.status} - ${errorText}`);
+        }
+
+        const body = await response.json();
+        for (const owner of body.results || []) {
+          const name = [owner.firstName, owner.lastName].filter(Boolean).join(' ') || owner.email || null;
+          owners.set(String(owner.id), { name, email: owner.email || null });
+        }
+        after = body.paging?.next?.after || null;
+      } while (after);
+    }
+
+    return owners;
+  }
+
   async testConnection() {
     try {
-      const response = await fetch(`${this.baseUrl}/crm/v3/objects/companies?limit=1`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await this.requestWithRetry('/crm/v3/objects/companies?limit=1', {}, 'connection test');
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -134,14 +336,10 @@ class HubSpotService {
 
   async getSampleCompanies(limit = 5) {
     try {
-      const response = await fetch(
-        `${this.baseUrl}/crm/v3/objects/companies?limit=${limit}&properties=name,domain,hs_object_id`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
+      const response = await this.requestWithRetry(
+        `/crm/v3/objects/companies?limit=${limit}&properties=name,domain,hs_object_id`,
+        {},
+        'sample companies'
       );
 
       if (!response.ok) {
@@ -165,19 +363,14 @@ class HubSpotService {
 
   async updateLastUpdatedDate(hubspotId, date, accountName = 'Unknown') {
     try {
-      const url = `${this.baseUrl}/crm/v3/objects/companies/${hubspotId}`;
-      const response = await fetch(url, {
+      const response = await this.requestWithRetry(`/crm/v3/objects/companies/${hubspotId}`, {
         method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
         body: JSON.stringify({
           properties: {
             churnguard_last_updated: date
           }
         })
-      });
+      }, `update ${hubspotId}`);
 
       if (!response.ok) {
         const errorData = await response.json();
@@ -200,8 +393,8 @@ class HubSpotService {
   }
 }
 
-export function createHubSpotService(apiKey) {
-  return new HubSpotService(apiKey);
+export function createHubSpotService(apiKey, options = {}) {
+  return new HubSpotService(apiKey, options);
 }
 
 export function formatRiskDataForHubSpot(account) {
@@ -1,7 +1,9 @@
 import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
 
 export const getMonthlyTrendsData = async () => {
   const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
 
   const query = `
     SELECT
@@ -18,18 +20,18 @@ export const getMonthlyTrendsData = async () => {
     WHERE (
       -- Account eligibility: launched by month-end, not archived before month-start
       a.launched_at IS NOT NULL
-      AND a.launched_at::date < (mm.month || '-01')::date + INTERVAL '1 month'
+      AND ${sql.date('a.launched_at')} < ${sql.nextMonthStart('mm.month')}
       AND (
         -- Account is not ARCHIVED status (include regardless of earliest_unit_archived_at)
         a.status != 'ARCHIVED'
         OR
         -- Account IS ARCHIVED and was archived after the start of the month
         (a.status = 'ARCHIVED'
-         AND COALESCE(a.archived_at, a.earliest_unit_archived_at)::date >= (mm.month || '-01')::date)
+         AND ${sql.date('COALESCE(a.archived_at, a.earliest_unit_archived_at)')} >= ${sql.monthStart('mm.month')})
       )
     )
-    AND mm.month >= TO_CHAR(CURRENT_DATE - INTERVAL '12 months', 'YYYY-MM')
-    AND mm.month <= TO_CHAR(CURRENT_DATE, 'YYYY-MM')
+    AND mm.month >= ${sql.monthsAgo(12)}
+    AND mm.month <= ${sql.currentMonth()}
     GROUP BY mm.month
     ORDER BY mm.month ASC
   `;
@@ -0,0 +1,293 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+
+// Delivery channels for risk notifications. Each channel is send(target, message) where
+// message is { subject, text, payload }; add a channel by registering it in NOTIFICATION_CHANNELS.
+//
+// SMTP is configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, SMTP_FROM.
+// For local testing, `npm run notifications:sink` starts a stand-in SMTP + webhook receiver.
+//
+// Webhook URLs are user-supplied, so they may only reach public addresses; otherwise anyone could
+// make the server call internal services. WEBHOOK_ALLOWED_HOSTS (comma-separated) lists hosts an
+// admin trusts anyway, e.g. WEBHOOK_ALLOWED_HOSTS=localhost for the notification sink.
+
+const SMTP_TIMEOUT_MS = 15000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export const getSmtpConfig = () => ({
+  host: process.env.SMTP_HOST || null,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER || null,
+  password: process.env.SMTP_PASSWORD || null,
+  from: process.env.SMTP_FROM || 'churnguard@localhost'
+});
+
+// Minimal line-based SMTP conversation: one response per command, multi-line replies joined
+class SmtpSession {
+  constructor(socket) {
+    this.buffer = '';
+    this.waiting = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      this.flush();
+    });
+    socket.on('error', (error) => {
+      if (this.waiting) {
+        this.waiting.reject(error);
+        this.waiting = null;
+      }
+    });
+  }
+
+  // STARTTLS hands the raw socket to TLS; stop reading it directly
+  detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.setTimeout(0);
+    this.buffer = '';
+  }
+
+  flush() {
+    if (!this.waiting) return;
+
+    const lines = this.buffer.split('\r\n');
+    const lastIndex = lines.findIndex(line => /^\d{3} /.test(line) || /^\d{3}$/.test(line));
+    if (lastIndex === -1) return;
+
+    const responseLines = lines.slice(0, lastIndex + 1);
+    this.buffer = lines.slice(lastIndex + 1).join('\r\n');
+
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({
+      code: parseInt(responseLines[lastIndex].slice(0, 3), 10),
+      lines: responseLines.map(line => line.slice(4))
+    });
+  }
+
+  read(expectedCodes) {
+    return new Promise((resolve, reject) => {
+      this.waiting = {
+        resolve: (response) => {
+          if (!expectedCodes.includes(response.code)) {
+            reject(new Error(`SMTP error ${response.code}: ${response.lines.join(' ')}`));
+          } else {
+            resolve(response);
+          }
+        },
+        reject
+      };
+      this.flush();
+    });
+  }
+
+  async command(line, expectedCodes) {
+    this.socket.write(`${line}\r\n`);
+    return await this.read(expectedCodes);
+  }
+}
+
+const connectSocket = (config) => new Promise((resolve, reject) => {
+  const socket = config.secure
+    ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+    : net.connect({ host: config.host, port: config.port });
+
+  socket.once(config.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+  socket.once('error', reject);
+});
+
+const upgradeToTls = (socket, host) => new Promise((resolve, reject) => {
+  const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+  secureSocket.once('error', reject);
+});
+
+const encodeHeader = (value) => {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+};
+
+const buildMimeMessage = (from, to, subject, text) => {
+  const body = text
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map(line => (line.startsWith('.') ? `.${line}` : line)) // dot-stuffing
+    .join('\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body
+  ].join('\r\n');
+};
+
+export const sendSmtpMail = async (to, { subject, text }) => {
+  const config = getSmtpConfig();
+  if (!config.host) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  let socket = await connectSocket(config);
+  const session = new SmtpSession(socket);
+
+  try {
+    await session.read([220]);
+    const hostname = os.hostname() || 'localhost';
+    let ehlo = await session.command(`EHLO ${hostname}`, [250]);
+
+    if (!config.secure && ehlo.lines.some(line => line.toUpperCase().startsWith('STARTTLS'))) {
+      await session.command('STARTTLS', [220]);
+      session.detach();
+      socket = await upgradeToTls(socket, config.host);
+      session.attach(socket);
+      ehlo = await session.command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (config.user) {
+      const credentials = Buffer.from(`\0${config.user}\0${config.password || ''}`).toString('base64');
+      await session.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await session.command(`MAIL FROM:<${config.from.replace(/^.*<|>.*$/g, '')}>`, [250]);
+    await session.command(`RCPT TO:<${to}>`, [250, 251]);
+    await session.command('DATA', [354]);
+    await session.command(`${buildMimeMessage(config.from, to, subject, text)}\r\n.`, [250]);
+    await session.command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+};
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges; BlockList also matches
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 rules
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const getAllowedWebhookHosts = () => (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// URL hostnames keep IPv6 brackets
+const webhookHost = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// dns.lookup that refuses blocked addresses at connect time, so a hostname can't pass
+// validation and then resolve somewhere internal (DNS rebinding)
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked || addresses.length === 0) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private or reserved address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Throws unless url is an http(s) URL whose host resolves only to public addresses (or is allowlisted)
+export const assertPublicWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error('Webhook URL is not valid');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Webhook URL must use http or https');
+  }
+
+  const host = webhookHost(url);
+  if (getAllowedWebhookHosts().includes(host)) return url;
+
+  // IP literals never go through the lookup hook, so check them here
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) {
+      throw new Error('Webhook URL must not point to a private or reserved address');
+    }
+    return url;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw new Error(`Webhook host ${host} could not be resolved`);
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error('Webhook URL must not point to a private or reserved address');
+  }
+
+  return url;
+};
+
+// Slack-compatible: Slack incoming webhooks render `text`; other receivers can use `payload`.
+// Redirects are not followed and the response body is never read back, so a webhook can't be
+// used to fetch anything; failures carry only the status code.
+export const postWebhook = async (target, { subject, text, payload }) => {
+  const url = await assertPublicWebhookUrl(target);
+  const allowlisted = getAllowedWebhookHosts().includes(webhookHost(url));
+  const body = JSON.stringify({ text: `*${subject}*\n${text}`, ...payload });
+
+  const statusCode = await new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      ...(allowlisted ? {} : { lookup: publicLookup })
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.setTimeout(WEBHOOK_TIMEOUT_MS, () => request.destroy(new Error('Webhook request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  if (statusCode < 200 || statusCode >= 300) {
+    const error = new Error(`Webhook responded ${statusCode}`);
+    error.statusCode = statusCode;
+    throw error;
+  }
+};
+
+export const NOTIFICATION_CHANNELS = {
+  smtp: {
+    isEnabled: (subscription) => subscription.email_enabled && !!subscription.email,
+    target: (subscription) => subscription.email,
+    send: sendSmtpMail
+  },
+  webhook: {
+    isEnabled: (subscription) => subscription.webhook_enabled && !!subscription.webhook_url,
+    target: (subscription) => subscription.webhook_url,
+    send: postWebhook
+  }
+};
@@ -0,0 +1,140 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+import { accountFilterConditions } from './account-metrics-table.service.js';
+
+// Revenue at risk: each account's spend over the trailing 3 complete months, weighted by its
+// current risk level (trending for this month, like the dashboard's risk cards)
+export const TRAILING_MONTHS = 3;
+
+// Share of an account's trailing revenue counted as at risk
+export const RISK_LEVEL_WEIGHTS = { high: 0.7, medium: 0.3, low: 0.05 };
+
+const RISK_LEVELS = Object.keys(RISK_LEVEL_WEIGHTS);
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// 'YYYY-MM' for the month offset months before the current one
+const monthsBefore = (offset) => {
+  const date = new Date();
+  return ChurnGuardCalendar.formatMonthISO(new Date(Date.UTC(date.getFullYear(), date.getMonth() - offset, 1)));
+};
+
+const emptyGroup = (key) => ({
+  key,
+  accounts: 0,
+  revenue: 0,
+  revenueAtRisk: 0,
+  ...Object.fromEntries(RISK_LEVELS.map(level => [level, 0]))
+});
+
+// Adds a (risk level, CSM, status) row to a breakdown; the level columns hold at-risk revenue
+const addToGroup = (groups, key, row) => {
+  if (!groups.has(key)) groups.set(key, emptyGroup(key));
+  const group = groups.get(key);
+  group.accounts += row.accounts;
+  group.revenue += row.revenue;
+  group.revenueAtRisk += row.revenueAtRisk;
+  group[row.riskLevel] += row.revenueAtRisk;
+};
+
+const finishGroups = (groups) => Array.from(groups.values())
+  .map(group => ({
+    ...group,
+    revenue: roundCents(group.revenue),
+    revenueAtRisk: roundCents(group.revenueAtRisk),
+    ...Object.fromEntries(RISK_LEVELS.map(level => [level, roundCents(group[level])]))
+  }))
+  .sort((a, b) => b.revenueAtRisk - a.revenueAtRisk || a.key.localeCompare(b.key));
+
+// filters takes the account filters of the metrics tables (csm_owner for CSM scoping, status, ...)
+export const getRevenueAtRisk = async (filters = {}) => {
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+  const currentMonth = ChurnGuardCalendar.getCurrentMonth();
+  const firstMonth = monthsBefore(TRAILING_MONTHS);
+  const lastMonth = monthsBefore(1);
+
+  const queryParams = [currentMonth, firstMonth, lastMonth];
+  const filterConditions = accountFilterConditions(filters, queryParams);
+
+  // Current-month eligible accounts with a risk level, their trailing spend, grouped by level, CSM and status
+  const result = await db.query(`
+    SELECT risk_level, csm_owner, status, COUNT(*) as accounts, SUM(trailing_spend) as revenue
+    FROM (
+      SELECT
+        a.account_id,
+        a.csm_owner,
+        a.status,
+        COALESCE(cur.trending_risk_level, cur.historical_risk_level) as risk_level,
+        COALESCE(SUM(past.total_spend), 0) as trailing_spend
+      FROM accounts a
+      INNER JOIN monthly_metrics cur ON a.account_id = cur.account_id
+        AND cur.month = $1
+        AND COALESCE(cur.trending_risk_level, cur.historical_risk_level) IS NOT NULL
+      LEFT JOIN monthly_metrics past ON a.account_id = past.account_id
+        AND past.month >= $2 AND past.month <= $3
+      WHERE (
+        -- Account eligibility: launched by month-end, not archived before month-start
+        a.launched_at IS NOT NULL
+        AND ${sql.date('a.launched_at')} < ${sql.nextMonthStart('$1')}
+        AND (
+          a.status != 'ARCHIVED'
+          OR (a.status = 'ARCHIVED'
+              AND ${sql.date('COALESCE(a.archived_at, a.earliest_unit_archived_at)')} >= ${sql.monthStart('$1')})
+        )
+      )
+      ${filterConditions}
+      GROUP BY a.account_id, a.csm_owner, a.status, cur.trending_risk_level, cur.historical_risk_level
+    ) account_revenue
+    GROUP BY risk_level, csm_owner, status
+  `, queryParams);
+
+  const rows = result.rows
+    .filter(row => RISK_LEVELS.includes(row.risk_level))
+    .map(row => {
+      const revenue = Number(row.revenue) || 0;
+      return {
+        riskLevel: row.risk_level,
+        csm: row.csm_owner || 'Unassigned',
+        status: row.status || 'UNKNOWN',
+        accounts: Number(row.accounts) || 0,
+        revenue,
+        revenueAtRisk: revenue * RISK_LEVEL_WEIGHTS[row.risk_level]
+      };
+    });
+
+  const byRiskLevel = RISK_LEVELS.map(level => {
+    const levelRows = rows.filter(row => row.riskLevel === level);
+    return {
+      riskLevel: level,
+      weight: RISK_LEVEL_WEIGHTS[level],
+      accounts: levelRows.reduce((sum, row) => sum + row.accounts, 0),
+      revenue: roundCents(levelRows.reduce((sum, row) => sum + row.revenue, 0)),
+      revenueAtRisk: roundCents(levelRows.reduce((sum, row) => sum + row.revenueAtRisk, 0))
+    };
+  });
+
+  const byCsm = new Map();
+  const byStatus = new Map();
+  rows.forEach(row => {
+    addToGroup(byCsm, row.csm, row);
+    addToGroup(byStatus, row.status, row);
+  });
+
+  const levelCount = (level) => byRiskLevel.find(entry => entry.riskLevel === level).accounts;
+
+  return {
+    totalAccounts: byRiskLevel.reduce((sum, entry) => sum + entry.accounts, 0),
+    highRiskCount: levelCount('high'),
+    mediumRiskCount: levelCount('medium'),
+    lowRiskCount: levelCount('low'),
+    totalRevenue: roundCents(rows.reduce((sum, row) => sum + row.revenue, 0)),
+    revenueAtRisk: roundCents(rows.reduce((sum, row) => sum + row.revenueAtRisk, 0)),
+    period: { month: currentMonth, revenueStart: firstMonth, revenueEnd: lastMonth, trailingMonths: TRAILING_MONTHS },
+    weights: RISK_LEVEL_WEIGHTS,
+    byRiskLevel,
+    byCsm: finishGroups(byCsm),
+    byStatus: finishGroups(byStatus)
+  };
+};
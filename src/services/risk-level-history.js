@@ -0,0 +1,84 @@
+// Trending risk transition log shared by the monthly rollup ETL (writer) and the API (reader).
+// Functions take the db/client explicitly so the ETL can write inside its own transaction.
+
+const parseReasons = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+export const diffRiskReasons = (previousReasons = [], reasons = []) => ({
+  added: reasons.filter(reason => !previousReasons.includes(reason)),
+  cleared: previousReasons.filter(reason => !reasons.includes(reason))
+});
+
+// Latest entry per account up to and including the month, keyed by account_id
+export const loadLatestRiskLevels = async (db, month) => {
+  const result = await db.query(`
+    SELECT h.account_id, h.month, h.risk_level, h.risk_reasons
+    FROM risk_level_history h
+    WHERE h.id IN (
+      SELECT MAX(id) FROM risk_level_history WHERE month <= $1 GROUP BY account_id
+    )
+  `, [month]);
+
+  return new Map(result.rows.map(row => [row.account_id, {
+    month: row.month,
+    level: row.risk_level,
+    reasons: parseReasons(row.risk_reasons)
+  }]));
+};
+
+// Appends a history row when the level or reasons moved, or when this is the account's
+// first evaluation of the month. Returns true when a row was written.
+export const recordRiskLevel = async (db, { accountId, month, level, reasons, ruleSetVersion = null }, latest = null) => {
+  const sameLevel = latest && latest.level === level;
+  const sameReasons = latest && [...latest.reasons].sort().join('|') === [...reasons].sort().join('|');
+
+  if (latest && latest.month === month && sameLevel && sameReasons) {
+    return false;
+  }
+
+  const { added, cleared } = diffRiskReasons(latest?.reasons || [], reasons);
+
+  await db.query(`
+    INSERT INTO risk_level_history
+      (account_id, month, risk_level, risk_reasons, previous_risk_level, added_reasons, cleared_reasons, risk_rule_set_version)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    accountId,
+    month,
+    level,
+    JSON.stringify(reasons),
+    latest?.level || null,
+    JSON.stringify(added),
+    JSON.stringify(cleared),
+    ruleSetVersion
+  ]);
+
+  return true;
+};
+
+export const getRiskLevelHistory = async (db, accountId, { limit = 200 } = {}) => {
+  const result = await db.query(`
+    SELECT id, account_id, month, risk_level, risk_reasons, previous_risk_level,
+           added_reasons, cleared_reasons, risk_rule_set_version, recorded_at
+    FROM risk_level_history
+    WHERE account_id = $1
+    ORDER BY id DESC
+    LIMIT $2
+  `, [accountId, limit]);
+
+  return result.rows.map(row => ({
+    ...row,
+    risk_reasons: parseReasons(row.risk_reasons),
+    added_reasons: parseReasons(row.added_reasons),
+    cleared_reasons: parseReasons(row.cleared_reasons),
+    level_changed: row.previous_risk_level !== null && row.previous_risk_level !== row.risk_level
+  }));
+};
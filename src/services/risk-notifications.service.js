@@ -0,0 +1,336 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { NOTIFICATION_CHANNELS, assertPublicWebhookUrl } from './notification-channels.js';
+
+// Risk escalation digests, sent after the monthly rollup has appended to risk_level_history.
+// An escalation is a trending level increase (low→medium, medium→high, low→high) or a newly
+// added status flag below. Each subscriber has a watermark (last_history_id) so every
+// transition is reported once, and failed deliveries are retried on the next run.
+
+export const ESCALATION_REASONS = ['Recently Archived', 'Frozen & Inactive'];
+export const SUBSCRIPTION_SCOPES = ['mine', 'all'];
+
+const LEVEL_RANK = { low: 0, medium: 1, high: 2 };
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+const DEFAULT_SUBSCRIPTION = {
+  email: null,
+  email_enabled: false,
+  webhook_url: null,
+  webhook_enabled: false,
+  notify_level_increase: true,
+  notify_status_flags: true,
+  scope: 'mine'
+};
+
+const parseReasons = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// SQLite returns 0/1 for BOOLEAN columns
+const toSubscription = (row) => ({
+  user_id: row.user_id,
+  email: row.email,
+  email_enabled: !!row.email_enabled,
+  webhook_url: row.webhook_url,
+  webhook_enabled: !!row.webhook_enabled,
+  notify_level_increase: !!row.notify_level_increase,
+  notify_status_flags: !!row.notify_status_flags,
+  scope: row.scope,
+  last_history_id: Number(row.last_history_id) || 0,
+  updated_at: row.updated_at
+});
+
+// Validates a settings payload from the Settings page; throws with a user-facing message
+export const normalizeSubscription = async (input = {}, user) => {
+  const subscription = { ...DEFAULT_SUBSCRIPTION };
+
+  for (const field of ['email_enabled', 'webhook_enabled', 'notify_level_increase', 'notify_status_flags']) {
+    if (input[field] !== undefined) subscription[field] = !!input[field];
+  }
+
+  subscription.email = input.email ? String(input.email).trim() : null;
+  if (subscription.email && !EMAIL_PATTERN.test(subscription.email)) {
+    throw new Error('Email address is not valid');
+  }
+  if (subscription.email_enabled && !subscription.email) {
+    throw new Error('An email address is required to enable email notifications');
+  }
+
+  subscription.webhook_url = input.webhook_url ? String(input.webhook_url).trim() : null;
+  if (subscription.webhook_url) {
+    await assertPublicWebhookUrl(subscription.webhook_url);
+  }
+  if (subscription.webhook_enabled && !subscription.webhook_url) {
+    throw new Error('A webhook URL is required to enable webhook notifications');
+  }
+
+  const scope = input.scope || 'mine';
+  if (!SUBSCRIPTION_SCOPES.includes(scope)) {
+    throw new Error(`scope must be one of ${SUBSCRIPTION_SCOPES.join(', ')}`);
+  }
+  if (scope === 'all' && user.role !== 'admin') {
+    throw new Error('Only admins can subscribe to all accounts');
+  }
+  subscription.scope = scope;
+
+  return subscription;
+};
+
+export const getNotificationSubscription = async (userId) => {
+  const db = await getSharedDatabase();
+  const result = await db.query(`SELECT * FROM notification_subscriptions WHERE user_id = $1`, [userId]);
+
+  return result.rows[0]
+    ? toSubscription(result.rows[0])
+    : { user_id: userId, ...DEFAULT_SUBSCRIPTION, last_history_id: 0, updated_at: null };
+};
+
+export const saveNotificationSubscription = async (userId, subscription) => {
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+
+  // New subscribers start from "now" rather than receiving the whole backlog
+  const latest = await db.query(`SELECT COALESCE(MAX(id), 0) as max_id FROM risk_level_history`);
+
+  const result = await db.query(`
+    INSERT INTO notification_subscriptions (
+      user_id, email, email_enabled, webhook_url, webhook_enabled,
+      notify_level_increase, notify_status_flags, scope, last_history_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (user_id) DO UPDATE SET
+      email = EXCLUDED.email,
+      email_enabled = EXCLUDED.email_enabled,
+      webhook_url = EXCLUDED.webhook_url,
+      webhook_enabled = EXCLUDED.webhook_enabled,
+      notify_level_increase = EXCLUDED.notify_level_increase,
+      notify_status_flags = EXCLUDED.notify_status_flags,
+      scope = EXCLUDED.scope,
+      updated_at = ${sql.now()}
+    RETURNING *
+  `, [
+    userId,
+    subscription.email,
+    subscription.email_enabled,
+    subscription.webhook_url,
+    subscription.webhook_enabled,
+    subscription.notify_level_increase,
+    subscription.notify_status_flags,
+    subscription.scope,
+    Number(latest.rows[0].max_id) || 0
+  ]);
+
+  return toSubscription(result.rows[0]);
+};
+
+export const listNotificationDeliveries = async (userId, { limit = 10 } = {}) => {
+  const db = await getSharedDatabase();
+  const result = await db.query(`
+    SELECT id, channel, status, event_count, error_message, created_at
+    FROM notification_deliveries
+    WHERE user_id = $1
+    ORDER BY id DESC
+    LIMIT $2
+  `, [userId, limit]);
+
+  return result.rows;
+};
+
+// Escalations recorded after sinceId (and up to untilId), optionally limited to one CSM's book
+export const detectRiskEscalations = async (db, { sinceId = 0, untilId = null, csmOwner = null, levelIncrease = true, statusFlags = true } = {}) => {
+  const params = [sinceId];
+  let untilCondition = '';
+  if (untilId !== null) {
+    params.push(untilId);
+    untilCondition = `AND h.id <= $${params.length}`;
+  }
+
+  let csmCondition = '';
+  if (csmOwner) {
+    params.push(csmOwner);
+    csmCondition = `AND a.csm_owner = $${params.length}`;
+  }
+
+  // previous_risk_level IS NULL is an account's first-ever evaluation, not a change
+  const result = await db.query(`
+    SELECT h.id, h.account_id, h.month, h.risk_level, h.previous_risk_level,
+           h.risk_reasons, h.added_reasons, h.recorded_at,
+           a.account_name, a.csm_owner
+    FROM risk_level_history h
+    JOIN accounts a ON h.account_id = a.account_id
+    WHERE h.id > $1
+      ${untilCondition}
+      AND h.previous_risk_level IS NOT NULL
+      ${csmCondition}
+    ORDER BY h.id
+  `, params);
+
+  const events = [];
+  for (const row of result.rows) {
+    const addedReasons = parseReasons(row.added_reasons);
+    const levelIncreased = (LEVEL_RANK[row.risk_level] ?? 0) > (LEVEL_RANK[row.previous_risk_level] ?? 0);
+    const newStatusFlags = addedReasons.filter(reason => ESCALATION_REASONS.includes(reason));
+
+    if ((levelIncrease && levelIncreased) || (statusFlags && newStatusFlags.length > 0)) {
+      events.push({
+        history_id: row.id,
+        account_id: row.account_id,
+        account_name: row.account_name,
+        csm_owner: row.csm_owner,
+        month: row.month,
+        previous_risk_level: row.previous_risk_level,
+        risk_level: row.risk_level,
+        level_increased: levelIncreased,
+        new_status_flags: newStatusFlags,
+        risk_reasons: parseReasons(row.risk_reasons),
+        recorded_at: row.recorded_at
+      });
+    }
+  }
+
+  return events;
+};
+
+// One digest per subscriber, with a section per CSM owner
+export const buildEscalationDigest = (events) => {
+  const byCsm = new Map();
+  for (const event of events) {
+    const csm = event.csm_owner || 'Unassigned';
+    if (!byCsm.has(csm)) byCsm.set(csm, []);
+    byCsm.get(csm).push(event);
+  }
+
+  const sections = [...byCsm.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([csm, csmEvents]) => {
+      const lines = csmEvents.map(event => {
+        const change = event.level_increased
+          ? `${event.previous_risk_level} → ${event.risk_level}`
+          : event.risk_level;
+        const flags = event.new_status_flags.length > 0 ? ` [${event.new_status_flags.join(', ')}]` : '';
+        return `  • ${event.account_name || event.account_id} (${event.account_id}): ${change}${flags} — ${event.risk_reasons.join(', ') || 'No flags'}`;
+      });
+      return `${csm} (${csmEvents.length})\n${lines.join('\n')}`;
+    });
+
+  return {
+    subject: `ChurnGuard: ${events.length} account${events.length === 1 ? '' : 's'} escalated in risk`,
+    text: `${sections.join('\n\n')}\n`,
+    payload: {
+      event: 'risk_escalation_digest',
+      generated_at: new Date().toISOString(),
+      escalations: events
+    }
+  };
+};
+
+const recordDelivery = async (db, userId, channel, status, eventCount, errorMessage = null) => {
+  await db.query(`
+    INSERT INTO notification_deliveries (user_id, channel, status, event_count, error_message)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [userId, channel, status, eventCount, errorMessage]);
+};
+
+// Sends message over every enabled channel; returns { channel: { ok, status_code } }. Error
+// messages only go to the log and delivery history, never back to the client.
+const deliver = async (db, subscription, message, eventCount) => {
+  const results = {};
+
+  for (const [name, channel] of Object.entries(NOTIFICATION_CHANNELS)) {
+    if (!channel.isEnabled(subscription)) continue;
+
+    try {
+      await channel.send(channel.target(subscription), message);
+      await recordDelivery(db, subscription.user_id, name, 'sent', eventCount);
+      results[name] = { ok: true, status_code: null };
+    } catch (error) {
+      console.error(`❌ ${name} notification to user ${subscription.user_id} failed:`, error.message);
+      await recordDelivery(db, subscription.user_id, name, 'failed', eventCount, error.message);
+      results[name] = { ok: false, status_code: error.statusCode ?? null };
+    }
+  }
+
+  return results;
+};
+
+export const sendRiskEscalationDigests = async () => {
+  const db = await getSharedDatabase();
+
+  // Watermark for this run: rows recorded while it's sending are left for the next one
+  const latest = await db.query(`SELECT COALESCE(MAX(id), 0) as max_id FROM risk_level_history`);
+  const maxHistoryId = Number(latest.rows[0].max_id) || 0;
+
+  const subscriptions = await db.query(`
+    SELECT ns.*, u.username, u.role, u.csm_name
+    FROM notification_subscriptions ns
+    JOIN users u ON ns.user_id = u.id
+    WHERE (ns.email_enabled OR ns.webhook_enabled)
+      AND ns.last_history_id < $1
+  `, [maxHistoryId]);
+
+  let digestsSent = 0;
+  let eventsNotified = 0;
+
+  for (const row of subscriptions.rows) {
+    const subscription = toSubscription(row);
+    const csmOwner = subscription.scope === 'all' && row.role === 'admin' ? null : (row.csm_name || row.username);
+
+    const events = await detectRiskEscalations(db, {
+      sinceId: subscription.last_history_id,
+      untilId: maxHistoryId,
+      csmOwner,
+      levelIncrease: subscription.notify_level_increase,
+      statusFlags: subscription.notify_status_flags
+    });
+
+    let allDelivered = true;
+    if (events.length > 0) {
+      const results = await deliver(db, subscription, buildEscalationDigest(events), events.length);
+      allDelivered = Object.values(results).every(result => result.ok);
+      if (allDelivered) {
+        digestsSent++;
+        eventsNotified += events.length;
+      }
+    }
+
+    // Only advance past transitions that were delivered everywhere, so failures retry next run
+    if (allDelivered) {
+      await db.query(`
+        UPDATE notification_subscriptions SET last_history_id = $1 WHERE user_id = $2
+      `, [maxHistoryId, subscription.user_id]);
+    }
+  }
+
+  console.log(`🔔 Risk notifications: ${digestsSent} digest(s) sent covering ${eventsNotified} escalation(s)`);
+  return { subscribers: subscriptions.rows.length, digestsSent, eventsNotified };
+};
+
+// Settings page "Send test" - a sample digest over the user's saved channels
+export const sendTestNotification = async (userId) => {
+  const db = await getSharedDatabase();
+  const subscription = await getNotificationSubscription(userId);
+
+  const sample = buildEscalationDigest([{
+    history_id: 0,
+    account_id: 'TEST-0001',
+    account_name: 'Example Account',
+    csm_owner: 'Test CSM',
+    month: new Date().toISOString().slice(0, 7),
+    previous_risk_level: 'medium',
+    risk_level: 'high',
+    level_increased: true,
+    new_status_flags: [],
+    risk_reasons: ['Low Monthly Redemptions', 'Spend Drop', 'Low Activity'],
+    recorded_at: new Date().toISOString()
+  }]);
+  sample.subject = `[Test] ${sample.subject}`;
+
+  return await deliver(db, subscription, sample, 0);
+};
@@ -0,0 +1,470 @@
+// Shared risk-rule engine used by the monthly rollup ETL, the legacy SQLite scripts
+// and the API. Threshold rules live in the risk_rules table (versioned by rule set);
+// the status rules (Recently Archived, Frozen) are structural and stay in code.
+
+import { getSqlDialect } from '../../config/sql-dialect.js';
+
+export const RISK_METRICS = [
+  'total_spend',
+  'total_texts_delivered',
+  'total_coupons_redeemed',
+  'avg_active_subs_cnt'
+];
+
+// Account-level signals imported from HubSpot (see hubspot-import.js). They describe the account
+// today rather than a month's activity, so they only feed trending risk, and a missing value never
+// triggers a rule.
+export const ACCOUNT_SIGNALS = [
+  'days_until_renewal',
+  'days_since_last_activity'
+];
+
+export const RISK_RULE_KINDS = ['below', 'above', 'drop'];
+
+const ELIGIBILITY_FIELDS = ['months_since_launch'];
+const ELIGIBILITY_PATTERN = /^\s*([a-z_]+)\s*(>=|<=|!=|>|<|=)\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// Baseline rule set - identical to the thresholds that used to live in the ETL constructors.
+// Seeded as version 1 by config/migrate.js and used as a fallback when no active set exists.
+export const DEFAULT_RISK_RULE_SET = {
+  version: 1,
+  description: 'Baseline 8-flag thresholds',
+  high_flag_threshold: 3,
+  medium_flag_threshold: 1,
+  rules: [
+    {
+      rule_key: 'monthly_redemptions',
+      reason: 'Low Monthly Redemptions',
+      kind: 'below',
+      metric: 'total_coupons_redeemed',
+      threshold: 10,
+      prorate: true,
+      weight: 1,
+      conditions: [],
+      eligibility: null
+    },
+    {
+      rule_key: 'low_engagement_combo',
+      reason: 'Low Engagement Combo',
+      kind: 'below',
+      metric: 'total_coupons_redeemed',
+      threshold: 35,
+      prorate: true,
+      weight: 2,
+      conditions: [{ metric: 'avg_active_subs_cnt', threshold: 300, prorate: false }],
+      eligibility: 'months_since_launch > 2'
+    },
+    {
+      rule_key: 'low_activity',
+      reason: 'Low Activity',
+      kind: 'below',
+      metric: 'avg_active_subs_cnt',
+      threshold: 300,
+      prorate: false,
+      weight: 1,
+      conditions: [],
+      eligibility: null
+    },
+    {
+      rule_key: 'spend_drop',
+      reason: 'Spend Drop',
+      kind: 'drop',
+      metric: 'total_spend',
+      threshold: 0.40,
+      prorate: false,
+      weight: 1,
+      conditions: [],
+      eligibility: 'months_since_launch >= 3'
+    },
+    {
+      rule_key: 'redemptions_drop',
+      reason: 'Redemptions Drop',
+      kind: 'drop',
+      metric: 'total_coupons_redeemed',
+      threshold: 0.50,
+      prorate: false,
+      weight: 1,
+      conditions: [],
+      eligibility: 'months_since_launch >= 3'
+    }
+  ]
+};
+
+export const calculateMonthsSinceStart = (launchedAt, currentMonth) => {
+  if (!launchedAt) return 0;
+  const launchDate = new Date(launchedAt);
+  const currentDate = new Date(currentMonth + '-01');
+  const monthsDiff = (currentDate.getFullYear() - launchDate.getFullYear()) * 12 +
+                    (currentDate.getMonth() - launchDate.getMonth());
+  return Math.max(0, monthsDiff);
+};
+
+export const getDaysInMonth = (month) => {
+  const [year, monthNum] = month.split('-');
+  return new Date(parseInt(year), parseInt(monthNum), 0).getDate();
+};
+
+export const parseEligibility = (expression) => {
+  if (expression === null || expression === undefined || String(expression).trim() === '') {
+    return null;
+  }
+
+  const match = String(expression).match(ELIGIBILITY_PATTERN);
+  if (!match || !ELIGIBILITY_FIELDS.includes(match[1])) {
+    throw new Error(`Invalid eligibility condition: "${expression}" (expected e.g. "months_since_launch > 2")`);
+  }
+
+  return { field: match[1], operator: match[2], value: parseFloat(match[3]) };
+};
+
+const compare = (left, operator, right) => {
+  switch (operator) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '=': return left === right;
+    case '!=': return left !== right;
+    default: return false;
+  }
+};
+
+const parseJsonColumn = (value, fallback) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  return JSON.parse(value);
+};
+
+// Validates and coerces a rule set coming from the database or an API payload
+export const normalizeRiskRuleSet = (input) => {
+  if (!input || !Array.isArray(input.rules) || input.rules.length === 0) {
+    throw new Error('Risk rule set must contain at least one rule');
+  }
+
+  const highFlagThreshold = Number(input.high_flag_threshold ?? DEFAULT_RISK_RULE_SET.high_flag_threshold);
+  const mediumFlagThreshold = Number(input.medium_flag_threshold ?? DEFAULT_RISK_RULE_SET.medium_flag_threshold);
+  if (!(mediumFlagThreshold > 0) || !(highFlagThreshold >= mediumFlagThreshold)) {
+    throw new Error('Flag thresholds must satisfy 0 < medium_flag_threshold <= high_flag_threshold');
+  }
+
+  const seenKeys = new Set();
+  const rules = input.rules.map((rule) => {
+    if (!rule.rule_key || !rule.reason) {
+      throw new Error('Each risk rule requires a rule_key and a reason');
+    }
+    if (seenKeys.has(rule.rule_key)) {
+      throw new Error(`Duplicate risk rule key: ${rule.rule_key}`);
+    }
+    seenKeys.add(rule.rule_key);
+
+    if (!RISK_RULE_KINDS.includes(rule.kind)) {
+      throw new Error(`Rule ${rule.rule_key}: kind must be one of ${RISK_RULE_KINDS.join(', ')}`);
+    }
+    const isSignal = ACCOUNT_SIGNALS.includes(rule.metric);
+    if (!RISK_METRICS.includes(rule.metric) && !isSignal) {
+      throw new Error(`Rule ${rule.rule_key}: unknown metric ${rule.metric}`);
+    }
+    if (isSignal && rule.kind === 'drop') {
+      throw new Error(`Rule ${rule.rule_key}: ${rule.metric} is an account signal and cannot use a drop rule`);
+    }
+
+    const threshold = Number(rule.threshold);
+    const weight = Number(rule.weight ?? 1);
+    if (!Number.isFinite(threshold) || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Rule ${rule.rule_key}: threshold and weight must be numbers`);
+    }
+
+    const conditions = parseJsonColumn(rule.conditions, []).map(condition => {
+      if (!RISK_METRICS.includes(condition.metric) || !Number.isFinite(Number(condition.threshold))) {
+        throw new Error(`Rule ${rule.rule_key}: invalid condition ${JSON.stringify(condition)}`);
+      }
+      return {
+        metric: condition.metric,
+        threshold: Number(condition.threshold),
+        prorate: !!condition.prorate
+      };
+    });
+
+    // Parse eagerly so a bad expression fails on load instead of mid-ETL
+    parseEligibility(rule.eligibility);
+
+    return {
+      rule_key: rule.rule_key,
+      reason: rule.reason,
+      kind: rule.kind,
+      metric: rule.metric,
+      threshold,
+      prorate: rule.kind === 'below' && !isSignal && !!rule.prorate,
+      weight,
+      conditions,
+      eligibility: rule.eligibility ? String(rule.eligibility).trim() : null
+    };
+  });
+
+  return {
+    version: input.version ?? null,
+    description: input.description || null,
+    high_flag_threshold: highFlagThreshold,
+    medium_flag_threshold: mediumFlagThreshold,
+    rules
+  };
+};
+
+const isEligible = (rule, context) => {
+  const condition = parseEligibility(rule.eligibility);
+  if (!condition) return true;
+  return compare(context[condition.field], condition.operator, condition.value);
+};
+
+const ruleTriggers = (rule, metrics, signals, previousMonthData, progressPercentage) => {
+  if (ACCOUNT_SIGNALS.includes(rule.metric)) {
+    const value = signals[rule.metric];
+    if (value === null || value === undefined) return false;
+    return rule.kind === 'above' ? value > rule.threshold : value < rule.threshold;
+  }
+
+  const current = Number(metrics[rule.metric]) || 0;
+
+  if (rule.kind === 'drop') {
+    // Drop rules only apply when there is a non-zero comparison period
+    if (!previousMonthData) return false;
+    const previous = Number(previousMonthData[rule.metric]) || 0;
+    if (previous <= 0) return false;
+    const drop = Math.max(0, (previous - current) / previous);
+    return drop >= rule.threshold;
+  }
+
+  const scale = (condition) => condition.prorate ? condition.threshold * progressPercentage : condition.threshold;
+  if (rule.kind === 'above') {
+    if (!(current > rule.threshold)) return false;
+  } else if (!(current < scale(rule))) {
+    return false;
+  }
+
+  return rule.conditions.every(condition => (Number(metrics[condition.metric]) || 0) < scale(condition));
+};
+
+const applyStatusRules = (monthData, accountData) => {
+  // Check if account was archived during this specific month
+  const monthStart = new Date(monthData.month + '-01');
+  const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+
+  const archivedDate = accountData.archived_at
+    ? new Date(accountData.archived_at)
+    : accountData.earliest_unit_archived_at
+      ? new Date(accountData.earliest_unit_archived_at)
+      : null;
+
+  // If archived during this specific month = high risk
+  if (archivedDate && archivedDate >= monthStart && archivedDate <= monthEnd) {
+    return { level: 'high', reasons: ['Recently Archived'] };
+  }
+
+  // FROZEN accounts are assessed on status alone
+  if (accountData.status === 'FROZEN') {
+    const hasCurrentMonthTexts = Number(monthData.total_texts_delivered) > 0;
+    if (!hasCurrentMonthTexts) {
+      return { level: 'high', reasons: ['Frozen Account Status', 'Frozen & Inactive'] };
+    }
+    return { level: 'medium', reasons: ['Frozen Account Status'] };
+  }
+
+  return null;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Signals as of a 'YYYY-MM-DD' date; a renewal date that has already passed counts as unknown
+export const getAccountSignals = (accountData, asOfDate) => {
+  if (!asOfDate) {
+    return { days_until_renewal: null, days_since_last_activity: null };
+  }
+
+  const renewalDate = accountData.renewal_date ? String(accountData.renewal_date).slice(0, 10) : null;
+  const lastActivityDate = accountData.last_activity_at ? String(accountData.last_activity_at).slice(0, 10) : null;
+  const daysUntilRenewal = renewalDate && !Number.isNaN(Date.parse(renewalDate)) ? daysBetween(asOfDate, renewalDate) : null;
+  const daysSinceActivity = lastActivityDate && !Number.isNaN(Date.parse(lastActivityDate)) ? daysBetween(lastActivityDate, asOfDate) : null;
+
+  return {
+    days_until_renewal: daysUntilRenewal !== null && daysUntilRenewal >= 0 ? daysUntilRenewal : null,
+    days_since_last_activity: daysSinceActivity !== null ? Math.max(0, daysSinceActivity) : null
+  };
+};
+
+const scoreFlags = (ruleSet, monthData, accountData, previousMonthData, progressPercentage, asOfDate = null) => {
+  const reasons = [];
+  let flagCount = 0;
+  const context = {
+    months_since_launch: calculateMonthsSinceStart(accountData.launched_at, monthData.month)
+  };
+  const signals = getAccountSignals(accountData, asOfDate);
+
+  for (const rule of ruleSet.rules) {
+    if (!isEligible(rule, context)) continue;
+    if (ruleTriggers(rule, monthData, signals, previousMonthData, progressPercentage)) {
+      flagCount += rule.weight;
+      reasons.push(rule.reason);
+    }
+  }
+
+  let level = 'low';
+  if (flagCount >= ruleSet.high_flag_threshold) level = 'high';
+  else if (flagCount >= ruleSet.medium_flag_threshold) level = 'medium';
+
+  return { level, reasons: reasons.length > 0 ? reasons : ['No flags'], flagCount };
+};
+
+// Historical risk for a completed month: full-month thresholds vs previous full month
+export const evaluateHistoricalRisk = (ruleSet, monthData, accountData, previousMonthData = null) => {
+  const statusResult = applyStatusRules(monthData, accountData);
+  if (statusResult) return statusResult;
+
+  const { level, reasons } = scoreFlags(ruleSet, monthData, accountData, previousMonthData, 1);
+  return { level, reasons };
+};
+
+// Trending risk for the month in progress: prorated thresholds vs same-day previous month
+export const evaluateTrendingRisk = (ruleSet, monthlyData, dayOfMonth, accountData, previousMonthData = null) => {
+  const statusResult = applyStatusRules(monthlyData, accountData);
+  if (statusResult) return statusResult;
+
+  const daysInMonth = getDaysInMonth(monthlyData.month);
+  const progressPercentage = (dayOfMonth - 1) / daysInMonth;
+
+  // Avoid division by zero for first day of month
+  if (progressPercentage <= 0) {
+    return { level: 'low', reasons: ['No flags'] };
+  }
+
+  const asOfDate = `${monthlyData.month}-${String(dayOfMonth).padStart(2, '0')}`;
+  const { level, reasons } = scoreFlags(ruleSet, monthlyData, accountData, previousMonthData, progressPercentage, asOfDate);
+  return { level, reasons };
+};
+
+// Works with both pg (pool/client .query) and sqlite (.all) handles
+const selectRows = async (db, sql, params = []) => {
+  if (typeof db.query === 'function') {
+    const result = await db.query(sql, params);
+    return result.rows;
+  }
+  return await db.all(sql.replace(/\$\d+/g, '?'), params);
+};
+
+export const loadRiskRuleSet = async (db, version) => {
+  const sets = await selectRows(db, `
+    SELECT version, description, high_flag_threshold, medium_flag_threshold, is_active, created_at
+    FROM risk_rule_sets
+    WHERE version = $1
+  `, [version]);
+
+  if (sets.length === 0) return null;
+
+  const rules = await selectRows(db, `
+    SELECT rule_key, reason, kind, metric, threshold, prorate, weight, conditions, eligibility
+    FROM risk_rules
+    WHERE rule_set_version = $1
+    ORDER BY sort_order ASC, rule_key ASC
+  `, [version]);
+
+  return {
+    ...normalizeRiskRuleSet({ ...sets[0], rules }),
+    is_active: !!sets[0].is_active,
+    created_at: sets[0].created_at
+  };
+};
+
+// Must be called outside a transaction: a missing table would otherwise abort it in Postgres
+export const loadActiveRiskRuleSet = async (db) => {
+  try {
+    const active = await selectRows(db, `
+      SELECT version FROM risk_rule_sets WHERE is_active = TRUE ORDER BY version DESC LIMIT 1
+    `);
+
+    if (active.length > 0) {
+      const ruleSet = await loadRiskRuleSet(db, active[0].version);
+      console.log(`📐 Using risk rule set v${ruleSet.version} (${ruleSet.rules.length} rules)`);
+      return ruleSet;
+    }
+
+    console.warn(`⚠️  No active risk rule set found - using built-in defaults (v${DEFAULT_RISK_RULE_SET.version})`);
+  } catch (error) {
+    console.warn(`⚠️  Could not load risk rules (${error.message}) - using built-in defaults (v${DEFAULT_RISK_RULE_SET.version})`);
+  }
+
+  return normalizeRiskRuleSet(DEFAULT_RISK_RULE_SET);
+};
+
+export const listRiskRuleSets = async (db) => {
+  const sets = await selectRows(db, `
+    SELECT version, description, high_flag_threshold, medium_flag_threshold, is_active, created_at
+    FROM risk_rule_sets
+    ORDER BY version DESC
+  `);
+
+  // SQLite returns booleans as 0/1
+  return sets.map(set => ({ ...set, is_active: !!set.is_active }));
+};
+
+// Persists a rule set as a new version; pass activate=true to make it live for the next ETL run
+export const createRiskRuleSet = async (db, input, { activate = false } = {}) => {
+  const ruleSet = normalizeRiskRuleSet(input);
+  const client = typeof db.connect === 'function' ? await db.connect() : db;
+
+  try {
+    await client.query('BEGIN');
+
+    const versionResult = await client.query('SELECT COALESCE(MAX(version), 0) + 1 AS version FROM risk_rule_sets');
+    const version = Number(versionResult.rows[0].version);
+
+    if (activate) {
+      await client.query('UPDATE risk_rule_sets SET is_active = FALSE WHERE is_active = TRUE');
+    }
+
+    await client.query(`
+      INSERT INTO risk_rule_sets (version, description, high_flag_threshold, medium_flag_threshold, is_active, created_at)
+      VALUES ($1, $2, $3, $4, $5, ${getSqlDialect(db).now()})
+    `, [version, ruleSet.description, ruleSet.high_flag_threshold, ruleSet.medium_flag_threshold, activate]);
+
+    for (const [index, rule] of ruleSet.rules.entries()) {
+      await client.query(`
+        INSERT INTO risk_rules (
+          rule_set_version, rule_key, reason, kind, metric, threshold,
+          prorate, weight, conditions, eligibility, sort_order
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [
+        version, rule.rule_key, rule.reason, rule.kind, rule.metric, rule.threshold,
+        rule.prorate, rule.weight, JSON.stringify(rule.conditions), rule.eligibility, index + 1
+      ]);
+    }
+
+    await client.query('COMMIT');
+    return { ...ruleSet, version, is_active: activate };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    if (client !== db) client.release();
+  }
+};
+
+export const activateRiskRuleSet = async (db, version) => {
+  const existing = await loadRiskRuleSet(db, version);
+  if (!existing) return null;
+
+  const client = typeof db.connect === 'function' ? await db.connect() : db;
+  try {
+    await client.query('BEGIN');
+    await client.query('UPDATE risk_rule_sets SET is_active = FALSE WHERE is_active = TRUE');
+    await client.query('UPDATE risk_rule_sets SET is_active = TRUE WHERE version = $1', [version]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    if (client !== db) client.release();
+  }
+
+  return { ...existing, is_active: true };
+};
@@ -0,0 +1,164 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
+import { ChurnGuardCalendar } from '../utils/calendar.js';
+import {
+  loadActiveRiskRuleSet,
+  loadRiskRuleSet,
+  normalizeRiskRuleSet,
+  evaluateTrendingRisk,
+  evaluateHistoricalRisk,
+  getDaysInMonth
+} from './risk-rules.js';
+
+const RISK_LEVELS = ['high', 'medium', 'low'];
+
+const getPreviousMonth = (month) => {
+  const [year, monthNum] = month.split('-').map(Number);
+  const date = new Date(year, monthNum - 2, 1);
+  return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+};
+
+const toMetrics = (row) => ({
+  total_spend: parseFloat(row.total_spend) || 0,
+  total_texts_delivered: parseInt(row.total_texts_delivered) || 0,
+  total_coupons_redeemed: parseInt(row.total_coupons_redeemed) || 0,
+  avg_active_subs_cnt: parseFloat(row.avg_active_subs_cnt) || 0
+});
+
+const emptyMatrix = () => Object.fromEntries(
+  RISK_LEVELS.map(from => [from, Object.fromEntries(RISK_LEVELS.map(to => [to, 0]))])
+);
+
+// Same inputs the monthly rollup ETL feeds into calculateTrendingRiskLevel/calculateHistoricalRiskLevel
+const getSimulationInputs = async (month, mode, dayOfMonth) => {
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+  const previousMonth = getPreviousMonth(month);
+
+  const accountsResult = await db.query(`
+    SELECT
+      mm.account_id, mm.month, mm.total_spend, mm.total_texts_delivered,
+      mm.total_coupons_redeemed, mm.avg_active_subs_cnt,
+      a.account_name, a.csm_owner, a.launched_at, a.status, a.archived_at, a.earliest_unit_archived_at,
+      a.renewal_date, a.last_activity_at
+    FROM monthly_metrics mm
+    JOIN accounts a ON mm.account_id = a.account_id
+    WHERE mm.month = $1
+      AND a.launched_at IS NOT NULL
+      AND ${sql.date('a.launched_at')} < ${sql.nextMonthStart('$1')}
+      AND (
+        a.status != 'ARCHIVED'
+        OR ${sql.date('COALESCE(a.archived_at, a.earliest_unit_archived_at)')} >= ${sql.monthStart('$1')}
+      )
+    ORDER BY mm.account_id
+  `, [month]);
+
+  let previousResult;
+  if (mode === 'trending') {
+    // Same-day totals from previous month for apples-to-apples comparison; days 29-31 fall back
+    // to the previous month's last day when it is shorter
+    const comparisonDay = Math.min(dayOfMonth, getDaysInMonth(previousMonth));
+    const previousMonthSameDay = `${previousMonth}-${comparisonDay.toString().padStart(2, '0')}`;
+    previousResult = await db.query(`
+      SELECT
+        account_id,
+        SUM(total_spend) as total_spend,
+        SUM(coupons_redeemed) as total_coupons_redeemed,
+        AVG(active_subs_cnt) as avg_active_subs_cnt,
+        SUM(total_texts_delivered) as total_texts_delivered
+      FROM daily_metrics
+      WHERE date >= $1 AND date <= $2
+      GROUP BY account_id
+    `, [`${previousMonth}-01`, previousMonthSameDay]);
+  } else {
+    previousResult = await db.query(`
+      SELECT account_id, total_spend, total_coupons_redeemed, avg_active_subs_cnt, total_texts_delivered
+      FROM monthly_metrics
+      WHERE month = $1
+    `, [previousMonth]);
+  }
+
+  const previousByAccount = new Map();
+  previousResult.rows.forEach(row => {
+    if (row.total_spend !== null) {
+      previousByAccount.set(row.account_id, toMetrics(row));
+    }
+  });
+
+  return { accounts: accountsResult.rows, previousByAccount };
+};
+
+const evaluate = (ruleSet, mode, account, dayOfMonth, previousMonthData) => {
+  const monthData = { ...account, ...toMetrics(account) };
+  return mode === 'trending'
+    ? evaluateTrendingRisk(ruleSet, monthData, dayOfMonth, monthData, previousMonthData)
+    : evaluateHistoricalRisk(ruleSet, monthData, monthData, previousMonthData);
+};
+
+// Re-runs the risk calculation in memory for a month under the baseline and a candidate rule set
+export const simulateRiskRules = async ({ month, candidate, baselineVersion = null }) => {
+  const db = await getSharedDatabase();
+  const currentMonth = ChurnGuardCalendar.getCurrentMonth();
+  const targetMonth = month || currentMonth;
+  const mode = targetMonth === currentMonth ? 'trending' : 'historical';
+  const dayOfMonth = new Date().getDate();
+
+  const candidateRuleSet = normalizeRiskRuleSet(candidate);
+  const baselineRuleSet = baselineVersion
+    ? await loadRiskRuleSet(db, baselineVersion)
+    : await loadActiveRiskRuleSet(db);
+
+  if (!baselineRuleSet) {
+    throw new Error(`Risk rule set v${baselineVersion} not found`);
+  }
+
+  console.log(`🧪 Risk simulation: ${targetMonth} (${mode}) baseline v${baselineRuleSet.version} vs candidate`);
+
+  const { accounts, previousByAccount } = await getSimulationInputs(targetMonth, mode, dayOfMonth);
+
+  const matrix = emptyMatrix();
+  const totals = {
+    baseline: { high: 0, medium: 0, low: 0 },
+    candidate: { high: 0, medium: 0, low: 0 }
+  };
+  const changes = [];
+
+  for (const account of accounts) {
+    const previousMonthData = previousByAccount.get(account.account_id) || null;
+    const before = evaluate(baselineRuleSet, mode, account, dayOfMonth, previousMonthData);
+    const after = evaluate(candidateRuleSet, mode, account, dayOfMonth, previousMonthData);
+
+    matrix[before.level][after.level]++;
+    totals.baseline[before.level]++;
+    totals.candidate[after.level]++;
+
+    const reasonsChanged = before.reasons.join('|') !== after.reasons.join('|');
+    if (before.level !== after.level || reasonsChanged) {
+      changes.push({
+        account_id: account.account_id,
+        account_name: account.account_name,
+        csm_owner: account.csm_owner,
+        status: account.status,
+        baseline_level: before.level,
+        baseline_reasons: before.reasons,
+        candidate_level: after.level,
+        candidate_reasons: after.reasons,
+        level_changed: before.level !== after.level
+      });
+    }
+  }
+
+  changes.sort((a, b) => (b.level_changed - a.level_changed) || (a.account_name || '').localeCompare(b.account_name || ''));
+
+  return {
+    month: targetMonth,
+    mode,
+    day_of_month: mode === 'trending' ? dayOfMonth : null,
+    baseline_version: baselineRuleSet.version,
+    accounts_evaluated: accounts.length,
+    accounts_changed: changes.filter(change => change.level_changed).length,
+    totals,
+    transition_matrix: matrix,
+    changes
+  };
+};
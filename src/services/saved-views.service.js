@@ -0,0 +1,163 @@
+import { getSharedDatabase } from '../../config/database.js';
+import { getSqlDialect } from '../../config/sql-dialect.js';
+
+// Tables whose filters can be saved; the key is sent by the client with each view
+export const SAVED_VIEW_TABLES = ['account-metrics-monthly'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 2000;
+
+const VIEW_COLUMNS = `
+  v.id, v.table_key, v.name, v.query_string, v.shared, v.owner_id, v.owner_name, v.created_at, v.updated_at,
+  CASE WHEN p.view_id IS NULL THEN 0 ELSE 1 END AS pinned
+`;
+
+const toSavedView = (row, user) => ({
+  id: row.id,
+  table_key: row.table_key,
+  name: row.name,
+  query_string: row.query_string,
+  shared: !!row.shared,
+  pinned: !!Number(row.pinned),
+  owner_name: row.owner_name,
+  is_owner: row.owner_id === user.id,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// Validates a create (or, with partial, an update) payload; throws with a user-facing message
+export const normalizeSavedView = (input = {}, { partial = false } = {}) => {
+  const view = {};
+
+  if (!partial || input.table_key !== undefined) {
+    if (!SAVED_VIEW_TABLES.includes(input.table_key)) {
+      throw new Error(`table_key must be one of ${SAVED_VIEW_TABLES.join(', ')}`);
+    }
+    view.table_key = input.table_key;
+  }
+
+  if (!partial || input.name !== undefined) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      throw new Error('name is required');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    view.name = name;
+  }
+
+  if (!partial || input.query_string !== undefined) {
+    const queryString = String(input.query_string ?? '').replace(/^\?/, '');
+    if (queryString.length > MAX_QUERY_LENGTH) {
+      throw new Error(`query_string must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    view.query_string = queryString;
+  }
+
+  if (input.shared !== undefined || !partial) {
+    const shared = input.shared ?? false;
+    if (typeof shared !== 'boolean') {
+      throw new Error('shared must be true or false');
+    }
+    view.shared = shared;
+  }
+
+  if (partial && Object.keys(view).length === 0) {
+    throw new Error('No view fields to update');
+  }
+
+  return view;
+};
+
+// The user's own views plus views teammates have shared, pinned first
+export const listSavedViews = async (user, tableKey) => {
+  const db = await getSharedDatabase();
+
+  const result = await db.query(`
+    SELECT ${VIEW_COLUMNS}
+    FROM saved_views v
+    LEFT JOIN saved_view_pins p ON p.view_id = v.id AND p.user_id = $1
+    WHERE v.table_key = $2 AND (v.owner_id = $1 OR v.shared = TRUE)
+    ORDER BY pinned DESC, LOWER(v.name), v.id
+  `, [user.id, tableKey]);
+
+  return result.rows.map(row => toSavedView(row, user));
+};
+
+// Null unless the view exists and is the user's own or shared
+export const getSavedView = async (user, viewId) => {
+  const db = await getSharedDatabase();
+
+  const result = await db.query(`
+    SELECT ${VIEW_COLUMNS}
+    FROM saved_views v
+    LEFT JOIN saved_view_pins p ON p.view_id = v.id AND p.user_id = $1
+    WHERE v.id = $2 AND (v.owner_id = $1 OR v.shared = TRUE)
+  `, [user.id, viewId]);
+
+  return result.rows.length > 0 ? toSavedView(result.rows[0], user) : null;
+};
+
+export const findSavedViewByName = async (user, tableKey, name) => {
+  const db = await getSharedDatabase();
+
+  const result = await db.query(`
+    SELECT id FROM saved_views WHERE owner_id = $1 AND table_key = $2 AND name = $3
+  `, [user.id, tableKey, name]);
+
+  return result.rows[0]?.id ?? null;
+};
+
+export const createSavedView = async (user, view) => {
+  const db = await getSharedDatabase();
+
+  const result = await db.query(`
+    INSERT INTO saved_views (table_key, name, query_string, shared, owner_id, owner_name)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [view.table_key, view.name, view.query_string, view.shared, user.id, user.username]);
+
+  return getSavedView(user, result.rows[0].id);
+};
+
+export const updateSavedView = async (user, viewId, changes) => {
+  const db = await getSharedDatabase();
+  const sql = getSqlDialect(db);
+
+  const fields = Object.keys(changes);
+  const assignments = fields.map((field, index) => `${field} = $${index + 3}`);
+
+  const result = await db.query(`
+    UPDATE saved_views
+    SET ${assignments.join(', ')}, updated_at = ${sql.now()}
+    WHERE id = $1 AND owner_id = $2
+    RETURNING id
+  `, [viewId, user.id, ...fields.map(field => changes[field])]);
+
+  return result.rows.length > 0 ? getSavedView(user, viewId) : null;
+};
+
+export const deleteSavedView = async (viewId) => {
+  const db = await getSharedDatabase();
+
+  // SQLite doesn't enforce the cascade
+  await db.query(`DELETE FROM saved_view_pins WHERE view_id = $1`, [viewId]);
+  const result = await db.query(`DELETE FROM saved_views WHERE id = $1`, [viewId]);
+  return result.rowCount > 0;
+};
+
+export const setSavedViewPinned = async (user, viewId, pinned) => {
+  const db = await getSharedDatabase();
+
+  if (pinned) {
+    await db.query(`
+      INSERT INTO saved_view_pins (user_id, view_id) VALUES ($1, $2)
+      ON CONFLICT (user_id, view_id) DO NOTHING
+    `, [user.id, viewId]);
+  } else {
+    await db.query(`DELETE FROM saved_view_pins WHERE user_id = $1 AND view_id = $2`, [user.id, viewId]);
+  }
+
+  return getSavedView(user, viewId);
+};
@@ -0,0 +1,75 @@
+// scheduled_tasks rows shared by TaskScheduler (writer) and the /api/admin/schedules endpoints.
+
+import { getSqlDialect } from '../../config/sql-dialect.js';
+
+const toTaskState = (row) => ({
+  name: row.name,
+  paused: !!row.paused,
+  paused_by: row.paused_by,
+  paused_at: row.paused_at,
+  last_run_at: row.last_run_at,
+  last_status: row.last_status,
+  last_message: row.last_message,
+  last_job_id: row.last_job_id,
+  updated_at: row.updated_at
+});
+
+export const ensureScheduledTasks = async (db, names) => {
+  for (const name of names) {
+    await db.query(`
+      INSERT INTO scheduled_tasks (name) VALUES ($1)
+      ON CONFLICT (name) DO NOTHING
+    `, [name]);
+  }
+};
+
+// Keyed by task name
+export const loadScheduledTaskStates = async (db) => {
+  const result = await db.query(`SELECT * FROM scheduled_tasks`);
+  return new Map(result.rows.map(row => [row.name, toTaskState(row)]));
+};
+
+export const setScheduledTaskPaused = async (db, name, paused, username = null) => {
+  const { now } = getSqlDialect(db);
+
+  const result = await db.query(`
+    UPDATE scheduled_tasks
+    SET paused = $2,
+        paused_by = $3,
+        paused_at = ${paused ? now() : 'NULL'},
+        updated_at = ${now()}
+    WHERE name = $1
+    RETURNING *
+  `, [name, paused, paused ? username : null]);
+  return result.rows.length > 0 ? toTaskState(result.rows[0]) : null;
+};
+
+// Marks the task as running for this firing. Returns false when it is paused or another
+// instance already claimed a firing after notBefore, so each slot runs once across instances.
+export const claimScheduledRun = async (db, name, firedAt, notBefore) => {
+  const { now } = getSqlDialect(db);
+
+  const result = await db.query(`
+    UPDATE scheduled_tasks
+    SET last_run_at = $2,
+        last_status = 'running',
+        last_message = NULL,
+        last_job_id = NULL,
+        updated_at = ${now()}
+    WHERE name = $1
+      AND paused = FALSE
+      AND (last_run_at IS NULL OR last_run_at < $3)
+  `, [name, firedAt, notBefore]);
+  return result.rowCount > 0;
+};
+
+export const recordScheduledRun = async (db, name, { status, message = null, jobId = null }) => {
+  await db.query(`
+    UPDATE scheduled_tasks
+    SET last_status = $2,
+        last_message = $3,
+        last_job_id = $4,
+        updated_at = ${getSqlDialect(db).now()}
+    WHERE name = $1
+  `, [name, status, message, jobId]);
+};
@@ -0,0 +1,209 @@
+import cron from 'node-cron';
+import { getSharedDatabase } from '../../config/database.js';
+import { ensureSchema } from '../../config/migrate.js';
+import { enqueueEtlJob, findActiveEtlJob } from './etl-jobs.js';
+import { etlJobWorker } from './etl-worker.js';
+import { normalizeGapRange, reconcileEtlGaps } from './etl-gaps.js';
+import { HubSpotSyncService, SyncAlreadyRunningError } from './hubspot-sync.js';
+import {
+  ensureScheduledTasks,
+  loadScheduledTaskStates,
+  setScheduledTaskPaused,
+  claimScheduledRun,
+  recordScheduledRun
+} from './scheduled-tasks.js';
+
+// In-process replacement for the old production crontab. Each task has a cron
+// expression (overridable through its environment variable) evaluated in SCHEDULER_TIMEZONE.
+// ETL tasks only queue a job for EtlJobWorker, so they get its step locking and resumption;
+// the HubSpot task starts a background sync like the dashboard's Sync Now button.
+
+// Two firings of the same task closer together than this are treated as one slot
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+
+const yesterday = () => new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+const hubspotSync = new HubSpotSyncService();
+
+const queueScheduledEtlJob = async (db, jobType, targetDate) => {
+  const active = await findActiveEtlJob(db, jobType, targetDate);
+  if (active) {
+    return { status: 'skipped', message: `ETL job ${active.id} for ${targetDate} is already ${active.status}`, jobId: active.id };
+  }
+
+  const job = await enqueueEtlJob(db, { jobType, targetDate, requestedBy: 'scheduler' });
+  etlJobWorker.wake();
+  return { status: 'started', message: `Queued ${jobType} for ${targetDate}`, jobId: job.id };
+};
+
+export const SCHEDULED_TASKS = [
+  {
+    name: 'daily-etl',
+    description: 'Accounts, daily metrics, data-quality checks and monthly rollup for yesterday',
+    envVar: 'SCHEDULE_DAILY_ETL',
+    defaultCron: '0 6 * * *',
+    run: (db) => queueScheduledEtlJob(db, 'sync-data', yesterday())
+  },
+  {
+    name: 'monthly-historical-rollup',
+    description: 'Historical rollup of the month that just ended (processHistoricalMonth)',
+    envVar: 'SCHEDULE_MONTHLY_HISTORICAL',
+    defaultCron: '0 7 1 * *',
+    // Yesterday on the 1st is the last day of the previous month
+    run: (db) => queueScheduledEtlJob(db, 'historical-rollup', yesterday())
+  },
+  {
+    name: 'gap-reconciliation',
+    description: 'Queue backfills for missing or failed daily ETL dates in the last 60 days',
+    envVar: 'SCHEDULE_GAP_RECONCILIATION',
+    defaultCron: '0 9 * * *',
+    run: async (db) => {
+      const result = await reconcileEtlGaps(db, normalizeGapRange(), 'scheduler');
+      if (result.queued.length === 0) {
+        return { status: 'skipped', message: `${result.gaps.length} gaps, nothing to queue` };
+      }
+      etlJobWorker.wake();
+      return {
+        status: 'started',
+        message: `${result.gaps.length} gaps, queued ${result.queued.length} backfill jobs`,
+        jobId: result.queued[0].job_id
+      };
+    }
+  },
+  {
+    name: 'hubspot-sync',
+    description: 'Push current and trending risk levels to HubSpot companies',
+    envVar: 'SCHEDULE_HUBSPOT_SYNC',
+    defaultCron: '0 8 * * *',
+    run: async () => {
+      try {
+        const { runId, done } = await hubspotSync.startSyncJob(null, 'daily', { triggeredBy: 'scheduler' });
+        // runSync logs the failure and marks the run failed
+        done.catch(() => {});
+        return { status: 'started', message: `Started HubSpot sync ${runId}`, jobId: runId };
+      } catch (error) {
+        if (!(error instanceof SyncAlreadyRunningError)) throw error;
+        return { status: 'skipped', message: `HubSpot sync ${error.runningRunId} is still running`, jobId: error.runningRunId };
+      }
+    }
+  }
+];
+
+export const getSchedulerTimezone = () => process.env.SCHEDULER_TIMEZONE || 'UTC';
+
+// On by default where the ETL can actually run (PostgreSQL); SCHEDULER_ENABLED overrides
+export const isSchedulerEnabled = () => {
+  if (process.env.SCHEDULER_ENABLED) return process.env.SCHEDULER_ENABLED === 'true';
+  return !!process.env.DATABASE_URL;
+};
+
+export class TaskScheduler {
+  constructor(tasks = SCHEDULED_TASKS) {
+    this.tasks = tasks;
+    this.cronTasks = new Map();
+    this.errors = new Map();
+  }
+
+  getCronExpression(task) {
+    return process.env[task.envVar] || task.defaultCron;
+  }
+
+  async start() {
+    await ensureSchema();
+    const db = await getSharedDatabase();
+    await ensureScheduledTasks(db, this.tasks.map(task => task.name));
+
+    const timezone = getSchedulerTimezone();
+    for (const task of this.tasks) {
+      const expression = this.getCronExpression(task);
+      if (!cron.validate(expression)) {
+        this.errors.set(task.name, `Invalid cron expression "${expression}" in ${task.envVar}`);
+        console.error(`❌ Not scheduling ${task.name}: ${this.errors.get(task.name)}`);
+        continue;
+      }
+
+      try {
+        const cronTask = cron.schedule(expression, (context) => this.fire(task, context.date), {
+          name: task.name,
+          timezone,
+          noOverlap: true
+        });
+        this.cronTasks.set(task.name, cronTask);
+        console.log(`⏰ Scheduled ${task.name} at "${expression}" (${timezone}), next run ${cronTask.getNextRun()?.toISOString()}`);
+      } catch (error) {
+        this.errors.set(task.name, error.message);
+        console.error(`❌ Not scheduling ${task.name}: ${error.message}`);
+      }
+    }
+  }
+
+  stop() {
+    for (const cronTask of this.cronTasks.values()) {
+      cronTask.destroy();
+    }
+    this.cronTasks.clear();
+  }
+
+  async fire(task, firedAt = new Date()) {
+    const db = await getSharedDatabase();
+    const notBefore = new Date(firedAt.getTime() - DUPLICATE_WINDOW_MS).toISOString();
+
+    try {
+      if (!await claimScheduledRun(db, task.name, firedAt.toISOString(), notBefore)) {
+        console.log(`⏸️ Skipping scheduled ${task.name}: paused or already run by another instance`);
+        return;
+      }
+
+      console.log(`⏰ Running scheduled ${task.name}`);
+      const outcome = await task.run(db);
+      await recordScheduledRun(db, task.name, outcome);
+      console.log(`✅ Scheduled ${task.name}: ${outcome.message}`);
+    } catch (error) {
+      console.error(`❌ Scheduled ${task.name} failed:`, error);
+      try {
+        await recordScheduledRun(db, task.name, { status: 'failed', message: error.message });
+      } catch (recordError) {
+        console.error('❌ Failed to record scheduled run:', recordError);
+      }
+    }
+  }
+
+  getTask(name) {
+    return this.tasks.find(task => task.name === name) || null;
+  }
+
+  // Pausing is stored, not applied to the cron task, so it holds on every instance and across restarts
+  async setPaused(db, name, paused, username = null) {
+    await ensureScheduledTasks(db, [name]);
+    return setScheduledTaskPaused(db, name, paused, username);
+  }
+
+  // Definition, cron, next run on this instance and the shared state from scheduled_tasks
+  async listTasks(db) {
+    await ensureScheduledTasks(db, this.tasks.map(task => task.name));
+    const states = await loadScheduledTaskStates(db);
+
+    return this.tasks.map(task => {
+      const state = states.get(task.name);
+      const cronTask = this.cronTasks.get(task.name);
+      return {
+        name: task.name,
+        description: task.description,
+        cron: this.getCronExpression(task),
+        env_var: task.envVar,
+        scheduled: !!cronTask,
+        error: this.errors.get(task.name) || null,
+        next_run_at: state?.paused ? null : cronTask?.getNextRun()?.toISOString() || null,
+        paused: state?.paused || false,
+        paused_by: state?.paused_by || null,
+        paused_at: state?.paused_at || null,
+        last_run_at: state?.last_run_at || null,
+        last_status: state?.last_status || null,
+        last_message: state?.last_message || null,
+        last_job_id: state?.last_job_id || null
+      };
+    });
+  }
+}
+
+export const taskScheduler = new TaskScheduler();
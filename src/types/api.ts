@@ -1,3 +1,17 @@
+// Revenue at risk (GET /api/analytics/dashboard): trailing-3-month spend weighted by current risk level
+export type RevenueRiskLevel = 'high' | 'medium' | 'low';
+
+export interface RevenueAtRiskGroup {
+  key: string;
+  accounts: number;
+  revenue: number;
+  revenueAtRisk: number;
+  // At-risk revenue per risk level
+  high: number;
+  medium: number;
+  low: number;
+}
+
 export interface DashboardAnalytics {
   totalAccounts: number;
   highRiskCount: number;
@@ -5,13 +19,22 @@ export interface DashboardAnalytics {
   lowRiskCount: number;
   totalRevenue: number;
   revenueAtRisk: number;
-  weeklyTrends: Array<{
-    week: string;
-    totalSpend: number;
-    totalTexts: number;
-    activeAccounts: number;
-    churnedAccounts: number;
+  period: {
+    month: string;
+    revenueStart: string;
+    revenueEnd: string;
+    trailingMonths: number;
+  };
+  weights: Record<RevenueRiskLevel, number>;
+  byRiskLevel: Array<{
+    riskLevel: RevenueRiskLevel;
+    weight: number;
+    accounts: number;
+    revenue: number;
+    revenueAtRisk: number;
   }>;
+  byCsm: RevenueAtRiskGroup[];
+  byStatus: RevenueAtRiskGroup[];
 }
 
 export interface RiskFlag {
@@ -41,3 +64,132 @@ export interface FilterOptions {
   riskLevel?: 'all' | 'high' | 'medium' | 'low';
   searchQuery?: string;
 }
+
+export type AccountActionType = 'call' | 'email' | 'qbr' | 'discount_offer' | 'note';
+export type AccountActionOutcome = 'pending' | 'positive' | 'neutral' | 'negative' | 'no_response';
+
+export interface AccountAction {
+  id: number;
+  account_id: string;
+  action_type: AccountActionType;
+  outcome: AccountActionOutcome;
+  notes: string | null;
+  follow_up_date: string | null;
+  created_by: number | null;
+  created_by_name: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface InsertAccountAction {
+  action_type: AccountActionType;
+  outcome?: AccountActionOutcome;
+  notes?: string | null;
+  follow_up_date?: string | null;
+}
+
+export interface AccountActionsResponse {
+  account_id: string;
+  actions: AccountAction[];
+}
+
+export type RiskLevel = 'low' | 'medium' | 'high';
+
+export interface AccountMonthMetrics {
+  month: string;
+  month_label: string | null;
+  total_spend: number;
+  total_texts_delivered: number;
+  total_coupons_redeemed: number;
+  avg_active_subs_cnt: number;
+}
+
+export interface AccountHistoryMonth {
+  month_yr: string;
+  month_label: string | null;
+  total_spend: number;
+  total_texts_delivered: number;
+  coupons_redeemed: number;
+  active_subs_cnt: number;
+  risk_level: RiskLevel | null;
+  risk_reasons: string[];
+}
+
+export interface AccountDetail {
+  account: {
+    account_id: string;
+    account_name: string;
+    status: string;
+    csm_owner: string | null;
+    launched_at: string | null;
+    hubspot_id: string | null;
+    archived_at: string | null;
+    earliest_unit_archived_at: string | null;
+    last_updated: string | null;
+    hubspot_owner_name: string | null;
+    lifecycle_stage: string | null;
+    renewal_date: string | null;
+    last_activity_at: string | null;
+    hubspot_imported_at: string | null;
+  };
+  current_month: {
+    month: string;
+    trending_risk_level: RiskLevel | null;
+    trending_risk_reasons: string[];
+    metrics: AccountMonthMetrics | null;
+  };
+  previous_month: {
+    month: string;
+    historical_risk_level: RiskLevel | null;
+    risk_reasons: string[];
+    metrics: AccountMonthMetrics | null;
+  };
+  history: AccountHistoryMonth[];
+}
+
+export interface RiskLevelTransition {
+  id: number;
+  account_id: string;
+  month: string;
+  risk_level: RiskLevel;
+  risk_reasons: string[];
+  previous_risk_level: RiskLevel | null;
+  added_reasons: string[];
+  cleared_reasons: string[];
+  risk_rule_set_version: number | null;
+  recorded_at: string;
+  level_changed: boolean;
+}
+
+export interface RiskLevelHistoryResponse {
+  account_id: string;
+  transitions: RiskLevelTransition[];
+}
+
+export type SavedViewTable = 'account-metrics-monthly';
+
+export interface SavedView {
+  id: number;
+  table_key: SavedViewTable;
+  name: string;
+  query_string: string; // the table's URL filters, without the leading "?"
+  shared: boolean;
+  pinned: boolean;
+  owner_name: string | null;
+  is_owner: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface InsertSavedView {
+  table_key: SavedViewTable;
+  name: string;
+  query_string: string;
+  shared?: boolean;
+  pinned?: boolean;
+}
+
+export interface SavedViewsResponse {
+  table_key: SavedViewTable;
+  views: SavedView[];
+}
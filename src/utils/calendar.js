@@ -8,6 +8,19 @@ export class ChurnGuardCalendar {
     return date.toISOString().slice(0, 7);
   }
 
+  // YYYY-MM-DD string days later (or earlier, for negative days), counted in UTC
+  static addDaysISO(date, days) {
+    return this.formatDateISO(new Date(Date.parse(date) + days * 24 * 60 * 60 * 1000));
+  }
+
+  // YYYY-MM-DD that names a real day; Date.parse rolls 2026-02-31 over to March instead of rejecting it
+  static isValidDateISO(value) {
+    return typeof value === 'string'
+      && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      && !isNaN(Date.parse(value))
+      && new Date(value).toISOString().slice(0, 10) === value;
+  }
+
   static getDateInfo(inputDate = null) {
     const date = inputDate ? new Date(inputDate) : new Date();
     const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
@@ -0,0 +1,11 @@
+// JSON/JSONB columns come back parsed from Postgres and as TEXT from SQLite; text that doesn't
+// parse gives the fallback rather than failing the whole read
+export const parseJson = (value, fallback = null) => {
+  if (!value) return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
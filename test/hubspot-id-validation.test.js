@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFakeHubSpotServer } from '../scripts/fake-hubspot-server.js';
+
+// Runs validateHubSpotIds against the fake HubSpot API and a throwaway SQLite database. The fake
+// answers merged123 as merged into 123 and treats IDs starting with "missing" as deleted.
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'churnguard-id-validation-'));
+process.env.SQLITE_DB_PATH = path.join(tempDir, 'test.db');
+process.env.DATABASE_URL = '';
+
+const { getSharedDatabase } = await import('../config/database.js');
+const { ensureSchema } = await import('../config/migrate.js');
+const { HubSpotIdValidationService } = await import('../src/services/hubspot-id-validation.js');
+
+// [account_id, accounts.hubspot_id, translated company ID or null]
+const ACCOUNTS = [
+  ['acct-ok', '501', null],
+  ['acct-merged', 'merged502', null],
+  ['acct-missing', 'missing503', null],
+  ['acct-no-id', null, null],
+  ['acct-translated-ok', 'missing504', '505'],
+  ['acct-translated-merged', '506', 'merged507'],
+  ['acct-translated-missing', '508', 'missing509']
+];
+
+test('flags merged and missing companies for source and translated IDs', async (t) => {
+  const server = createFakeHubSpotServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.HUBSPOT_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.HUBSPOT_API_KEY = 'test-key';
+
+  await ensureSchema();
+  const db = await getSharedDatabase();
+  t.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  for (const [accountId, hubspotId, correctHubspotId] of ACCOUNTS) {
+    await db.query(`INSERT INTO accounts (account_id, account_name, hubspot_id) VALUES ($1, $2, $3)`, [accountId, `Account ${accountId}`, hubspotId]);
+    if (correctHubspotId) {
+      await db.query(`
+        INSERT INTO hubspot_id_translations (account_id, account_name, original_hubspot_id, correct_hubspot_id)
+        VALUES ($1, $2, $3, $4)
+      `, [accountId, `Account ${accountId}`, hubspotId, correctHubspotId]);
+    }
+  }
+
+  const summary = await new HubSpotIdValidationService().validateHubSpotIds();
+
+  assert.deepEqual(summary, { success: true, checked: 6, translated: 3, ok: 2, missing: 2, merged: 2, failed: 0 });
+
+  // A translation replaces the account's own ID, so only the translated ID is looked up
+  const readIds = server.requests
+    .filter(request => request.path === '/crm/v3/objects/companies/batch/read')
+    .flatMap(request => request.ids);
+  assert.deepEqual(readIds.sort(), ['501', '505', 'merged502', 'merged507', 'missing503', 'missing509']);
+
+  const { rows } = await db.query(`
+    SELECT account_id, hubspot_id, translated, status, merged_into_id, hubspot_company_name
+    FROM hubspot_id_validations
+    ORDER BY account_id
+  `);
+  assert.deepEqual(rows.map(row => ({ ...row, translated: Boolean(row.translated) })), [
+    { account_id: 'acct-merged', hubspot_id: 'merged502', translated: false, status: 'merged', merged_into_id: '502', hubspot_company_name: 'Company 502' },
+    { account_id: 'acct-missing', hubspot_id: 'missing503', translated: false, status: 'missing', merged_into_id: null, hubspot_company_name: null },
+    { account_id: 'acct-ok', hubspot_id: '501', translated: false, status: 'ok', merged_into_id: null, hubspot_company_name: 'Company 501' },
+    { account_id: 'acct-translated-merged', hubspot_id: 'merged507', translated: true, status: 'merged', merged_into_id: '507', hubspot_company_name: 'Company 507' },
+    { account_id: 'acct-translated-missing', hubspot_id: 'missing509', translated: true, status: 'missing', merged_into_id: null, hubspot_company_name: null },
+    { account_id: 'acct-translated-ok', hubspot_id: '505', translated: true, status: 'ok', merged_into_id: null, hubspot_company_name: 'Company 505' }
+  ]);
+});
@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeHubSpotServer } from '../scripts/fake-hubspot-server.js';
+import { createHubSpotService } from '../src/services/hubspot.js';
+
+// Runs bulkUpdateCompanyRiskData against the fake HubSpot API on an ephemeral port
+
+const startFakeHubSpot = async (t, options = {}) => {
+  const server = createFakeHubSpotServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const hubspot = createHubSpotService('test-key', {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    baseBackoffMs: 1
+  });
+  return { server, hubspot };
+};
+
+const batchUpdates = (server) => server.requests.filter(request => request.path === '/crm/v3/objects/companies/batch/update');
+
+const riskUpdate = (hubspotId, accountId = `acct-${hubspotId}`) => ({
+  accountId,
+  hubspotId,
+  accountName: `Account ${accountId}`,
+  riskData: {
+    churnguard_current_risk_level: 'High',
+    churnguard_current_risk_reasons: 'Low Engagement',
+    churnguard_trending_risk_level: 'Medium',
+    churnguard_trending_risk_reasons: 'Spend Drop',
+    churnguard_last_updated: '2026-10-01'
+  }
+});
+
+test('retries a rate-limited batch after Retry-After', async (t) => {
+  const { server, hubspot } = await startFakeHubSpot(t, { rateLimitEvery: 2 });
+  const updates = Array.from({ length: 150 }, (_, index) => riskUpdate(String(1000 + index)));
+
+  const startedAt = Date.now();
+  const result = await hubspot.bulkUpdateCompanyRiskData(updates, 'test');
+
+  assert.equal(result.successfulSyncs, 150);
+  assert.equal(result.failedSyncs, 0);
+  assert.equal(result.summary.highRiskSynced, 150);
+  assert.deepEqual(batchUpdates(server).map(request => request.status), [200, 429, 200]);
+  // The fake asks for Retry-After: 1, far longer than the 1ms exponential backoff
+  assert.ok(Date.now() - startedAt >= 900, 'waited for Retry-After before retrying');
+});
+
+test('reports per-record errors from a 207 response', async (t) => {
+  const { server, hubspot } = await startFakeHubSpot(t);
+
+  const result = await hubspot.bulkUpdateCompanyRiskData([riskUpdate('101'), riskUpdate('missing1'), riskUpdate('102')], 'test');
+
+  assert.equal(result.successfulSyncs, 2);
+  assert.equal(result.failedSyncs, 1);
+  assert.deepEqual(result.results.map(r => r.success), [true, false, true]);
+  assert.match(result.results[1].error, /^OBJECT_NOT_FOUND/);
+  assert.deepEqual(batchUpdates(server).map(request => request.status), [207]);
+});
+
+test('splits a rejected batch until the invalid company is isolated', async (t) => {
+  const { server, hubspot } = await startFakeHubSpot(t);
+
+  const result = await hubspot.bulkUpdateCompanyRiskData(
+    [riskUpdate('201'), riskUpdate('invalid1'), riskUpdate('202'), riskUpdate('203')],
+    'test'
+  );
+
+  assert.equal(result.successfulSyncs, 3);
+  assert.equal(result.failedSyncs, 1);
+  assert.deepEqual(result.results.map(r => r.success), [true, false, true, true]);
+  assert.match(result.results[1].error, /^HubSpot API error: 400/);
+  assert.deepEqual(batchUpdates(server).map(request => [request.ids, request.status]), [
+    [['201', 'invalid1', '202', '203'], 400],
+    [['201', 'invalid1'], 400],
+    [['201'], 200],
+    [['invalid1'], 400],
+    [['202', '203'], 200]
+  ]);
+});
+
+test('sends accounts that share a company in separate batches', async (t) => {
+  const { server, hubspot } = await startFakeHubSpot(t);
+
+  const result = await hubspot.bulkUpdateCompanyRiskData(
+    [riskUpdate('301', 'acct-a'), riskUpdate('302'), riskUpdate('301', 'acct-b')],
+    'test'
+  );
+
+  assert.equal(result.successfulSyncs, 3);
+  assert.equal(result.failedSyncs, 0);
+  assert.deepEqual(result.results.map(r => r.accountName), ['Account acct-a', 'Account acct-302', 'Account acct-b']);
+  assert.deepEqual(batchUpdates(server).map(request => [request.ids, request.status]), [
+    [['301', '302'], 200],
+    [['301'], 200]
+  ]);
+});